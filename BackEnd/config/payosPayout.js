@@ -0,0 +1,12 @@
+const { PayOS } = require("@payos/node");
+require("dotenv").config();
+
+// Kênh chi (payout) của PayOS dùng bộ key riêng, fallback về key kênh thu nếu chưa cấu hình
+const payOsPayout = new PayOS({
+  clientId: process.env.PAYOS_PAYOUT_CLIENT_ID || process.env.PAYOS_CLIENT_ID,
+  apiKey: process.env.PAYOS_PAYOUT_API_KEY || process.env.PAYOS_API_KEY,
+  checksumKey:
+    process.env.PAYOS_PAYOUT_CHECKSUM_KEY || process.env.PAYOS_CHECKSUM_KEY,
+});
+
+module.exports = payOsPayout;
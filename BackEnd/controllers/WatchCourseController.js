@@ -7,6 +7,13 @@ const mongoose = require("mongoose");
 const {
   createAndSendNotification,
 } = require("../services/notificationService");
+const { getCourseAccess } = require("../services/subscriptionService");
+const VideoWatchProgress = require("../models/videoWatchProgressModel");
+const { describeVideoWatch } = require("../services/progressService");
+const {
+  getCourseLockStates,
+  getLessonLockState,
+} = require("../services/contentReleaseService");
 
 const { GoogleGenAI } = require("@google/genai");
 const ai = new GoogleGenAI({
@@ -96,8 +103,11 @@ const checkAndHandleToxicity = async (content, userId, io) => {
 
 /**
  * @desc    Get lesson detail by lessonId
+ * @desc    Requires a purchased enrollment or an unexpired subscription covering the course
+ * @desc    Video lessons include watchProgress (resumePosition, watchedPercent) of the current user
+ * @desc    Locked lessons (drip schedule / prerequisites) are refused with 403 and lockReasons
  * @route   GET /api/watch-course/lesson/:lessonId
- * @access  Public
+ * @access  Private
  */
 exports.getLessonDetail = async (req, res) => {
   try {
@@ -122,6 +132,34 @@ exports.getLessonDetail = async (req, res) => {
     if (!lesson) {
       return res.status(404).json({ message: "Lesson not found." });
     }
+
+    const access = await getCourseAccess(req.user, lesson.courseId);
+    if (!access.hasAccess) {
+      return res.status(403).json({ message: access.reason });
+    }
+
+    // Drip content: bài học / chương chưa đến hạn mở hoặc chưa xong điều kiện tiên quyết
+    const lockState = await getLessonLockState({ user: req.user, lesson });
+    if (lockState.locked) {
+      return res.status(403).json({
+        message: "This lesson is locked.",
+        locked: true,
+        lockReasons: lockState.reasons,
+      });
+    }
+
+    // Bài học video: trả kèm vị trí xem tiếp và mức đã xem của học viên
+    if (lesson.type === "video") {
+      const watch = await VideoWatchProgress.findOne({
+        studentId: req.user._id,
+        lessonId: lesson._id,
+      });
+      return res.status(200).json({
+        ...lesson.toObject(),
+        watchProgress: describeVideoWatch(lesson, watch),
+      });
+    }
+
     res.status(200).json(lesson);
   } catch (err) {
     res.status(500).json({ message: err.message });
@@ -174,6 +212,8 @@ exports.getCourseInfo = async (req, res) => {
 
 /**
  * @desc    Get all lessons of a course
+ * @desc    Each section / lesson has locked and lockReasons; content of locked lessons is omitted
+ * @desc    Without course access (guest, expired subscription, refunded) only lesson metadata is returned
  * @route   GET /api/watch-course/:courseId/lessons
  * @access  Public
  */
@@ -185,19 +225,62 @@ exports.getAllLessonsOfCourse = async (req, res) => {
     }
     // Get all lessons by courseId, sorted by section order and lesson order
     const sections = await Section.find({ courseId })
-      .select("_id name order lessons")
+      .select("_id name order lessons release")
       .sort({ order: 1 })
       .populate({
         path: "lessons",
         select:
-          "_id title description lessonNotes materialUrl videoUrl captions duration order type quizIds createdAt updatedAt",
+          "_id title description lessonNotes materialUrl videoUrl captions duration order type quizIds release createdAt updatedAt",
         options: { sort: { order: 1 } },
         populate: {
           path: "quizIds",
           select: "_id title description questions",
         },
       });
-    res.status(200).json({ sections });
+
+    // Cùng điều kiện truy cập với getLessonDetail: chưa có quyền thì không trả nội dung bài học
+    const access = req.user
+      ? await getCourseAccess(req.user, courseId)
+      : { hasAccess: false, reason: "You are not enrolled in this course." };
+
+    // Drip content: trạng thái khóa theo người dùng đang đăng nhập (khách: theo điều kiện chưa ghi danh)
+    const lockStates = await getCourseLockStates({
+      user: req.user,
+      courseId,
+      sections,
+    });
+    const sectionsWithLocks = sections.map((section) => {
+      const sectionState = lockStates.sections.get(section._id.toString());
+      return {
+        ...section.toObject(),
+        locked: sectionState.locked,
+        lockReasons: sectionState.reasons,
+        lessons: section.lessons.filter(Boolean).map((lesson) => {
+          const lessonState = lockStates.lessons.get(lesson._id.toString());
+          const lessonData = lesson.toObject();
+          if (lessonState.locked || !access.hasAccess) {
+            // Không lộ nội dung bài học đang khóa hoặc khi chưa có quyền truy cập
+            delete lessonData.materialUrl;
+            delete lessonData.videoUrl;
+            delete lessonData.captions;
+            delete lessonData.lessonNotes;
+            lessonData.quizIds = (lessonData.quizIds || [])
+              .filter(Boolean)
+              .map((quiz) => ({ _id: quiz._id, title: quiz.title }));
+          }
+          return {
+            ...lessonData,
+            locked: lessonState.locked,
+            lockReasons: lessonState.reasons,
+          };
+        }),
+      };
+    });
+    res.status(200).json({
+      sections: sectionsWithLocks,
+      hasAccess: access.hasAccess,
+      accessReason: access.hasAccess ? undefined : access.reason,
+    });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
@@ -5,6 +5,11 @@ const { generateQuizQuestions, gradeEssayAnswer } = require("../services/openRou
 const NodeCache = require("node-cache");
 const crypto = require("crypto");
 const StudentQuizResult = require("../models/StudentQuizResult");
+const {
+  computeTotalScore,
+  isEssayReviewed,
+  findEssayAnswer
+} = require("../services/quizGradingService");
 const axios = require("axios");
 
 // OpenRouter configuration for Quiz AI (explain quiz)
@@ -1258,12 +1263,34 @@ exports.gradeEssayAnswers = async (req, res) => {
 
     console.log(`🤖 Grading ${essayAnswers.length} essay answers for quiz result ${quizResultId}...`);
 
+    // Câu rút từ ngân hàng: giữ bankQuestionId đã lưu lúc nộp bài
+    const findSubmittedEssay = (questionIndex) =>
+      (quizResult.essayAnswers || []).find((essay) => essay.questionIndex === questionIndex);
+
+    // Gộp điểm AI vào câu đã lưu, không ghi đè câu giảng viên đã duyệt
+    const mergeGradedAnswer = (gradedAnswer) => {
+      const existing = findEssayAnswer(quizResult.essayAnswers, gradedAnswer);
+      if (!existing) {
+        quizResult.essayAnswers.push(gradedAnswer);
+        return;
+      }
+      const { gradeHistory, ...fields } = gradedAnswer;
+      existing.set(fields);
+      existing.gradeHistory.push(...gradeHistory);
+    };
+
     // Grade each essay answer
     const gradedAnswers = [];
     let totalEssayScore = 0;
     let maxEssayScore = 0;
 
     for (const essayAnswer of essayAnswers) {
+      const submittedEssay = findSubmittedEssay(essayAnswer.questionIndex);
+      if (submittedEssay && isEssayReviewed(submittedEssay)) {
+        console.log(`⏭️ Question ${essayAnswer.questionIndex + 1} already reviewed by instructor, skipping`);
+        continue;
+      }
+
       try {
         console.log(`📝 Grading question ${essayAnswer.questionIndex + 1}...`);
 
@@ -1274,8 +1301,11 @@ exports.gradeEssayAnswers = async (req, res) => {
           maxScore: essayAnswer.maxScore || 10
         });
 
+        const gradedAt = new Date();
+        const gradingModel = process.env.QUIZAI_MODEL || 'gemini-2.5-flash';
         const gradedAnswer = {
           questionIndex: essayAnswer.questionIndex,
+          bankQuestionId: submittedEssay?.bankQuestionId,
           questionContent: essayAnswer.questionContent,
           studentAnswer: essayAnswer.studentAnswer,
           aiScore: gradingResult.score,
@@ -1284,8 +1314,18 @@ exports.gradeEssayAnswers = async (req, res) => {
           aiImprovements: gradingResult.improvements,
           percentage: gradingResult.percentage,
           maxScore: essayAnswer.maxScore || 10,
-          gradedAt: new Date(),
-          gradingModel: process.env.QUIZAI_MODEL || 'gemini-2.5-flash'
+          gradedAt,
+          gradingModel,
+          // Chờ giảng viên duyệt điểm AI
+          reviewStatus: 'pending',
+          gradeHistory: [{
+            source: 'ai',
+            action: 'ai_graded',
+            score: gradingResult.score,
+            feedback: gradingResult.feedback,
+            gradingModel,
+            gradedAt
+          }]
         };
 
         gradedAnswers.push(gradedAnswer);
@@ -1297,30 +1337,41 @@ exports.gradeEssayAnswers = async (req, res) => {
       } catch (error) {
         console.error(`❌ Failed to grade question ${essayAnswer.questionIndex + 1}:`, error.message);
         
-        // Add failed grading with 0 score
+        // Add failed grading with 0 score (giảng viên chấm lại trong hàng chờ duyệt)
+        const gradedAt = new Date();
+        const gradingModel = process.env.QUIZAI_MODEL || 'gemini-2.5-flash';
+        const aiFeedback = "Không thể chấm điểm câu hỏi này. Vui lòng thử lại sau.";
         gradedAnswers.push({
           questionIndex: essayAnswer.questionIndex,
+          bankQuestionId: submittedEssay?.bankQuestionId,
           questionContent: essayAnswer.questionContent,
           studentAnswer: essayAnswer.studentAnswer,
           aiScore: 0,
-          aiFeedback: "Không thể chấm điểm câu hỏi này. Vui lòng thử lại sau.",
+          aiFeedback,
           maxScore: essayAnswer.maxScore || 10,
-          gradedAt: new Date(),
-          gradingModel: process.env.QUIZAI_MODEL || 'gemini-2.5-flash',
-          error: error.message
+          gradedAt,
+          gradingModel,
+          error: error.message,
+          reviewStatus: 'pending',
+          gradeHistory: [{
+            source: 'ai',
+            action: 'ai_graded',
+            score: 0,
+            feedback: aiFeedback,
+            gradingModel,
+            gradedAt
+          }]
         });
         
         maxEssayScore += essayAnswer.maxScore || 10;
       }
     }
 
-    // Calculate total score (existing multiple choice + essay scores)
-    const existingScore = quizResult.score || 0;
-    const totalScore = existingScore + totalEssayScore;
-    const maxTotalScore = (quizResult.maxTotalScore || 0) + maxEssayScore;
-
     // Update quiz result with graded essays
-    quizResult.essayAnswers = gradedAnswers;
+    gradedAnswers.forEach(mergeGradedAnswer);
+
+    // Calculate total score (multiple choice + essay scores), tính lại khi giảng viên duyệt
+    const { totalScore, maxTotalScore } = computeTotalScore(quizResult);
     quizResult.totalScore = totalScore;
     quizResult.maxTotalScore = maxTotalScore;
     quizResult.gradingStatus = 'completed';
@@ -0,0 +1,278 @@
+const mongoose = require("mongoose");
+const Bundle = require("../models/bundleModel");
+const Course = require("../models/courseModel");
+
+const BUNDLE_FIELDS = ["title", "description", "thumbnail", "price", "status"];
+
+/**
+ * Helper kiểm tra danh sách khóa học của gói.
+ * Instructor chỉ được đóng gói các khóa học do mình tạo.
+ * @returns {Promise<string|null>} Thông báo lỗi hoặc null nếu hợp lệ
+ */
+const validateBundleCourses = async (courseIds, user) => {
+  if (!Array.isArray(courseIds) || courseIds.length < 2) {
+    return "A bundle must contain at least 2 courses";
+  }
+  if (!courseIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    return "Invalid course ID in courseIds";
+  }
+  if (new Set(courseIds.map(String)).size !== courseIds.length) {
+    return "Duplicate course in courseIds";
+  }
+
+  const courses = await Course.find({ _id: { $in: courseIds } }).select(
+    "createdBy"
+  );
+  if (courses.length !== courseIds.length) {
+    return "Some courses do not exist";
+  }
+  if (
+    user.role === "instructor" &&
+    courses.some((c) => c.createdBy?.toString() !== user._id.toString())
+  ) {
+    return "You can only bundle your own courses";
+  }
+
+  return null;
+};
+
+/**
+ * Chỉ người tạo gói hoặc admin được sửa/xóa
+ */
+const canManageBundle = (bundle, user) =>
+  user.role === "admin" || bundle.createdBy.toString() === user._id.toString();
+
+/**
+ * Thêm tổng giá gốc và số tiền tiết kiệm khi mua theo gói
+ */
+const withSavings = (bundle) => {
+  const data = bundle.toObject();
+  const originalPrice = (data.courseIds || [])
+    .filter(Boolean)
+    .reduce((sum, c) => sum + (c.price || 0), 0);
+  return {
+    ...data,
+    originalPrice,
+    savings: Math.max(originalPrice - data.price, 0),
+  };
+};
+
+/**
+ * @desc    Get all active bundles
+ * @route   GET /api/bundles
+ * @access  Public
+ */
+exports.getBundles = async (req, res) => {
+  try {
+    const bundles = await Bundle.find({ status: "active" })
+      .populate("courseIds", "title thumbnail price")
+      .populate("createdBy", "firstName lastName")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({ success: true, data: bundles.map(withSavings) });
+  } catch (error) {
+    console.error("Error in getBundles:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get bundles created by the current instructor (admin sees all)
+ * @route   GET /api/bundles/mine
+ * @access  Private (Instructor, Admin)
+ */
+exports.getMyBundles = async (req, res) => {
+  try {
+    const filter = req.user.role === "admin" ? {} : { createdBy: req.user._id };
+    const bundles = await Bundle.find(filter)
+      .populate("courseIds", "title thumbnail price")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({ success: true, data: bundles.map(withSavings) });
+  } catch (error) {
+    console.error("Error in getMyBundles:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get bundle details
+ * @route   GET /api/bundles/:bundleId
+ * @access  Public
+ */
+exports.getBundleById = async (req, res) => {
+  try {
+    const { bundleId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(bundleId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid bundle ID" });
+    }
+
+    const bundle = await Bundle.findOne({ _id: bundleId, status: "active" })
+      .populate("courseIds", "title subTitle thumbnail price level")
+      .populate("createdBy", "firstName lastName");
+
+    if (!bundle) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Bundle not found" });
+    }
+
+    res.status(200).json({ success: true, data: withSavings(bundle) });
+  } catch (error) {
+    console.error("Error in getBundleById:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Create a course bundle
+ * @route   POST /api/bundles
+ * @access  Private (Instructor, Admin)
+ */
+exports.createBundle = async (req, res) => {
+  try {
+    const data = {};
+    BUNDLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const validationError = await validateBundleCourses(
+      req.body.courseIds,
+      req.user
+    );
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const bundle = await Bundle.create({
+      ...data,
+      courseIds: req.body.courseIds,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Bundle created successfully",
+      data: bundle,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error("Error in createBundle:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Update a course bundle
+ * @route   PUT /api/bundles/:bundleId
+ * @access  Private (Bundle owner, Admin)
+ */
+exports.updateBundle = async (req, res) => {
+  try {
+    const bundle = await Bundle.findById(req.params.bundleId);
+
+    if (!bundle) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Bundle not found" });
+    }
+    if (!canManageBundle(bundle, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not allowed to update this bundle",
+      });
+    }
+
+    if (req.body.courseIds !== undefined) {
+      const validationError = await validateBundleCourses(
+        req.body.courseIds,
+        req.user
+      );
+      if (validationError) {
+        return res
+          .status(400)
+          .json({ success: false, message: validationError });
+      }
+      bundle.courseIds = req.body.courseIds;
+    }
+
+    BUNDLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) bundle[field] = req.body[field];
+    });
+
+    await bundle.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Bundle updated successfully",
+      data: bundle,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error("Error in updateBundle:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete a course bundle (existing enrollments are kept)
+ * @route   DELETE /api/bundles/:bundleId
+ * @access  Private (Bundle owner, Admin)
+ */
+exports.deleteBundle = async (req, res) => {
+  try {
+    const bundle = await Bundle.findById(req.params.bundleId);
+
+    if (!bundle) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Bundle not found" });
+    }
+    if (!canManageBundle(bundle, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not allowed to delete this bundle",
+      });
+    }
+
+    await bundle.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: "Bundle deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error in deleteBundle:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
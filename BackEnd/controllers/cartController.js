@@ -1,10 +1,12 @@
 const Cart = require("../models/cartModel");
+const Bundle = require("../models/bundleModel");
+const { applyPromotions } = require("../services/promotionService");
 require("../models/categoryModel");
 require("../models/sectionModel");
 require("../models/discountModel");
 const cartController = {
   /**
-   * @desc    Xem giỏ hàng: Lấy danh sách các khóa học trong giỏ hàng.
+   * @desc    Xem giỏ hàng: Lấy danh sách các khóa học và gói khóa học trong giỏ hàng.
    * @route   GET /api/cart/:userId
    * @access  Student
    */
@@ -21,25 +23,50 @@ const cartController = {
             { path: "createdBy" },
           ],
         })
+        .populate({
+          path: "bundleIds",
+          populate: { path: "courseIds", select: "title thumbnail price" },
+        })
         .sort({ createdAt: -1 });
       if (!cart) {
         // NOTE: If no cart exists for the user, create a new one (check in frontend if courseIds.length === 0 => show empty cart)
-        cart = new Cart({ userId, courseIds: [] });
+        cart = new Cart({ userId, courseIds: [], bundleIds: [] });
         await cart.save();
       }
-      res.status(200).json(cart);
+      // Bảng giá sau khuyến mãi tự động (các khuyến mãi đã áp dụng cho từng khóa học)
+      const courseBreakdown = await applyPromotions({
+        courses: cart.courseIds.filter(Boolean),
+        userId,
+      });
+      // Gói khóa học tính theo giá gói, không áp dụng thêm khuyến mãi
+      const bundles = cart.bundleIds.filter(Boolean).map((bundle) => ({
+        bundleId: bundle._id,
+        title: bundle.title,
+        price: bundle.price,
+      }));
+      const bundleTotal = bundles.reduce((sum, b) => sum + b.price, 0);
+      const priceBreakdown = {
+        ...courseBreakdown,
+        bundles,
+        bundleTotal,
+        total: courseBreakdown.total + bundleTotal,
+      };
+      res.status(200).json({ ...cart.toObject(), priceBreakdown });
     } catch (error) {
       res.status(500).json({ message: error.message });
     }
   },
   /**
-   * @desc    Thêm vào giỏ hàng: Thêm một khóa học vào giỏ hàng.
+   * @desc    Thêm vào giỏ hàng: Thêm một khóa học (courseId) hoặc một gói khóa học (bundleId) vào giỏ hàng.
    * @route   POST /api/cart
    * @access  Student
    */
   addToCart: async (req, res) => {
     try {
-      const { userId, courseId } = req.body;
+      const { userId, courseId, bundleId } = req.body;
+      if (userId && bundleId) {
+        return cartController.addBundleToCart(req, res);
+      }
       let cart = await Cart.findOne({ userId });
       if (!userId || !courseId) {
         return res
@@ -66,13 +93,17 @@ const cartController = {
     }
   },
   /**
-   * @desc    Xóa khỏi giỏ hàng: Xóa một khóa học khỏi giỏ hàng.
+   * @desc    Xóa khỏi giỏ hàng: Xóa một khóa học hoặc một gói khóa học khỏi giỏ hàng.
    * @route   DELETE /api/cart/?userId=<userId>&courseId=<courseId>
+   * @route   DELETE /api/cart/?userId=<userId>&bundleId=<bundleId>
    * @access  Student
    */
   removeFromCart: async (req, res) => {
     try {
-      const { userId, courseId } = req.query;
+      const { userId, courseId, bundleId } = req.query;
+      if (userId && bundleId) {
+        return cartController.removeBundleFromCart(req, res);
+      }
       if (!userId || !courseId) {
         return res
           .status(400)
@@ -101,5 +132,66 @@ const cartController = {
       res.status(500).json({ message: error.message });
     }
   },
+  /**
+   * @desc    Thêm một gói khóa học vào giỏ hàng (gọi từ addToCart khi có bundleId).
+   * @route   POST /api/cart
+   * @access  Student
+   */
+  addBundleToCart: async (req, res) => {
+    try {
+      const { userId, bundleId } = req.body;
+      const bundle = await Bundle.findOne({ _id: bundleId, status: "active" });
+      if (!bundle) {
+        return res.status(404).json({ message: "Bundle not found.", bundleId });
+      }
+      let cart = await Cart.findOne({ userId });
+      if (!cart) {
+        cart = new Cart({ userId, courseIds: [], bundleIds: [] });
+      }
+      if (cart.bundleIds.some((id) => id.toString() === bundleId.toString())) {
+        return res
+          .status(400)
+          .json({ message: "Bundle already exists in the cart.", bundleId });
+      }
+      cart.bundleIds.push(bundleId);
+      await cart.save();
+      res
+        .status(200)
+        .json({ message: "Bundle added to cart successfully.", bundleId });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+  /**
+   * @desc    Xóa một gói khóa học khỏi giỏ hàng (gọi từ removeFromCart khi có bundleId).
+   * @route   DELETE /api/cart/?userId=<userId>&bundleId=<bundleId>
+   * @access  Student
+   */
+  removeBundleFromCart: async (req, res) => {
+    try {
+      const { userId, bundleId } = req.query;
+      const cart = await Cart.findOne({ userId });
+      if (!cart) {
+        return res.status(404).json({ message: "Cart not found." });
+      }
+      const bundleIdStr = bundleId.toString();
+      const exists = cart.bundleIds.some((id) => id.toString() === bundleIdStr);
+      if (!exists) {
+        return res
+          .status(404)
+          .json({ message: "Bundle not found in cart.", bundleId });
+      }
+
+      cart.bundleIds = cart.bundleIds.filter(
+        (id) => id.toString() !== bundleIdStr
+      );
+      await cart.save();
+      res
+        .status(200)
+        .json({ message: "Bundle removed from cart successfully.", bundleId });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
 };
 module.exports = cartController;
@@ -6,24 +6,73 @@ const puppeteer = require("puppeteer");
 const fs = require("fs").promises;
 const path = require("path");
 const crypto = require("crypto");
+const mongoose = require("mongoose");
 const { userCompletedCourseEmail } = require("../utils/emailTemplates");
 const sendEmail = require("../utils/sendEmail");
+const {
+  generateCredentialId,
+  getVerificationUrl,
+  createVerificationQrCode,
+  ensureCredentialId,
+  getCertificateEligibility,
+  getCertificateVerification,
+  revokeCertificate,
+} = require("../services/certificateService");
 
+// Thông báo khi học viên chưa đủ điều kiện nhận chứng chỉ (theo reason của getCertificateEligibility)
+const INELIGIBLE_MESSAGES = {
+  not_enrolled: "Bạn chưa ghi danh khoá học này.",
+  no_lessons: "Khoá học chưa có bài học nào.",
+  lessons_incomplete:
+    "Bạn cần hoàn thành tất cả bài học của khoá học để nhận chứng chỉ.",
+  quizzes_not_passed:
+    "Bạn cần vượt qua tất cả bài quiz của khoá học để nhận chứng chỉ.",
+};
+
+/**
+ * @desc    Issue the course certificate (PNG + print-quality PDF) with course duration and final grade.
+ *          Requires enrollment, every lesson completed and every quiz passed
+ * @route   POST /api/courses/:courseId/generate-certificate
+ * @access  Private
+ */
 exports.generateCertificate = async (req, res) => {
   const { courseId } = req.params;
   const userId = req.user.id;
 
+  if (!mongoose.Types.ObjectId.isValid(courseId)) {
+    return res.status(400).json({ message: "Invalid ID." });
+  }
+
   try {
     // 1. Kiểm tra chứng chỉ đã tồn tại chưa
     let existingCertificate = await Certificate.findOne({ userId, courseId });
     if (existingCertificate) {
+      if (existingCertificate.revokedAt) {
+        return res.status(403).json({
+          message: "Chứng chỉ của bạn cho khoá học này đã bị thu hồi.",
+          certificate: existingCertificate,
+        });
+      }
+      // Chứng chỉ tạo trước khi có xác thực: cấp mã xác thực
+      await ensureCredentialId(existingCertificate);
       return res.status(200).json({
         message: "Chứng chỉ đã được tạo trước đó.",
         certificate: existingCertificate,
       });
     }
 
-    // 2. Nếu chưa, bắt đầu tạo mới
+    // 2. Điều kiện: đã ghi danh, hoàn thành mọi bài học, đạt mọi bài quiz
+    const { eligible, reason, courseDuration, finalGrade, ...details } =
+      await getCertificateEligibility({ userId, courseId });
+    if (!eligible) {
+      return res.status(403).json({
+        message: INELIGIBLE_MESSAGES[reason],
+        reason,
+        ...details,
+      });
+    }
+
+    // Nếu chưa có chứng chỉ, bắt đầu tạo mới
     // Lấy thông tin (thêm 'email' và 'message.congrats'
     const user = await User.findById(userId).select("firstName lastName email"); // <-- ĐÃ THÊM 'email'
     const course = await Course.findById(courseId)
@@ -51,7 +100,9 @@ exports.generateCertificate = async (req, res) => {
         .json({ message: "Thiếu tên người dùng hoặc tên khoá học." });
     }
 
-    // 4. Đọc template (Giữ nguyên)
+    // 4. Đọc template, nhúng mã xác thực và QR code trỏ tới trang xác thực
+    const credentialId = generateCredentialId();
+    const qrCode = await createVerificationQrCode(credentialId);
     const templatePath = path.join(
       __dirname,
       "../templates/certificate-template.html"
@@ -59,43 +110,75 @@ exports.generateCertificate = async (req, res) => {
     let html = await fs.readFile(templatePath, "utf-8");
     html = html.replace("{{STUDENT_NAME}}", userName);
     html = html.replace("{{COURSE_TITLE}}", courseTitle);
+    html = html.replace("{{COURSE_DURATION}}", courseDuration || "N/A");
+    html = html.replace(
+      "{{FINAL_GRADE}}",
+      finalGrade === null ? "Completed" : `${finalGrade}%`
+    );
     html = html.replace("{{SIGNATORY_NAME}}", teacherName);
+    html = html.replace("{{QR_CODE}}", qrCode);
+    html = html.replace("{{CREDENTIAL_ID}}", credentialId);
+    html = html.replace("{{VERIFY_URL}}", getVerificationUrl(credentialId));
 
-    // 5. Chạy Puppeteer (Giữ nguyên)
+    // 5. Chạy Puppeteer: ảnh PNG để hiển thị và PDF vector (A4 ngang) để in
     const browser = await puppeteer.launch({
       headless: "new",
       args: ["--no-sandbox", "--disable-setuid-sandbox"],
     });
-    const page = await browser.newPage();
-    await page.setViewport({
-      width: 1123,
-      height: 794,
-      deviceScaleFactor: 1,
-    });
-    await page.setContent(html, { waitUntil: "networkidle0" });
-    const imageBuffer = await page.screenshot({
-      type: "png",
-      clip: { x: 0, y: 0, width: 1123, height: 794 },
-    });
-    await browser.close();
+    let imageBuffer;
+    let pdfBuffer;
+    try {
+      const page = await browser.newPage();
+      await page.setViewport({
+        width: 1123,
+        height: 794,
+        deviceScaleFactor: 1,
+      });
+      await page.setContent(html, { waitUntil: "networkidle0" });
+      imageBuffer = await page.screenshot({
+        type: "png",
+        clip: { x: 0, y: 0, width: 1123, height: 794 },
+      });
+      pdfBuffer = await page.pdf({
+        format: "A4",
+        landscape: true,
+        printBackground: true,
+        preferCSSPageSize: true,
+        pageRanges: "1",
+      });
+    } finally {
+      await browser.close();
+    }
 
-    // 6. Upload lên Firebase (Giữ nguyên)
+    // 6. Upload lên Firebase
     const bucket = admin.storage().bucket();
-    const fileName = `certificates/${crypto.randomUUID()}.png`;
-    const file = bucket.file(fileName);
+    const baseName = `certificates/${crypto.randomUUID()}`;
+    const fileName = `${baseName}.png`;
+    const pdfFileName = `${baseName}.pdf`;
 
-    await file.save(imageBuffer, {
-      metadata: { contentType: "image/png" },
-      public: true,
-    });
+    await Promise.all([
+      bucket.file(fileName).save(imageBuffer, {
+        metadata: { contentType: "image/png" },
+        public: true,
+      }),
+      bucket.file(pdfFileName).save(Buffer.from(pdfBuffer), {
+        metadata: { contentType: "application/pdf" },
+        public: true,
+      }),
+    ]);
 
     const publicUrl = `https://storage.googleapis.com/${bucket.name}/${fileName}`;
+    const pdfUrl = `https://storage.googleapis.com/${bucket.name}/${pdfFileName}`;
 
-    // 7. Lưu chứng chỉ vào DB (Giữ nguyên)
+    // 7. Lưu chứng chỉ vào DB
     const newCertificate = new Certificate({
       userId,
       courseId,
       certificateUrl: publicUrl,
+      pdfUrl,
+      credentialId,
+      courseDuration,
+      finalGrade,
     });
     await newCertificate.save();
 
@@ -138,7 +221,56 @@ exports.generateCertificate = async (req, res) => {
       certificate: newCertificate,
     });
   } catch (error) {
-    console.error("Lỗi khi tạo chứng chỉ PNG:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Lỗi khi tạo chứng chỉ:", error);
+    res.status(500).json({ message: "Lỗi máy chủ nội bộ." });
+  }
+};
+
+/**
+ * @desc    Verify a certificate by its credential ID (holder, course, issue date, revocation status)
+ * @route   GET /api/certificates/verify/:credentialId
+ * @access  Public
+ */
+exports.verifyCertificate = async (req, res) => {
+  try {
+    const verification = await getCertificateVerification(
+      req.params.credentialId
+    );
+    res.status(200).json(verification);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Lỗi khi xác thực chứng chỉ:", error);
+    res.status(500).json({ message: "Lỗi máy chủ nội bộ." });
+  }
+};
+
+/**
+ * @desc    Revoke a certificate (by _id or credential ID). Body: { reason }
+ * @route   POST /api/admin/certificates/:certificateId/revoke
+ * @access  Private (Admin only)
+ */
+exports.revokeCertificate = async (req, res) => {
+  try {
+    const certificate = await revokeCertificate({
+      user: req.user,
+      certificateId: req.params.certificateId,
+      reason: req.body?.reason,
+      io: req.app.get("io"),
+    });
+    res.status(200).json({
+      message: "Đã thu hồi chứng chỉ.",
+      certificate,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Lỗi khi thu hồi chứng chỉ:", error);
     res.status(500).json({ message: "Lỗi máy chủ nội bộ." });
   }
 };
@@ -0,0 +1,276 @@
+const mongoose = require("mongoose");
+const CommissionRate = require("../models/commissionRateModel");
+const User = require("../models/userModel");
+const Course = require("../models/courseModel");
+const {
+  getEffectiveCommission,
+  findOverlappingRate,
+} = require("../services/commissionService");
+
+/**
+ * Helper kiểm tra và chuẩn hóa dữ liệu một bản ghi tỉ lệ hoa hồng.
+ * Trả về { error } nếu dữ liệu không hợp lệ.
+ */
+const validateRatePayload = async ({
+  scope,
+  instructorId,
+  courseId,
+  commissionRate,
+  effectiveFrom,
+  effectiveTo,
+}) => {
+  if (!["default", "instructor", "course"].includes(scope)) {
+    return { error: "scope must be one of: default, instructor, course" };
+  }
+
+  const rate = Number(commissionRate);
+  if (commissionRate === undefined || isNaN(rate) || rate < 0 || rate > 1) {
+    return { error: "commissionRate must be a number between 0 and 1" };
+  }
+
+  const from = effectiveFrom ? new Date(effectiveFrom) : new Date();
+  const to = effectiveTo ? new Date(effectiveTo) : null;
+  if (isNaN(from.getTime()) || (to && isNaN(to.getTime()))) {
+    return { error: "Invalid effectiveFrom or effectiveTo date" };
+  }
+  if (to && to <= from) {
+    return { error: "effectiveTo must be after effectiveFrom" };
+  }
+
+  const data = {
+    scope,
+    commissionRate: rate,
+    effectiveFrom: from,
+    effectiveTo: to,
+    instructorId: undefined,
+    courseId: undefined,
+  };
+
+  if (scope === "instructor") {
+    if (!mongoose.Types.ObjectId.isValid(instructorId)) {
+      return { error: "A valid instructorId is required for instructor scope" };
+    }
+    const instructor = await User.findById(instructorId).select("role");
+    if (!instructor || instructor.role !== "instructor") {
+      return { error: "Instructor not found" };
+    }
+    data.instructorId = instructorId;
+  }
+
+  if (scope === "course") {
+    if (!mongoose.Types.ObjectId.isValid(courseId)) {
+      return { error: "A valid courseId is required for course scope" };
+    }
+    const course = await Course.findById(courseId).select("_id");
+    if (!course) {
+      return { error: "Course not found" };
+    }
+    data.courseId = courseId;
+  }
+
+  return { data };
+};
+
+/**
+ * @desc    Get commission rates (filter by scope, instructorId, courseId)
+ * @route   GET /api/admin/commission-rates
+ * @access  Private (Admin only)
+ */
+exports.getCommissionRates = async (req, res) => {
+  try {
+    const { scope, instructorId, courseId } = req.query;
+    const query = {};
+    if (scope) query.scope = scope;
+    if (instructorId) query.instructorId = instructorId;
+    if (courseId) query.courseId = courseId;
+
+    const rates = await CommissionRate.find(query)
+      .populate("instructorId", "firstName lastName email")
+      .populate("courseId", "title")
+      .populate("createdBy", "firstName lastName")
+      .sort({ scope: 1, effectiveFrom: -1 });
+
+    res.status(200).json({ success: true, data: rates });
+  } catch (error) {
+    console.error("Error in getCommissionRates:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Create a commission rate (default / per instructor / per course)
+ * @route   POST /api/admin/commission-rates
+ * @access  Private (Admin only)
+ */
+exports.createCommissionRate = async (req, res) => {
+  try {
+    const { error, data } = await validateRatePayload(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const overlapping = await findOverlappingRate(data);
+    if (overlapping) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "Another rate with the same scope is already effective in this date range",
+        data: overlapping,
+      });
+    }
+
+    const rate = await CommissionRate.create({
+      ...data,
+      note: req.body.note,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Commission rate created successfully",
+      data: rate,
+    });
+  } catch (error) {
+    console.error("Error in createCommissionRate:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Update a commission rate
+ * @route   PUT /api/admin/commission-rates/:rateId
+ * @access  Private (Admin only)
+ */
+exports.updateCommissionRate = async (req, res) => {
+  try {
+    const { rateId } = req.params;
+    const rate = await CommissionRate.findById(rateId);
+
+    if (!rate) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Commission rate not found" });
+    }
+
+    const { error, data } = await validateRatePayload({
+      scope: rate.scope,
+      instructorId: rate.instructorId,
+      courseId: rate.courseId,
+      commissionRate: req.body.commissionRate ?? rate.commissionRate,
+      effectiveFrom: req.body.effectiveFrom ?? rate.effectiveFrom,
+      effectiveTo:
+        req.body.effectiveTo !== undefined
+          ? req.body.effectiveTo
+          : rate.effectiveTo,
+    });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const overlapping = await findOverlappingRate({
+      ...data,
+      excludeId: rate._id,
+    });
+    if (overlapping) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "Another rate with the same scope is already effective in this date range",
+        data: overlapping,
+      });
+    }
+
+    rate.commissionRate = data.commissionRate;
+    rate.effectiveFrom = data.effectiveFrom;
+    rate.effectiveTo = data.effectiveTo;
+    if (req.body.note !== undefined) rate.note = req.body.note;
+    await rate.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Commission rate updated successfully",
+      data: rate,
+    });
+  } catch (error) {
+    console.error("Error in updateCommissionRate:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete a commission rate
+ * @route   DELETE /api/admin/commission-rates/:rateId
+ * @access  Private (Admin only)
+ */
+exports.deleteCommissionRate = async (req, res) => {
+  try {
+    const rate = await CommissionRate.findByIdAndDelete(req.params.rateId);
+
+    if (!rate) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Commission rate not found" });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Commission rate deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error in deleteCommissionRate:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Preview the commission rate that applies to a course at a given date
+ * @route   GET /api/admin/commission-rates/effective?courseId=&at=
+ * @access  Private (Admin only)
+ */
+exports.getEffectiveCommissionRate = async (req, res) => {
+  try {
+    const { courseId, instructorId, at } = req.query;
+    let ownerId = instructorId;
+
+    if (courseId) {
+      const course = await Course.findById(courseId).select("createdBy");
+      if (!course) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Course not found" });
+      }
+      ownerId = course.createdBy;
+    }
+
+    const effective = await getEffectiveCommission({
+      courseId,
+      instructorId: ownerId,
+      at: at ? new Date(at) : new Date(),
+    });
+
+    res.status(200).json({ success: true, data: effective });
+  } catch (error) {
+    console.error("Error in getEffectiveCommissionRate:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
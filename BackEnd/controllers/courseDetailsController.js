@@ -5,6 +5,10 @@ const Section = require("../models/sectionModel");
 const Comment = require("../models/commentModel");
 const Discount = require("../models/discountModel");
 const Enrollment = require("../models/enrollmentModel");
+const { getLessonLockState } = require("../services/contentReleaseService");
+const {
+  getPrerequisiteStatus,
+} = require("../services/coursePrerequisiteService");
 const mongoose = require("mongoose");
 
 // Use mongoose.models to avoid OverwriteModelError
@@ -65,6 +69,31 @@ exports.getCourseDetails = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get prerequisite courses of a course and whether the current user completed them
+ * @route   GET /api/courses/:courseId/prerequisites
+ * @access  Public (completion status only when logged in)
+ */
+exports.getCoursePrerequisites = async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(courseId)) {
+      return res.status(400).json({ message: "Invalid ID." });
+    }
+
+    const status = await getPrerequisiteStatus({
+      userId: req.user ? req.user._id : null,
+      courseId,
+    });
+    res.status(200).json(status);
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    res.status(500).json({ message: "Server error.", error: err.message });
+  }
+};
+
 /**
  * @desc    Get courses related to a specific course
  * @route   GET /api/courses/:courseId/related
@@ -88,7 +117,7 @@ exports.getRelatedCourses = async (req, res) => {
 };
 
 /**
- * @desc    Get details of a specific lesson (user must be enrolled)
+ * @desc    Get details of a specific lesson (user must be enrolled, lesson must be unlocked)
  * @route   GET /api/courses/:courseId/lessons/:lessonId
  * @access  Private
  */
@@ -116,6 +145,16 @@ exports.getLessonDetails = async (req, res) => {
       return res.status(404).json({ message: "Lesson not found." });
     }
 
+    // Drip content: bài học chưa mở khóa thì không trả nội dung
+    const lockState = await getLessonLockState({ user: req.user, lesson });
+    if (lockState.locked) {
+      return res.status(403).json({
+        message: "This lesson is locked.",
+        locked: true,
+        lockReasons: lockState.reasons,
+      });
+    }
+
     res.status(200).json({ lesson });
   } catch (error) {
     res.status(500).json({ message: "Server error.", error: error.message });
@@ -1,5 +1,7 @@
 const Discount = require("../models/discountModel");
 const Course = require("../models/courseModel");
+const { priceOrder } = require("../services/discountService");
+const { applyPromotions } = require("../services/promotionService");
 
 /**
  * Helper function to validate if courses exist and user has permission
@@ -610,29 +612,68 @@ exports.getAvailableDiscounts = async (req, res) => {
 };
 
 /**
- * @desc    Tăng usage cho discount
- * @route   POST /api/discounts/:discountId/increase-usage
+ * @desc    Validate a discount code for a set of courses and preview the order total.
+ * @desc    Usage is only counted when the PayOS webhook confirms the payment.
+ * @route   POST /api/discounts/validate
  * @access  User
  */
-exports.increaseDiscountUsage = async (req, res) => {
+exports.validateDiscount = async (req, res) => {
   try {
-    const { discountId } = req.params;
-    const discount = await Discount.findById(discountId);
-    if (!discount) {
-      return res.status(404).json({ message: "Discount not found" });
-    }
-    // Nếu có usageLimit > 0 và usage đã đủ thì không tăng nữa
-    if (discount.usageLimit > 0 && discount.usage >= discount.usageLimit) {
-      return res.status(400).json({ message: "Discount usage limit reached" });
+    const { discountCode, courseIds } = req.body;
+
+    if (
+      !discountCode ||
+      !courseIds ||
+      !Array.isArray(courseIds) ||
+      courseIds.length === 0
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a discount code and an array of course IDs",
+      });
     }
-    discount.usage += 1;
-    await discount.save();
-    res.status(200).json({
-      message: "Discount usage increased successfully",
+
+    const courses = await Course.find({ _id: { $in: courseIds } }).select(
+      "title price categoryIds"
+    );
+
+    const {
+      subtotal,
+      promotionDiscount,
+      discountAmount,
+      total,
       discount,
+      breakdown,
+    } = await priceOrder({ courses, discountCode, userId: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      message: "Discount code is valid",
+      data: {
+        discountId: discount._id,
+        discountCode: discount.discountCode,
+        type: discount.type,
+        value: discount.value,
+        subtotal,
+        promotionDiscount,
+        appliedPromotions: breakdown.appliedPromotions,
+        discountAmount,
+        total,
+      },
     });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    console.error("Validate discount error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
   }
 };
 
@@ -675,15 +716,24 @@ exports.getAvailableDiscountsForCourses = async (req, res) => {
       ],
     };
 
-    const discounts = await Discount.find(filter)
-      .populate("userId", "name email")
-      .populate("applyCourses", "title price")
-      .sort({ createdAt: -1 });
+    const [discounts, courses] = await Promise.all([
+      Discount.find(filter)
+        .populate("userId", "name email")
+        .populate("applyCourses", "title price")
+        .sort({ createdAt: -1 }),
+      Course.find({ _id: { $in: courseIds } }).select(
+        "title price categoryIds"
+      ),
+    ]);
+
+    // Bảng giá sau khuyến mãi tự động (public nên không xét khuyến mãi lần mua đầu)
+    const priceBreakdown = await applyPromotions({ courses });
 
     res.status(200).json({
       success: true,
       message: "Get available discounts for courses successfully",
       data: discounts,
+      priceBreakdown,
     });
   } catch (error) {
     console.error("Get available discounts for courses error:", error);
@@ -0,0 +1,114 @@
+const mongoose = require("mongoose");
+const {
+  getEssayReviewQueue,
+  reviewEssayAnswer,
+} = require("../services/essayReviewService");
+
+const sendEssayReviewError = (res, error, logLabel) => {
+  if (error.statusCode) {
+    return res
+      .status(error.statusCode)
+      .json({ success: false, message: error.message });
+  }
+  console.error(`Error in ${logLabel}:`, error);
+  res.status(500).json({
+    success: false,
+    message: "Server error",
+    error: error.message,
+  });
+};
+
+/**
+ * @desc    Essay grading queue of my quizzes (AI-graded answers waiting for instructor review)
+ * @route   GET /api/quiz/essay-reviews?status=pending|reviewed|all&quizId=&courseId=&page=1&limit=20
+ * @access  Private (Instructor, Admin)
+ */
+exports.getEssayReviewQueue = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { status, quizId, courseId } = req.query;
+
+    for (const id of [quizId, courseId]) {
+      if (id && !mongoose.isValidObjectId(id)) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid ID format" });
+      }
+    }
+
+    const { items, total } = await getEssayReviewQueue({
+      user: req.user,
+      status,
+      quizId,
+      courseId,
+      page,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: items,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        total,
+      },
+    });
+  } catch (error) {
+    sendEssayReviewError(res, error, "getEssayReviewQueue");
+  }
+};
+
+/**
+ * @desc    Accept the AI grade of an essay answer or override it with my own score and feedback.
+ *          Recomputes totalScore, the recorded score and pass status (completing the quiz
+ *          lesson when passed) and notifies the student
+ * @route   PUT /api/quiz/results/:resultId/essays/:essayId/review  (body: action, score?, feedback?)
+ * @access  Private (Quiz owner, course owner, Admin)
+ */
+exports.reviewEssayAnswer = async (req, res) => {
+  try {
+    const { resultId, essayId } = req.params;
+    if (
+      !mongoose.Types.ObjectId.isValid(resultId) ||
+      !mongoose.Types.ObjectId.isValid(essayId)
+    ) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid ID format" });
+    }
+
+    const { action, score, feedback } = req.body;
+    const { result, passed, recordedPassed, lessonCompleted } =
+      await reviewEssayAnswer({
+        user: req.user,
+        resultId,
+        essayId,
+        action,
+        score,
+        feedback,
+        io: req.app.get("io"),
+      });
+
+    res.status(200).json({
+      success: true,
+      message:
+        action === "accept" ? "AI grade accepted" : "Essay grade overridden",
+      data: {
+        resultId: result._id,
+        essayAnswer: result.essayAnswers.id(essayId),
+        totalScore: result.totalScore,
+        maxTotalScore: result.maxTotalScore,
+        latestScore: result.latestScore,
+        recordedScore: result.score,
+        passed,
+        recordedPassed,
+        lessonCompleted,
+        gradingStatus: result.gradingStatus,
+      },
+    });
+  } catch (error) {
+    sendEssayReviewError(res, error, "reviewEssayAnswer");
+  }
+};
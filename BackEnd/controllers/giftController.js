@@ -0,0 +1,107 @@
+const Gift = require("../models/giftModel");
+const { redeemGift, sendGiftEmail } = require("../services/giftService");
+
+/**
+ * @desc    Preview a gift before redeeming (courses and sender)
+ * @route   GET /api/gifts/:code
+ * @access  Private
+ */
+exports.getGiftByCode = async (req, res) => {
+  try {
+    const gift = await Gift.findOne({ code: req.params.code.toUpperCase() })
+      .select("code status message items buyerId redeemedAt createdAt")
+      .populate("items.courseId", "title thumbnail")
+      .populate("buyerId", "firstName lastName");
+
+    if (!gift) {
+      return res.status(404).json({ message: "Mã quà tặng không tồn tại." });
+    }
+
+    res.status(200).json({ gift });
+  } catch (error) {
+    console.error("Lỗi khi lấy thông tin quà tặng:", error);
+    res.status(500).json({ message: "Lỗi máy chủ." });
+  }
+};
+
+/**
+ * @desc    Redeem a gift code to get enrolled in the gifted courses
+ * @route   POST /api/gifts/redeem
+ * @access  Private
+ */
+exports.redeemGiftCode = async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ message: "Vui lòng nhập mã quà tặng." });
+    }
+
+    const { gift, enrolledCourseIds, skippedCourseIds } = await redeemGift({
+      code,
+      user: req.user,
+    });
+
+    res.status(200).json({
+      message: "Nhận quà tặng thành công.",
+      giftId: gift._id,
+      enrolledCourseIds,
+      // Các khóa học người nhận đã sở hữu từ trước
+      skippedCourseIds,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Lỗi khi nhận quà tặng:", error);
+    res.status(500).json({ message: "Lỗi máy chủ." });
+  }
+};
+
+/**
+ * @desc    Gifts bought by the current user
+ * @route   GET /api/gifts/sent
+ * @access  Private
+ */
+exports.getSentGifts = async (req, res) => {
+  try {
+    const gifts = await Gift.find({ buyerId: req.user._id })
+      .populate("items.courseId", "title thumbnail")
+      .populate("redeemedBy", "firstName lastName email")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({ gifts });
+  } catch (error) {
+    console.error("Lỗi khi lấy danh sách quà tặng:", error);
+    res.status(500).json({ message: "Lỗi máy chủ." });
+  }
+};
+
+/**
+ * @desc    Resend the gift email to the recipient (buyer only, unredeemed gifts)
+ * @route   POST /api/gifts/:giftId/resend
+ * @access  Private
+ */
+exports.resendGiftEmail = async (req, res) => {
+  try {
+    const gift = await Gift.findOne({
+      _id: req.params.giftId,
+      buyerId: req.user._id,
+    });
+
+    if (!gift) {
+      return res.status(404).json({ message: "Không tìm thấy quà tặng." });
+    }
+    if (gift.status === "redeemed") {
+      return res
+        .status(400)
+        .json({ message: "Quà tặng đã được người nhận sử dụng." });
+    }
+
+    await sendGiftEmail(gift);
+
+    res.status(200).json({ message: "Đã gửi lại email quà tặng." });
+  } catch (error) {
+    console.error("Lỗi khi gửi lại email quà tặng:", error);
+    res.status(500).json({ message: "Lỗi máy chủ." });
+  }
+};
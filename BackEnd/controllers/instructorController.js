@@ -19,6 +19,13 @@ const {
   uploadUserAvatar,
   deleteFromFirebase,
 } = require("../utils/firebaseStorage");
+const { getInstructorNetEarnings } = require("../services/ledgerService");
+const { getEffectiveCommission } = require("../services/commissionService");
+const { normalizeReleaseRule } = require("../services/contentReleaseService");
+const {
+  PREREQUISITE_ENFORCEMENTS,
+  normalizePrerequisites,
+} = require("../services/coursePrerequisiteService");
 
 /**
  * @desc    Get dashboard statistics for instructor
@@ -681,6 +688,18 @@ exports.getDashboardStats = async (req, res) => {
       });
     }
 
+    // Doanh thu thực nhận (net) lấy từ sổ cái, sau khi trừ phí nền tảng và hoàn tiền
+    const [netRevenue, periodNetRevenue, currentCommission] = await Promise.all(
+      [
+        getInstructorNetEarnings(instructorId),
+        getInstructorNetEarnings(instructorId, {
+          from: dateRangeStart,
+          to: dateRangeEnd,
+        }),
+        getEffectiveCommission({ instructorId }),
+      ]
+    );
+
     // Xử lý doanh thu theo tháng - format theo year và month
     const formattedMonthlySales = monthlySales.map((item) => ({
       year: item._id.year,
@@ -785,6 +804,15 @@ exports.getDashboardStats = async (req, res) => {
           periodRevenueResult[0]?.total.toString() || "0"
         ),
         periodTransactions: periodRevenueResult[0]?.count || 0,
+        grossRevenue: parseFloat(
+          totalRevenueResult[0]?.total.toString() || "0"
+        ),
+        netRevenue,
+        periodGrossRevenue: parseFloat(
+          periodRevenueResult[0]?.total.toString() || "0"
+        ),
+        periodNetRevenue,
+        commissionRate: currentCommission.commissionRate,
         moneyLeft: parseFloat(instructor?.moneyLeft?.toString() || "0"),
         newStudentsThisWeek,
         newStudentsThisMonth,
@@ -1003,14 +1031,14 @@ const checkCourseOwnership = async (courseId, instructorId) => {
 };
 
 /**
- * @desc    Update a section (Instructor)
+ * @desc    Update a section (Instructor). release sets the drip schedule of the whole section
  * @route   PUT /api/instructor/courses/:courseId/sections/:sectionId
  * @access  Private (Instructor only)
  */
 exports.updateSection = async (req, res) => {
   try {
     const { courseId, sectionId } = req.params;
-    const { name, order } = req.body;
+    const { name, order, release } = req.body;
 
     // Check if course exists and belongs to the instructor
     const course = await checkCourseOwnership(courseId, req.user._id);
@@ -1033,6 +1061,12 @@ exports.updateSection = async (req, res) => {
     const updateData = {};
     if (name !== undefined) updateData.name = name.trim();
     if (order !== undefined) updateData.order = order;
+    // Drip content: release = { afterDays, availableAt, prerequisiteLessonId, prerequisiteQuizId } hoặc null để bỏ
+    if (release !== undefined) {
+      const rule = await normalizeReleaseRule(release, { courseId });
+      if (rule) updateData.release = rule;
+      else updateData.$unset = { release: 1 };
+    }
 
     const updatedSection = await Section.findByIdAndUpdate(
       sectionId,
@@ -1050,6 +1084,12 @@ exports.updateSection = async (req, res) => {
       data: updatedSection,
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
     console.error("Error in updateSection:", error);
     res.status(500).json({
       success: false,
@@ -1118,7 +1158,8 @@ exports.deleteSection = async (req, res) => {
 };
 
 /**
- * @desc    Update a lesson (Instructor)
+ * @desc    Update a lesson (Instructor). release sets when the lesson unlocks (days after enrollment,
+ *          fixed date, prerequisite lesson / quiz)
  * @route   PUT /api/instructor/courses/:courseId/lessons/:lessonId
  * @access  Private (Instructor only)
  */
@@ -1135,6 +1176,7 @@ exports.updateLesson = async (req, res) => {
       order,
       type,
       quizIds,
+      release,
     } = req.body;
 
     // Check if course exists and belongs to the instructor
@@ -1180,6 +1222,12 @@ exports.updateLesson = async (req, res) => {
     if (lessonType !== undefined) updateData.type = lessonType;
     if (quizIds !== undefined)
       updateData.quizIds = Array.isArray(quizIds) ? quizIds : [];
+    // Drip content: release = { afterDays, availableAt, prerequisiteLessonId, prerequisiteQuizId } hoặc null để bỏ
+    if (release !== undefined) {
+      const rule = await normalizeReleaseRule(release, { courseId, lessonId });
+      if (rule) updateData.release = rule;
+      else updateData.$unset = { release: 1 };
+    }
 
     const updatedLesson = await Lesson.findByIdAndUpdate(lessonId, updateData, {
       new: true,
@@ -1192,6 +1240,12 @@ exports.updateLesson = async (req, res) => {
       data: updatedLesson,
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
     console.error("Error in updateLesson:", error);
     res.status(500).json({
       success: false,
@@ -1372,6 +1426,8 @@ exports.createCourse = async (req, res) => {
       language,
       subtitleLanguage,
       status, // Allow instructor to set status (draft/pending)
+      prerequisites,
+      prerequisiteEnforcement,
     } = req.body;
 
     if (!subTitle && subtitle) {
@@ -1390,6 +1446,13 @@ exports.createCourse = async (req, res) => {
       errors.push("detail.description is required and cannot be empty");
     if (!price || isNaN(parseFloat(price)) || parseFloat(price) <= 0)
       errors.push("price is required and must be a positive number");
+    if (
+      prerequisiteEnforcement !== undefined &&
+      !PREREQUISITE_ENFORCEMENTS.includes(prerequisiteEnforcement)
+    )
+      errors.push(
+        `prerequisiteEnforcement must be one of: ${PREREQUISITE_ENFORCEMENTS.join(", ")}`
+      );
     if (errors.length > 0) {
       console.warn("createCourse validation failed", {
         errors,
@@ -1441,6 +1504,12 @@ exports.createCourse = async (req, res) => {
     // Get instructor's userId from authenticated user
     const instructorId = req.user._id;
 
+    // Khóa học tiên quyết (khóa mới nên không cần kiểm tra chu trình)
+    const validPrerequisites =
+      prerequisites !== undefined
+        ? await normalizePrerequisites({ prerequisites })
+        : [];
+
     // Validate status if provided
     const validStatuses = ["draft", "pending"];
     let courseStatus = "pending"; // Default status
@@ -1470,6 +1539,8 @@ exports.createCourse = async (req, res) => {
       level: level || "beginner",
       language: language || "vietnam",
       subtitleLanguage: subtitleLanguage || "vietnam",
+      prerequisites: validPrerequisites,
+      prerequisiteEnforcement: prerequisiteEnforcement || "warn",
       sections: [],
       createdBy: instructorId,
       status: courseStatus,
@@ -1913,6 +1984,11 @@ exports.createCourse = async (req, res) => {
       data: fullPopulatedCourse,
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
     console.error("Error in createCourse:", error);
     res
       .status(500)
@@ -1921,7 +1997,8 @@ exports.createCourse = async (req, res) => {
 };
 
 /**
- * @desc    Update an existing course (Instructor)
+ * @desc    Update an existing course (Instructor). prerequisites / prerequisiteEnforcement set the
+ *          courses students should complete first and whether enrollment is only warned or blocked
  * @route   PUT /api/instructor/courses/:courseId
  * @access  Private (Instructor only)
  */
@@ -1948,6 +2025,8 @@ exports.updateCourse = async (req, res) => {
       subCategory,
       sections, // Frontend có thể gửi sections data
       status, // Allow instructor to change status (draft/pending)
+      prerequisites,
+      prerequisiteEnforcement,
     } = req.body;
 
     // Check if course exists and belongs to the instructor
@@ -2003,6 +2082,23 @@ exports.updateCourse = async (req, res) => {
       }
     }
 
+    // Khóa học tiên quyết: gửi [] hoặc null để bỏ
+    if (prerequisites !== undefined) {
+      updateData.prerequisites = await normalizePrerequisites({
+        courseId,
+        prerequisites,
+      });
+    }
+    if (prerequisiteEnforcement !== undefined) {
+      if (!PREREQUISITE_ENFORCEMENTS.includes(prerequisiteEnforcement)) {
+        return res.status(400).json({
+          success: false,
+          message: `prerequisiteEnforcement must be one of: ${PREREQUISITE_ENFORCEMENTS.join(", ")}`,
+        });
+      }
+      updateData.prerequisiteEnforcement = prerequisiteEnforcement;
+    }
+
     // Handle category updates
     if (categoryIds || category || subCategory) {
       const validCategories = await extractValidCategoryIds(req.body);
@@ -2276,6 +2372,12 @@ exports.updateCourse = async (req, res) => {
       data: populatedCourse,
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
     console.error("Error in updateCourse:", error);
     res.status(500).json({
       success: false,
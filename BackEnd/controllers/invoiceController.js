@@ -0,0 +1,218 @@
+const mongoose = require("mongoose");
+const Invoice = require("../models/invoiceModel");
+const {
+  getInvoicePdf,
+  renderInvoicesPdf,
+} = require("../services/invoiceService");
+
+// Giới hạn số hóa đơn trong một file PDF xuất hàng loạt
+const MAX_PDF_EXPORT = 500;
+
+const escapeCsv = (value) => {
+  const text = String(value ?? "");
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Đọc khoảng ngày from/to (YYYY-MM-DD), "to" tính hết ngày
+ */
+const parseDateRange = (from, to) => {
+  const start = from ? new Date(from) : null;
+  const end = to ? new Date(to) : null;
+  if ((from && isNaN(start)) || (to && isNaN(end))) return null;
+  if (end && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    end.setUTCHours(23, 59, 59, 999);
+  }
+  return { start, end };
+};
+
+/**
+ * @desc    Download the PDF invoice of a purchase
+ * @route   GET /api/profile/invoices/:invoiceId
+ * @access  Private (Owner, Admin)
+ */
+exports.downloadInvoice = async (req, res) => {
+  try {
+    const invoice = mongoose.Types.ObjectId.isValid(req.params.invoiceId)
+      ? await Invoice.findById(req.params.invoiceId)
+      : null;
+    if (!invoice) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Invoice not found" });
+    }
+    if (
+      invoice.userId.toString() !== req.user._id.toString() &&
+      req.user.role !== "admin"
+    ) {
+      return res.status(403).json({ success: false, message: "Access denied" });
+    }
+
+    const pdfBuffer = await getInvoicePdf(invoice);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${invoice.invoiceNumber}.pdf"`
+    );
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error("Error in downloadInvoice:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    List invoices issued in a date range
+ * @route   GET /api/admin/invoices?from=YYYY-MM-DD&to=YYYY-MM-DD&page=1&limit=20
+ * @access  Private (Admin)
+ */
+exports.getInvoices = async (req, res) => {
+  try {
+    const range = parseDateRange(req.query.from, req.query.to);
+    if (!range) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid date range" });
+    }
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const filter = {};
+    if (range.start || range.end) {
+      filter.issuedAt = {};
+      if (range.start) filter.issuedAt.$gte = range.start;
+      if (range.end) filter.issuedAt.$lte = range.end;
+    }
+
+    const [invoices, total] = await Promise.all([
+      Invoice.find(filter)
+        .select("-items -discounts -taxLines")
+        .sort({ issuedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Invoice.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: invoices,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        total,
+      },
+    });
+  } catch (error) {
+    console.error("Error in getInvoices:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Bulk export invoices for a date range as one PDF or a CSV summary
+ * @route   GET /api/admin/invoices/export?from=YYYY-MM-DD&to=YYYY-MM-DD&format=pdf|csv
+ * @access  Private (Admin)
+ */
+exports.exportInvoices = async (req, res) => {
+  try {
+    const { from, to, format = "pdf" } = req.query;
+    if (!from || !to) {
+      return res
+        .status(400)
+        .json({ success: false, message: "from and to dates are required" });
+    }
+    const range = parseDateRange(from, to);
+    if (!range || range.start > range.end) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid date range" });
+    }
+    if (!["pdf", "csv"].includes(format)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "format must be pdf or csv" });
+    }
+
+    const filter = { issuedAt: { $gte: range.start, $lte: range.end } };
+    const fileBase = `invoices_${range.start
+      .toISOString()
+      .slice(0, 10)}_${range.end.toISOString().slice(0, 10)}`;
+
+    if (format === "csv") {
+      const invoices = await Invoice.find(filter).sort({ issuedAt: 1 });
+      const header = [
+        "invoiceNumber",
+        "issuedAt",
+        "orderCode",
+        "billingName",
+        "billingEmail",
+        "items",
+        "subtotal",
+        "discountTotal",
+        "tax",
+        "total",
+        "currency",
+      ];
+      const rows = invoices.map((invoice) =>
+        [
+          invoice.invoiceNumber,
+          invoice.issuedAt.toISOString(),
+          invoice.orderCode,
+          invoice.billingName,
+          invoice.billingEmail,
+          invoice.items
+            .map((item) => `${item.description} x${item.quantity}`)
+            .join("; "),
+          invoice.subtotal,
+          invoice.discountTotal,
+          invoice.taxLines.reduce((sum, tax) => sum + tax.amount, 0),
+          invoice.total,
+          invoice.currency,
+        ]
+          .map(escapeCsv)
+          .join(",")
+      );
+
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${fileBase}.csv"`
+      );
+      // BOM để Excel đọc đúng UTF-8
+      return res.send("\uFEFF" + [header.join(","), ...rows].join("\n"));
+    }
+
+    const count = await Invoice.countDocuments(filter);
+    if (count > MAX_PDF_EXPORT) {
+      return res.status(400).json({
+        success: false,
+        message: `Too many invoices (${count}) for one PDF. Narrow the date range (max ${MAX_PDF_EXPORT}) or export as CSV.`,
+      });
+    }
+
+    const invoices = await Invoice.find(filter).sort({ issuedAt: 1 });
+    const pdfBuffer = await renderInvoicesPdf(invoices);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${fileBase}.pdf"`
+    );
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error("Error in exportInvoices:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
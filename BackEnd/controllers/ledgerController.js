@@ -0,0 +1,189 @@
+const mongoose = require("mongoose");
+const LedgerEntry = require("../models/ledgerEntryModel");
+const User = require("../models/userModel");
+const { getAccountBalance } = require("../services/ledgerService");
+
+const toFloat = (decimal) => {
+  if (!decimal) return 0;
+  return parseFloat(decimal.toString());
+};
+
+const createStatementError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Ngày trong query string, ném lỗi 400 nếu không hợp lệ
+const parseDateParam = (value, name) => {
+  if (value === undefined || value === "") return null;
+  const date = typeof value === "string" ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    throw createStatementError(`Invalid ${name}`);
+  }
+  return date;
+};
+
+/**
+ * Lập sao kê thu nhập của một giảng viên trong khoảng thời gian.
+ * Mặc định là tháng hiện tại.
+ */
+const buildStatement = async (instructorId, { startDate, endDate }) => {
+  const today = new Date();
+  const periodStart =
+    parseDateParam(startDate, "startDate") ||
+    new Date(today.getFullYear(), today.getMonth(), 1);
+  const periodEnd = parseDateParam(endDate, "endDate") || today;
+  if (periodStart > periodEnd) {
+    throw createStatementError("startDate must be before endDate");
+  }
+
+  const openingBalance = await getAccountBalance(
+    instructorId,
+    "instructor_payable",
+    { before: periodStart }
+  );
+
+  const entries = await LedgerEntry.find({
+    instructorId: new mongoose.Types.ObjectId(instructorId.toString()),
+    account: { $in: ["instructor_payable", "instructor_withdrawal_hold"] },
+    createdAt: { $gte: periodStart, $lte: periodEnd },
+  })
+    .populate("courseId", "title")
+    .sort({ createdAt: 1, _id: 1 })
+    .lean();
+
+  let runningBalance = openingBalance;
+  const summary = {};
+  const lines = entries.map((entry) => {
+    const amount = toFloat(entry.amount);
+    const signedAmount = entry.direction === "credit" ? amount : -amount;
+
+    // Chỉ tài khoản instructor_payable làm thay đổi số dư khả dụng
+    if (entry.account === "instructor_payable") {
+      runningBalance += signedAmount;
+      summary[entry.type] = (summary[entry.type] || 0) + signedAmount;
+    }
+
+    return {
+      id: entry._id,
+      journalId: entry.journalId,
+      date: entry.createdAt,
+      account: entry.account,
+      type: entry.type,
+      direction: entry.direction,
+      amount,
+      description: entry.description,
+      course: entry.courseId
+        ? { id: entry.courseId._id, title: entry.courseId.title }
+        : null,
+      transactionId: entry.transactionId,
+      withdrawalRequestId: entry.withdrawalRequestId,
+      refundRequestId: entry.refundRequestId,
+      balanceAfter:
+        entry.account === "instructor_payable" ? runningBalance : undefined,
+    };
+  });
+
+  const heldBalance = await getAccountBalance(
+    instructorId,
+    "instructor_withdrawal_hold"
+  );
+
+  return {
+    period: { startDate: periodStart, endDate: periodEnd },
+    openingBalance,
+    closingBalance: runningBalance,
+    heldBalance,
+    summary,
+    entries: lines,
+  };
+};
+
+/**
+ * @desc    Get earnings statement (ledger) of the current instructor
+ * @route   GET /api/instructor/statement
+ * @access  Private (Instructor only)
+ * @query   startDate - Start of period (optional, ISO format, default: first day of this month)
+ * @query   endDate - End of period (optional, ISO format, default: now)
+ */
+exports.getMyStatement = async (req, res) => {
+  try {
+    const statement = await buildStatement(req.user._id, req.query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...statement,
+        currentBalance: toFloat(req.user.moneyLeft),
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Lỗi khi lấy sao kê thu nhập:", error);
+    res.status(500).json({
+      success: false,
+      message: "Lỗi máy chủ khi lấy sao kê thu nhập.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get earnings statement (ledger) of an instructor
+ * @route   GET /api/admin/instructors/:instructorId/statement
+ * @access  Private (Admin only)
+ */
+exports.getInstructorStatement = async (req, res) => {
+  try {
+    const { instructorId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(instructorId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid instructor ID" });
+    }
+
+    const instructor = await User.findById(instructorId).select(
+      "firstName lastName email moneyLeft role"
+    );
+
+    if (!instructor || instructor.role !== "instructor") {
+      return res
+        .status(404)
+        .json({ success: false, message: "Instructor not found" });
+    }
+
+    const statement = await buildStatement(instructorId, req.query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        instructor: {
+          id: instructor._id,
+          firstName: instructor.firstName,
+          lastName: instructor.lastName,
+          email: instructor.email,
+        },
+        ...statement,
+        currentBalance: toFloat(instructor.moneyLeft),
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Lỗi khi lấy sao kê thu nhập:", error);
+    res.status(500).json({
+      success: false,
+      message: "Lỗi máy chủ khi lấy sao kê thu nhập.",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,528 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Organization = require("../models/organizationModel");
+const OrganizationLicense = require("../models/organizationLicenseModel");
+const User = require("../models/userModel");
+const sendEmail = require("../utils/sendEmail");
+const { organizationInvitationEmail } = require("../utils/emailTemplates");
+const {
+  findManagedOrganization,
+  quoteLicense,
+  assignSeat,
+  revokeSeat,
+  revokeMemberSeats,
+  getOrganizationProgress,
+} = require("../services/organizationService");
+const { createPayOsCheckout } = require("../services/payosCheckoutService");
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_INVITES_PER_REQUEST = 100;
+
+const handleError = (res, error, context) => {
+  if (error.statusCode) {
+    return res
+      .status(error.statusCode)
+      .json({ success: false, message: error.message });
+  }
+  console.error(`Error in ${context}:`, error);
+  res.status(500).json({
+    success: false,
+    message: "Server error",
+    error: error.message,
+  });
+};
+
+const getDisplayName = (user) =>
+  [user.firstName, user.lastName].filter(Boolean).join(" ") || user.email;
+
+/**
+ * @desc    Create an organization (the creator becomes its org admin)
+ * @route   POST /api/organizations
+ * @access  Private (Student, Org admin)
+ */
+exports.createOrganization = async (req, res) => {
+  try {
+    const name = req.body.name?.trim();
+    if (!name) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Organization name is required" });
+    }
+
+    const organization = await Organization.create({
+      name,
+      ownerId: req.user._id,
+      adminIds: [req.user._id],
+      members: [
+        {
+          email: req.user.email,
+          userId: req.user._id,
+          status: "active",
+          joinedAt: new Date(),
+        },
+      ],
+    });
+
+    if (req.user.role === "student") {
+      await User.updateOne({ _id: req.user._id }, { role: "org_admin" });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Organization created successfully",
+      data: organization,
+    });
+  } catch (error) {
+    handleError(res, error, "createOrganization");
+  }
+};
+
+/**
+ * @desc    Organizations managed by the current user
+ * @route   GET /api/organizations/mine
+ * @access  Private (Org admin, Admin)
+ */
+exports.getMyOrganizations = async (req, res) => {
+  try {
+    const organizations = await Organization.find({
+      adminIds: req.user._id,
+    })
+      .select("-members.inviteToken")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({ success: true, data: organizations });
+  } catch (error) {
+    handleError(res, error, "getMyOrganizations");
+  }
+};
+
+/**
+ * @desc    Organization detail with members and licenses
+ * @route   GET /api/organizations/:organizationId
+ * @access  Private (Org admin, Admin)
+ */
+exports.getOrganizationById = async (req, res) => {
+  try {
+    const organization = await findManagedOrganization(
+      req.params.organizationId,
+      req.user
+    );
+    await organization.populate(
+      "members.userId",
+      "firstName lastName email userImage"
+    );
+
+    const licenses = await OrganizationLicense.find({
+      organizationId: organization._id,
+    })
+      .populate("courseId", "title thumbnail")
+      .populate("bundleId", "title thumbnail")
+      .sort({ createdAt: -1 });
+
+    const data = organization.toObject();
+    data.members = data.members.map(({ inviteToken, ...member }) => member);
+    data.licenses = licenses.map((license) => ({
+      ...license.toObject(),
+      seatsUsed: license.assignments.filter((a) => a.status === "assigned")
+        .length,
+    }));
+
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    handleError(res, error, "getOrganizationById");
+  }
+};
+
+/**
+ * @desc    Invite members by email
+ * @route   POST /api/organizations/:organizationId/members/invite
+ * @access  Private (Org admin, Admin)
+ */
+exports.inviteMembers = async (req, res) => {
+  try {
+    const organization = await findManagedOrganization(
+      req.params.organizationId,
+      req.user
+    );
+
+    const emails = [
+      ...new Set(
+        (Array.isArray(req.body.emails) ? req.body.emails : [])
+          .map((email) => String(email).trim().toLowerCase())
+          .filter(Boolean)
+      ),
+    ];
+    if (emails.length === 0) {
+      return res
+        .status(400)
+        .json({ success: false, message: "At least one email is required" });
+    }
+    if (emails.length > MAX_INVITES_PER_REQUEST) {
+      return res.status(400).json({
+        success: false,
+        message: `You can invite at most ${MAX_INVITES_PER_REQUEST} members at a time`,
+      });
+    }
+    const invalidEmails = emails.filter((email) => !EMAIL_REGEX.test(email));
+    if (invalidEmails.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid email address",
+        invalidEmails,
+      });
+    }
+
+    const invited = [];
+    const skipped = [];
+    for (const email of emails) {
+      let member = organization.members.find((m) => m.email === email);
+      if (member && member.status === "active") {
+        skipped.push(email);
+        continue;
+      }
+      // Mời lại thành viên đã bị xóa hoặc chưa chấp nhận: cấp token mới
+      if (!member) {
+        organization.members.push({ email });
+        member = organization.members[organization.members.length - 1];
+      }
+      member.status = "invited";
+      member.inviteToken = crypto.randomBytes(32).toString("hex");
+      member.invitedAt = new Date();
+      member.userId = undefined;
+      member.joinedAt = undefined;
+      invited.push(member);
+    }
+    await organization.save();
+
+    const inviterName = getDisplayName(req.user);
+    const failedEmails = [];
+    for (const member of invited) {
+      const acceptUrl = `${process.env.CLIENT_URL}/organizations/invitations/accept?token=${member.inviteToken}`;
+      try {
+        await sendEmail(
+          member.email,
+          `Lời mời tham gia ${organization.name} trên F-Learning`,
+          organizationInvitationEmail(organization.name, inviterName, acceptUrl)
+        );
+      } catch (emailError) {
+        // Lời mời vẫn hợp lệ, có thể mời lại để gửi email mới
+        console.error("[Organization] Lỗi khi gửi email mời:", emailError);
+        failedEmails.push(member.email);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Invitations sent",
+      data: {
+        invited: invited.map((m) => m.email),
+        skipped,
+        failedEmails,
+      },
+    });
+  } catch (error) {
+    handleError(res, error, "inviteMembers");
+  }
+};
+
+/**
+ * @desc    Accept an organization invitation
+ * @route   POST /api/organizations/invitations/accept
+ * @access  Private
+ */
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invitation token is required" });
+    }
+
+    const organization = await Organization.findOne({
+      "members.inviteToken": token,
+    });
+    const member = organization?.members.find(
+      (m) => m.inviteToken === token && m.status === "invited"
+    );
+    if (!member) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Invitation not found or expired" });
+    }
+    if (member.email !== req.user.email.toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        message: "This invitation was sent to a different email address",
+      });
+    }
+
+    member.status = "active";
+    member.userId = req.user._id;
+    member.joinedAt = new Date();
+    member.inviteToken = undefined;
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: "You have joined the organization",
+      data: { organizationId: organization._id, name: organization.name },
+    });
+  } catch (error) {
+    handleError(res, error, "acceptInvitation");
+  }
+};
+
+/**
+ * @desc    Remove a member (revokes all of their seats)
+ * @route   DELETE /api/organizations/:organizationId/members/:memberId
+ * @access  Private (Org admin, Admin)
+ */
+exports.removeMember = async (req, res) => {
+  try {
+    const organization = await findManagedOrganization(
+      req.params.organizationId,
+      req.user
+    );
+    const member = organization.members.id(req.params.memberId);
+    if (!member || member.status === "removed") {
+      return res
+        .status(404)
+        .json({ success: false, message: "Member not found" });
+    }
+    if (member.userId?.toString() === organization.ownerId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: "The organization owner cannot be removed",
+      });
+    }
+
+    let revokedLicenses = 0;
+    if (member.userId) {
+      revokedLicenses = await revokeMemberSeats({
+        organizationId: organization._id,
+        userId: member.userId,
+      });
+      organization.adminIds = organization.adminIds.filter(
+        (id) => id.toString() !== member.userId.toString()
+      );
+    }
+    member.status = "removed";
+    member.inviteToken = undefined;
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Member removed",
+      data: { memberId: member._id, revokedLicenses },
+    });
+  } catch (error) {
+    handleError(res, error, "removeMember");
+  }
+};
+
+/**
+ * @desc    Buy N seats of a course or bundle (creates a PayOS payment link)
+ * @route   POST /api/organizations/:organizationId/licenses
+ * @access  Private (Org admin, Admin)
+ */
+exports.purchaseLicense = async (req, res) => {
+  try {
+    const organization = await findManagedOrganization(
+      req.params.organizationId,
+      req.user
+    );
+    if (organization.status !== "active") {
+      return res
+        .status(400)
+        .json({ success: false, message: "Organization is inactive" });
+    }
+
+    const { courseId, bundleId } = req.body;
+    const seatCount = Number(req.body.seatCount);
+    const quote = await quoteLicense({ courseId, bundleId, seatCount });
+
+    const license = await OrganizationLicense.create({
+      organizationId: organization._id,
+      courseId: courseId || undefined,
+      bundleId: bundleId || undefined,
+      courses: quote.courses,
+      seatCount,
+      unitPrice: quote.unitPrice,
+      totalAmount: quote.totalAmount,
+      purchasedBy: req.user._id,
+    });
+
+    const { payment, orderCode, checkoutUrl, qrData } =
+      await createPayOsCheckout({
+        user: req.user,
+        amount: quote.totalAmount,
+        description: `FLearning ${seatCount} seats`,
+        paymentFields: { organizationLicenseId: license._id },
+      });
+
+    license.paymentId = payment._id;
+    await license.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Tạo link thanh toán thành công",
+      licenseId: license._id,
+      orderCode,
+      checkoutUrl,
+      qrData,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error in purchaseLicense:", error);
+    res.status(500).json({
+      success: false,
+      message: "Không thể tạo link thanh toán.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Licenses of an organization
+ * @route   GET /api/organizations/:organizationId/licenses
+ * @access  Private (Org admin, Admin)
+ */
+exports.getLicenses = async (req, res) => {
+  try {
+    const organization = await findManagedOrganization(
+      req.params.organizationId,
+      req.user
+    );
+    const licenses = await OrganizationLicense.find({
+      organizationId: organization._id,
+    })
+      .populate("courseId", "title thumbnail")
+      .populate("bundleId", "title thumbnail")
+      .populate("assignments.userId", "firstName lastName email")
+      .sort({ createdAt: -1 });
+
+    const data = licenses.map((license) => ({
+      ...license.toObject(),
+      seatsUsed: license.assignments.filter((a) => a.status === "assigned")
+        .length,
+    }));
+
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    handleError(res, error, "getLicenses");
+  }
+};
+
+/**
+ * @desc    Assign a seat to an active member (by userId or email)
+ * @route   POST /api/organizations/:organizationId/licenses/:licenseId/seats
+ * @access  Private (Org admin, Admin)
+ */
+exports.assignLicenseSeat = async (req, res) => {
+  try {
+    const organization = await findManagedOrganization(
+      req.params.organizationId,
+      req.user
+    );
+    const license = await OrganizationLicense.findOne({
+      _id: req.params.licenseId,
+      organizationId: organization._id,
+    });
+    if (!license) {
+      return res
+        .status(404)
+        .json({ success: false, message: "License not found" });
+    }
+
+    let { userId } = req.body;
+    if (!userId && req.body.email) {
+      const member = organization.members.find(
+        (m) =>
+          m.status === "active" &&
+          m.email === String(req.body.email).trim().toLowerCase()
+      );
+      userId = member?.userId;
+    }
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid userId or the email of an active member is required",
+      });
+    }
+
+    const assignment = await assignSeat({
+      organization,
+      license,
+      userId,
+      assignedBy: req.user._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Seat assigned successfully",
+      data: assignment,
+    });
+  } catch (error) {
+    handleError(res, error, "assignLicenseSeat");
+  }
+};
+
+/**
+ * @desc    Revoke a member's seat (the seat becomes available again)
+ * @route   DELETE /api/organizations/:organizationId/licenses/:licenseId/seats/:userId
+ * @access  Private (Org admin, Admin)
+ */
+exports.revokeLicenseSeat = async (req, res) => {
+  try {
+    const organization = await findManagedOrganization(
+      req.params.organizationId,
+      req.user
+    );
+    const license = await OrganizationLicense.findOne({
+      _id: req.params.licenseId,
+      organizationId: organization._id,
+    });
+    if (!license) {
+      return res
+        .status(404)
+        .json({ success: false, message: "License not found" });
+    }
+
+    const assignment = await revokeSeat({
+      license,
+      userId: req.params.userId,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Seat revoked successfully",
+      data: assignment,
+    });
+  } catch (error) {
+    handleError(res, error, "revokeLicenseSeat");
+  }
+};
+
+/**
+ * @desc    Learning progress of every assigned seat
+ * @route   GET /api/organizations/:organizationId/progress
+ * @access  Private (Org admin, Admin)
+ */
+exports.getProgress = async (req, res) => {
+  try {
+    const organization = await findManagedOrganization(
+      req.params.organizationId,
+      req.user
+    );
+    const data = await getOrganizationProgress(organization._id);
+
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    handleError(res, error, "getProgress");
+  }
+};
@@ -5,17 +5,58 @@ const User = require("../models/userModel");
 const { APIError } = require("@payos/node"); // Biến này chưa được dùng, nhưng vẫn giữ lại
 const Payment = require("../models/paymentModel");
 const Enrollment = require("../models/enrollmentModel");
-const Cart = require("../models/cartModel");
 const Course = require("../models/courseModel");
-const { userEnrolledInCourseEmail } = require("../utils/emailTemplates");
-const sendEmail = require("../utils/sendEmail");
+const RefundRequest = require("../models/refundRequestModel");
+const payOsPayout = require("../config/payosPayout");
+const {
+  recordRefund,
+  syncInstructorBalance,
+  getRecordedInstructorShare,
+} = require("../services/ledgerService");
+const { getEffectiveCommission } = require("../services/commissionService");
+const {
+  priceOrder,
+  reserveDiscountForTransaction,
+} = require("../services/discountService");
+const {
+  getBundlesForCheckout,
+  getCourseSalePrices,
+} = require("../services/bundleService");
+const {
+  cancelPendingTransaction,
+} = require("../services/paymentCompletionService");
+const {
+  handleIncomingPayOsWebhook,
+} = require("../services/webhookEventService");
 const {
   createAndSendNotification,
 } = require("../services/notificationService");
+const {
+  assertEnrollmentPrerequisites,
+} = require("../services/coursePrerequisiteService");
 
 // Bỏ WEB_URL vì không dùng
 // const WEB_URL = "http://localhost:3000";
 
+// Số ngày (tính từ lúc thanh toán) học viên được phép yêu cầu hoàn tiền
+const REFUND_WINDOW_DAYS = parseInt(process.env.REFUND_WINDOW_DAYS) || 7;
+
+const DUPLICATE_KEY_CODE = 11000;
+
+const toFloat = (decimal) => {
+  if (!decimal) return 0;
+  return parseFloat(decimal.toString());
+};
+
+const toDecimal = (num) => {
+  return mongoose.Types.Decimal128.fromString(num.toString());
+};
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const generateOrderCode = () =>
+  parseInt(Date.now().toString() + Math.floor(Math.random() * 1000));
+
 /**
  * @desc    Proxy API to fetch VietQR payment info (e.g., QR code for payment) [Abandoned]
  * @route   GET /api/payments/transactions
@@ -100,9 +141,7 @@ const addTransaction = async (req, res) => {
     const newEnrollments = await Promise.all(enrollmentPromises);
     const newEnrollmentIds = newEnrollments.map((e) => e._id); // Tạo orderCode (giống như luồng PayOS)
 
-    const orderCode = parseInt(
-      Date.now().toString() + Math.floor(Math.random() * 1000)
-    ); // BƯỚC 2: Tạo Payment (trạng thái "completed")
+    const orderCode = generateOrderCode(); // BƯỚC 2: Tạo Payment (trạng thái "completed")
 
     const newPayment = new Payment({
       enrollmentIds: newEnrollmentIds,
@@ -150,29 +189,110 @@ const addTransaction = async (req, res) => {
 // ***** END: HÀM ĐÃ ĐƯỢC SỬA LẠI HOÀN TOÀN *****
 
 /**
- * @desc    Tạo link thanh toán PayOS... (Giữ nguyên)
+ * @desc    Tạo link thanh toán PayOS. Tổng tiền được tính phía server từ giá khóa học,
+ * @desc    khuyến mãi tự động và mã giảm giá (discountCode, tùy chọn)
+ * @desc    thay vì tin số tiền client gửi lên.
+ * @desc    bundleIds (tùy chọn): các gói khóa học, tính theo giá gói và tạo Enrollment cho từng khóa học trong gói.
+ * @desc    recipientEmail (tùy chọn): mua tặng, không tạo Enrollment cho người mua; webhook gửi mã quà tới email này.
+ * @desc    Khóa học có khóa tiên quyết chưa hoàn thành: chặn (403) nếu prerequisiteEnforcement = "block",
+ * @desc    ngược lại trả về prerequisiteWarnings.
  * @route   POST /api/payments/create-link
  * @access  Private
  */
 const createPaymentLink = async (req, res) => {
-  const { description, price, courseIds } = req.body;
+  const {
+    description,
+    courseIds = [],
+    bundleIds = [],
+    discountCode,
+    recipientEmail,
+    giftMessage,
+  } = req.body;
   const userId = req.user.id;
+  const isGift = !!recipientEmail;
 
   // Validation
-  if (!description || !price || !courseIds || courseIds.length === 0) {
+  if (!description || (courseIds.length === 0 && bundleIds.length === 0)) {
     return res.status(400).json({ message: "Vui lòng cung cấp đủ thông tin." });
   }
+  if (isGift && !EMAIL_REGEX.test(recipientEmail.trim())) {
+    return res.status(400).json({ message: "Email người nhận không hợp lệ." });
+  }
 
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
+    // ==================================================================
+    // BƯỚC 0: Tính tổng tiền phía server (áp dụng mã giảm giá nếu có)
+    // ==================================================================
+    const courses = await Course.find({ _id: { $in: courseIds } })
+      .select("title price categoryIds")
+      .session(session);
+
+    if (courses.length !== new Set(courseIds.map(String)).size) {
+      const error = new Error("Không tìm thấy khóa học.");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const {
+      subtotal,
+      promotionDiscount,
+      discountAmount,
+      total,
+      discount,
+      allocations,
+      breakdown,
+    } = await priceOrder({ courses, discountCode, userId });
+
+    // Gói khóa học: bán theo giá gói, không áp dụng khuyến mãi hay mã giảm giá
+    const bundles =
+      bundleIds.length > 0
+        ? await getBundlesForCheckout(bundleIds, session)
+        : [];
+    const bundleTotal = bundles.reduce((sum, b) => sum + b.price, 0);
+
+    // Danh sách khóa học cần ghi danh (khóa học lẻ + khóa học trong gói)
+    const purchaseItems = [
+      ...courseIds.map((courseId) => ({ courseId })),
+      ...bundles.flatMap((b) =>
+        b.courseIds.map((courseId) => ({ courseId, bundleId: b.bundleId }))
+      ),
+    ];
+    const purchasedCourseIds = purchaseItems.map((i) => i.courseId.toString());
+    if (new Set(purchasedCourseIds).size !== purchasedCourseIds.length) {
+      const error = new Error(
+        "Một khóa học xuất hiện nhiều lần trong đơn hàng (mua lẻ hoặc trong nhiều gói)."
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Khóa học tiên quyết (đơn quà tặng: người nhận chưa xác định nên bỏ qua)
+    const prerequisiteWarnings = isGift
+      ? []
+      : await assertEnrollmentPrerequisites({
+          userId,
+          courseIds: purchasedCourseIds,
+        });
+
+    if (total + bundleTotal <= 0) {
+      const error = new Error("Tổng tiền thanh toán phải lớn hơn 0.");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const price = total + bundleTotal;
+
     // ==================================================================
     // BƯỚC 1: Xử lý các bản ghi Enrollment (DÙNG VÒNG LẶP TUẦN TỰ)
     // ==================================================================
     const resultingEnrollments = []; // Tạo mảng trống để lưu kết quả
+    // Đơn quà tặng: người nhận được ghi danh khi đổi mã, người mua không cần Enrollment
+    const itemsToEnroll = isGift ? [] : purchaseItems;
 
-    for (const courseId of courseIds) {
+    for (const { courseId, bundleId } of itemsToEnroll) {
       const existingEnrollment = await Enrollment.findOne({
         userId: userId,
         courseId: courseId,
@@ -185,6 +305,7 @@ const createPaymentLink = async (req, res) => {
             `[Payment] Kích hoạt lại enrollment 'cancelled' cho course: ${courseId}`
           );
           existingEnrollment.status = "pending";
+          existingEnrollment.bundleId = bundleId;
           const savedDoc = await existingEnrollment.save({ session });
           resultingEnrollments.push(savedDoc);
         }
@@ -193,7 +314,9 @@ const createPaymentLink = async (req, res) => {
           console.log(
             `[Payment] Tái sử dụng enrollment 'pending' cho course: ${courseId}`
           );
-          resultingEnrollments.push(existingEnrollment);
+          existingEnrollment.bundleId = bundleId;
+          const savedDoc = await existingEnrollment.save({ session });
+          resultingEnrollments.push(savedDoc);
         }
         // TÌNH HUỐNG 3: Đã sở hữu
         else {
@@ -215,6 +338,7 @@ const createPaymentLink = async (req, res) => {
         const newEnrollment = new Enrollment({
           userId: userId,
           courseId: courseId,
+          bundleId,
           status: "pending",
         });
         const savedDoc = await newEnrollment.save({ session });
@@ -227,14 +351,27 @@ const createPaymentLink = async (req, res) => {
     // ==================================================================
     // BƯỚC 2: Tạo Payment
     // ==================================================================
-    const orderCode = parseInt(
-      Date.now().toString() + Math.floor(Math.random() * 1000)
-    );
+    const orderCode = generateOrderCode();
 
     const newPayment = new Payment({
       enrollmentIds: newEnrollmentIds,
       paymentDate: new Date(),
       amount: price,
+      subtotal,
+      promotionDiscount,
+      appliedPromotions: breakdown.appliedPromotions,
+      discountAmount,
+      discountId: discount ? discount._id : undefined,
+      allocations,
+      bundles: bundles.map(({ bundleId, title, price, allocations }) => ({
+        bundleId,
+        title,
+        price,
+        allocations,
+      })),
+      gift: isGift
+        ? { recipientEmail, message: giftMessage, items: purchaseItems }
+        : undefined,
       status: "pending",
     });
 
@@ -253,6 +390,17 @@ const createPaymentLink = async (req, res) => {
     await newPayment.save({ session });
     await transaction.save({ session });
 
+    // Giữ chỗ lượt dùng mã (tính vào usage ngay), trả lại khi đơn hàng bị hủy hoặc hết hạn
+    if (discount) {
+      await reserveDiscountForTransaction({
+        discount,
+        userId,
+        transactionId: transaction._id,
+        discountAmount,
+        session,
+      });
+    }
+
     // ==================================================================
     // BƯỚC 4: Gửi yêu cầu sang PayOS để tạo link
     // ==================================================================
@@ -307,13 +455,17 @@ const createPaymentLink = async (req, res) => {
         bin: paymentLinkResponse.bin,
         qrCode: paymentLinkResponse.qrCode, // String QR base64 (nếu có)
       },
+      prerequisiteWarnings,
     });
   } catch (error) {
     await session.abortTransaction(); // <-- Tự động abort nếu có lỗi
     console.error("Lỗi khi tạo link thanh toán:", error);
 
-    if (error.statusCode === 409) {
-      return res.status(409).json({ message: error.message });
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        missingPrerequisites: error.missingPrerequisites,
+      });
     }
 
     res.status(500).json({ message: "Không thể tạo link thanh toán." });
@@ -323,8 +475,7 @@ const createPaymentLink = async (req, res) => {
 };
 
 /**
- * @desc    Nhận và xử lý webhook từ PayOS.
- * @desc    Sửa lại để so sánh đúng "success" (chữ thường).
+ * @desc    Nhận và xử lý webhook từ PayOS (lưu nhật ký, bỏ qua bản lặp).
  * @route   POST /api/payments/webhook
  * @access  Public
  */
@@ -336,143 +487,26 @@ const handlePayOsWebhook = async (req, res) => {
       .json({ message: "Webhook validation ping received." });
   }
 
-  const webhookData = req.body;
-  const io = req.app.get("io");
-
   try {
-    const verifiedData = await payOs.webhooks.verify(webhookData);
-
-    if (verifiedData.code === "00" && verifiedData.desc === "success") {
-      const orderCode = verifiedData.orderCode;
-      const transaction = await Transaction.findOne({ orderCode: orderCode });
-
-      if (transaction && transaction.status === "pending") {
-        // 1. Cập nhật Transaction
-        transaction.gatewayTransactionId = verifiedData.paymentId;
-        transaction.status = "completed";
-        await transaction.save();
-
-        // 2. Cập nhật Payment
-        const payment = await Payment.findById(transaction.paymentId);
-        if (payment) {
-          payment.status = "completed";
-          await payment.save();
-
-          // 3. Cập nhật Enrollments
-          await Enrollment.updateMany(
-            { _id: { $in: payment.enrollmentIds } },
-            { $set: { status: "enrolled" } }
-          );
+    // Mọi webhook đều được lưu vào nhật ký; bản lặp của event đã xử lý là no-op
+    const { event, duplicate } = await handleIncomingPayOsWebhook({
+      payload: req.body,
+      rawBody: req.rawBody,
+      io: req.app.get("io"),
+    });
 
-          // 4. Lấy dữ liệu enrollments (dùng chung cho các bước sau)
-          const enrollments = await Enrollment.find({
-            _id: { $in: payment.enrollmentIds },
-          })
-            .select("courseId")
-            .populate({
-              path: "courseId",
-              select: "createdBy price title",
-            });
-
-          // 5. Cập nhật số tiền cho giảng viên
-          try {
-            const earningsMap = new Map();
-            for (const enrollment of enrollments) {
-              if (enrollment.courseId) {
-                const course = enrollment.courseId;
-                const teacherId = course.createdBy.toString();
-                const coursePrice = parseFloat(course.price.toString());
-                const revenueShare = coursePrice * 0.8;
-                const currentEarnings = earningsMap.get(teacherId) || 0;
-                earningsMap.set(teacherId, currentEarnings + revenueShare);
-              }
-            }
-            const updatePromises = [];
-            for (const [teacherId, totalRevenue] of earningsMap.entries()) {
-              updatePromises.push(
-                User.updateOne(
-                  { _id: teacherId },
-                  { $inc: { moneyLeft: totalRevenue } }
-                )
-              );
-            }
-            await Promise.all(updatePromises);
-          } catch (moneyError) {
-            // Silent catch or minimal log if needed
-          }
-
-          // 6. Xoá các khoá học đã mua khỏi giỏ hàng
-          try {
-            const courseIdsToRemove = enrollments
-              .map((e) => e.courseId?._id)
-              .filter(Boolean);
-            const userId = transaction.userId;
-
-            const cart = await Cart.findOne({ userId: userId });
-            if (cart) {
-              const courseIdsStr = courseIdsToRemove.map((id) => id.toString());
-              cart.courseIds = cart.courseIds.filter(
-                (id) => !courseIdsStr.includes(id.toString())
-              );
-              await cart.save();
-            }
-          } catch (cartError) {
-            // Silent catch
-          }
-
-          // 7. Gửi email thông báo
-          try {
-            const userId = transaction.userId;
-            const courseIds = enrollments
-              .map((e) => e.courseId?._id)
-              .filter(Boolean);
-
-            if (courseIds.length > 0) {
-              sendIndividualEnrollmentEmails(userId, courseIds);
-            }
-          } catch (emailError) {
-            // Silent catch
-          }
-          try {
-            const recipientId = transaction.userId;
-            // Tìm Admin để làm người gửi (hoặc fallback về chính user)
-            const systemSender = await User.findOne({ role: "admin" }).select(
-              "_id"
-            );
-            const senderId = systemSender ? systemSender._id : recipientId;
-
-            const courseCount = enrollments.length;
-
-            // Format số tiền
-            const totalAmount = payment.amount;
-            const formattedAmount = new Intl.NumberFormat("vi-VN", {
-              style: "currency",
-              currency: "VND",
-            }).format(totalAmount);
-
-            // Gửi thông báo
-            await createAndSendNotification(io, {
-              recipient: recipientId,
-              sender: "68da40f4584deac572895b5f",
-              type: "payment",
-              content: `Thanh toán ${formattedAmount} cho ${courseCount} khóa học đã thành công.`,
-              link: "/profile/courses",
-            });
-          } catch (notiError) {
-            console.error(
-              "[WEBHOOK] Lỗi khi gửi thông báo socket (Bước 8):",
-              notiError
-            );
-          }
-        }
-      }
+    if (!event.signatureValid) {
+      return res.status(400).json({ message: "Webhook verification failed" });
     }
-
+    if (duplicate) {
+      return res.status(200).json({ message: "Webhook already received" });
+    }
+    // Lỗi xử lý đã được ghi lại để admin replay, không để PayOS gửi lại liên tục
     return res.status(200).json({ message: "Webhook processed successfully" });
   } catch (error) {
     // Log lỗi tổng chỉ để tránh server crash mà không biết lý do, nhưng giữ gọn
     console.error("Webhook Error:", error.message);
-    return res.status(400).json({ message: "Webhook verification failed" });
+    return res.status(500).json({ message: "Webhook processing failed" });
   }
 };
 
@@ -523,19 +557,7 @@ const cancelPayment = async (req, res) => {
       return res.status(400).json({ message: "Giao dịch không thể hủy." });
     }
 
-    transaction.status = "cancelled";
-    await transaction.save();
-
-    const payment = await Payment.findById(transaction.paymentId);
-    if (payment) {
-      payment.status = "cancelled";
-      await payment.save();
-
-      await Enrollment.updateMany(
-        { _id: { $in: payment.enrollmentIds } },
-        { $set: { status: "cancelled" } }
-      );
-    }
+    await cancelPendingTransaction(transaction);
 
     res.status(200).json({ message: "Đơn hàng đã được hủy thành công." });
   } catch (error) {
@@ -544,58 +566,494 @@ const cancelPayment = async (req, res) => {
   }
 };
 
-const sendIndividualEnrollmentEmails = async (userId, courseIds) => {
+/**
+ * Tính số tiền hoàn cho MỘT khóa học trong đơn hàng.
+ * Số tiền hoàn được chia theo tỉ lệ giá bán thực tế của khóa học (cùng số liệu đã ghi sổ doanh thu:
+ * sau khuyến mãi, mã giảm giá, phần giá gói được phân bổ) trên tổng giá trị đơn.
+ * Phần thu hồi của giảng viên khớp đúng phần đã ghi sổ ở handlePayOsWebhook.
+ */
+const calculateRefundAmounts = async (transaction, payment, enrollment) => {
+  const salePrices = getCourseSalePrices(payment);
+  const getSalePrice = (course) =>
+    salePrices.get(course._id.toString()) ?? (Number(course.price) || 0);
+
+  const coursePrices = payment.enrollmentIds
+    .filter((e) => e.courseId)
+    .map((e) => getSalePrice(e.courseId));
+  const totalCoursePrice = coursePrices.reduce((sum, p) => sum + p, 0);
+  const coursePrice = getSalePrice(enrollment.courseId);
+  const paidAmount = toFloat(payment.amount);
+
+  const amount =
+    totalCoursePrice > 0
+      ? Math.round((paidAmount * coursePrice) / totalCoursePrice)
+      : 0;
+
+  let instructorClawback = await getRecordedInstructorShare({
+    transactionId: transaction._id,
+    courseId: enrollment.courseId._id,
+  });
+
+  // Giao dịch cũ (trước khi có sổ cái): tính theo tỉ lệ có hiệu lực lúc thanh toán
+  if (instructorClawback === null) {
+    const { instructorShareRate } = await getEffectiveCommission({
+      courseId: enrollment.courseId._id,
+      instructorId: enrollment.courseId.createdBy,
+      at: payment.paymentDate,
+    });
+    instructorClawback = coursePrice * instructorShareRate;
+  }
+
+  return { amount, instructorClawback };
+};
+
+/**
+ * @desc    Học viên gửi yêu cầu hoàn tiền cho một khóa học đã mua
+ * @route   POST /api/payments/refunds
+ * @access  Private
+ */
+const requestRefund = async (req, res) => {
+  const {
+    orderCode,
+    courseId,
+    reason,
+    bankBin,
+    accountNumber,
+    accountHolderName,
+  } = req.body;
+  const userId = req.user.id;
+
+  if (!orderCode || !courseId || !bankBin || !accountNumber) {
+    return res.status(400).json({
+      message:
+        "Thiếu các trường bắt buộc: `orderCode`, `courseId`, `bankBin` và `accountNumber`.",
+    });
+  }
+
   try {
-    // 1. Lấy thông tin người dùng (email, tên) - CHỈ 1 LẦN
-    const user = await User.findById(userId).select("email firstName lastName");
+    const transaction = await Transaction.findOne({ orderCode, type: "sale" });
 
-    if (!user) {
-      console.log("[Email] Không tìm thấy người dùng, hủy gửi mail.");
-      return;
-    } // 2. Lấy thông tin các khóa học - CHỈ 1 LẦN // QUAN TRỌNG: Phải select 'title' và 'message.welcome'
+    if (!transaction) {
+      return res.status(404).json({ message: "Không tìm thấy giao dịch." });
+    }
+
+    if (transaction.userId.toString() !== userId) {
+      return res.status(403).json({ message: "Không có quyền truy cập." });
+    }
+
+    if (transaction.status !== "completed") {
+      return res
+        .status(400)
+        .json({ message: "Chỉ có thể hoàn tiền giao dịch đã thanh toán." });
+    }
 
-    const courses = await Course.find({ _id: { $in: courseIds } }).select(
-      "title message.welcome"
+    const payment = await Payment.findById(transaction.paymentId).populate({
+      path: "enrollmentIds",
+      populate: { path: "courseId", select: "price title createdBy" },
+    });
+
+    if (!payment) {
+      return res.status(404).json({ message: "Không tìm thấy thanh toán." });
+    }
+
+    // Kiểm tra thời hạn hoàn tiền
+    const refundDeadline = new Date(payment.paymentDate);
+    refundDeadline.setDate(refundDeadline.getDate() + REFUND_WINDOW_DAYS);
+    if (new Date() > refundDeadline) {
+      return res.status(400).json({
+        message: `Đã quá thời hạn hoàn tiền (${REFUND_WINDOW_DAYS} ngày kể từ khi thanh toán).`,
+      });
+    }
+
+    const enrollment = payment.enrollmentIds.find(
+      (e) => e.courseId && e.courseId._id.toString() === courseId
     );
 
-    if (courses.length === 0) {
-      console.log("[Email] Không tìm thấy khóa học, hủy gửi mail.");
-      return;
-    } // 3. Lặp qua TỪNG khóa học và gửi email
-
-    const displayName =
-      [user.firstName, user.lastName].filter(Boolean).join(" ") ||
-      user.email.split("@")[0];
-
-    for (const course of courses) {
-      try {
-        // 4. Tạo nội dung email từ template mới
-        const emailContent = userEnrolledInCourseEmail(
-          displayName,
-          course.title,
-          course.message.welcome // Truyền welcome message
-        );
-        console.log(course.message.welcome);
+    if (!enrollment) {
+      return res
+        .status(404)
+        .json({ message: "Khóa học không thuộc giao dịch này." });
+    }
 
-        await sendEmail(
-          user.email,
-          `Chào mừng bạn đến với khóa học: ${course.title}!`, // Tiêu đề email riêng
-          emailContent
-        );
-      } catch (emailError) {
-        // Nếu lỗi 1 email, ghi log và tiếp tục gửi các email khác
-        console.error(
-          `[Email] Lỗi khi gửi mail cho course ${course._id} tới user ${userId}:`,
-          emailError
-        );
+    if (enrollment.status !== "enrolled") {
+      return res.status(400).json({
+        message: `Không thể hoàn tiền khóa học ở trạng thái ${enrollment.status}.`,
+      });
+    }
+
+    const existingRequest = await RefundRequest.findOne({
+      enrollmentId: enrollment._id,
+      status: { $in: ["pending", "processing", "approved"] },
+    });
+
+    if (existingRequest) {
+      return res.status(409).json({
+        message: "Khóa học này đã có yêu cầu hoàn tiền được gửi trước đó.",
+      });
+    }
+
+    const { amount, instructorClawback } = await calculateRefundAmounts(
+      transaction,
+      payment,
+      enrollment
+    );
+
+    const refundRequest = await RefundRequest.create({
+      userId,
+      transactionId: transaction._id,
+      paymentId: payment._id,
+      enrollmentId: enrollment._id,
+      courseId: enrollment.courseId._id,
+      amount: toDecimal(amount),
+      instructorClawback: toDecimal(instructorClawback),
+      reason,
+      refundAccount: { bankBin, accountNumber, accountHolderName },
+    });
+
+    res.status(201).json({
+      message: "Đã gửi yêu cầu hoàn tiền.",
+      refundRequest,
+    });
+  } catch (error) {
+    // Yêu cầu khác cho cùng ghi danh vừa được tạo đồng thời (unique index)
+    if (error.code === DUPLICATE_KEY_CODE) {
+      return res.status(409).json({
+        message: "Khóa học này đã có yêu cầu hoàn tiền được gửi trước đó.",
+      });
+    }
+    console.error("Lỗi khi tạo yêu cầu hoàn tiền:", error);
+    res.status(500).json({ message: "Lỗi máy chủ." });
+  }
+};
+
+/**
+ * @desc    Học viên xem danh sách yêu cầu hoàn tiền của mình
+ * @route   GET /api/payments/refunds
+ * @access  Private
+ */
+const getMyRefundRequests = async (req, res) => {
+  try {
+    const refundRequests = await RefundRequest.find({ userId: req.user.id })
+      .populate("courseId", "title thumbnail")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json(refundRequests);
+  } catch (error) {
+    console.error("Lỗi khi lấy danh sách yêu cầu hoàn tiền:", error);
+    res.status(500).json({ message: "Lỗi máy chủ." });
+  }
+};
+
+/**
+ * @desc    Admin xem tất cả yêu cầu hoàn tiền (lọc theo status)
+ * @route   GET /api/payments/refunds/all
+ * @access  Private (Admin only)
+ */
+const getRefundRequests = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.status && req.query.status !== "all") {
+      query.status = req.query.status;
+    }
+
+    const refundRequests = await RefundRequest.find(query)
+      .populate("userId", "userName email firstName lastName")
+      .populate("courseId", "title thumbnail price createdBy")
+      .populate("transactionId", "orderCode amount status")
+      .populate("processedBy", "userName firstName lastName")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json(refundRequests);
+  } catch (error) {
+    console.error("Lỗi khi lấy danh sách yêu cầu hoàn tiền:", error);
+    res.status(500).json({ message: "Lỗi máy chủ." });
+  }
+};
+
+/**
+ * @desc    Admin duyệt yêu cầu hoàn tiền: hủy ghi danh, thu hồi phần doanh thu đã cộng
+ * @desc    cho giảng viên, rồi mới chi tiền qua PayOS. Nếu chi tiền lỗi, yêu cầu ở lại
+ * @desc    "processing" và Admin duyệt lại để chi tiếp với cùng mã tham chiếu.
+ * @route   PUT /api/payments/refunds/:id/approve
+ * @access  Private (Admin only)
+ */
+const approveRefundRequest = async (req, res) => {
+  const { id } = req.params;
+  const { adminNotes } = req.body;
+  const io = req.app.get("io");
+
+  let refundRequest;
+  let refundTransaction;
+  let originalTransaction;
+  let course;
+
+  // GIAI ĐOẠN 1: Ghi nhận hoàn tiền trong transaction, chưa gọi PayOS
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    refundRequest = await RefundRequest.findById(id).session(session);
+
+    if (!refundRequest) {
+      const error = new Error("Không tìm thấy yêu cầu hoàn tiền.");
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (!["pending", "processing"].includes(refundRequest.status)) {
+      const error = new Error(
+        `Không thể xử lý yêu cầu đã ở trạng thái ${refundRequest.status}.`
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    originalTransaction = await Transaction.findById(
+      refundRequest.transactionId
+    ).session(session);
+    course = await Course.findById(refundRequest.courseId)
+      .select("createdBy title")
+      .session(session);
+
+    if (refundRequest.status === "processing") {
+      // Lần duyệt trước đã ghi nhận hoàn tiền, chỉ còn thiếu bước chi tiền
+      refundTransaction = await Transaction.findById(
+        refundRequest.refundTransactionId
+      ).session(session);
+      if (adminNotes) {
+        refundRequest.adminNotes = adminNotes;
+        await refundRequest.save({ session });
+      }
+    } else {
+      const enrollment = await Enrollment.findById(
+        refundRequest.enrollmentId
+      ).session(session);
+
+      if (!enrollment || enrollment.status !== "enrolled") {
+        const error = new Error("Ghi danh không còn hợp lệ để hoàn tiền.");
+        error.statusCode = 400;
+        throw error;
+      }
+
+      // BƯỚC 1: Hủy ghi danh và gỡ khóa học khỏi danh sách của học viên
+      enrollment.status = "cancelled";
+      await enrollment.save({ session });
+
+      await User.updateOne(
+        { _id: refundRequest.userId },
+        { $pull: { enrolledCourses: refundRequest.courseId } },
+        { session }
+      );
+
+      // BƯỚC 2: Ghi sổ cái hoàn tiền, thu hồi phần doanh thu đã cộng cho giảng viên
+      const clawback = toFloat(refundRequest.instructorClawback);
+      const instructorId = course && course.createdBy;
+      await recordRefund(
+        {
+          instructorId,
+          courseId: refundRequest.courseId,
+          transactionId: refundRequest.transactionId,
+          refundRequestId: refundRequest._id,
+          refundAmount: toFloat(refundRequest.amount),
+          instructorClawback: instructorId ? clawback : 0,
+        },
+        session
+      );
+      if (instructorId) {
+        await syncInstructorBalance(instructorId, session);
       }
+
+      // BƯỚC 3: Đánh dấu giao dịch gốc "refunded" nếu mọi khóa học đều đã hoàn
+      const payment = await Payment.findById(refundRequest.paymentId).session(
+        session
+      );
+      if (payment && originalTransaction) {
+        const activeEnrollments = await Enrollment.countDocuments({
+          _id: { $in: payment.enrollmentIds },
+          status: { $in: ["enrolled", "completed"] },
+        }).session(session);
+
+        if (activeEnrollments === 0) {
+          originalTransaction.status = "refunded";
+          await originalTransaction.save({ session });
+        }
+      }
+
+      // BƯỚC 4: Tạo Transaction hoàn tiền, "pending" cho tới khi PayOS chi xong
+      refundTransaction = new Transaction({
+        userId: refundRequest.userId,
+        type: "refund",
+        amount: refundRequest.amount,
+        status: "pending",
+        description: `Hoàn tiền khóa học ${course?.title || ""}`.trim(),
+        orderCode: generateOrderCode(),
+        paymentId: refundRequest.paymentId,
+      });
+      await refundTransaction.save({ session });
+
+      // Mã tham chiếu được lưu trước khi chi để mọi lần thử dùng chung idempotency key
+      refundRequest.status = "processing";
+      refundRequest.payoutReferenceId = `refund_${refundRequest._id}`;
+      refundRequest.refundTransactionId = refundTransaction._id;
+      refundRequest.processedBy = req.user._id;
+      refundRequest.processedAt = new Date();
+      if (adminNotes) refundRequest.adminNotes = adminNotes;
+      await refundRequest.save({ session });
+    }
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    console.error("Lỗi khi duyệt yêu cầu hoàn tiền:", error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
+    return res.status(500).json({ message: "Không thể hoàn tiền." });
+  } finally {
+    session.endSession();
+  }
+
+  // GIAI ĐOẠN 2: Chi tiền hoàn qua PayOS, ngoài transaction
+  const amount = toFloat(refundRequest.amount);
+  const referenceId = refundRequest.payoutReferenceId;
+  let payout = null;
+  try {
+    if (amount > 0) {
+      payout = await payOsPayout.payouts.create(
+        {
+          referenceId,
+          amount,
+          description: `Hoan tien ${originalTransaction?.orderCode || ""}`
+            .trim()
+            .substring(0, 25),
+          toBin: refundRequest.refundAccount.bankBin,
+          toAccountNumber: refundRequest.refundAccount.accountNumber,
+        },
+        referenceId
+      );
     }
   } catch (error) {
-    // Lỗi nghiêm trọng (không tìm thấy user, lỗi DB)
-    console.error(
-      `[Email] Lỗi nghiêm trọng khi chuẩn bị gửi email cho user ${userId}:`,
-      error
+    console.error("[REFUND] Lỗi khi chi tiền hoàn qua PayOS:", error);
+    try {
+      refundRequest.payoutError = error.message;
+      await refundRequest.save();
+    } catch (saveError) {
+      console.error("[REFUND] Lỗi khi lưu lỗi chi tiền:", saveError);
+    }
+
+    return res.status(502).json({
+      message:
+        "Đã hủy ghi danh nhưng chi tiền qua PayOS thất bại. Vui lòng duyệt lại để thử chi tiền lần nữa.",
+      refundRequest,
+    });
+  }
+
+  // GIAI ĐOẠN 3: Ghi nhận kết quả chi tiền
+  try {
+    if (refundTransaction) {
+      refundTransaction.status = "completed";
+      refundTransaction.gatewayTransactionId = payout ? payout.id : undefined;
+      await refundTransaction.save();
+    }
+
+    refundRequest.status = "approved";
+    refundRequest.payoutId = payout ? payout.id : undefined;
+    refundRequest.payoutError = undefined;
+    await refundRequest.save();
+  } catch (error) {
+    // Lệnh chi đã tạo: duyệt lại sẽ dùng cùng idempotency key nên không chi hai lần
+    console.error("Lỗi khi ghi nhận kết quả chi tiền hoàn:", error);
+    return res.status(500).json({
+      message:
+        "Đã chi tiền nhưng chưa ghi nhận được kết quả. Vui lòng duyệt lại.",
+    });
+  }
+
+  try {
+    const formattedAmount = new Intl.NumberFormat("vi-VN", {
+      style: "currency",
+      currency: "VND",
+    }).format(amount);
+
+    await createAndSendNotification(io, {
+      recipient: refundRequest.userId,
+      sender: req.user._id,
+      type: "payment",
+      content: `Yêu cầu hoàn tiền ${formattedAmount} cho khóa học ${
+        course?.title || ""
+      } đã được duyệt.`,
+      link: "/profile/purchase-history",
+    });
+  } catch (notiError) {
+    console.error("[REFUND] Lỗi khi gửi thông báo:", notiError);
+  }
+
+  res.status(200).json({
+    message: "Đã duyệt yêu cầu hoàn tiền.",
+    refundRequest,
+    refundTransaction,
+  });
+};
+
+/**
+ * @desc    Admin từ chối yêu cầu hoàn tiền
+ * @route   PUT /api/payments/refunds/:id/deny
+ * @access  Private (Admin only)
+ */
+const denyRefundRequest = async (req, res) => {
+  const { id } = req.params;
+  const { adminNotes } = req.body;
+  const io = req.app.get("io");
+
+  if (!adminNotes) {
+    return res
+      .status(400)
+      .json({ message: "Cần cung cấp lý do từ chối (adminNotes)." });
+  }
+
+  try {
+    const refundRequest = await RefundRequest.findById(id).populate(
+      "courseId",
+      "title"
     );
+
+    if (!refundRequest) {
+      return res
+        .status(404)
+        .json({ message: "Không tìm thấy yêu cầu hoàn tiền." });
+    }
+
+    if (refundRequest.status !== "pending") {
+      return res.status(400).json({
+        message: `Không thể xử lý yêu cầu đã ở trạng thái ${refundRequest.status}.`,
+      });
+    }
+
+    refundRequest.status = "rejected";
+    refundRequest.adminNotes = adminNotes;
+    refundRequest.processedBy = req.user._id;
+    refundRequest.processedAt = new Date();
+    await refundRequest.save();
+
+    await createAndSendNotification(io, {
+      recipient: refundRequest.userId,
+      sender: req.user._id,
+      type: "payment",
+      content: `Yêu cầu hoàn tiền cho khóa học ${
+        refundRequest.courseId?.title || ""
+      } đã bị từ chối: ${adminNotes}`,
+      link: "/profile/purchase-history",
+    });
+
+    res.status(200).json({
+      message: "Đã từ chối yêu cầu hoàn tiền.",
+      refundRequest,
+    });
+  } catch (error) {
+    console.error("Lỗi khi từ chối yêu cầu hoàn tiền:", error);
+    res.status(500).json({ message: "Lỗi máy chủ." });
   }
 };
 
@@ -606,4 +1064,9 @@ module.exports = {
   getPaymentStatus,
   createPaymentLink,
   cancelPayment,
+  requestRefund,
+  getMyRefundRequests,
+  getRefundRequests,
+  approveRefundRequest,
+  denyRefundRequest,
 };
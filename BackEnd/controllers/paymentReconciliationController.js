@@ -0,0 +1,137 @@
+const mongoose = require("mongoose");
+const PaymentReconciliationReport = require("../models/paymentReconciliationReportModel");
+const {
+  reconcilePendingPayments,
+} = require("../services/paymentReconciliationService");
+
+/**
+ * @desc    List payment reconciliation reports (newest first)
+ * @route   GET /api/admin/payment-reconciliation?page=1&limit=20&onlyDiscrepancies=true
+ * @access  Private (Admin)
+ */
+exports.getReconciliationReports = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const filter = {};
+    if (req.query.onlyDiscrepancies === "true") {
+      filter["discrepancies.0"] = { $exists: true };
+    }
+
+    const [reports, total] = await Promise.all([
+      PaymentReconciliationReport.find(filter)
+        .select("-discrepancies")
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PaymentReconciliationReport.countDocuments(filter),
+    ]);
+
+    const discrepancyCounts = await PaymentReconciliationReport.aggregate([
+      { $match: { _id: { $in: reports.map((r) => r._id) } } },
+      { $project: { count: { $size: "$discrepancies" } } },
+    ]);
+    const countById = new Map(
+      discrepancyCounts.map((d) => [d._id.toString(), d.count])
+    );
+
+    res.status(200).json({
+      success: true,
+      data: reports.map((report) => ({
+        ...report.toObject(),
+        discrepancyCount: countById.get(report._id.toString()) || 0,
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        total,
+      },
+    });
+  } catch (error) {
+    console.error("Error in getReconciliationReports:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get a reconciliation report with its discrepancies
+ * @route   GET /api/admin/payment-reconciliation/:reportId
+ * @access  Private (Admin)
+ */
+exports.getReconciliationReportById = async (req, res) => {
+  try {
+    const report = mongoose.Types.ObjectId.isValid(req.params.reportId)
+      ? await PaymentReconciliationReport.findById(req.params.reportId)
+          .populate("triggeredBy", "firstName lastName email")
+          .populate("discrepancies.transactionId", "userId amount createdAt")
+      : null;
+    if (!report) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Report not found" });
+    }
+
+    res.status(200).json({ success: true, data: report });
+  } catch (error) {
+    console.error("Error in getReconciliationReportById:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Run payment reconciliation now
+ * @route   POST /api/admin/payment-reconciliation/run
+ * @access  Private (Admin)
+ */
+exports.runReconciliation = async (req, res) => {
+  try {
+    const olderThanMinutes =
+      req.body.olderThanMinutes !== undefined
+        ? Number(req.body.olderThanMinutes)
+        : undefined;
+    if (
+      olderThanMinutes !== undefined &&
+      (!Number.isFinite(olderThanMinutes) || olderThanMinutes < 0)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "olderThanMinutes must be a non-negative number",
+      });
+    }
+
+    const report = await reconcilePendingPayments({
+      io: req.app.get("io"),
+      olderThanMinutes,
+      trigger: "manual",
+      triggeredBy: req.user._id,
+    });
+    if (!report) {
+      return res.status(409).json({
+        success: false,
+        message: "A reconciliation run is already in progress",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Reconciliation completed",
+      data: report,
+    });
+  } catch (error) {
+    console.error("Error in runReconciliation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
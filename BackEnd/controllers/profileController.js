@@ -3,6 +3,8 @@ const Course = require("../models/courseModel");
 const Payment = require("../models/paymentModel");
 const Transaction = require("../models/transactionModel");
 const Enrollment = require("../models/enrollmentModel");
+const Gift = require("../models/giftModel");
+const Invoice = require("../models/invoiceModel");
 const mongoose = require("mongoose");
 const {
   uploadUserAvatar,
@@ -357,27 +359,88 @@ const getPurchaseHistory = async (req, res) => {
       .populate({
         path: "paymentId",
         model: "Payment",
-        populate: {
-          path: "enrollmentIds",
-          model: "Enrollment",
-          populate: {
-            path: "courseId",
-            model: "Course",
-            select: courseSelectFields,
+        populate: [
+          {
+            path: "enrollmentIds",
+            model: "Enrollment",
             populate: {
-              path: "categoryIds",
-              model: "Category",
-              select: "name",
+              path: "courseId",
+              model: "Course",
+              select: courseSelectFields,
+              populate: {
+                path: "categoryIds",
+                model: "Category",
+                select: "name",
+              },
             },
           },
-        },
+          {
+            // Đơn quà tặng không có enrollmentIds, khóa học nằm trong gift.items
+            path: "gift.items.courseId",
+            model: "Course",
+            select: courseSelectFields,
+          },
+        ],
       });
 
+    // Trạng thái đổi quà của các đơn quà tặng
+    const gifts = await Gift.find({
+      paymentId: {
+        $in: transactions.map((tran) => tran.paymentId?._id).filter(Boolean),
+      },
+    }).select("paymentId recipientEmail status redeemedAt emailSentAt");
+    const giftByPaymentId = new Map(
+      gifts.map((gift) => [gift.paymentId.toString(), gift])
+    );
+
+    // Hóa đơn của các giao dịch đã thanh toán
+    const invoices = await Invoice.find({
+      transactionId: { $in: transactions.map((tran) => tran._id) },
+    }).select("transactionId invoiceNumber issuedAt total");
+    const invoiceByTransactionId = new Map(
+      invoices.map((invoice) => [invoice.transactionId.toString(), invoice])
+    );
+
     const data = transactions.map((tran) => {
       const payment = tran.paymentId;
       let coursesList = [];
       let totalCourses = 0;
 
+      const issuedInvoice = invoiceByTransactionId.get(tran._id.toString());
+      const invoice = issuedInvoice
+        ? {
+            invoiceId: issuedInvoice._id,
+            invoiceNumber: issuedInvoice.invoiceNumber,
+            issuedAt: issuedInvoice.issuedAt,
+            total: issuedInvoice.total,
+            downloadUrl: `/api/profile/invoices/${issuedInvoice._id}`,
+          }
+        : null;
+
+      let gift = null;
+      if (payment && payment.gift && payment.gift.recipientEmail) {
+        const issuedGift = giftByPaymentId.get(payment._id.toString());
+        gift = {
+          recipientEmail: payment.gift.recipientEmail,
+          // awaiting_payment: chưa thanh toán nên chưa phát hành mã quà
+          status: issuedGift ? issuedGift.status : "awaiting_payment",
+          redeemedAt: issuedGift ? issuedGift.redeemedAt : null,
+          emailSentAt: issuedGift ? issuedGift.emailSentAt : null,
+          giftId: issuedGift ? issuedGift._id : null,
+        };
+        coursesList = payment.gift.items
+          .filter((item) => item.courseId)
+          .map((item) => ({
+            id: item.courseId._id,
+            title: item.courseId.title,
+            thumbnail: item.courseId.thumbnail,
+            price: item.courseId.price,
+            rating: item.courseId.rating,
+            bundleId: item.bundleId,
+          }));
+        totalCourses = coursesList.length;
+      }
+
       // Logic vẫn giữ nguyên: Nếu thanh toán thất bại thì payment hoặc enrollmentIds có thể null/rỗng
       if (
         payment &&
@@ -404,6 +467,7 @@ const getPurchaseHistory = async (req, res) => {
               price: course.price,
               rating: course.rating,
               category: categoryName,
+              bundleId: enrollment.bundleId,
             };
           })
           .filter((item) => item !== null); // Lọc bỏ các item null
@@ -411,6 +475,7 @@ const getPurchaseHistory = async (req, res) => {
 
       return {
         paymentId: tran._id,
+        type: tran.type, // sale | refund
         amount: parseFloat(tran.amount),
         status: tran.status, // Trạng thái: pending, completed, failed...
         description: tran.description,
@@ -420,6 +485,18 @@ const getPurchaseHistory = async (req, res) => {
         paymentDate: payment ? payment.paymentDate : tran.createdAt,
         courses: coursesList,
         totalCourses: totalCourses,
+        // Hóa đơn PDF (null nếu giao dịch chưa thanh toán)
+        invoice,
+        // Đơn mua tặng: email người nhận và trạng thái đổi quà (null nếu không phải quà tặng)
+        gift,
+        // Các gói khóa học đã mua trong đơn (nếu có)
+        bundles: payment
+          ? (payment.bundles || []).map((b) => ({
+              bundleId: b.bundleId,
+              title: b.title,
+              price: b.price,
+            }))
+          : [],
         transaction: {
           gatewayTransactionId: tran.gatewayTransactionId,
           status: tran.status,
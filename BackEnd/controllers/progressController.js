@@ -3,6 +3,15 @@ const Course = require("../models/courseModel");
 const Section = require("../models/sectionModel");
 const Lesson = require("../models/lessonModel");
 const Enrollment = require("../models/enrollmentModel");
+const { getCourseAccess } = require("../services/subscriptionService");
+const {
+  getQuizLessonStatus,
+  completeLesson,
+  describeVideoWatch,
+  getVideoLessonStatus,
+  recordVideoHeartbeat,
+} = require("../services/progressService");
+const { getLessonLockState } = require("../services/contentReleaseService");
 
 /**
  * @desc    Get course progress for a user
@@ -109,6 +118,17 @@ const markLessonCompleted = async (req, res) => {
       });
     }
 
+    // Enrollment via subscription: the subscription must still be valid
+    if (enrollment.subscriptionId) {
+      const access = await getCourseAccess(req.user, courseId);
+      if (!access.hasAccess) {
+        return res.status(403).json({
+          success: false,
+          message: access.reason,
+        });
+      }
+    }
+
     // Check if lesson exists and belongs to the course
     const lesson = await Lesson.findOne({
       _id: lessonId,
@@ -122,26 +142,43 @@ const markLessonCompleted = async (req, res) => {
       });
     }
 
-    // Find or create progress record
-    let progress = await Progress.findOne({
-      studentId: userId,
-      courseId: courseId,
-    });
-
-    if (!progress) {
-      progress = new Progress({
-        studentId: userId,
-        courseId: courseId,
-        completedLessons: [],
+    // Drip content: locked lessons cannot be completed or tracked yet
+    const lockState = await getLessonLockState({ user: req.user, lesson });
+    if (lockState.locked) {
+      return res.status(403).json({
+        success: false,
+        message: "This lesson is locked",
+        data: { lockReasons: lockState.reasons },
       });
     }
 
-    // Add lesson to completed list if not already completed
-    if (!progress.completedLessons.includes(lessonId)) {
-      progress.completedLessons.push(lessonId);
-      await progress.save();
+    // Quiz lessons only count once every quiz in the lesson is passed
+    if (lesson.type === "quiz") {
+      const quizStatus = await getQuizLessonStatus({ userId, lesson });
+      if (!quizStatus.passed) {
+        return res.status(403).json({
+          success: false,
+          message: "You need to pass the quiz before completing this lesson",
+          data: { quizzes: quizStatus.quizzes },
+        });
+      }
+    }
+
+    // Video lessons only count once enough of the video has been watched (see heartbeat)
+    if (lesson.type === "video") {
+      const videoStatus = await getVideoLessonStatus({ userId, lesson });
+      if (!videoStatus.watched) {
+        return res.status(403).json({
+          success: false,
+          message: "You need to watch the video before completing this lesson",
+          data: videoStatus,
+        });
+      }
     }
 
+    // Add lesson to completed list if not already completed
+    const { progress } = await completeLesson({ enrollment, lessonId });
+
     res.status(200).json({
       success: true,
       message: "Lesson marked as completed",
@@ -159,6 +196,95 @@ const markLessonCompleted = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Video player heartbeat: record watched segments and the current position.
+ *          The lesson is completed automatically once enough of the video has been watched.
+ *          Body: { position, segments: [{ start, end }] } in seconds, segments watched since the last heartbeat
+ * @route   POST /api/progress/:courseId/lessons/:lessonId/heartbeat
+ * @access  Private
+ */
+const recordLessonHeartbeat = async (req, res) => {
+  try {
+    const { courseId, lessonId } = req.params;
+    const { position, segments } = req.body;
+    const userId = req.user.id;
+
+    const enrollment = await Enrollment.findOne({
+      userId: userId,
+      courseId: courseId,
+      status: "enrolled"
+    });
+
+    if (!enrollment) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not enrolled in this course",
+      });
+    }
+
+    // Enrollment via subscription: the subscription must still be valid
+    if (enrollment.subscriptionId) {
+      const access = await getCourseAccess(req.user, courseId);
+      if (!access.hasAccess) {
+        return res.status(403).json({
+          success: false,
+          message: access.reason,
+        });
+      }
+    }
+
+    const lesson = await Lesson.findOne({
+      _id: lessonId,
+      courseId: courseId,
+    });
+
+    if (!lesson) {
+      return res.status(404).json({
+        success: false,
+        message: "Lesson not found in this course",
+      });
+    }
+
+    // Drip content: locked lessons cannot be completed or tracked yet
+    const lockState = await getLessonLockState({ user: req.user, lesson });
+    if (lockState.locked) {
+      return res.status(403).json({
+        success: false,
+        message: "This lesson is locked",
+        data: { lockReasons: lockState.reasons },
+      });
+    }
+
+    const { watch, acceptedSeconds, autoCompleted } =
+      await recordVideoHeartbeat({ enrollment, lesson, position, segments });
+
+    res.status(200).json({
+      success: true,
+      message: autoCompleted
+        ? "Lesson completed automatically"
+        : "Watch progress recorded",
+      data: {
+        lessonId,
+        acceptedSeconds: Math.round(acceptedSeconds),
+        autoCompleted,
+        ...describeVideoWatch(lesson, watch),
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    console.error("Error recording lesson heartbeat:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while recording watch progress",
+    });
+  }
+};
+
 /**
  * @desc    Mark a lesson as incomplete
  * @route   DELETE /api/progress/:courseId/lessons/:lessonId/complete
@@ -537,6 +663,7 @@ module.exports = {
   getCourseProgress,
   markLessonCompleted,
   markLessonIncomplete,
+  recordLessonHeartbeat,
   getAllCoursesProgress,
   getCompletedCourses,
   getIncompleteCourses,
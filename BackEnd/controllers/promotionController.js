@@ -0,0 +1,202 @@
+const mongoose = require("mongoose");
+const Promotion = require("../models/promotionModel");
+const Category = require("../models/categoryModel");
+
+const PROMOTION_FIELDS = [
+  "name",
+  "description",
+  "ruleType",
+  "type",
+  "value",
+  "maximumDiscount",
+  "conditions",
+  "priority",
+  "stackable",
+  "combinableWithCodes",
+  "status",
+  "startDate",
+  "endDate",
+];
+
+/**
+ * Helper kiểm tra dữ liệu khuyến mãi theo ruleType.
+ * @returns {Promise<string|null>} Thông báo lỗi hoặc null nếu hợp lệ
+ */
+const validatePromotion = async (promotion) => {
+  if (promotion.type === "percent" && promotion.value > 100) {
+    return "Percent value must be between 0 and 100";
+  }
+
+  if (
+    promotion.startDate &&
+    promotion.endDate &&
+    new Date(promotion.endDate) <= new Date(promotion.startDate)
+  ) {
+    return "endDate must be after startDate";
+  }
+
+  const conditions = promotion.conditions || {};
+
+  if (promotion.ruleType === "bundle_quantity") {
+    if (!conditions.minCourses || conditions.minCourses < 2) {
+      return "conditions.minCourses must be at least 2 for bundle_quantity";
+    }
+  }
+
+  if (promotion.ruleType === "category_sale") {
+    const categoryIds = conditions.categoryIds || [];
+    if (categoryIds.length === 0) {
+      return "conditions.categoryIds is required for category_sale";
+    }
+    if (!categoryIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return "Invalid category ID in conditions.categoryIds";
+    }
+    const count = await Category.countDocuments({ _id: { $in: categoryIds } });
+    if (count !== categoryIds.length) {
+      return "Some categories do not exist";
+    }
+  }
+
+  return null;
+};
+
+/**
+ * @desc    Get all automatic promotions
+ * @route   GET /api/admin/promotions
+ * @access  Private (Admin only)
+ */
+exports.getPromotions = async (req, res) => {
+  try {
+    const { status, ruleType } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (ruleType) filter.ruleType = ruleType;
+
+    const promotions = await Promotion.find(filter)
+      .populate("conditions.categoryIds", "name")
+      .populate("createdBy", "firstName lastName")
+      .sort({ priority: -1, createdAt: -1 });
+
+    res.status(200).json({ success: true, data: promotions });
+  } catch (error) {
+    console.error("Error in getPromotions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Create an automatic promotion
+ * @route   POST /api/admin/promotions
+ * @access  Private (Admin only)
+ */
+exports.createPromotion = async (req, res) => {
+  try {
+    const data = {};
+    PROMOTION_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const validationError = await validatePromotion(data);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const promotion = await Promotion.create({
+      ...data,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Promotion created successfully",
+      data: promotion,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error("Error in createPromotion:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Update an automatic promotion
+ * @route   PUT /api/admin/promotions/:promotionId
+ * @access  Private (Admin only)
+ */
+exports.updatePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.promotionId);
+
+    if (!promotion) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Promotion not found" });
+    }
+
+    PROMOTION_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) promotion[field] = req.body[field];
+    });
+
+    const validationError = await validatePromotion(promotion.toObject());
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    await promotion.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Promotion updated successfully",
+      data: promotion,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error("Error in updatePromotion:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete an automatic promotion
+ * @route   DELETE /api/admin/promotions/:promotionId
+ * @access  Private (Admin only)
+ */
+exports.deletePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findByIdAndDelete(req.params.promotionId);
+
+    if (!promotion) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Promotion not found" });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Promotion deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error in deletePromotion:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,214 @@
+const mongoose = require("mongoose");
+const QuestionBankQuestion = require("../models/QuestionBankModel");
+const {
+  DIFFICULTIES,
+  buildQuestionFilter,
+  createBankQuestion,
+  updateBankQuestion,
+  deleteBankQuestion,
+  validateQuestionDraws,
+  getDrawAvailability,
+} = require("../services/questionBankService");
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const sendQuestionBankError = (res, error, logLabel) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      data: error.data,
+    });
+  }
+  if (error.name === "ValidationError") {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`Error in ${logLabel}:`, error);
+  res.status(500).json({
+    success: false,
+    message: "Server error",
+    error: error.message,
+  });
+};
+
+/**
+ * @desc    List questions in my question bank
+ * @route   GET /api/quiz/bank/questions?tags=a,b&difficulty=easy&topic=X&search=text&page=1&limit=20
+ * @access  Private (Instructor)
+ */
+exports.getBankQuestions = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const { difficulty, tags, topic, type, search } = req.query;
+    if (difficulty && !DIFFICULTIES.includes(difficulty)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid difficulty" });
+    }
+
+    const filter = buildQuestionFilter(req.user._id, {
+      difficulty,
+      tags,
+      topic,
+    });
+    if (type) filter.type = type;
+    if (search) {
+      filter.content = { $regex: escapeRegex(String(search)), $options: "i" };
+    }
+
+    const [questions, total] = await Promise.all([
+      QuestionBankQuestion.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      QuestionBankQuestion.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: questions,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        total,
+      },
+    });
+  } catch (error) {
+    sendQuestionBankError(res, error, "getBankQuestions");
+  }
+};
+
+/**
+ * @desc    Tags and topics used in my question bank, with question counts per difficulty
+ * @route   GET /api/quiz/bank/tags
+ * @access  Private (Instructor)
+ */
+exports.getBankTags = async (req, res) => {
+  try {
+    const ownerId = req.user._id;
+    const [tags, topics, difficulties] = await Promise.all([
+      QuestionBankQuestion.distinct("tags", { ownerId }),
+      QuestionBankQuestion.distinct("topic", { ownerId }),
+      QuestionBankQuestion.aggregate([
+        { $match: { ownerId } },
+        { $group: { _id: "$difficulty", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tags: tags.sort(),
+        topics: topics.filter(Boolean).sort(),
+        difficulties: DIFFICULTIES.reduce((counts, difficulty) => {
+          const group = difficulties.find((item) => item._id === difficulty);
+          counts[difficulty] = group ? group.count : 0;
+          return counts;
+        }, {}),
+      },
+    });
+  } catch (error) {
+    sendQuestionBankError(res, error, "getBankTags");
+  }
+};
+
+/**
+ * @desc    Add a question to my question bank
+ * @route   POST /api/quiz/bank/questions
+ * @access  Private (Instructor)
+ */
+exports.createBankQuestion = async (req, res) => {
+  try {
+    const question = await createBankQuestion({
+      ownerId: req.user._id,
+      body: req.body,
+    });
+    res.status(201).json({
+      success: true,
+      message: "Question added to question bank",
+      data: question,
+    });
+  } catch (error) {
+    sendQuestionBankError(res, error, "createBankQuestion");
+  }
+};
+
+/**
+ * @desc    Update a question in my question bank (attempts in progress keep their copy)
+ * @route   PUT /api/quiz/bank/questions/:questionId
+ * @access  Private (Instructor)
+ */
+exports.updateBankQuestion = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.questionId)) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Question not found" });
+    }
+    const question = await updateBankQuestion({
+      ownerId: req.user._id,
+      questionId: req.params.questionId,
+      body: req.body,
+    });
+    res.status(200).json({
+      success: true,
+      message: "Question updated",
+      data: question,
+    });
+  } catch (error) {
+    sendQuestionBankError(res, error, "updateBankQuestion");
+  }
+};
+
+/**
+ * @desc    Delete a question from my question bank
+ * @route   DELETE /api/quiz/bank/questions/:questionId
+ * @access  Private (Instructor)
+ */
+exports.deleteBankQuestion = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.questionId)) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Question not found" });
+    }
+    await deleteBankQuestion({
+      ownerId: req.user._id,
+      questionId: req.params.questionId,
+    });
+    res.status(200).json({ success: true, message: "Question deleted" });
+  } catch (error) {
+    sendQuestionBankError(res, error, "deleteBankQuestion");
+  }
+};
+
+/**
+ * @desc    Check how many bank questions match each draw rule before saving a quiz
+ * @route   POST /api/quiz/bank/draws/availability
+ * @access  Private (Instructor)
+ */
+exports.getDrawAvailability = async (req, res) => {
+  try {
+    const { questionDraws } = req.body;
+    const drawsError = validateQuestionDraws(questionDraws);
+    if (drawsError) {
+      return res.status(400).json({ success: false, message: drawsError });
+    }
+
+    const availability = await getDrawAvailability({
+      ownerId: req.user._id,
+      draws: questionDraws,
+    });
+    res.status(200).json({
+      success: true,
+      data: {
+        draws: availability,
+        satisfied: availability.every((draw) => draw.available >= draw.count),
+      },
+    });
+  } catch (error) {
+    sendQuestionBankError(res, error, "getDrawAvailability");
+  }
+};
@@ -7,9 +7,47 @@ const mongoose = require("mongoose");
 const mammoth = require("mammoth");
 const multer = require("multer");
 const { uploadToFirebase: uploadToFirebaseStorage } = require("../utils/firebaseStorage");
+const {
+  getPassingScore,
+  getScoreHistory
+} = require("../services/quizGradingService");
+const {
+  serializeAttempt,
+  getAttemptUsage,
+  assertCanStartAttempt,
+  gradeAndCompleteLesson,
+  findActiveAttempt,
+  startQuizAttempt,
+  saveAttemptAnswers,
+  submitQuizAttempt
+} = require("../services/quizAttemptService");
+const {
+  validateQuestions,
+  toStudentQuestion
+} = require("../services/quizQuestionService");
+const { assertQuestionDrawsAvailable } = require("../services/questionBankService");
+const {
+  getQuizItemAnalysis: buildQuizItemAnalysis,
+  buildItemAnalysisCsv
+} = require("../services/quizItemAnalysisService");
+
+// Only the quiz creator and admins get the answer keys; students get the question view
+function canSeeAnswerKeys(quiz, user) {
+  if (!user) return false;
+  const ownerId = quiz.userId?._id || quiz.userId;
+  return user.role === 'admin' || (!!ownerId && ownerId.toString() === user._id.toString());
+}
+
+// Quiz document as sent to the given user (answer keys removed unless allowed)
+function toQuizResponse(quiz, user) {
+  if (canSeeAnswerKeys(quiz, user)) return quiz;
+  const quizData = quiz.toObject();
+  quizData.questions = (quizData.questions || []).map(toStudentQuestion);
+  return quizData;
+}
 
 // Helper function to apply randomization to quiz data
-function applyQuizRandomization(quiz, logPrefix = '') {
+function applyQuizRandomization(quiz, logPrefix = '', { includeAnswerKeys = false } = {}) {
   let quizData = quiz.toObject();
   
   // Check if we need to randomize
@@ -50,10 +88,53 @@ function applyQuizRandomization(quiz, logPrefix = '') {
     quizData.totalQuestionsInPool = quiz.questions.length;
     quizData.selectedQuestionsCount = quiz.questions.length;
   }
+
+  if (!includeAnswerKeys) {
+    quizData.questions = quizData.questions.map(toStudentQuestion);
+  }
   
   return quizData;
 }
 
+// Build quiz data for an attempt from the question order stored on the server,
+// so a page reload serves exactly the same questions
+function buildAttemptQuizData(quiz, attempt) {
+  const { questionOrder } = attempt;
+  const drawnQuestions = attempt.drawnQuestions || [];
+  const quizData = quiz.toObject();
+  // Skip indices of questions removed after the attempt started
+  quizData.questions = questionOrder.filter(originalIndex => quiz.questions[originalIndex]).map(originalIndex => ({
+    ...quiz.questions[originalIndex].toObject(),
+    originalIndex
+  }));
+  // Questions drawn from the question bank follow the fixed ones; answers reference them by bankQuestionId
+  quizData.questions.push(...drawnQuestions.map(drawn => ({
+    ...drawn.question,
+    bankQuestionId: drawn.bankQuestionId,
+    originalIndex: null
+  })));
+  quizData.isRandomized = questionOrder.length < quiz.questions.length || drawnQuestions.length > 0;
+  quizData.totalQuestionsInPool = quiz.questions.length;
+  quizData.selectedQuestionsCount = questionOrder.length + drawnQuestions.length;
+  quizData.questions = quizData.questions.map(toStudentQuestion);
+  return quizData;
+}
+
+function hasQuestionDraws(quiz) {
+  return Array.isArray(quiz.questionDraws) && quiz.questionDraws.length > 0;
+}
+
+// Returns the error response body when question draws are invalid or the owner's bank is short
+async function checkQuestionDraws(ownerId, questionDraws) {
+  try {
+    await assertQuestionDrawsAvailable({ ownerId, draws: questionDraws });
+    return null;
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    return { success: false, message: error.message, data: error.data };
+  }
+}
+
 // In-memory cache for request deduplication (simple protection against rapid duplicates)
 const requestCache = new Map();
 
@@ -149,8 +230,73 @@ const upload = multer({
   }
 });
 
+// Tag after the question number selecting the question type, e.g. "Q1. [multi] ..."
+const WORD_QUESTION_TAGS = {
+  multi: "multi-select",
+  tf: "true-false",
+  fill: "fill-in-blank",
+  match: "matching",
+  order: "ordering",
+  numeric: "numeric",
+  essay: "essay"
+};
+
+/**
+ * Build a quiz question from the lines collected under one Word question
+ * @returns {Object|null} - null when the question has no body (skipped like before)
+ */
+function buildWordQuestion(current) {
+  const { content, type, caseSensitive, answers, acceptedAnswers, matchingPairs, orderingItems, numeric, guideline } = current;
+  const question = { content, type, score: 1, answers: [] };
+
+  switch (type) {
+    case "fill-in-blank":
+      if (acceptedAnswers.length === 0) return null;
+      return { ...question, acceptedAnswers, caseSensitive };
+    case "matching":
+      if (matchingPairs.length === 0) return null;
+      return { ...question, matchingPairs };
+    case "ordering":
+      if (orderingItems.length === 0) return null;
+      return { ...question, orderingItems };
+    case "numeric":
+      if (!numeric) return null;
+      return { ...question, numericAnswer: numeric.value, tolerance: numeric.tolerance };
+    case "essay":
+      return guideline ? { ...question, essayGuideline: guideline } : question;
+    default:
+      // multiple-choice, true-false, multi-select
+      if (answers.length === 0) return null;
+      return { ...question, answers: [...answers] };
+  }
+}
+
+// Answer key of a question, used to detect re-uploads of the same Word file
+function getQuestionAnswerKey(question) {
+  return JSON.stringify({
+    type: question.type || "multiple-choice",
+    answers: (question.answers || []).map(a => ({ content: a.content, isCorrect: !!a.isCorrect })),
+    acceptedAnswers: [...(question.acceptedAnswers || [])],
+    caseSensitive: !!question.caseSensitive,
+    matchingPairs: (question.matchingPairs || []).map(p => ({ left: p.left, right: p.right })),
+    orderingItems: [...(question.orderingItems || [])],
+    numericAnswer: question.numericAnswer ?? null,
+    tolerance: question.tolerance || 0
+  });
+}
+
 /**
  * Parse Word document content and extract quiz questions
+ *
+ * Untagged questions are multiple-choice ("A) answer *" marks a correct answer).
+ * A tag after the question number selects another type:
+ *   [multi]   multi-select, several answers marked with *
+ *   [tf]      true-false, answers like multiple-choice
+ *   [fill] / [fill:case]  fill-in-the-blank, one "= accepted answer" line per accepted answer
+ *   [match]   matching, one "left => right" line per pair
+ *   [order]   ordering, "A) item" lines listed in the correct order
+ *   [numeric] numeric, "= 3.14 +- 0.01" (tolerance optional)
+ *   [essay]   essay, optional "Guideline: ..." line
  * @param {Buffer} buffer - Word file buffer
  * @returns {Promise<Array>} - Array of parsed questions
  */
@@ -165,8 +311,12 @@ async function parseWordQuiz(buffer) {
     
     const questions = [];
     let currentQuestion = null;
-    let currentAnswers = [];
-    let questionCount = 0;
+    
+    const saveCurrentQuestion = () => {
+      if (!currentQuestion) return;
+      const question = buildWordQuestion(currentQuestion);
+      if (question) questions.push(question);
+    };
     
     for (let i = 0; i < lines.length; i++) {
       const line = lines[i];
@@ -176,27 +326,78 @@ async function parseWordQuiz(buffer) {
       if (questionMatch) {
         
         // Save previous question if exists
-        if (currentQuestion && currentAnswers.length > 0) {
-          const question = {
-            content: currentQuestion,
-            type: "multiple-choice",
-            score: 1,
-            answers: [...currentAnswers]
-          };
-          questions.push(question);
-          questionCount++;
-        }
+        saveCurrentQuestion();
         
         // Start new question
-        currentQuestion = questionMatch[2].trim();
-        currentAnswers = [];
+        let content = questionMatch[2].trim();
+        let type = "multiple-choice";
+        let caseSensitive = false;
+        const tagMatch = content.match(/^\[(\w+)(?::(case))?\]\s*(.+)$/i);
+        if (tagMatch && WORD_QUESTION_TAGS[tagMatch[1].toLowerCase()]) {
+          type = WORD_QUESTION_TAGS[tagMatch[1].toLowerCase()];
+          caseSensitive = !!tagMatch[2];
+          content = tagMatch[3].trim();
+        }
+        
+        currentQuestion = {
+          content,
+          type,
+          caseSensitive,
+          answers: [],
+          acceptedAnswers: [],
+          matchingPairs: [],
+          orderingItems: [],
+          numeric: null,
+          guideline: null
+        };
+        continue;
+      }
+      
+      if (!currentQuestion) continue;
+      
+      if (currentQuestion.type === "fill-in-blank" || currentQuestion.type === "numeric") {
+        const keyMatch = line.match(/^=\s*(.+)$/);
+        if (!keyMatch) continue;
+        
+        if (currentQuestion.type === "fill-in-blank") {
+          currentQuestion.acceptedAnswers.push(keyMatch[1].trim());
+        } else {
+          // "= 3.14 +- 0.01" or "= 3.14 ± 0.01"
+          const numericMatch = keyMatch[1].replace(/,/g, '.').match(/^(-?\d+(?:\.\d+)?)\s*(?:(?:\+-|±)\s*(\d+(?:\.\d+)?))?$/);
+          if (numericMatch) {
+            currentQuestion.numeric = {
+              value: Number(numericMatch[1]),
+              tolerance: numericMatch[2] ? Number(numericMatch[2]) : 0
+            };
+          }
+        }
+        continue;
+      }
+      
+      if (currentQuestion.type === "matching") {
+        const pairMatch = line.match(/^(.+?)\s*=>\s*(.+)$/);
+        if (pairMatch) {
+          currentQuestion.matchingPairs.push({ left: pairMatch[1].trim(), right: pairMatch[2].trim() });
+        }
+        continue;
+      }
+      
+      if (currentQuestion.type === "essay") {
+        const guidelineMatch = line.match(/^Guideline:\s*(.+)$/i);
+        if (guidelineMatch) currentQuestion.guideline = guidelineMatch[1].trim();
         continue;
       }
       
       // Check if line is an answer (starts with letter followed by closing parenthesis)
       const answerMatch = line.match(/^([A-Z])\)\s*(.+?)(\s*\*)?$/i);
-      if (answerMatch && currentQuestion) {
+      if (answerMatch) {
         const answerText = answerMatch[2].trim();
+        
+        if (currentQuestion.type === "ordering") {
+          currentQuestion.orderingItems.push(answerText);
+          continue;
+        }
+        
         const isCorrect = !!answerMatch[3]; // Has * at the end
         
         const answer = {
@@ -204,21 +405,12 @@ async function parseWordQuiz(buffer) {
           isCorrect: isCorrect
         };
         
-        currentAnswers.push(answer);
+        currentQuestion.answers.push(answer);
       }
     }
     
     // Add the last question
-    if (currentQuestion && currentAnswers.length > 0) {
-      const question = {
-        content: currentQuestion,
-        type: "multiple-choice",
-        score: 1,
-        answers: [...currentAnswers]
-      };
-      questions.push(question);
-      questionCount++;
-    }
+    saveCurrentQuestion();
     
     return questions;
   } catch (error) {
@@ -300,20 +492,17 @@ exports.uploadWordQuiz = [
         return res.status(400).json({
           success: false,
           message: "No valid questions found in the Word document. Please check the format.",
-          hint: "Expected format: Q1. Question text? A) Answer 1 B) Answer 2 C) Answer 3 *"
+          hint: "Expected format: Q1. Question text? A) Answer 1 B) Answer 2 C) Answer 3 *. Other types use a tag after the number: [multi], [tf], [fill], [match], [order], [numeric], [essay]"
         });
       }
       
-      // Validate that each question has at least one correct answer
-      for (let i = 0; i < questions.length; i++) {
-        const question = questions[i];
-        const hasCorrectAnswer = question.answers.some(answer => answer.isCorrect);
-        if (!hasCorrectAnswer) {
-          return res.status(400).json({
-            success: false,
-            message: `Question ${i + 1} has no correct answer marked with *`
-          });
-        }
+      // Validate that each question has the answer key its type needs
+      const questionError = validateQuestions(questions);
+      if (questionError) {
+        return res.status(400).json({
+          success: false,
+          message: questionError
+        });
       }
       
       // All questions validated - ready to return
@@ -326,7 +515,7 @@ exports.uploadWordQuiz = [
         title: title.trim(),
         questions: questions.map(q => ({
           content: q.content,
-          answers: q.answers.map(a => ({ content: a.content, isCorrect: a.isCorrect }))
+          answerKey: getQuestionAnswerKey(q)
         }))
       })).digest('hex');
       
@@ -343,11 +532,7 @@ exports.uploadWordQuiz = [
           const isSameContent = recentQuiz.questions.every((existingQ, index) => {
             const newQ = questions[index];
             return existingQ.content === newQ.content && 
-                   existingQ.answers.length === newQ.answers.length &&
-                   existingQ.answers.every((existingA, aIndex) => {
-                     const newA = newQ.answers[aIndex];
-                     return existingA.content === newA.content && existingA.isCorrect === newA.isCorrect;
-                   });
+                   getQuestionAnswerKey(existingQ) === getQuestionAnswerKey(newQ);
           });
           
           if (isSameContent) {
@@ -456,13 +641,10 @@ async function createQuizFromWordData(quizData, courseId, userId = null) {
       throw new Error("No valid questions found in the Word document");
     }
     
-    // Validate that each question has at least one correct answer
-    for (let i = 0; i < questions.length; i++) {
-      const question = questions[i];
-      const hasCorrectAnswer = question.answers.some(answer => answer.isCorrect);
-      if (!hasCorrectAnswer) {
-        throw new Error(`Question ${i + 1} has no correct answer marked with *`);
-      }
+    // Validate that each question has the answer key its type needs
+    const questionError = validateQuestions(questions);
+    if (questionError) {
+      throw new Error(questionError);
     }
     
     // Create quiz document
@@ -505,7 +687,9 @@ exports.getQuizById = async (req, res) => {
     }
     
     // Apply randomization using helper function
-    const quizData = applyQuizRandomization(quiz, '[getQuizById]');
+    const quizData = applyQuizRandomization(quiz, '[getQuizById]', {
+      includeAnswerKeys: canSeeAnswerKeys(quiz, req.user)
+    });
     
     res.status(200).json({
       success: true,
@@ -617,7 +801,9 @@ exports.getQuizByLesson = async (req, res) => {
     }
 
     // Apply randomization using helper function
-    const quizData = applyQuizRandomization(quiz, '[getQuizByLesson]');
+    const quizData = applyQuizRandomization(quiz, '[getQuizByLesson]', {
+      includeAnswerKeys: canSeeAnswerKeys(quiz, req.user)
+    });
 
     // Allow users to retake the quiz
     res.status(200).json({
@@ -753,7 +939,7 @@ exports.getLessonDetail = async (req, res) => {
           } else {
             baseResponse.data.quizData = {
               hasQuiz: true,
-              quizzes: quizzes
+              quizzes: quizzes.map(quiz => toQuizResponse(quiz, req.user))
             };
           }
         }
@@ -831,7 +1017,7 @@ exports.getQuizzesInLesson = async (req, res) => {
     
     res.status(200).json({
       success: true,
-      data: quizzes,
+      data: quizzes.map(quiz => toQuizResponse(quiz, req.user)),
       count: quizzes.length,
       lessonInfo: {
         id: lesson._id,
@@ -864,7 +1050,7 @@ exports.getQuizzesByCourse = async (req, res) => {
     
     res.status(200).json({
       success: true,
-      data: quizzes,
+      data: quizzes.map(quiz => toQuizResponse(quiz, req.user)),
       count: quizzes.length
     });
     
@@ -877,6 +1063,78 @@ exports.getQuizzesByCourse = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Item analysis for a quiz: difficulty, discrimination, distractor selection,
+ *          average time per question and KR-20 reliability (latest attempt of each student)
+ * @route   GET /api/quiz/:quizId/item-analysis?format=json|csv
+ * @access  Private (Quiz owner, course owner, Admin)
+ */
+exports.getQuizItemAnalysis = async (req, res) => {
+  try {
+    const { quizId } = req.params;
+    const { format = "json" } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(quizId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid Quiz ID format"
+      });
+    }
+    if (!["json", "csv"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "format must be json or csv"
+      });
+    }
+
+    const quiz = await Quiz.findById(quizId);
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: "Quiz not found"
+      });
+    }
+
+    // Chỉ người tạo quiz, người tạo khóa học chứa quiz hoặc admin được xem thống kê
+    const userId = req.user._id.toString();
+    let canView = req.user.role === "admin" || quiz.userId?.toString() === userId;
+    if (!canView && quiz.courseId) {
+      const course = await Course.findById(quiz.courseId).select("createdBy");
+      canView = course?.createdBy?.toString() === userId;
+    }
+    if (!canView) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied"
+      });
+    }
+
+    const report = await buildQuizItemAnalysis(quiz);
+
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="quiz-${quizId}-item-analysis.csv"`
+      );
+      return res.send(buildItemAnalysisCsv(report));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error("Error in getQuizItemAnalysis:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message
+    });
+  }
+};
+
 /**
  * @desc    Delete quiz
  * @route   DELETE /api/quiz/:quizId
@@ -922,7 +1180,20 @@ exports.updateQuiz = async (req, res) => {
   try {
     
     const { quizId } = req.params;
-    const { title, description, questions, questionPoolSize } = req.body;
+    const {
+      title,
+      description,
+      questions,
+      questionPoolSize,
+      timeLimit,
+      gracePeriodSeconds,
+      lateSubmissionPolicy,
+      maxAttempts,
+      attemptCooldownMinutes,
+      gradingPolicy,
+      passingScore,
+      questionDraws
+    } = req.body;
     
     
     
@@ -975,20 +1246,29 @@ exports.updateQuiz = async (req, res) => {
     if (questionPoolSize !== undefined) {
       updateData.questionPoolSize = questionPoolSize;
     }
+    if (timeLimit !== undefined) updateData.timeLimit = timeLimit || null;
+    if (gracePeriodSeconds !== undefined) updateData.gracePeriodSeconds = gracePeriodSeconds;
+    if (lateSubmissionPolicy !== undefined) updateData.lateSubmissionPolicy = lateSubmissionPolicy;
+    if (maxAttempts !== undefined) updateData.maxAttempts = maxAttempts || null;
+    if (attemptCooldownMinutes !== undefined) updateData.attemptCooldownMinutes = attemptCooldownMinutes;
+    if (gradingPolicy !== undefined) updateData.gradingPolicy = gradingPolicy;
+    if (passingScore !== undefined) updateData.passingScore = passingScore;
+    if (questionDraws !== undefined) {
+      const drawsError = await checkQuestionDraws(quiz.userId, questionDraws);
+      if (drawsError) {
+        return res.status(400).json(drawsError);
+      }
+      updateData.questionDraws = questionDraws;
+    }
     if (questions !== undefined) {
       // Validate questions if provided
       if (Array.isArray(questions)) {
-        for (let i = 0; i < questions.length; i++) {
-          const question = questions[i];
-          if (question.answers && Array.isArray(question.answers)) {
-            const hasCorrectAnswer = question.answers.some(answer => answer.isCorrect);
-            if (!hasCorrectAnswer) {
-              return res.status(400).json({
-                success: false,
-                message: `Question ${i + 1} has no correct answer marked`
-              });
-            }
-          }
+        const questionError = validateQuestions(questions);
+        if (questionError) {
+          return res.status(400).json({
+            success: false,
+            message: questionError
+          });
         }
         updateData.questions = questions;
       } else {
@@ -1403,6 +1683,14 @@ async function createQuizFromData(quizData, courseId) {
       description: quizData.description || "",
       questions: quizData.questions || [],
       questionPoolSize: quizData.questionPoolSize || null, // Add questionPoolSize support
+      timeLimit: quizData.timeLimit || null,
+      gracePeriodSeconds: quizData.gracePeriodSeconds,
+      lateSubmissionPolicy: quizData.lateSubmissionPolicy,
+      maxAttempts: quizData.maxAttempts || null,
+      attemptCooldownMinutes: quizData.attemptCooldownMinutes,
+      gradingPolicy: quizData.gradingPolicy,
+      passingScore: quizData.passingScore,
+      questionDraws: quizData.questionDraws || [],
       roleCreated: quizData.roleCreated || "instructor",
       userId: quizData.userId || null
     });
@@ -1448,6 +1736,14 @@ exports.createQuizFromFrontendData = async (req, res) => {
         description: req.body.description,
         questions: req.body.questions,
         questionPoolSize: req.body.questionPoolSize || null, // Add questionPoolSize support
+        timeLimit: req.body.timeLimit || null,
+        gracePeriodSeconds: req.body.gracePeriodSeconds,
+        lateSubmissionPolicy: req.body.lateSubmissionPolicy,
+        maxAttempts: req.body.maxAttempts || null,
+        attemptCooldownMinutes: req.body.attemptCooldownMinutes,
+        gradingPolicy: req.body.gradingPolicy,
+        passingScore: req.body.passingScore,
+        questionDraws: req.body.questionDraws,
         roleCreated: req.body.roleCreated || "instructor",
         userId: req.body.userId
       };
@@ -1469,7 +1765,9 @@ exports.createQuizFromFrontendData = async (req, res) => {
       });
     }
 
-    if (!Array.isArray(actualQuizData.questions) || actualQuizData.questions.length === 0) {
+    // A quiz may consist only of questions drawn from the question bank
+    const questionDraws = actualQuizData.questionDraws || [];
+    if (!Array.isArray(actualQuizData.questions) || (actualQuizData.questions.length === 0 && questionDraws.length === 0)) {
       return res.status(400).json({
         success: false,
         message: "Quiz must have at least one question",
@@ -1481,6 +1779,19 @@ exports.createQuizFromFrontendData = async (req, res) => {
       });
     }
 
+    const questionError = validateQuestions(actualQuizData.questions);
+    if (questionError) {
+      return res.status(400).json({
+        success: false,
+        message: questionError
+      });
+    }
+
+    const drawsError = await checkQuestionDraws(req.user?.id || actualQuizData.userId, questionDraws);
+    if (drawsError) {
+      return res.status(400).json(drawsError);
+    }
+
     // Create processing key to prevent concurrent execution
     const processingKey = `${actualQuizData.title.trim()}-${req.user?.id || 'anonymous'}-${Date.now()}`;
 
@@ -1564,6 +1875,14 @@ exports.createQuizFromFrontendData = async (req, res) => {
         description: req.body.description,
         questions: req.body.questions,
         questionPoolSize: req.body.questionPoolSize || null, // Add questionPoolSize support
+        timeLimit: req.body.timeLimit || null,
+        gracePeriodSeconds: req.body.gracePeriodSeconds,
+        lateSubmissionPolicy: req.body.lateSubmissionPolicy,
+        maxAttempts: req.body.maxAttempts || null,
+        attemptCooldownMinutes: req.body.attemptCooldownMinutes,
+        gradingPolicy: req.body.gradingPolicy,
+        passingScore: req.body.passingScore,
+        questionDraws: req.body.questionDraws,
         roleCreated: req.body.roleCreated || "instructor",
         userId: req.body.userId
       };
@@ -1584,7 +1903,7 @@ exports.createQuizFromFrontendData = async (req, res) => {
       });
     }
 
-    if (!Array.isArray(actualQuizData.questions) || actualQuizData.questions.length === 0) {
+    if (!Array.isArray(actualQuizData.questions) || (actualQuizData.questions.length === 0 && !hasQuestionDraws(actualQuizData))) {
       return res.status(400).json({
         success: false,
         message: "Quiz must have at least one question"
@@ -1629,6 +1948,14 @@ exports.createQuizFromFrontendData = async (req, res) => {
           description: actualQuizData.description || "",
           questions: actualQuizData.questions, // Ensure questions are saved
           questionPoolSize: actualQuizData.questionPoolSize || null, // Add questionPoolSize support
+          timeLimit: actualQuizData.timeLimit || null,
+          gracePeriodSeconds: actualQuizData.gracePeriodSeconds,
+          lateSubmissionPolicy: actualQuizData.lateSubmissionPolicy,
+          maxAttempts: actualQuizData.maxAttempts || null,
+          attemptCooldownMinutes: actualQuizData.attemptCooldownMinutes,
+          gradingPolicy: actualQuizData.gradingPolicy,
+          passingScore: actualQuizData.passingScore,
+          questionDraws: actualQuizData.questionDraws || [],
           roleCreated: actualQuizData.roleCreated || "instructor",
           userId: req.user?.id || actualQuizData.userId || null
         });
@@ -1720,6 +2047,149 @@ exports.createQuizFromFrontendData = async (req, res) => {
   }
 };
 
+// Shared loader for the attempt endpoints
+async function loadQuizForAttempt(quizId) {
+  if (!mongoose.Types.ObjectId.isValid(quizId)) {
+    return { status: 400, message: "Invalid Quiz ID format" };
+  }
+  const quiz = await Quiz.findById(quizId);
+  if (!quiz) {
+    return { status: 404, message: "Quiz not found" };
+  }
+  if ((!quiz.questions || quiz.questions.length === 0) && !hasQuestionDraws(quiz)) {
+    return { status: 400, message: "Quiz has no questions" };
+  }
+  return { quiz };
+}
+
+function sendAttemptError(res, error, logLabel) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      data: error.data
+    });
+  }
+  console.error(`Error in ${logLabel}:`, error);
+  res.status(500).json({
+    success: false,
+    message: "Server error",
+    error: error.message
+  });
+}
+
+/**
+ * @desc    Start a quiz attempt (or resume the one in progress). The server records
+ *          the start time and deadline; the countdown uses serverTime/remainingSeconds
+ * @route   POST /api/quiz/:quizId/attempts
+ * @access  Private (Student)
+ */
+exports.startQuizAttempt = async (req, res) => {
+  try {
+    const { quiz, status, message } = await loadQuizForAttempt(req.params.quizId);
+    if (!quiz) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    // Chọn bộ câu hỏi giống lúc xem quiz; chỉ dùng khi tạo lượt mới
+    const questionOrder = applyQuizRandomization(quiz, '[startQuizAttempt]')
+      .questions.map(question => question.originalIndex);
+
+    const { attempt, resumed } = await startQuizAttempt({
+      quiz,
+      userId: req.user.id,
+      questionOrder
+    });
+
+    res.status(resumed ? 200 : 201).json({
+      success: true,
+      message: resumed ? "Quiz attempt resumed" : "Quiz attempt started",
+      data: {
+        attempt: serializeAttempt(attempt),
+        attempts: await getAttemptUsage({ quiz, userId: req.user.id }),
+        quiz: buildAttemptQuizData(quiz, attempt)
+      }
+    });
+  } catch (error) {
+    sendAttemptError(res, error, "startQuizAttempt");
+  }
+};
+
+/**
+ * @desc    Get the attempt in progress with its saved answers (after a page reload)
+ * @route   GET /api/quiz/:quizId/attempts/current
+ * @access  Private (Student)
+ */
+exports.getCurrentQuizAttempt = async (req, res) => {
+  try {
+    const { quiz, status, message } = await loadQuizForAttempt(req.params.quizId);
+    if (!quiz) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const attempt = await findActiveAttempt({ quiz, userId: req.user.id });
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: "No quiz attempt in progress"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        attempt: serializeAttempt(attempt),
+        quiz: buildAttemptQuizData(quiz, attempt)
+      }
+    });
+  } catch (error) {
+    sendAttemptError(res, error, "getCurrentQuizAttempt");
+  }
+};
+
+/**
+ * @desc    Autosave the answers of the attempt in progress
+ * @route   PUT /api/quiz/:quizId/attempts/current/answers
+ * @access  Private (Student)
+ */
+exports.saveQuizAttemptAnswers = async (req, res) => {
+  try {
+    const { answers, essayAnswers } = req.body;
+    if (answers !== undefined && !Array.isArray(answers)) {
+      return res.status(400).json({
+        success: false,
+        message: "Answers must be an array"
+      });
+    }
+    if (essayAnswers !== undefined && !Array.isArray(essayAnswers)) {
+      return res.status(400).json({
+        success: false,
+        message: "Essay answers must be an array"
+      });
+    }
+
+    const { quiz, status, message } = await loadQuizForAttempt(req.params.quizId);
+    if (!quiz) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const attempt = await saveAttemptAnswers({
+      quiz,
+      userId: req.user.id,
+      answers,
+      essayAnswers
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Answers saved",
+      data: serializeAttempt(attempt)
+    });
+  } catch (error) {
+    sendAttemptError(res, error, "saveQuizAttemptAnswers");
+  }
+};
+
 /**
  * @desc    Submit quiz answers and calculate score
  * @route   POST /api/quiz/:quizId/submit
@@ -1755,7 +2225,7 @@ exports.submitQuiz = async (req, res) => {
       });
     }
 
-    if (!quiz.questions || !Array.isArray(quiz.questions) || quiz.questions.length === 0) {
+    if ((!quiz.questions || !Array.isArray(quiz.questions) || quiz.questions.length === 0) && !hasQuestionDraws(quiz)) {
       return res.status(400).json({
         success: false,
         message: "Quiz has no questions",
@@ -1767,227 +2237,54 @@ exports.submitQuiz = async (req, res) => {
       });
     }
 
-    let existingResult = await StudentQuizResult.findOne({
-      userId: userId,
-      quizId: quizId
-    });
-
-    // Determine the actual number of questions the student is answering
-    // This should be based on the answers submitted, not the total questions in the quiz
-    let totalQuestions = answers.length;
-    let correctAnswers = 0;
-    let questionResults = [];
-    
-    // Track essay questions separately
-    const hasEssayQuestions = essayAnswers && Array.isArray(essayAnswers) && essayAnswers.length > 0;
-    let essayQuestionsList = [];
-
-    for (let i = 0; i < answers.length; i++) {
-      const userAnswer = answers[i];
-      const questionIndex = userAnswer.questionIndex; // Index in randomized array (0-19)
-      const originalIndex = userAnswer.originalIndex; // Index in original pool (0-59) - from frontend
-      const selectedAnswers = userAnswer.selectedAnswers || [];
-
-      
-      // Validate originalIndex against the full quiz
-      if (originalIndex === undefined || originalIndex < 0 || originalIndex >= quiz.questions.length) {
-        continue;
-      }
-      
-      // Get the original question from the full quiz using originalIndex from frontend
-      const question = quiz.questions[originalIndex];
-      
-      // Skip essay questions in this loop (they'll be processed separately)
-      if (question.type === 'essay') {
-        continue;
-      }
-
-      // Check if question has answers array
-      if (!question.answers || !Array.isArray(question.answers)) {
-        questionResults.push({
-          questionIndex: questionIndex, // Index in randomized array
-          originalIndex: originalIndex, // Index in original full quiz
-          questionContent: question.content || "No content",
-          userAnswers: selectedAnswers.map(index => ({ index, content: "Invalid answer structure" })),
-          correctAnswers: [],
-          isCorrect: false,
-          error: "Question has no answers array"
-        });
-        continue;
-      }
-      
-      const correctAnswerIndices = question.answers.reduce((indices, answer, index) => {
-        if (answer && answer.isCorrect) indices.push(index);
-        return indices;
-      }, []);
-
-      const isCorrect = 
-        selectedAnswers.length === correctAnswerIndices.length &&
-        selectedAnswers.every(index => correctAnswerIndices.includes(index)) &&
-        correctAnswerIndices.every(index => selectedAnswers.includes(index));
-
-      if (isCorrect) correctAnswers++;
-
-      questionResults.push({
-        questionIndex: questionIndex, // Index in randomized array (for frontend reference)
-        originalIndex: originalIndex, // Index in original full quiz (for backend reference)
-        questionContent: question.content || "No content",
-        userAnswers: selectedAnswers.map(index => ({
-          index: index,
-          content: question.answers && question.answers[index] ? question.answers[index].content : "Invalid answer"
-        })),
-        correctAnswers: correctAnswerIndices.map(index => ({
-          index: index,
-          content: question.answers && question.answers[index] ? question.answers[index].content : "Invalid answer"
-        })),
-        isCorrect: isCorrect
+    // Quiz có giới hạn thời gian bắt buộc phải bắt đầu lượt làm bài để server tính giờ;
+    // quiz rút câu từ ngân hàng cần lượt làm bài để biết câu nào đã được phát
+    const attempt = await findActiveAttempt({ quiz, userId });
+    if (!attempt && (quiz.timeLimit || hasQuestionDraws(quiz))) {
+      return res.status(409).json({
+        success: false,
+        message: quiz.timeLimit
+          ? "No quiz attempt in progress. Start the quiz first; an overdue attempt is submitted automatically."
+          : "No quiz attempt in progress. Start the quiz first to draw its questions."
       });
     }
-    
-    // Process essay questions
-    if (hasEssayQuestions) {
-      for (const essayAnswer of essayAnswers) {
-        const questionIndex = essayAnswer.questionIndex;
-        const originalIndex = essayAnswer.originalIndex;
-        const studentAnswer = essayAnswer.answer || '';
-        
-        if (originalIndex >= 0 && originalIndex < quiz.questions.length) {
-          const question = quiz.questions[originalIndex];
-          
-          if (question.type === 'essay') {
-            essayQuestionsList.push({
-              questionIndex: questionIndex,
-              originalIndex: originalIndex,
-              questionContent: question.content,
-              studentAnswer: studentAnswer,
-              essayGuideline: question.essayGuideline || 'Evaluate based on content accuracy, understanding, completeness, and clarity.',
-              maxScore: question.score || 10
-            });
-            
-            // Add to total questions count
-            totalQuestions++;
-          }
-        }
-      }
-    }
-    
-    // Calculate percentage score (only for multiple choice at this point)
-    const mcQuestions = totalQuestions - essayQuestionsList.length;
-    const scorePercentage = mcQuestions > 0 ? Math.round((correctAnswers / mcQuestions) * 100) : 0;
-    const passed = scorePercentage >= 80; // Will be recalculated after essay grading
-    
-    if (existingResult) {
-      // Update existing result
-      existingResult.score = scorePercentage;
-      existingResult.takenAt = new Date();
-      existingResult.details = {
-        totalQuestions: totalQuestions,
-        correctAnswers: correctAnswers,
-        scorePercentage: scorePercentage,
-        passed: passed,
-        questionResults: questionResults,
-        // Add randomization info
-        isRandomized: quiz.questionPoolSize && quiz.questionPoolSize < quiz.questions.length,
-        totalQuestionsInPool: quiz.questions.length,
-        selectedQuestionsCount: totalQuestions
-      };
-      
-      // Set essay answers and grading status
-      if (hasEssayQuestions) {
-        existingResult.essayAnswers = essayQuestionsList.map(eq => ({
-          questionIndex: eq.questionIndex,
-          questionContent: eq.questionContent,
-          studentAnswer: eq.studentAnswer,
-          maxScore: eq.maxScore
-        }));
-        existingResult.gradingStatus = 'pending'; // Will be graded by AI separately
-        existingResult.maxTotalScore = mcQuestions * 10 + essayQuestionsList.reduce((sum, eq) => sum + eq.maxScore, 0);
-      }
-
-      await existingResult.save();
 
-      const responseMessage = hasEssayQuestions 
-        ? `Quiz submitted successfully. Multiple choice score: ${scorePercentage}%. Essay questions will be graded by AI.`
-        : `Quiz retaken successfully. Score: ${scorePercentage}% ${passed ? '(PASSED)' : '(FAILED - Need 80% to pass)'}`;
-
-      return res.status(200).json({
-        success: true,
-        message: responseMessage,
-        data: {
-          resultId: existingResult._id,
-          quizId: quizId,
-          score: scorePercentage,
-          totalQuestions: totalQuestions,
-          correctAnswers: correctAnswers,
-          passed: passed,
-          passingScore: 80,
-          takenAt: existingResult.takenAt,
-          questionResults: questionResults,
-          hasEssayQuestions: hasEssayQuestions,
-          essayQuestionsCount: essayQuestionsList.length,
-          gradingStatus: hasEssayQuestions ? 'pending' : 'completed'
-        }
-      });
+    let grading;
+    let closedAttempt = null;
+    if (attempt) {
+      ({ attempt: closedAttempt, grading } = await submitQuizAttempt({
+        quiz,
+        attempt,
+        answers,
+        essayAnswers
+      }));
     } else {
-      // Save new result
-      const quizResult = new StudentQuizResult({
-        userId: userId,
-        quizId: quizId,
-        score: scorePercentage,
-        takenAt: new Date(),
-        details: {
-          totalQuestions: totalQuestions,
-          correctAnswers: correctAnswers,
-          scorePercentage: scorePercentage,
-          passed: passed,
-          questionResults: questionResults,
-          // Add randomization info
-          isRandomized: quiz.questionPoolSize && quiz.questionPoolSize < quiz.questions.length,
-          totalQuestionsInPool: quiz.questions.length,
-          selectedQuestionsCount: totalQuestions
-        }
-      });
-      
-      // Set essay answers and grading status
-      if (hasEssayQuestions) {
-        quizResult.essayAnswers = essayQuestionsList.map(eq => ({
-          questionIndex: eq.questionIndex,
-          questionContent: eq.questionContent,
-          studentAnswer: eq.studentAnswer,
-          maxScore: eq.maxScore
-        }));
-        quizResult.gradingStatus = 'pending'; // Will be graded by AI separately
-        quizResult.maxTotalScore = mcQuestions * 10 + essayQuestionsList.reduce((sum, eq) => sum + eq.maxScore, 0);
-      } else {
-        quizResult.gradingStatus = 'completed';
-      }
-
-      const savedResult = await quizResult.save();
-
-      const responseMessage = hasEssayQuestions 
-        ? `Quiz submitted successfully. Multiple choice score: ${scorePercentage}%. Essay questions will be graded by AI.`
-        : `Quiz submitted successfully. Score: ${scorePercentage}% ${passed ? '(PASSED)' : '(FAILED - Need 80% to pass)'}`;
+      // Nộp trực tiếp không qua attempt vẫn tính là một lượt
+      await assertCanStartAttempt({ quiz, userId });
+      grading = await gradeAndCompleteLesson({ quiz, userId, answers, essayAnswers });
+    }
 
-      res.status(201).json({
-        success: true,
-        message: responseMessage,
-        data: {
-          resultId: savedResult._id,
-          quizId: quizId,
-          score: scorePercentage,
-          totalQuestions: totalQuestions,
-          correctAnswers: correctAnswers,
-          passed: passed,
-          passingScore: 80,
-          takenAt: savedResult.takenAt,
-          questionResults: questionResults,
-          hasEssayQuestions: hasEssayQuestions,
-          essayQuestionsCount: essayQuestionsList.length,
-          gradingStatus: savedResult.gradingStatus
-        }
+    const autoSubmitted = closedAttempt?.status === "auto_submitted";
+    res.status(grading.isNew ? 201 : 200).json({
+      success: true,
+      message: autoSubmitted
+        ? `Time limit exceeded. Your saved answers were submitted automatically. ${grading.message}`
+        : grading.message,
+      data: {
+        ...grading.data,
+        attemptId: closedAttempt?._id,
+        autoSubmitted,
+        attempts: await getAttemptUsage({ quiz, userId, result: grading.result })
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        data: error.data
       });
     }
-  } catch (error) {
     res.status(500).json({
       success: false,
       message: "An error occurred while submitting the quiz",
@@ -2018,7 +2315,7 @@ exports.getQuizResult = async (req, res) => {
     const result = await StudentQuizResult.findOne({
       userId: userId,
       quizId: quizId
-    }).populate('quizId', 'title description')
+    }).populate('quizId', 'title description maxAttempts attemptCooldownMinutes gradingPolicy passingScore')
       .populate('userId', 'firstName lastName');
     
     if (!result) {
@@ -2027,6 +2324,11 @@ exports.getQuizResult = async (req, res) => {
         message: "Quiz result not found. You haven't submitted this quiz yet."
       });
     }
+
+    const attempts = result.quizId
+      ? await getAttemptUsage({ quiz: result.quizId, userId, result })
+      : null;
+    const passingScore = getPassingScore(result.quizId || {});
     
     res.status(200).json({
       success: true,
@@ -2035,9 +2337,14 @@ exports.getQuizResult = async (req, res) => {
         quiz: result.quizId,
         user: result.userId,
         score: result.score,
-        passed: result.score >= 80,
-        passingScore: 80,
+        passed: result.score >= passingScore,
+        passingScore,
         takenAt: result.takenAt,
+        latestScore: result.latestScore ?? result.score,
+        attempts: attempts && {
+          ...attempts,
+          history: getScoreHistory(result)
+        },
         details: result.details
       }
     });
@@ -2076,7 +2383,7 @@ exports.getMyQuizHistory = async (req, res) => {
     const results = await StudentQuizResult.find(query)
       .populate({
         path: 'quizId',
-        select: 'title description courseId',
+        select: 'title description courseId maxAttempts attemptCooldownMinutes gradingPolicy passingScore',
         populate: {
           path: 'courseId',
           select: 'title'
@@ -2089,8 +2396,15 @@ exports.getMyQuizHistory = async (req, res) => {
     // Get total count for pagination
     const total = await StudentQuizResult.countDocuments(query);
     
+    // Attempt usage per quiz (attempts used/remaining, cooldown)
+    const attemptUsages = await Promise.all(
+      results.map(result =>
+        result.quizId ? getAttemptUsage({ quiz: result.quizId, userId, result }) : null
+      )
+    );
+
     // Format results
-    const formattedResults = results.map(result => ({
+    const formattedResults = results.map((result, index) => ({
       resultId: result._id,
       quiz: {
         id: result.quizId._id,
@@ -2102,8 +2416,10 @@ exports.getMyQuizHistory = async (req, res) => {
         } : null
       },
       score: result.score,
-      passed: result.score >= 80,
+      passed: result.score >= getPassingScore(result.quizId),
+      passingScore: getPassingScore(result.quizId),
       takenAt: result.takenAt,
+      attempts: attemptUsages[index],
       summary: result.details ? {
         totalQuestions: result.details.totalQuestions,
         correctAnswers: result.details.correctAnswers
@@ -0,0 +1,141 @@
+const mongoose = require("mongoose");
+const multer = require("multer");
+const Quiz = require("../models/QuizModel");
+const Course = require("../models/courseModel");
+const { importQuizFile, exportQuiz } = require("../services/quizFormatService");
+
+// File câu hỏi nhỏ, đọc thẳng vào bộ nhớ thay vì lưu tạm ra đĩa
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+});
+
+const sendQuizFormatError = (res, error, logLabel) => {
+  if (error.statusCode) {
+    return res
+      .status(error.statusCode)
+      .json({ success: false, message: error.message });
+  }
+  console.error(`Error in ${logLabel}:`, error);
+  res.status(500).json({
+    success: false,
+    message: "Server error",
+    error: error.message,
+  });
+};
+
+/**
+ * @desc    Parse a GIFT, Aiken or QTI 2.1 file and return quiz data (does not save to database).
+ *          Questions that cannot be imported are listed in errors with their position in the file
+ * @route   POST /api/quiz/import  (multipart: quizFile, format?, title?, description?, courseId?)
+ * @access  Private (Instructor, Admin)
+ */
+exports.importQuiz = [
+  upload.single("quizFile"),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: "No quiz file uploaded (field quizFile)",
+        });
+      }
+
+      const { format, title, description, courseId } = req.body;
+      if (courseId && !mongoose.Types.ObjectId.isValid(courseId)) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid Course ID format" });
+      }
+
+      const imported = await importQuizFile({
+        buffer: req.file.buffer,
+        filename: req.file.originalname,
+        format,
+      });
+
+      if (imported.questions.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "No question could be imported from the file",
+          data: { format: imported.format, errors: imported.errors },
+        });
+      }
+
+      const quizTitle =
+        (title && title.trim()) ||
+        imported.title ||
+        req.file.originalname.replace(/\.[^.]+$/, "");
+
+      res.status(200).json({
+        success: true,
+        message: `Parsed ${imported.questions.length} questions${
+          imported.errors.length
+            ? `, ${imported.errors.length} could not be imported`
+            : ""
+        } (not saved to database yet)`,
+        data: {
+          format: imported.format,
+          quizData: {
+            title: quizTitle,
+            description: description || "",
+            questions: imported.questions,
+            roleCreated: "instructor",
+            userId: req.user._id,
+            courseId: courseId || null,
+          },
+          questionsCount: imported.questions.length,
+          errors: imported.errors,
+        },
+      });
+    } catch (error) {
+      sendQuizFormatError(res, error, "importQuiz");
+    }
+  },
+];
+
+/**
+ * @desc    Export a quiz as GIFT, Aiken, QTI 2.1 (zip), JSON or CSV.
+ *          Question numbers the format cannot represent are listed in X-Quiz-Skipped-Questions
+ * @route   GET /api/quiz/:quizId/export?format=gift|aiken|qti|json|csv
+ * @access  Private (Quiz owner, course owner, Admin)
+ */
+exports.exportQuiz = async (req, res) => {
+  try {
+    const quiz = mongoose.Types.ObjectId.isValid(req.params.quizId)
+      ? await Quiz.findById(req.params.quizId)
+      : null;
+    if (!quiz) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Quiz not found" });
+    }
+
+    const userId = req.user._id.toString();
+    let allowed =
+      req.user.role === "admin" || quiz.userId?.toString() === userId;
+    if (!allowed && quiz.courseId) {
+      const course = await Course.findById(quiz.courseId).select("createdBy");
+      allowed = course?.createdBy?.toString() === userId;
+    }
+    if (!allowed) {
+      return res.status(403).json({ success: false, message: "Access denied" });
+    }
+
+    const exported = await exportQuiz(quiz, req.query.format || "json");
+
+    res.setHeader("Content-Type", exported.contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${exported.filename}"`
+    );
+    res.setHeader("X-Quiz-Skipped-Questions", exported.skipped.join(","));
+    res.setHeader(
+      "Access-Control-Expose-Headers",
+      "Content-Disposition, X-Quiz-Skipped-Questions"
+    );
+    res.send(exported.content);
+  } catch (error) {
+    sendQuizFormatError(res, error, "exportQuiz");
+  }
+};
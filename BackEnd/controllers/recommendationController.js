@@ -5,6 +5,10 @@ const axios = require("axios");
 const User = require("../models/userModel");
 const Course = require("../models/courseModel");
 const Enrollment = require("../models/enrollmentModel");
+const {
+  buildPrerequisiteClosure,
+  sortByPrerequisites,
+} = require("../services/coursePrerequisiteService");
 
 // OpenRouter configuration (Priority 1 - same as chatbox AI)
 const OPENROUTER_API_KEY = process.env.QUIZAI_API_KEY;
@@ -120,7 +124,7 @@ exports.generateLearningPath = async (req, res) => {
     const courses = await Course.find({ status: "active" })
       .populate("categoryIds", "name")
       .select(
-        "title subTitle detail level duration price categoryIds rating language"
+        "title subTitle detail level duration price categoryIds rating language prerequisites"
       )
       .lean();
 
@@ -1056,6 +1060,7 @@ function generatePathTitle(preferences) {
  * 1. Course level progression (beginner → intermediate → advanced)
  * 2. Timeline and weekly study hours from survey
  * 3. Logical skill progression
+ * 4. Course prerequisites: a course never comes before its prerequisite courses
  */
 function organizeIntoPhases(recommendations, allCourses, preferences) {
   if (!recommendations || recommendations.length === 0) {
@@ -1098,7 +1103,7 @@ function organizeIntoPhases(recommendations, allCourses, preferences) {
   };
 
   // Create phases with progressive difficulty
-  const phases = [];
+  let phaseGroups = [];
   const coursesPerPhase = Math.ceil(sortedRecs.length / phaseCount);
 
   // Distribute courses across phases, prioritizing level progression
@@ -1223,6 +1228,16 @@ function organizeIntoPhases(recommendations, allCourses, preferences) {
 
     if (phaseCourses.length === 0) break;
 
+    phaseGroups.push(phaseCourses);
+  }
+
+  phaseGroups = applyPrerequisiteOrder(phaseGroups, allCourses);
+
+  const phases = [];
+  for (let i = 0; i < phaseGroups.length; i++) {
+    const phaseNum = i + 1;
+    const phaseCourses = phaseGroups[i];
+
     // Calculate phase duration
     const totalPhaseHours = phaseCourses.reduce(
       (sum, rec) => sum + (rec.estimatedHours || 0),
@@ -1261,7 +1276,7 @@ function organizeIntoPhases(recommendations, allCourses, preferences) {
       // Store phase info for AI generation (temporary, will be used by generatePhaseRationales)
       _tempPhaseInfo: {
         phaseNum,
-        totalPhases: phaseCount,
+        totalPhases: phaseGroups.length,
         primaryLevel: phaseCourses[0]?.course?.level || "beginner",
         courseCount: phaseCourses.length,
       },
@@ -1271,6 +1286,42 @@ function organizeIntoPhases(recommendations, allCourses, preferences) {
   return phases;
 }
 
+/**
+ * Move courses so that prerequisites come first:
+ * a course is placed no earlier than the phase of its prerequisite courses,
+ * and within a phase prerequisites are ordered before the courses that need them.
+ * Courses outside the path still count as links (A -> X -> B keeps A before B).
+ */
+function applyPrerequisiteOrder(phaseGroups, allCourses) {
+  const closure = buildPrerequisiteClosure(allCourses);
+  const recs = phaseGroups.flat();
+  const recById = new Map(recs.map((rec) => [rec.courseId.toString(), rec]));
+  const phaseIndex = new Map();
+  phaseGroups.forEach((group, i) =>
+    group.forEach((rec) => phaseIndex.set(rec.courseId.toString(), i))
+  );
+
+  // Prerequisites first, so each course sees the final phase of its prerequisites
+  const orderedIds = sortByPrerequisites([...recById.keys()], closure);
+  orderedIds.forEach((id) => {
+    (closure.get(id) || new Set()).forEach((prerequisiteId) => {
+      if (!phaseIndex.has(prerequisiteId)) return;
+      phaseIndex.set(
+        id,
+        Math.max(phaseIndex.get(id), phaseIndex.get(prerequisiteId))
+      );
+    });
+  });
+
+  return phaseGroups
+    .map((_, i) =>
+      orderedIds
+        .filter((id) => phaseIndex.get(id) === i)
+        .map((id) => recById.get(id))
+    )
+    .filter((group) => group.length > 0);
+}
+
 /**
  * Calculate optimal number of phases based on timeline and course count
  */
@@ -0,0 +1,581 @@
+const mongoose = require("mongoose");
+const SubscriptionPlan = require("../models/subscriptionPlanModel");
+const Subscription = require("../models/subscriptionModel");
+const SubscriptionPoolPayout = require("../models/subscriptionPoolPayoutModel");
+const Enrollment = require("../models/enrollmentModel");
+const Course = require("../models/courseModel");
+const {
+  isSubscriptionUsable,
+  findUsableSubscriptionForCourse,
+  distributeSubscriptionPool,
+} = require("../services/subscriptionService");
+const { createPayOsCheckout } = require("../services/payosCheckoutService");
+const {
+  assertEnrollmentPrerequisites,
+} = require("../services/coursePrerequisiteService");
+
+const PLAN_FIELDS = [
+  "name",
+  "description",
+  "tier",
+  "interval",
+  "price",
+  "gracePeriodDays",
+  "status",
+];
+
+/**
+ * Helper tạo link thanh toán PayOS cho một kỳ của gói.
+ * Kỳ sử dụng chỉ được gia hạn khi webhook xác nhận thanh toán.
+ */
+const createSubscriptionPaymentLink = async (user, subscription, plan) => {
+  const { orderCode, checkoutUrl, qrData } = await createPayOsCheckout({
+    user,
+    amount: plan.price,
+    description: `FLearning ${plan.name}`,
+    paymentFields: {
+      subscriptionId: subscription._id,
+      subscriptionPlanId: plan._id,
+    },
+  });
+  return { orderCode, checkoutUrl, qrData };
+};
+
+/**
+ * @desc    Get active subscription plans
+ * @route   GET /api/subscriptions/plans
+ * @access  Public
+ */
+exports.getActivePlans = async (req, res) => {
+  try {
+    const plans = await SubscriptionPlan.find({ status: "active" }).sort({
+      tier: 1,
+      price: 1,
+    });
+
+    const data = await Promise.all(
+      plans.map(async (plan) => ({
+        ...plan.toObject(),
+        courseCount: await Course.countDocuments({
+          subscriptionTiers: plan.tier,
+          status: "active",
+        }),
+      }))
+    );
+
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    console.error("Error in getActivePlans:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get courses included in a subscription plan
+ * @route   GET /api/subscriptions/plans/:planId/courses
+ * @access  Public
+ */
+exports.getPlanCourses = async (req, res) => {
+  try {
+    const plan = await SubscriptionPlan.findById(req.params.planId);
+    if (!plan) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Subscription plan not found" });
+    }
+
+    const courses = await Course.find({
+      subscriptionTiers: plan.tier,
+      status: "active",
+    }).select("title subTitle thumbnail price level rating");
+
+    res.status(200).json({ success: true, data: courses });
+  } catch (error) {
+    console.error("Error in getPlanCourses:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get the current user's subscriptions
+ * @route   GET /api/subscriptions/me
+ * @access  Private
+ */
+exports.getMySubscriptions = async (req, res) => {
+  try {
+    const subscriptions = await Subscription.find({ userId: req.user._id })
+      .populate("planId", "name tier interval price gracePeriodDays")
+      .sort({ createdAt: -1 });
+
+    const data = subscriptions.map((sub) => ({
+      ...sub.toObject(),
+      hasAccess: isSubscriptionUsable(sub),
+    }));
+
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    console.error("Error in getMySubscriptions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Subscribe to a plan (creates a PayOS payment link for the first period)
+ * @route   POST /api/subscriptions
+ * @access  Private
+ */
+exports.subscribe = async (req, res) => {
+  try {
+    const { planId } = req.body;
+    if (!planId || !mongoose.Types.ObjectId.isValid(planId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Valid planId is required" });
+    }
+
+    const plan = await SubscriptionPlan.findOne({
+      _id: planId,
+      status: "active",
+    });
+    if (!plan) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Subscription plan not found" });
+    }
+
+    const existing = await Subscription.find({
+      userId: req.user._id,
+      planId,
+    }).sort({ createdAt: -1 });
+    if (existing.some((sub) => isSubscriptionUsable(sub))) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "You already have an active subscription to this plan. Renew it instead.",
+      });
+    }
+
+    // Dùng lại bản ghi chưa thanh toán hoặc đã hết hạn thay vì tạo mới
+    let subscription = existing.find((sub) =>
+      ["pending", "expired"].includes(sub.status)
+    );
+    if (!subscription) {
+      subscription = await Subscription.create({
+        userId: req.user._id,
+        planId,
+      });
+    }
+
+    const link = await createSubscriptionPaymentLink(
+      req.user,
+      subscription,
+      plan
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Tạo link thanh toán thành công",
+      subscriptionId: subscription._id,
+      ...link,
+    });
+  } catch (error) {
+    console.error("Error in subscribe:", error);
+    res.status(500).json({
+      success: false,
+      message: "Không thể tạo link thanh toán.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Renew a subscription for the next period (new PayOS payment link)
+ * @route   POST /api/subscriptions/:subscriptionId/renew
+ * @access  Private (Owner)
+ */
+exports.renewSubscription = async (req, res) => {
+  try {
+    const subscription = await Subscription.findOne({
+      _id: req.params.subscriptionId,
+      userId: req.user._id,
+    });
+    if (!subscription) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Subscription not found" });
+    }
+
+    const plan = await SubscriptionPlan.findOne({
+      _id: subscription.planId,
+      status: "active",
+    });
+    if (!plan) {
+      return res.status(400).json({
+        success: false,
+        message: "This subscription plan is no longer available",
+      });
+    }
+
+    const link = await createSubscriptionPaymentLink(
+      req.user,
+      subscription,
+      plan
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Tạo link thanh toán thành công",
+      subscriptionId: subscription._id,
+      ...link,
+    });
+  } catch (error) {
+    console.error("Error in renewSubscription:", error);
+    res.status(500).json({
+      success: false,
+      message: "Không thể tạo link thanh toán.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Cancel a subscription (access continues until the current period ends)
+ * @route   PUT /api/subscriptions/:subscriptionId/cancel
+ * @access  Private (Owner)
+ */
+exports.cancelSubscription = async (req, res) => {
+  try {
+    const subscription = await Subscription.findOne({
+      _id: req.params.subscriptionId,
+      userId: req.user._id,
+    });
+    if (!subscription) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Subscription not found" });
+    }
+    if (!["active", "past_due"].includes(subscription.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot cancel a subscription with status "${subscription.status}"`,
+      });
+    }
+
+    subscription.status = "cancelled";
+    subscription.cancelledAt = new Date();
+    await subscription.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Subscription cancelled",
+      data: subscription,
+    });
+  } catch (error) {
+    console.error("Error in cancelSubscription:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Start learning a course included in the user's subscription.
+ *          Refused (403) when a blocking prerequisite course is not completed
+ * @route   POST /api/subscriptions/courses/:courseId/enroll
+ * @access  Private
+ */
+exports.enrollWithSubscription = async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(courseId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid course ID" });
+    }
+
+    const course = await Course.findOne({
+      _id: courseId,
+      status: "active",
+    }).select("subscriptionTiers");
+    if (!course) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Course not found" });
+    }
+
+    const subscription = await findUsableSubscriptionForCourse(
+      req.user._id,
+      course
+    );
+    if (!subscription) {
+      return res.status(403).json({
+        success: false,
+        message: "This course is not included in any active subscription",
+      });
+    }
+
+    let enrollment = await Enrollment.findOne({
+      userId: req.user._id,
+      courseId,
+    });
+
+    if (
+      enrollment &&
+      ["enrolled", "completed"].includes(enrollment.status) &&
+      !enrollment.subscriptionId
+    ) {
+      return res
+        .status(409)
+        .json({ success: false, message: "You already own this course" });
+    }
+
+    // Học viên đang học qua gói đăng ký thì không xét lại khóa tiên quyết
+    const alreadyLearning =
+      enrollment && ["enrolled", "completed"].includes(enrollment.status);
+    const prerequisiteWarnings = alreadyLearning
+      ? []
+      : await assertEnrollmentPrerequisites({
+          userId: req.user._id,
+          courseIds: [courseId],
+        });
+
+    if (!enrollment) {
+      enrollment = new Enrollment({ userId: req.user._id, courseId });
+    }
+    if (enrollment.status !== "completed") enrollment.status = "enrolled";
+    enrollment.subscriptionId = subscription._id;
+    await enrollment.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Enrolled via subscription",
+      data: enrollment,
+      prerequisiteWarnings,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        missingPrerequisites: error.missingPrerequisites,
+      });
+    }
+    console.error("Error in enrollWithSubscription:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get all subscription plans
+ * @route   GET /api/admin/subscription-plans
+ * @access  Private (Admin only)
+ */
+exports.getPlans = async (req, res) => {
+  try {
+    const plans = await SubscriptionPlan.find().sort({ createdAt: -1 });
+    res.status(200).json({ success: true, data: plans });
+  } catch (error) {
+    console.error("Error in getPlans:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Create a subscription plan
+ * @route   POST /api/admin/subscription-plans
+ * @access  Private (Admin only)
+ */
+exports.createPlan = async (req, res) => {
+  try {
+    const data = {};
+    PLAN_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const plan = await SubscriptionPlan.create({
+      ...data,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Subscription plan created successfully",
+      data: plan,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error("Error in createPlan:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Update a subscription plan (price changes apply from the next renewal)
+ * @route   PUT /api/admin/subscription-plans/:planId
+ * @access  Private (Admin only)
+ */
+exports.updatePlan = async (req, res) => {
+  try {
+    const plan = await SubscriptionPlan.findById(req.params.planId);
+    if (!plan) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Subscription plan not found" });
+    }
+
+    PLAN_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) plan[field] = req.body[field];
+    });
+    await plan.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Subscription plan updated successfully",
+      data: plan,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error("Error in updatePlan:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete a subscription plan (only when it has never been subscribed)
+ * @route   DELETE /api/admin/subscription-plans/:planId
+ * @access  Private (Admin only)
+ */
+exports.deletePlan = async (req, res) => {
+  try {
+    const inUse = await Subscription.exists({ planId: req.params.planId });
+    if (inUse) {
+      return res.status(400).json({
+        success: false,
+        message: "Plan has subscriptions. Set status to inactive instead.",
+      });
+    }
+
+    const plan = await SubscriptionPlan.findByIdAndDelete(req.params.planId);
+    if (!plan) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Subscription plan not found" });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Subscription plan deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error in deletePlan:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get subscription revenue pool payouts
+ * @route   GET /api/admin/subscription-pool
+ * @access  Private (Admin only)
+ */
+exports.getPoolPayouts = async (req, res) => {
+  try {
+    const payouts = await SubscriptionPoolPayout.find()
+      .populate("allocations.instructorId", "firstName lastName email")
+      .sort({ periodStart: -1 });
+
+    res.status(200).json({ success: true, data: payouts });
+  } catch (error) {
+    console.error("Error in getPoolPayouts:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Distribute the subscription revenue pool of a period to instructors
+ * @route   POST /api/admin/subscription-pool/distribute
+ * @access  Private (Admin only)
+ */
+exports.distributePool = async (req, res) => {
+  try {
+    const { periodStart, periodEnd, metric = "completions" } = req.body;
+    if (!periodStart || !periodEnd) {
+      return res.status(400).json({
+        success: false,
+        message: "periodStart and periodEnd are required",
+      });
+    }
+    if (!["completions", "watch_time"].includes(metric)) {
+      return res.status(400).json({
+        success: false,
+        message: 'metric must be "completions" or "watch_time"',
+      });
+    }
+
+    const payout = await distributeSubscriptionPool({
+      periodStart: new Date(periodStart),
+      periodEnd: new Date(periodEnd),
+      metric,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Subscription pool distributed successfully",
+      data: payout,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error in distributePool:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,139 @@
+const mongoose = require("mongoose");
+const WebhookEvent = require("../models/webhookEventModel");
+const { replayWebhookEvent } = require("../services/webhookEventService");
+
+const EVENT_STATUSES = [
+  "processing",
+  "processed",
+  "ignored",
+  "failed",
+  "rejected",
+];
+
+/**
+ * @desc    List received webhook events (newest first)
+ * @route   GET /api/admin/webhook-events?status=failed&orderCode=123&page=1&limit=20
+ * @access  Private (Admin)
+ */
+exports.getWebhookEvents = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const filter = {};
+    if (req.query.status) {
+      if (!EVENT_STATUSES.includes(req.query.status)) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid status" });
+      }
+      filter.status = req.query.status;
+    }
+    if (req.query.orderCode) {
+      const orderCode = Number(req.query.orderCode);
+      if (!Number.isFinite(orderCode)) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid orderCode" });
+      }
+      filter.orderCode = orderCode;
+    }
+
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(filter)
+        .select("-payload -replays")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookEvent.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: events,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        total,
+      },
+    });
+  } catch (error) {
+    console.error("Error in getWebhookEvents:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get a webhook event with its payload and replay history
+ * @route   GET /api/admin/webhook-events/:eventId
+ * @access  Private (Admin)
+ */
+exports.getWebhookEventById = async (req, res) => {
+  try {
+    const event = mongoose.Types.ObjectId.isValid(req.params.eventId)
+      ? await WebhookEvent.findById(req.params.eventId).populate(
+          "replays.replayedBy",
+          "firstName lastName email"
+        )
+      : null;
+    if (!event) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Webhook event not found" });
+    }
+
+    res.status(200).json({ success: true, data: event });
+  } catch (error) {
+    console.error("Error in getWebhookEventById:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Replay a failed webhook event
+ * @route   POST /api/admin/webhook-events/:eventId/replay
+ * @access  Private (Admin)
+ */
+exports.replayWebhookEvent = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.eventId)) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Webhook event not found" });
+    }
+
+    const event = await replayWebhookEvent(req.params.eventId, {
+      user: req.user,
+      io: req.app.get("io"),
+    });
+
+    res.status(200).json({
+      success: event.status !== "failed",
+      message:
+        event.status === "failed"
+          ? "Replay failed, see lastError"
+          : "Webhook event replayed",
+      data: event,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error in replayWebhookEvent:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
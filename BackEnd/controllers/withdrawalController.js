@@ -1,6 +1,12 @@
 const WithdrawalRequest = require("../models/withdrawRequestModel");
 const User = require("../models/userModel"); // Đảm bảo đường dẫn này đúng
 const mongoose = require("mongoose");
+const {
+  recordWithdrawalHold,
+  recordWithdrawalRelease,
+  recordWithdrawalPayout,
+  syncInstructorBalance,
+} = require("../services/ledgerService");
 
 /**
  * Helper để xử lý Decimal128 an toàn
@@ -54,8 +60,8 @@ exports.createWithdrawalRequest = async (req, res) => {
       });
     }
 
-    // 3. Kiểm tra số dư
-    const currentBalance = toFloat(instructor.moneyLeft);
+    // 3. Kiểm tra số dư (tính từ sổ cái)
+    const currentBalance = await syncInstructorBalance(instructorId, session);
     if (currentBalance < requestedAmount) {
       await session.abortTransaction();
       return res.status(400).json({ message: "Số dư không đủ." });
@@ -74,12 +80,7 @@ exports.createWithdrawalRequest = async (req, res) => {
       });
     }
 
-    // 5. TRỪ TIỀN (Hold tiền)
-    const newBalance = currentBalance - requestedAmount;
-    instructor.moneyLeft = toDecimal(newBalance);
-    await instructor.save({ session });
-
-    // 6. TẠO REQUEST
+    // 5. TẠO REQUEST
     const newRequest = new WithdrawalRequest({
       instructorId: instructorId,
       amount: toDecimal(requestedAmount),
@@ -88,6 +89,17 @@ exports.createWithdrawalRequest = async (req, res) => {
     });
     await newRequest.save({ session });
 
+    // 6. TRỪ TIỀN (Hold tiền) qua sổ cái
+    await recordWithdrawalHold(
+      {
+        instructorId,
+        withdrawalRequestId: newRequest._id,
+        amount: requestedAmount,
+      },
+      session
+    );
+    await syncInstructorBalance(instructorId, session);
+
     // 7. Hoàn tất
     await session.commitTransaction();
 
@@ -147,14 +159,16 @@ exports.updateWithdrawalStatus = async (req, res) => {
         });
       }
 
-      // 4. HOÀN TIỀN lại cho instructor
-      const instructor = await User.findById(user._id).session(session);
-      const currentBalance = toFloat(instructor.moneyLeft);
-      const requestAmount = toFloat(request.amount);
-      const newBalance = currentBalance + requestAmount;
-
-      instructor.moneyLeft = toDecimal(newBalance);
-      await instructor.save({ session });
+      // 4. HOÀN TIỀN lại cho instructor (giải phóng tiền tạm giữ)
+      await recordWithdrawalRelease(
+        {
+          instructorId: user._id,
+          withdrawalRequestId: request._id,
+          amount: toFloat(request.amount),
+        },
+        session
+      );
+      await syncInstructorBalance(user._id, session);
 
       request.status = "cancelled";
       await request.save({ session });
@@ -187,21 +201,33 @@ exports.updateWithdrawalStatus = async (req, res) => {
         }
 
         // HOÀN TIỀN (cho instructor của request)
-        const instructor = await User.findById(request.instructorId).session(
+        await recordWithdrawalRelease(
+          {
+            instructorId: request.instructorId,
+            withdrawalRequestId: request._id,
+            amount: toFloat(request.amount),
+          },
           session
         );
-        const currentBalance = toFloat(instructor.moneyLeft);
-        const requestAmount = toFloat(request.amount);
-        const newBalance = currentBalance + requestAmount;
-
-        instructor.moneyLeft = toDecimal(newBalance);
-        await instructor.save({ session });
+        await syncInstructorBalance(request.instructorId, session);
 
         request.adminNotes = adminNotes;
       }
 
-      // 4. Cập nhật trạng thái và người xử lý
-      // (Nếu là "approved", tiền đã bị trừ lúc tạo nên không cần làm gì thêm)
+      // 4. Nếu Admin DUYỆT -> ghi nhận chi tiền từ khoản tạm giữ
+      // (Số dư moneyLeft đã bị trừ lúc tạo nên không thay đổi)
+      if (status === "approved") {
+        await recordWithdrawalPayout(
+          {
+            instructorId: request.instructorId,
+            withdrawalRequestId: request._id,
+            amount: toFloat(request.amount),
+          },
+          session
+        );
+      }
+
+      // 5. Cập nhật trạng thái và người xử lý
       request.status = status;
       request.processedBy = user._id; // Lưu lại admin nào đã xử lý
       if (adminNotes) request.adminNotes = adminNotes;
@@ -209,7 +235,7 @@ exports.updateWithdrawalStatus = async (req, res) => {
       await request.save({ session });
     }
 
-    // 5. Hoàn tất
+    // 6. Hoàn tất
     await session.commitTransaction();
     res.status(200).json(request);
   } catch (error) {
@@ -43,4 +43,23 @@ const authorize = (...roles) => {
     };
 };
 
+/**
+ * Xác thực không bắt buộc: có token hợp lệ thì gắn req.user, không có hoặc token lỗi thì đi tiếp như khách.
+ * Dùng cho API công khai nhưng trả thêm dữ liệu theo người dùng (vd: trạng thái khóa bài học).
+ */
+authorize.optional = () => {
+    return async (req, res, next) => {
+        if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+            try {
+                const token = req.headers.authorization.split(' ')[1];
+                const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+                req.user = await User.findById(decoded.id).select('-password');
+            } catch (error) {
+                req.user = undefined;
+            }
+        }
+        next();
+    };
+};
+
 module.exports = authorize;
\ No newline at end of file
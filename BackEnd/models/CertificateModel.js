@@ -6,6 +6,18 @@ const CertificateSchema = new Schema(
     userId: { type: Types.ObjectId, ref: "User", required: true },
     courseId: { type: Types.ObjectId, ref: "Course", required: true },
     certificateUrl: { type: String },
+    // Bản PDF để in (A4 ngang)
+    pdfUrl: { type: String },
+    // Dữ liệu in trên chứng chỉ tại thời điểm cấp
+    courseDuration: { type: String },
+    // Điểm tổng kết (%), null nếu khóa học không có quiz
+    finalGrade: { type: Number },
+    // Mã xác thực công khai (in trên chứng chỉ và trong QR code), không đoán được
+    credentialId: { type: String, unique: true, sparse: true },
+    // Thu hồi bởi admin: chứng chỉ vẫn tra cứu được nhưng không còn hiệu lực
+    revokedAt: { type: Date },
+    revokedBy: { type: Types.ObjectId, ref: "User" },
+    revocationReason: { type: String },
   },
   { timestamps: true, collection: "certificates" }
 );
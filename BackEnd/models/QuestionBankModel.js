@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+const { Schema, Types } = mongoose;
+const Quiz = require("./QuizModel");
+
+/**
+ * Ngân hàng câu hỏi riêng của từng giảng viên. Câu hỏi có cùng cấu trúc với câu hỏi trong quiz
+ * (xem QuizQuestionSchema) và được gắn tag, độ khó, chủ đề để quiz rút ngẫu nhiên (questionDraws).
+ */
+const QuestionBankQuestionSchema = new Schema(
+  {
+    ownerId: { type: Types.ObjectId, ref: "User", required: true },
+    // Lưu chữ thường để lọc không phân biệt hoa thường
+    tags: [{ type: String, trim: true, lowercase: true }],
+    difficulty: {
+      type: String,
+      enum: ["easy", "medium", "hard"],
+      default: "medium",
+    },
+    topic: { type: String, trim: true },
+  },
+  { timestamps: true, collection: "question_bank_questions" }
+);
+
+// Dùng chung định nghĩa câu hỏi của quiz (type, answers, acceptedAnswers, matchingPairs...).
+// Thêm theo obj để không kế thừa option _id: false của schema câu hỏi.
+QuestionBankQuestionSchema.add(Quiz.schema.path("questions").schema.obj);
+
+QuestionBankQuestionSchema.index({ ownerId: 1, difficulty: 1, tags: 1 });
+QuestionBankQuestionSchema.index({ ownerId: 1, topic: 1 });
+
+module.exports = mongoose.model(
+  "QuestionBankQuestion",
+  QuestionBankQuestionSchema
+);
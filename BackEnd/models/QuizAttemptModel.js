@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+const { Schema, Types } = mongoose;
+
+/**
+ * Lượt làm bài quiz được ghi nhận phía server: thời điểm bắt đầu, hạn chót,
+ * bộ câu hỏi đã phát và đáp án autosave để học viên tải lại trang không mất bài.
+ */
+const QuizAttemptSchema = new Schema(
+  {
+    userId: { type: Types.ObjectId, ref: "User", required: true },
+    quizId: { type: Types.ObjectId, ref: "Quiz", required: true },
+    // grading: đã chốt nhưng chưa chấm xong (lỗi khi chấm thì job tự nộp bài chấm lại),
+    // chấm xong chuyển sang closingStatus
+    status: {
+      type: String,
+      enum: [
+        "in_progress",
+        "grading",
+        "submitted",
+        "auto_submitted",
+        "expired",
+      ],
+      default: "in_progress",
+    },
+    closingStatus: { type: String, enum: ["submitted", "auto_submitted"] },
+    gradingStartedAt: { type: Date },
+    startedAt: { type: Date, required: true },
+    // null nếu quiz không giới hạn thời gian
+    deadlineAt: { type: Date, default: null },
+    // originalIndex của các câu hỏi đã phát, giữ nguyên khi tải lại trang
+    questionOrder: [{ type: Number }],
+    // Câu hỏi rút từ ngân hàng cho lượt này (quiz có questionDraws), lưu bản chụp để chấm
+    // đúng câu đã phát kể cả khi câu hỏi gốc bị sửa/xóa sau đó
+    drawnQuestions: [
+      {
+        bankQuestionId: { type: Types.ObjectId, ref: "QuestionBankQuestion" },
+        question: { type: Schema.Types.Mixed },
+        _id: false,
+      },
+    ],
+    // Đáp án đang làm, cùng định dạng với body khi nộp bài
+    savedAnswers: {
+      answers: { type: Schema.Types.Mixed, default: [] },
+      essayAnswers: { type: Schema.Types.Mixed, default: [] },
+    },
+    lastSavedAt: { type: Date },
+    submittedAt: { type: Date },
+    resultId: { type: Types.ObjectId, ref: "StudentQuizResult" },
+  },
+  { timestamps: true, collection: "quiz_attempts" }
+);
+
+// Mỗi học viên chỉ có một lượt đang làm cho mỗi quiz
+QuizAttemptSchema.index(
+  { userId: 1, quizId: 1 },
+  { unique: true, partialFilterExpression: { status: "in_progress" } }
+);
+QuizAttemptSchema.index({ status: 1, deadlineAt: 1 });
+
+module.exports = mongoose.model("QuizAttempt", QuizAttemptSchema);
@@ -9,16 +9,45 @@ const QuizAnswerSchema = new Schema(
   { _id: false }
 );
 
+const QuizMatchingPairSchema = new Schema(
+  {
+    left: { type: String, required: true },
+    right: { type: String, required: true },
+  },
+  { _id: false }
+);
+
 const QuizQuestionSchema = new Schema(
   {
     content: String,
     type: {
       type: String,
-      enum: ['multiple-choice', 'true-false', 'essay'], // Thêm loại 'essay' cho câu hỏi tự luận
+      enum: [
+        'multiple-choice',
+        'true-false',
+        'essay', // Thêm loại 'essay' cho câu hỏi tự luận
+        'multi-select', // Nhiều đáp án đúng, có thể tính điểm từng phần
+        'fill-in-blank',
+        'matching',
+        'ordering',
+        'numeric',
+      ],
       default: 'multiple-choice'
     },
     score: Number,
     answers: [QuizAnswerSchema],
+    // multi-select / matching / ordering: cho điểm theo tỉ lệ phần đúng
+    partialCredit: { type: Boolean, default: true },
+    // fill-in-blank: các đáp án được chấp nhận và có phân biệt hoa thường không
+    acceptedAnswers: [{ type: String }],
+    caseSensitive: { type: Boolean, default: false },
+    // matching: các cặp ghép đúng (trái - phải)
+    matchingPairs: [QuizMatchingPairSchema],
+    // ordering: các mục theo đúng thứ tự
+    orderingItems: [{ type: String }],
+    // numeric: đáp án số và sai số cho phép (giá trị tuyệt đối)
+    numericAnswer: { type: Number },
+    tolerance: { type: Number, default: 0, min: 0 },
     // Thêm trường cho câu hỏi tự luận
     essayGuideline: { 
       type: String, 
@@ -32,6 +61,19 @@ const QuizQuestionSchema = new Schema(
   { _id: false }
 );
 
+// Luật rút câu hỏi ngẫu nhiên từ ngân hàng câu hỏi của người tạo quiz,
+// vd: { count: 5, difficulty: 'easy', tags: ['x'] }. Bỏ trống điều kiện = không lọc theo điều kiện đó
+const QuizQuestionDrawSchema = new Schema(
+  {
+    count: { type: Number, required: true, min: 1 },
+    difficulty: { type: String, enum: ['easy', 'medium', 'hard'] },
+    // Câu hỏi phải có đủ tất cả các tag
+    tags: [{ type: String, trim: true, lowercase: true }],
+    topic: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
 const QuizSchema = new Schema(
   {
     courseId: { type: Types.ObjectId, ref: "Course", required: false },
@@ -60,6 +102,30 @@ const QuizSchema = new Schema(
         message: 'questionPoolSize must be greater than 0 and not exceed total questions'
       }
     },
+    // Câu hỏi rút từ ngân hàng cho từng lượt làm bài, thêm vào sau các câu cố định
+    questionDraws: [QuizQuestionDrawSchema],
+    // Giới hạn thời gian làm bài (giây), null = không giới hạn
+    timeLimit: { type: Number, default: null, min: 1 },
+    // Thời gian ân hạn (giây) sau hạn chót để bù độ trễ mạng khi nộp bài
+    gracePeriodSeconds: { type: Number, default: 30, min: 0 },
+    // Bài nộp sau hạn chót + ân hạn: reject = từ chối, auto_submit = chấm theo đáp án đã lưu
+    lateSubmissionPolicy: {
+      type: String,
+      enum: ["reject", "auto_submit"],
+      default: "auto_submit",
+    },
+    // Số lượt làm tối đa, null = không giới hạn
+    maxAttempts: { type: Number, default: null, min: 1 },
+    // Thời gian chờ (phút) giữa hai lượt làm
+    attemptCooldownMinutes: { type: Number, default: 0, min: 0 },
+    // Điểm được ghi nhận khi làm nhiều lượt: cao nhất, lượt cuối hoặc trung bình
+    gradingPolicy: {
+      type: String,
+      enum: ["best", "latest", "average"],
+      default: "latest",
+    },
+    // Điểm (%) cần đạt để qua quiz và hoàn thành bài học chứa quiz
+    passingScore: { type: Number, default: 80, min: 0, max: 100 },
     roleCreated: {
       type: String,
       enum: ["student", "instructor"],
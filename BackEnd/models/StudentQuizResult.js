@@ -4,19 +4,51 @@ const { Schema, Types } = mongoose;
 const StudentQuizResultSchema = new Schema({
   userId: { type: Types.ObjectId, ref: "User", required: true },
   quizId: { type: Types.ObjectId, ref: "Quiz", required: true },
+  // Điểm được ghi nhận theo gradingPolicy của quiz (details là của lượt gần nhất)
   score: { type: Number },
+  latestScore: { type: Number },
+  // Lịch sử điểm từng lượt đã chấm
+  attempts: [{
+    attemptId: { type: Types.ObjectId, ref: "QuizAttempt" },
+    score: Number,
+    takenAt: Date,
+    autoSubmitted: { type: Boolean, default: false },
+    _id: false
+  }],
   takenAt: { type: Date, default: Date.now },
   details: Schema.Types.Mixed,
   // Thêm trường cho câu hỏi tự luận
   essayAnswers: [{
     questionIndex: Number,
+    bankQuestionId: { type: Types.ObjectId, ref: "QuestionBankQuestion" }, // Câu rút từ ngân hàng câu hỏi
     questionContent: String,
     studentAnswer: String,
     aiScore: Number, // Điểm AI chấm (0-100)
     aiFeedback: String, // Nhận xét của AI
     maxScore: Number, // Điểm tối đa của câu hỏi
     gradedAt: Date,
-    gradingModel: String // Model AI đã sử dụng để chấm
+    gradingModel: String, // Model AI đã sử dụng để chấm
+    // Giảng viên duyệt điểm AI: giữ nguyên (accepted) hoặc chấm lại (overridden)
+    reviewStatus: {
+      type: String,
+      enum: ['pending', 'accepted', 'overridden'],
+      default: 'pending'
+    },
+    instructorScore: Number, // Điểm cuối cùng do giảng viên xác nhận / chấm lại
+    instructorFeedback: String,
+    reviewedBy: { type: Types.ObjectId, ref: "User" },
+    reviewedAt: Date,
+    // Lịch sử chấm (AI và giảng viên), không ghi đè để đối chiếu về sau
+    gradeHistory: [{
+      source: { type: String, enum: ['ai', 'instructor'] },
+      action: { type: String, enum: ['ai_graded', 'accepted', 'overridden'] },
+      score: Number,
+      feedback: String,
+      gradingModel: String,
+      gradedBy: { type: Types.ObjectId, ref: "User" },
+      gradedAt: { type: Date, default: Date.now },
+      _id: false
+    }]
   }],
   // Trạng thái chấm điểm
   gradingStatus: {
@@ -26,7 +58,11 @@ const StudentQuizResultSchema = new Schema({
   },
   // Điểm tổng (bao gồm cả tự luận)
   totalScore: { type: Number },
-  maxTotalScore: { type: Number }
+  maxTotalScore: { type: Number },
+  // Lượt làm bài tạo ra kết quả này (nếu làm qua attempt)
+  attemptId: { type: Types.ObjectId, ref: "QuizAttempt" },
+  // Hệ thống tự nộp khi hết giờ với các đáp án đã lưu
+  autoSubmitted: { type: Boolean, default: false }
 });
 
 module.exports = mongoose.model("StudentQuizResult", StudentQuizResultSchema);
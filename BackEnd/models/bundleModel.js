@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+const { Schema, Types } = mongoose;
+
+/**
+ * Gói khóa học: nhiều khóa học bán chung với một giá.
+ * Khi mua, mỗi khóa học trong gói được tạo một Enrollment riêng.
+ */
+const BundleSchema = new Schema(
+  {
+    title: { type: String, required: true, trim: true },
+    description: { type: String },
+    thumbnail: { type: String },
+    price: { type: Number, required: true, min: 0 },
+    courseIds: [{ type: Types.ObjectId, ref: "Course", required: true }],
+    // Instructor hoặc admin tạo gói
+    createdBy: { type: Types.ObjectId, ref: "User", required: true },
+    status: {
+      type: String,
+      enum: ["active", "inactive"],
+      default: "active",
+    },
+  },
+  { timestamps: true, collection: "bundles" }
+);
+
+BundleSchema.index({ createdBy: 1 });
+BundleSchema.index({ status: 1 });
+
+module.exports = mongoose.model("Bundle", BundleSchema);
@@ -5,6 +5,7 @@ const CartSchema = new Schema(
   {
     userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
     courseIds: [{ type: Schema.Types.ObjectId, ref: "Course" }],
+    bundleIds: [{ type: Schema.Types.ObjectId, ref: "Bundle" }],
   },
   { timestamps: true, collection: "carts" }
 );
@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+/**
+ * Tỉ lệ hoa hồng (phí nền tảng) áp dụng trên doanh thu khóa học.
+ * Thứ tự ưu tiên khi tính: course > instructor > default.
+ * Mỗi bản ghi có hiệu lực trong khoảng [effectiveFrom, effectiveTo).
+ */
+const CommissionRateSchema = new Schema(
+  {
+    scope: {
+      type: String,
+      enum: ["default", "instructor", "course"],
+      required: true,
+    },
+    // Bắt buộc khi scope = "instructor"
+    instructorId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Bắt buộc khi scope = "course"
+    courseId: {
+      type: Schema.Types.ObjectId,
+      ref: "Course",
+    },
+    // Phần nền tảng giữ lại (0.2 = 20%), giảng viên nhận phần còn lại
+    commissionRate: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 1,
+    },
+    effectiveFrom: {
+      type: Date,
+      required: true,
+    },
+    // null = không thời hạn
+    effectiveTo: {
+      type: Date,
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true, collection: "commission_rates" }
+);
+
+CommissionRateSchema.index({ scope: 1, instructorId: 1, courseId: 1 });
+CommissionRateSchema.index({ effectiveFrom: 1, effectiveTo: 1 });
+
+module.exports = mongoose.model("CommissionRate", CommissionRateSchema);
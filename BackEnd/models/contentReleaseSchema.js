@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Điều kiện mở khóa (drip content) dùng chung cho Section và Lesson.
+ * Mọi điều kiện được đặt đều phải thỏa; không đặt điều kiện nào thì nội dung mở ngay khi ghi danh.
+ */
+const ContentReleaseSchema = new Schema(
+  {
+    // Mở sau N ngày kể từ ngày ghi danh
+    afterDays: { type: Number, min: 0 },
+    // Mở vào một ngày cố định
+    availableAt: { type: Date },
+    // Mở sau khi hoàn thành một bài học của khóa
+    prerequisiteLessonId: { type: Schema.Types.ObjectId, ref: "Lesson" },
+    // Mở sau khi đạt một quiz của khóa
+    prerequisiteQuizId: { type: Schema.Types.ObjectId, ref: "Quiz" },
+  },
+  { _id: false }
+);
+
+module.exports = ContentReleaseSchema;
@@ -0,0 +1,16 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Bộ đếm tăng dần dùng để cấp số thứ tự (ví dụ: số hóa đơn theo năm).
+ * _id là tên bộ đếm, seq được tăng nguyên tử bằng $inc.
+ */
+const CounterSchema = new Schema(
+  {
+    _id: { type: String, required: true },
+    seq: { type: Number, default: 0 },
+  },
+  { timestamps: true, collection: "counters" }
+);
+
+module.exports = mongoose.model("Counter", CounterSchema);
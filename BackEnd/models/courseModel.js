@@ -20,10 +20,20 @@ const CourseSchema = new Schema(
     categoryIds: [{ type: Types.ObjectId, ref: "Category" }],
     price: { type: Number },
     discountId: { type: Types.ObjectId, ref: "Discount" },
+    // Subscription plan tiers that include this course (see SubscriptionPlan.tier)
+    subscriptionTiers: [{ type: String }],
     // The user who created / published the course (instructor or admin)
     createdBy: { type: Types.ObjectId, ref: "User" },
     rating: { type: Number, default: 0 },
     level: { type: String, enum: ["beginner", "intermediate", "advanced"] },
+    // Courses to complete before this one (see services/coursePrerequisiteService.js)
+    prerequisites: [{ type: Types.ObjectId, ref: "Course" }],
+    // warn: enrollment is allowed with a warning, block: enrollment is refused
+    prerequisiteEnforcement: {
+      type: String,
+      enum: ["warn", "block"],
+      default: "warn",
+    },
     duration: { type: String },
     language: { type: String, enum: ["vietnam", "english"] },
     subtitleLanguage: { type: String, enum: ["vietnam", "english"] },
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Lượt sử dụng mã giảm giá của một người dùng trong một đơn hàng.
+ * "pending" khi tạo link thanh toán, "redeemed" khi webhook PayOS xác nhận,
+ * "cancelled" khi đơn hàng bị hủy hoặc hết hạn (trả lại lượt đã giữ).
+ */
+const DiscountRedemptionSchema = new Schema(
+  {
+    discountId: {
+      type: Schema.Types.ObjectId,
+      ref: "Discount",
+      required: true,
+    },
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    transactionId: {
+      type: Schema.Types.ObjectId,
+      ref: "Transaction",
+      required: true,
+    },
+    discountAmount: { type: Number, required: true },
+    status: {
+      type: String,
+      enum: ["pending", "redeemed", "cancelled"],
+      default: "pending",
+    },
+    redeemedAt: { type: Date },
+    // Đã cộng vào Discount.usage khi giữ chỗ (lượt giữ chỗ cũ chỉ cộng khi thanh toán)
+    usageReserved: { type: Boolean, default: false },
+  },
+  { timestamps: true, collection: "discount_redemptions" }
+);
+
+// Mỗi người dùng chỉ được dùng thành công một mã đúng một lần
+DiscountRedemptionSchema.index(
+  { discountId: 1, userId: 1 },
+  { unique: true, partialFilterExpression: { status: "redeemed" } }
+);
+// Và chỉ có một đơn hàng chờ thanh toán dùng mã tại một thời điểm
+DiscountRedemptionSchema.index(
+  { discountId: 1, userId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: "pending" },
+    name: "discountId_1_userId_1_pending",
+  }
+);
+DiscountRedemptionSchema.index({ transactionId: 1 });
+
+module.exports = mongoose.model("DiscountRedemption", DiscountRedemptionSchema);
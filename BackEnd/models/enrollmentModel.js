@@ -17,6 +17,21 @@ const enrollmentSchema = new mongoose.Schema(
       enum: ["pending", "enrolled", "completed", "cancelled"],
       default: "pending",
     },
+    // Gói khóa học đã mua (nếu khóa học được mua theo gói)
+    bundleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Bundle",
+    },
+    // Ghi danh qua gói đăng ký: chỉ có hiệu lực khi gói còn hạn
+    subscriptionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Subscription",
+    },
+    // Ghi danh qua chỗ học của license doanh nghiệp
+    organizationLicenseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "OrganizationLicense",
+    },
   },
   { timestamps: true, collection: "enrollments" }
 );
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Quà tặng khóa học: người mua thanh toán, người nhận dùng mã quà để ghi danh.
+ * Được tạo khi webhook PayOS xác nhận thanh toán của đơn có recipientEmail.
+ */
+const GiftSchema = new Schema(
+  {
+    code: { type: String, required: true, unique: true },
+    buyerId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    recipientEmail: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    message: { type: String },
+    // Các khóa học được tặng (bundleId nếu khóa học nằm trong một gói)
+    items: [
+      {
+        courseId: { type: Schema.Types.ObjectId, ref: "Course" },
+        bundleId: { type: Schema.Types.ObjectId, ref: "Bundle" },
+      },
+    ],
+    paymentId: { type: Schema.Types.ObjectId, ref: "Payment", required: true },
+    transactionId: { type: Schema.Types.ObjectId, ref: "Transaction" },
+    status: {
+      type: String,
+      enum: ["unredeemed", "redeemed"],
+      default: "unredeemed",
+    },
+    redeemedBy: { type: Schema.Types.ObjectId, ref: "User" },
+    redeemedAt: { type: Date },
+    enrollmentIds: [{ type: Schema.Types.ObjectId, ref: "Enrollment" }],
+    emailSentAt: { type: Date },
+  },
+  { timestamps: true, collection: "gifts" }
+);
+
+GiftSchema.index({ paymentId: 1 }, { unique: true });
+GiftSchema.index({ buyerId: 1, createdAt: -1 });
+GiftSchema.index({ recipientEmail: 1 });
+
+module.exports = mongoose.model("Gift", GiftSchema);
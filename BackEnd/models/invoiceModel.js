@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Hóa đơn cho một Payment đã thanh toán thành công.
+ * Dữ liệu được chốt tại thời điểm phát hành; file PDF lưu trên Firebase Storage (không public).
+ */
+const InvoiceSchema = new Schema(
+  {
+    invoiceNumber: { type: String, required: true, unique: true },
+    paymentId: { type: Schema.Types.ObjectId, ref: "Payment", required: true },
+    transactionId: {
+      type: Schema.Types.ObjectId,
+      ref: "Transaction",
+      required: true,
+    },
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    orderCode: { type: Number, required: true },
+    issuedAt: { type: Date, default: Date.now },
+    billingName: { type: String },
+    billingEmail: { type: String },
+    items: [
+      {
+        description: { type: String, required: true },
+        courseId: { type: Schema.Types.ObjectId, ref: "Course" },
+        bundleId: { type: Schema.Types.ObjectId, ref: "Bundle" },
+        quantity: { type: Number, default: 1 },
+        unitPrice: { type: Number, required: true },
+        amount: { type: Number, required: true },
+      },
+    ],
+    // Khuyến mãi tự động và mã giảm giá đã áp dụng
+    discounts: [
+      {
+        description: { type: String, required: true },
+        amount: { type: Number, required: true },
+      },
+    ],
+    subtotal: { type: Number, required: true },
+    discountTotal: { type: Number, default: 0 },
+    // Giá bán đã bao gồm thuế: các dòng thuế chỉ tách phần thuế nằm trong tổng tiền
+    taxLines: [
+      {
+        name: { type: String, required: true },
+        rate: { type: Number, required: true },
+        amount: { type: Number, required: true },
+      },
+    ],
+    total: { type: Number, required: true },
+    currency: { type: String, default: "VND" },
+    storagePath: { type: String },
+  },
+  { timestamps: true, collection: "invoices" }
+);
+
+InvoiceSchema.index({ paymentId: 1 }, { unique: true });
+InvoiceSchema.index({ userId: 1, issuedAt: -1 });
+InvoiceSchema.index({ issuedAt: 1 });
+
+module.exports = mongoose.model("Invoice", InvoiceSchema);
@@ -0,0 +1,124 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+/**
+ * Sổ cái kế toán kép (double-entry), CHỈ GHI THÊM (append-only).
+ * Mỗi nghiệp vụ (journal) gồm nhiều dòng cùng journalId, tổng Nợ = tổng Có.
+ * Số dư của giảng viên (User.moneyLeft) được tính lại từ tài khoản "instructor_payable".
+ */
+const LEDGER_ACCOUNTS = [
+  "platform_cash", // Tiền nền tảng thu/chi qua PayOS
+  "platform_revenue", // Doanh thu (phí) của nền tảng
+  "instructor_payable", // Số tiền nền tảng nợ giảng viên (= moneyLeft)
+  "instructor_withdrawal_hold", // Tiền đang tạm giữ cho yêu cầu rút tiền
+];
+
+const LEDGER_ENTRY_TYPES = [
+  "sale",
+  "platform_fee",
+  "instructor_share",
+  "withdrawal_hold",
+  "withdrawal_release",
+  "withdrawal_payout",
+  "refund",
+  "opening_balance",
+  "subscription_sale", // Doanh thu gói đăng ký (chưa chia cho giảng viên)
+  "subscription_pool", // Chia quỹ doanh thu đăng ký cho giảng viên
+];
+
+const LedgerEntrySchema = new Schema(
+  {
+    // Các dòng thuộc cùng một nghiệp vụ dùng chung journalId
+    journalId: {
+      type: Schema.Types.ObjectId,
+      required: true,
+      index: true,
+    },
+    account: {
+      type: String,
+      enum: LEDGER_ACCOUNTS,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: LEDGER_ENTRY_TYPES,
+      required: true,
+    },
+    direction: {
+      type: String,
+      enum: ["debit", "credit"],
+      required: true,
+    },
+    amount: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: true,
+    },
+    // Chủ tài khoản con (với các tài khoản instructor_*)
+    instructorId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    description: {
+      type: String,
+    },
+    // Tham chiếu tới chứng từ gốc
+    courseId: { type: Schema.Types.ObjectId, ref: "Course" },
+    transactionId: { type: Schema.Types.ObjectId, ref: "Transaction" },
+    withdrawalRequestId: {
+      type: Schema.Types.ObjectId,
+      ref: "WithdrawalRequest",
+    },
+    refundRequestId: { type: Schema.Types.ObjectId, ref: "RefundRequest" },
+    subscriptionPoolPayoutId: {
+      type: Schema.Types.ObjectId,
+      ref: "SubscriptionPoolPayout",
+    },
+  },
+  { timestamps: true, collection: "ledger_entries" }
+);
+
+LedgerEntrySchema.index({ account: 1, instructorId: 1, createdAt: 1 });
+// Mỗi giảng viên chỉ có một bút toán số dư đầu kỳ (chặn ghi trùng khi chạy đồng thời)
+LedgerEntrySchema.index(
+  { instructorId: 1, type: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      account: "instructor_payable",
+      type: "opening_balance",
+    },
+  }
+);
+
+// Mỗi khóa học trong một giao dịch chỉ được ghi sổ bán một lần (dòng "sale" luôn có, kể cả khi
+// phần của giảng viên bằng 0), chặn ghi trùng khi replay webhook và đối soát chạy đồng thời
+LedgerEntrySchema.index(
+  { transactionId: 1, courseId: 1, account: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: "sale" } }
+);
+
+// Chặn mọi thao tác sửa/xóa để đảm bảo sổ cái chỉ ghi thêm
+LedgerEntrySchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Ledger entries are append-only."));
+  }
+  next();
+});
+
+const blockMutation = function (next) {
+  next(new Error("Ledger entries are append-only."));
+};
+
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((op) => LedgerEntrySchema.pre(op, blockMutation));
+
+module.exports = mongoose.model("LedgerEntry", LedgerEntrySchema);
+module.exports.LEDGER_ACCOUNTS = LEDGER_ACCOUNTS;
+module.exports.LEDGER_ENTRY_TYPES = LEDGER_ENTRY_TYPES;
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const Schema = mongoose.Schema;
+const ContentReleaseSchema = require("./contentReleaseSchema");
 
 const LessonSchema = new Schema(
   {
@@ -18,6 +19,8 @@ const LessonSchema = new Schema(
     materialUrl: { type: String }, // URL to video or article
     duration: { type: Number }, // Duration in seconds
     order: { type: Number, default: 0 }, // For ordering lessons within a section
+    // Drip content: điều kiện mở khóa bài học (cộng thêm điều kiện của chương)
+    release: { type: ContentReleaseSchema, default: undefined },
     // If a lesson represents a quiz, reference the Quiz documents here.
     // Use an array to allow lessons that contain multiple quiz parts.
     // For non-quiz lessons this should be empty.
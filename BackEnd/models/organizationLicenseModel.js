@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * License doanh nghiệp: N chỗ học của một khóa học hoặc một gói khóa học,
+ * mua trong một lần thanh toán. Mỗi chỗ được gán cho một thành viên của tổ chức.
+ */
+const SeatAssignmentSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    enrollmentIds: [{ type: Schema.Types.ObjectId, ref: "Enrollment" }],
+    status: {
+      type: String,
+      enum: ["assigned", "revoked"],
+      default: "assigned",
+    },
+    assignedBy: { type: Schema.Types.ObjectId, ref: "User" },
+    assignedAt: { type: Date, default: Date.now },
+    revokedAt: { type: Date },
+  },
+  { _id: true }
+);
+
+const OrganizationLicenseSchema = new Schema(
+  {
+    organizationId: {
+      type: Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    // Mua theo khóa học lẻ hoặc theo gói
+    courseId: { type: Schema.Types.ObjectId, ref: "Course" },
+    bundleId: { type: Schema.Types.ObjectId, ref: "Bundle" },
+    // Các khóa học mỗi chỗ được ghi danh, kèm giá một chỗ phân bổ cho từng khóa
+    courses: [
+      {
+        courseId: { type: Schema.Types.ObjectId, ref: "Course" },
+        unitAmount: { type: Number, required: true },
+      },
+    ],
+    seatCount: { type: Number, required: true, min: 1 },
+    unitPrice: { type: Number, required: true },
+    totalAmount: { type: Number, required: true },
+    status: {
+      type: String,
+      enum: ["pending", "active", "cancelled"],
+      default: "pending",
+    },
+    purchasedBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    paymentId: { type: Schema.Types.ObjectId, ref: "Payment" },
+    transactionId: { type: Schema.Types.ObjectId, ref: "Transaction" },
+    activatedAt: { type: Date },
+    assignments: [SeatAssignmentSchema],
+  },
+  { timestamps: true, collection: "organization_licenses" }
+);
+
+OrganizationLicenseSchema.index({ organizationId: 1, createdAt: -1 });
+OrganizationLicenseSchema.index({ paymentId: 1 });
+
+module.exports = mongoose.model(
+  "OrganizationLicense",
+  OrganizationLicenseSchema
+);
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Tổ chức / doanh nghiệp mua khóa học theo số lượng chỗ (seat) cho nhân viên.
+ * Quản trị viên tổ chức (role org_admin) mời thành viên qua email và phân bổ chỗ học.
+ */
+const OrganizationMemberSchema = new Schema(
+  {
+    email: { type: String, required: true, lowercase: true, trim: true },
+    userId: { type: Schema.Types.ObjectId, ref: "User" },
+    status: {
+      type: String,
+      enum: ["invited", "active", "removed"],
+      default: "invited",
+    },
+    inviteToken: { type: String },
+    invitedAt: { type: Date, default: Date.now },
+    joinedAt: { type: Date },
+  },
+  { _id: true }
+);
+
+const OrganizationSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    ownerId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    adminIds: [{ type: Schema.Types.ObjectId, ref: "User" }],
+    members: [OrganizationMemberSchema],
+    status: {
+      type: String,
+      enum: ["active", "inactive"],
+      default: "active",
+    },
+  },
+  { timestamps: true, collection: "organizations" }
+);
+
+OrganizationSchema.index({ adminIds: 1 });
+OrganizationSchema.index({ "members.inviteToken": 1 });
+OrganizationSchema.index({ "members.userId": 1 });
+
+module.exports = mongoose.model("Organization", OrganizationSchema);
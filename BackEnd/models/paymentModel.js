@@ -14,6 +14,77 @@ const paymentSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.Decimal128,
       required: true,
     },
+    // Tổng giá gốc các khóa học lẻ và các khoản giảm
+    // (amount = subtotal - promotionDiscount - discountAmount + tổng giá các gói)
+    subtotal: {
+      type: mongoose.Schema.Types.Decimal128,
+    },
+    promotionDiscount: {
+      type: mongoose.Schema.Types.Decimal128,
+      default: 0.0,
+    },
+    appliedPromotions: [
+      {
+        promotionId: { type: mongoose.Schema.Types.ObjectId, ref: "Promotion" },
+        name: String,
+        discountAmount: Number,
+      },
+    ],
+    discountAmount: {
+      type: mongoose.Schema.Types.Decimal128,
+      default: 0.0,
+    },
+    discountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Discount",
+    },
+    // Số tiền thực thu của từng khóa học lẻ (sau khuyến mãi và mã giảm giá)
+    allocations: [
+      {
+        courseId: { type: mongoose.Schema.Types.ObjectId, ref: "Course" },
+        amount: Number,
+      },
+    ],
+    // Các gói khóa học trong đơn, giá gói được phân bổ cho từng khóa học
+    bundles: [
+      {
+        bundleId: { type: mongoose.Schema.Types.ObjectId, ref: "Bundle" },
+        title: String,
+        price: Number,
+        allocations: [
+          {
+            courseId: { type: mongoose.Schema.Types.ObjectId, ref: "Course" },
+            amount: Number,
+          },
+        ],
+      },
+    ],
+    // Đơn quà tặng: không tạo Enrollment cho người mua,
+    // webhook tạo mã quà (Gift) và gửi tới recipientEmail
+    gift: {
+      recipientEmail: { type: String, lowercase: true, trim: true },
+      message: { type: String },
+      items: [
+        {
+          courseId: { type: mongoose.Schema.Types.ObjectId, ref: "Course" },
+          bundleId: { type: mongoose.Schema.Types.ObjectId, ref: "Bundle" },
+        },
+      ],
+    },
+    // Thanh toán gia hạn gói đăng ký (không có enrollmentIds)
+    subscriptionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Subscription",
+    },
+    subscriptionPlanId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SubscriptionPlan",
+    },
+    // Thanh toán license doanh nghiệp (mua nhiều chỗ học)
+    organizationLicenseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "OrganizationLicense",
+    },
     paymentDate: {
       type: Date,
       required: true,
@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Báo cáo một lần chạy đối soát các giao dịch pending với trạng thái đơn trên PayOS.
+ * Mỗi chênh lệch (đơn đã thanh toán nhưng bị lỡ webhook, sai số tiền...) được ghi lại để admin xem.
+ */
+const PaymentReconciliationReportSchema = new Schema(
+  {
+    trigger: {
+      type: String,
+      enum: ["scheduled", "manual"],
+      default: "scheduled",
+    },
+    triggeredBy: { type: Schema.Types.ObjectId, ref: "User" },
+    startedAt: { type: Date, required: true },
+    finishedAt: { type: Date },
+    // Chỉ đối soát giao dịch pending tạo trước mốc này
+    cutoff: { type: Date, required: true },
+    checked: { type: Number, default: 0 },
+    completed: { type: Number, default: 0 },
+    // Giao dịch completed được chạy lại các bước sau thanh toán
+    fulfilled: { type: Number, default: 0 },
+    cancelled: { type: Number, default: 0 },
+    stillPending: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    discrepancies: [
+      {
+        transactionId: { type: Schema.Types.ObjectId, ref: "Transaction" },
+        orderCode: { type: Number },
+        type: {
+          type: String,
+          enum: [
+            "missed_payment",
+            "unfulfilled_payment",
+            "gateway_cancelled",
+            "amount_mismatch",
+            "underpaid",
+            "not_found",
+            "gateway_error",
+            "processing_error",
+          ],
+          required: true,
+        },
+        localStatus: { type: String },
+        gatewayStatus: { type: String },
+        expectedAmount: { type: Number },
+        gatewayAmount: { type: Number },
+        // Hành động đã thực hiện: completed/fulfilled/cancelled tự động, flagged cần admin xử lý
+        action: {
+          type: String,
+          enum: ["completed", "fulfilled", "cancelled", "flagged"],
+          required: true,
+        },
+        message: { type: String },
+      },
+    ],
+  },
+  { timestamps: true, collection: "payment_reconciliation_reports" }
+);
+
+PaymentReconciliationReportSchema.index({ startedAt: -1 });
+
+module.exports = mongoose.model(
+  "PaymentReconciliationReport",
+  PaymentReconciliationReportSchema
+);
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Khuyến mãi tự động (không cần nhập mã), áp dụng trong giỏ hàng và khi thanh toán.
+ *
+ * Quy tắc cộng dồn (xem services/promotionService.js):
+ * - Các khuyến mãi hợp lệ được xét theo priority giảm dần.
+ * - Khuyến mãi không stackable chỉ được áp dụng khi chưa có khuyến mãi nào khác,
+ *   và sau khi áp dụng sẽ chặn mọi khuyến mãi phía sau.
+ * - Khuyến mãi áp dụng tuần tự trên giá đã giảm của khuyến mãi trước.
+ * - combinableWithCodes = false thì không cho dùng thêm mã giảm giá.
+ */
+const PromotionSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    description: { type: String },
+    ruleType: {
+      type: String,
+      enum: ["bundle_quantity", "category_sale", "first_purchase", "site_wide"],
+      required: true,
+    },
+    type: { type: String, enum: ["percent", "fixedAmount"], required: true },
+    value: { type: Number, required: true, min: 0 },
+    maximumDiscount: { type: Number },
+    // Điều kiện áp dụng theo ruleType
+    conditions: {
+      // bundle_quantity: số khóa học tối thiểu trong đơn
+      minCourses: { type: Number },
+      // category_sale: chỉ áp dụng cho khóa học thuộc các danh mục này
+      categoryIds: [{ type: Schema.Types.ObjectId, ref: "Category" }],
+    },
+    priority: { type: Number, default: 0 },
+    stackable: { type: Boolean, default: true },
+    combinableWithCodes: { type: Boolean, default: true },
+    status: {
+      type: String,
+      enum: ["active", "inActive"],
+      default: "active",
+    },
+    startDate: { type: Date },
+    endDate: { type: Date },
+    createdBy: { type: Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true, collection: "promotions" }
+);
+
+PromotionSchema.index({ status: 1, startDate: 1, endDate: 1 });
+
+module.exports = mongoose.model("Promotion", PromotionSchema);
@@ -0,0 +1,110 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+/**
+ * Model này theo dõi mọi yêu cầu hoàn tiền của học viên.
+ * Mỗi yêu cầu ứng với MỘT khóa học trong một giao dịch đã thanh toán.
+ */
+const RefundRequestSchema = new Schema(
+  {
+    // Học viên yêu cầu hoàn tiền
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Giao dịch mua gốc (type: "sale")
+    transactionId: {
+      type: Schema.Types.ObjectId,
+      ref: "Transaction",
+      required: true,
+    },
+    paymentId: {
+      type: Schema.Types.ObjectId,
+      ref: "Payment",
+      required: true,
+    },
+    enrollmentId: {
+      type: Schema.Types.ObjectId,
+      ref: "Enrollment",
+      required: true,
+      index: true,
+    },
+    courseId: {
+      type: Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    // Số tiền hoàn lại cho học viên (phần giá trị của khóa học trong đơn hàng)
+    amount: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: true,
+    },
+    // Số tiền thu hồi từ số dư của giảng viên (phần doanh thu đã cộng ở webhook)
+    instructorClawback: {
+      type: mongoose.Schema.Types.Decimal128,
+      default: 0.0,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      // processing: đã hủy ghi danh và ghi sổ, đang chờ lệnh chi PayOS thành công
+      enum: ["pending", "processing", "approved", "rejected"],
+      default: "pending",
+      index: true,
+    },
+    // Tài khoản nhận tiền hoàn (PayOS payout cần mã BIN ngân hàng)
+    refundAccount: {
+      bankBin: String,
+      accountNumber: String,
+      accountHolderName: String,
+    },
+    // Giao dịch hoàn tiền (type: "refund") được tạo khi Admin duyệt
+    refundTransactionId: {
+      type: Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
+    // ID lệnh chi (payout) trả về từ PayOS
+    payoutId: {
+      type: String,
+    },
+    // Mã tham chiếu lệnh chi, giữ cố định giữa các lần thử (idempotency key của PayOS)
+    payoutReferenceId: {
+      type: String,
+    },
+    // Lỗi của lần chi tiền gần nhất, để Admin duyệt lại
+    payoutError: {
+      type: String,
+    },
+    adminNotes: {
+      type: String,
+      trim: true,
+    },
+    processedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    processedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true, collection: "refund_requests" }
+);
+
+// Mỗi ghi danh chỉ có một yêu cầu hoàn tiền còn hiệu lực (chặn hai yêu cầu gửi đồng thời)
+RefundRequestSchema.index(
+  { enrollmentId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      status: { $in: ["pending", "processing", "approved"] },
+    },
+    name: "enrollmentId_1_active",
+  }
+);
+
+module.exports = mongoose.model("RefundRequest", RefundRequestSchema);
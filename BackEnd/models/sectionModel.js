@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const Schema = mongoose.Schema;
+const ContentReleaseSchema = require("./contentReleaseSchema");
 
 const SectionSchema = new Schema(
   {
@@ -7,6 +8,8 @@ const SectionSchema = new Schema(
     courseId: { type: Schema.Types.ObjectId, ref: "Course", required: true },
     lessons: [{ type: Schema.Types.ObjectId, ref: "Lesson" }],
     order: { type: Number, default: 0 }, // For ordering sections within a course
+    // Drip content: điều kiện mở khóa cả chương (áp dụng cho mọi bài học trong chương)
+    release: { type: ContentReleaseSchema, default: undefined },
   },
   { timestamps: true, collection: "course_sections" }
 );
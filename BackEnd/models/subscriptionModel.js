@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Đăng ký của học viên cho một gói.
+ * - pending: đã tạo link thanh toán kỳ đầu, chưa thanh toán
+ * - active: đang trong kỳ (currentPeriodStart -> currentPeriodEnd)
+ * - past_due: đã hết kỳ nhưng còn trong thời gian gia hạn (graceEndsAt)
+ * - expired: hết thời gian gia hạn, mất quyền truy cập
+ * - cancelled: học viên hủy, vẫn học được tới hết kỳ hiện tại
+ */
+const SubscriptionSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    planId: {
+      type: Schema.Types.ObjectId,
+      ref: "SubscriptionPlan",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "active", "past_due", "expired", "cancelled"],
+      default: "pending",
+    },
+    currentPeriodStart: { type: Date },
+    currentPeriodEnd: { type: Date },
+    graceEndsAt: { type: Date },
+    cancelledAt: { type: Date },
+    // Payment của lần gia hạn gần nhất
+    lastPaymentId: { type: Schema.Types.ObjectId, ref: "Payment" },
+  },
+  { timestamps: true, collection: "subscriptions" }
+);
+
+SubscriptionSchema.index({ userId: 1, status: 1 });
+SubscriptionSchema.index({ status: 1, currentPeriodEnd: 1 });
+
+module.exports = mongoose.model("Subscription", SubscriptionSchema);
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Gói đăng ký (subscription plan): trả phí theo tháng/năm để học mọi khóa học
+ * thuộc hạng (tier) của gói. Khóa học được gắn hạng qua Course.subscriptionTiers.
+ */
+const SubscriptionPlanSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    description: { type: String },
+    // Hạng danh mục khóa học mà gói mở khóa (gói tháng và năm có thể cùng hạng)
+    tier: { type: String, required: true, trim: true },
+    interval: {
+      type: String,
+      enum: ["monthly", "yearly"],
+      required: true,
+    },
+    price: { type: Number, required: true, min: 0 },
+    // Số ngày vẫn được học sau khi hết kỳ nếu chưa gia hạn
+    gracePeriodDays: { type: Number, default: 3, min: 0 },
+    status: {
+      type: String,
+      enum: ["active", "inactive"],
+      default: "active",
+    },
+    createdBy: { type: Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true, collection: "subscription_plans" }
+);
+
+SubscriptionPlanSchema.index({ status: 1, tier: 1 });
+
+module.exports = mongoose.model("SubscriptionPlan", SubscriptionPlanSchema);
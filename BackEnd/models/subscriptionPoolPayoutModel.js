@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Một lần chia quỹ doanh thu đăng ký cho giảng viên trong một kỳ.
+ * Mỗi kỳ (periodStart, periodEnd) chỉ được chia một lần.
+ */
+const SubscriptionPoolPayoutSchema = new Schema(
+  {
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true },
+    metric: {
+      type: String,
+      enum: ["completions", "watch_time"],
+      required: true,
+    },
+    // Tổng doanh thu đăng ký thu được trong kỳ
+    revenue: { type: Number, required: true },
+    // Phần dành cho giảng viên (revenue * instructorShareRate)
+    poolAmount: { type: Number, required: true },
+    instructorShareRate: { type: Number, required: true },
+    totalUnits: { type: Number, default: 0 },
+    allocations: [
+      {
+        instructorId: { type: Schema.Types.ObjectId, ref: "User" },
+        units: Number,
+        amount: Number,
+      },
+    ],
+    createdBy: { type: Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true, collection: "subscription_pool_payouts" }
+);
+
+SubscriptionPoolPayoutSchema.index(
+  { periodStart: 1, periodEnd: 1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model(
+  "SubscriptionPoolPayout",
+  SubscriptionPoolPayoutSchema
+);
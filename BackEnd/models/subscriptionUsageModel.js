@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Mức sử dụng của học viên đăng ký trên từng bài học theo ngày, dùng để chia quỹ
+ * doanh thu đăng ký cho giảng viên (theo số bài hoàn thành hoặc theo thời gian xem).
+ */
+const SubscriptionUsageSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    subscriptionId: {
+      type: Schema.Types.ObjectId,
+      ref: "Subscription",
+      required: true,
+    },
+    courseId: { type: Schema.Types.ObjectId, ref: "Course", required: true },
+    instructorId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    lessonId: { type: Schema.Types.ObjectId, ref: "Lesson", required: true },
+    // Ngày ghi nhận (00:00 UTC)
+    day: { type: Date, required: true },
+    watchSeconds: { type: Number, default: 0, min: 0 },
+    // Chỉ có ở bản ghi của ngày hoàn thành bài học lần đầu
+    completedAt: { type: Date },
+  },
+  { timestamps: true, collection: "subscription_usages" }
+);
+
+SubscriptionUsageSchema.index(
+  { userId: 1, lessonId: 1, day: 1 },
+  { unique: true }
+);
+SubscriptionUsageSchema.index({ day: 1, instructorId: 1 });
+
+module.exports = mongoose.model("SubscriptionUsage", SubscriptionUsageSchema);
@@ -45,6 +45,16 @@ const transactionSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Các bước sau thanh toán (ghi danh, sổ cái, hóa đơn...): "pending" khi vừa chuyển completed,
+    // "failed" nếu lỗi giữa chừng. Job đối soát chạy lại các giao dịch chưa "fulfilled".
+    // Giao dịch cũ không có trường này được coi là đã xử lý xong.
+    fulfillmentStatus: {
+      type: String,
+      enum: ["pending", "fulfilled", "failed"],
+    },
+    fulfillmentError: {
+      type: String,
+    },
   },
   { timestamps: true, collection: "transactions" }
 );
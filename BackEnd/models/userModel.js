@@ -11,7 +11,7 @@ const UserSchema = new Schema(
     password: String,
     role: {
       type: String,
-      enum: ["admin", "student", "instructor"],
+      enum: ["admin", "student", "instructor", "org_admin"],
       default: "student",
     },
     status: {
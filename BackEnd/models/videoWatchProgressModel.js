@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Tiến độ xem video của học viên trên từng bài học: các đoạn đã xem (đã gộp, không chồng lấn)
+ * để tính thời lượng thực sự đã xem, và vị trí dừng gần nhất để xem tiếp.
+ */
+const VideoWatchProgressSchema = new Schema(
+  {
+    studentId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    courseId: { type: Schema.Types.ObjectId, ref: "Course", required: true },
+    lessonId: { type: Schema.Types.ObjectId, ref: "Lesson", required: true },
+    // Các đoạn đã xem (giây), sắp xếp theo start
+    segments: [
+      {
+        start: { type: Number, required: true, min: 0 },
+        end: { type: Number, required: true, min: 0 },
+        _id: false,
+      },
+    ],
+    // Tổng độ dài các đoạn đã xem, không tính xem lại
+    watchedSeconds: { type: Number, default: 0, min: 0 },
+    // Tổng thời gian xem (tính cả xem lại), đã giới hạn theo thời gian thực giữa các heartbeat
+    totalWatchSeconds: { type: Number, default: 0, min: 0 },
+    lastPosition: { type: Number, default: 0, min: 0 },
+    lastHeartbeatAt: { type: Date },
+    // Thời điểm bài học được tự động hoàn thành nhờ xem đủ
+    completedAt: { type: Date },
+  },
+  { timestamps: true, collection: "video_watch_progress" }
+);
+
+VideoWatchProgressSchema.index({ studentId: 1, lessonId: 1 }, { unique: true });
+VideoWatchProgressSchema.index({ studentId: 1, courseId: 1 });
+
+module.exports = mongoose.model("VideoWatchProgress", VideoWatchProgressSchema);
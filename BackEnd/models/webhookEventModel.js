@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Nhật ký webhook nhận từ cổng thanh toán: lưu nguyên payload, kết quả kiểm tra chữ ký
+ * và kết quả xử lý. eventKey là duy nhất nên các lần gửi lặp lại không bị xử lý hai lần.
+ */
+const WebhookEventSchema = new Schema(
+  {
+    provider: { type: String, enum: ["payos"], default: "payos" },
+    // payos:<orderCode>:<reference> với webhook hợp lệ, payos:invalid:<sha256 body> nếu sai chữ ký
+    eventKey: { type: String, required: true, unique: true },
+    orderCode: { type: Number },
+    payload: { type: Schema.Types.Mixed, required: true },
+    signatureValid: { type: Boolean, required: true },
+    signatureError: { type: String },
+    status: {
+      type: String,
+      enum: ["processing", "processed", "ignored", "failed", "rejected"],
+      default: "processing",
+    },
+    // Kết quả xử lý, vd: completed, fulfillment_resumed, transaction_not_found
+    outcome: { type: String },
+    // Thời điểm bắt đầu lần xử lý hiện tại; event "processing" quá lâu được coi là bị treo
+    processingStartedAt: { type: Date },
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String },
+    processedAt: { type: Date },
+    duplicateCount: { type: Number, default: 0 },
+    lastDuplicateAt: { type: Date },
+    replays: [
+      {
+        replayedBy: { type: Schema.Types.ObjectId, ref: "User" },
+        replayedAt: { type: Date, default: Date.now },
+        status: { type: String },
+        error: { type: String },
+      },
+    ],
+  },
+  { timestamps: true, collection: "webhook_events" }
+);
+
+WebhookEventSchema.index({ status: 1, createdAt: -1 });
+WebhookEventSchema.index({ orderCode: 1 });
+
+module.exports = mongoose.model("WebhookEvent", WebhookEventSchema);
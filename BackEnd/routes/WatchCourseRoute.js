@@ -6,8 +6,12 @@ const WatchCourseController = require("../controllers/WatchCourseController");
 // Get course info (title, subtitle, detail, material, thumbnail, trailer, level, duration, section)
 router.get("/:courseId", WatchCourseController.getCourseInfo);
 
-// Get all lessons of a course
-router.get("/:courseId/lessons", WatchCourseController.getAllLessonsOfCourse);
+// Get all lessons of a course (lock state is computed for the signed-in user, if any)
+router.get(
+  "/:courseId/lessons",
+  authorize.optional(),
+  WatchCourseController.getAllLessonsOfCourse
+);
 
 // Get all comments of a lesson
 router.get("/lesson/:lessonId/comments", WatchCourseController.getLessonComments);
@@ -34,6 +38,10 @@ router.delete(
 );
 
 // Get lesson detail by lessonId
-router.get("/lesson/:lessonId", WatchCourseController.getLessonDetail);
+router.get(
+  "/lesson/:lessonId",
+  authorize(),
+  WatchCourseController.getLessonDetail
+);
 
 module.exports = router; 
\ No newline at end of file
@@ -32,6 +32,45 @@ const {
   reactivateCourse,
   triggerAIReview,
 } = require("../controllers/adminController");
+const { getInstructorStatement } = require("../controllers/ledgerController");
+const {
+  getCommissionRates,
+  createCommissionRate,
+  updateCommissionRate,
+  deleteCommissionRate,
+  getEffectiveCommissionRate,
+} = require("../controllers/commissionController");
+const {
+  getPromotions,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+} = require("../controllers/promotionController");
+const {
+  getPlans,
+  createPlan,
+  updatePlan,
+  deletePlan,
+  getPoolPayouts,
+  distributePool,
+} = require("../controllers/subscriptionController");
+const {
+  getInvoices,
+  exportInvoices,
+} = require("../controllers/invoiceController");
+const {
+  getReconciliationReports,
+  getReconciliationReportById,
+  runReconciliation,
+} = require("../controllers/paymentReconciliationController");
+const {
+  getWebhookEvents,
+  getWebhookEventById,
+  replayWebhookEvent,
+} = require("../controllers/webhookEventController");
+const {
+  revokeCertificate,
+} = require("../controllers/certificateController");
 const authorize = require("../middlewares/authMiddleware");
 const { getDashboardStats } = require("../controllers/adminController");
 const upload = require("../middlewares/uploadMiddleware");
@@ -109,5 +148,44 @@ router.get("/instructor-requests", getInstructorRequests);
 router.post("/instructors/approve", approveInstructorRequest);
 router.post("/instructors/deny", denyInstructorRequest);
 router.post("/instructors/trigger-ai-review", triggerAIReview);
+router.get("/instructors/:instructorId/statement", getInstructorStatement);
+
+// Revenue share (commission rate) routes
+router.get("/commission-rates", getCommissionRates);
+router.get("/commission-rates/effective", getEffectiveCommissionRate);
+router.post("/commission-rates", createCommissionRate);
+router.put("/commission-rates/:rateId", updateCommissionRate);
+router.delete("/commission-rates/:rateId", deleteCommissionRate);
+
+// Automatic promotion routes
+router.get("/promotions", getPromotions);
+router.post("/promotions", createPromotion);
+router.put("/promotions/:promotionId", updatePromotion);
+router.delete("/promotions/:promotionId", deletePromotion);
+
+// Subscription plan & revenue pool routes
+router.get("/subscription-plans", getPlans);
+router.post("/subscription-plans", createPlan);
+router.put("/subscription-plans/:planId", updatePlan);
+router.delete("/subscription-plans/:planId", deletePlan);
+router.get("/subscription-pool", getPoolPayouts);
+router.post("/subscription-pool/distribute", distributePool);
+
+// Invoice routes
+router.get("/invoices", getInvoices);
+router.get("/invoices/export", exportInvoices);
+
+// Payment reconciliation routes
+router.get("/payment-reconciliation", getReconciliationReports);
+router.post("/payment-reconciliation/run", runReconciliation);
+router.get("/payment-reconciliation/:reportId", getReconciliationReportById);
+
+// Webhook event log routes
+router.get("/webhook-events", getWebhookEvents);
+router.get("/webhook-events/:eventId", getWebhookEventById);
+router.post("/webhook-events/:eventId/replay", replayWebhookEvent);
+
+// Certificate routes
+router.post("/certificates/:certificateId/revoke", revokeCertificate);
 
 module.exports = router;
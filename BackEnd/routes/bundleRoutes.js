@@ -0,0 +1,32 @@
+const bundleController = require("../controllers/bundleController");
+const authorize = require("../middlewares/authMiddleware");
+
+const router = require("express").Router();
+
+// Public: danh sách và chi tiết gói khóa học đang bán
+router.get("/", bundleController.getBundles);
+router.get(
+  "/mine",
+  authorize("instructor", "admin"),
+  bundleController.getMyBundles
+);
+router.get("/:bundleId", bundleController.getBundleById);
+
+// Instructor/Admin: quản lý gói khóa học
+router.post(
+  "/",
+  authorize("instructor", "admin"),
+  bundleController.createBundle
+);
+router.put(
+  "/:bundleId",
+  authorize("instructor", "admin"),
+  bundleController.updateBundle
+);
+router.delete(
+  "/:bundleId",
+  authorize("instructor", "admin"),
+  bundleController.deleteBundle
+);
+
+module.exports = router;
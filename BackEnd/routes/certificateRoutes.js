@@ -0,0 +1,8 @@
+const { verifyCertificate } = require("../controllers/certificateController");
+
+const router = require("express").Router();
+
+// Public: trang xác thực chứng chỉ (QR code trên chứng chỉ)
+router.get("/verify/:credentialId", verifyCertificate);
+
+module.exports = router;
@@ -7,6 +7,7 @@ const detailsRouter = require("express").Router();
 const {
   getCourseDetails,
   getRelatedCourses,
+  getCoursePrerequisites,
   getLessonDetails,
   getLessonComments,
   CommentToLesson,
@@ -24,6 +25,11 @@ router.get("/is-enrolled", authorize(), courseController.isUserEnrolled);
 // Course details
 router.get("/:courseId", getCourseDetails);
 router.get("/:courseId/related", getRelatedCourses);
+router.get(
+  "/:courseId/prerequisites",
+  authorize.optional(),
+  getCoursePrerequisites
+);
 
 // Lesson details
 router.get("/:courseId/lessons/:lessonId", authMiddleware(), getLessonDetails);
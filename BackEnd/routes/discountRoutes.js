@@ -10,7 +10,7 @@ const {
   updateDiscount,
   getDiscountStats,
   getAvailableDiscounts, // Thêm controller mới
-  increaseDiscountUsage, // Thêm controller tăng usage
+  validateDiscount, // Kiểm tra mã giảm giá phía server
   getAvailableDiscountsForCourses, // Thêm controller cho specific courses
   removeCourseFromDiscount, // Thêm controller xóa course khỏi discount
 } = require("../controllers/discountController");
@@ -116,15 +116,11 @@ publicRouter.get("/available", getAvailableDiscounts);
 publicRouter.post("/available-for-courses", getAvailableDiscountsForCourses);
 
 /**
- * @route   POST /api/discounts/:discountId/increase-usage
- * @desc    Tăng usage cho discount (user thường)
+ * @route   POST /api/discounts/validate
+ * @desc    Kiểm tra mã giảm giá và xem trước tổng tiền (usage chỉ tăng khi thanh toán thành công)
  * @access  User
  */
-publicRouter.post(
-  "/:discountId/increase-usage",
-  authorize(),
-  increaseDiscountUsage
-);
+publicRouter.post("/validate", authorize(), validateDiscount);
 
 module.exports = {
   adminRouter: router,
@@ -0,0 +1,11 @@
+const giftController = require("../controllers/giftController");
+const authorize = require("../middlewares/authMiddleware");
+
+const router = require("express").Router();
+
+router.get("/sent", authorize(), giftController.getSentGifts);
+router.post("/redeem", authorize(), giftController.redeemGiftCode);
+router.post("/:giftId/resend", authorize(), giftController.resendGiftEmail);
+router.get("/:code", authorize(), giftController.getGiftByCode);
+
+module.exports = router;
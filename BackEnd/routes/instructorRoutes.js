@@ -24,6 +24,7 @@ const {
   getInstructorFeedbacks,
   updatePayoutDetails,
 } = require("../controllers/instructorController");
+const { getMyStatement } = require("../controllers/ledgerController");
 const authorize = require("../middlewares/authMiddleware");
 const upload = require("../middlewares/uploadMiddleware");
 const {
@@ -85,4 +86,7 @@ router.post("/move-to-course", moveFileFromTemporary);
 
 router.put("/payout-details", updatePayoutDetails);
 
+// Earnings statement (ledger) route
+router.get("/statement", getMyStatement);
+
 module.exports = router;
@@ -0,0 +1,62 @@
+const organizationController = require("../controllers/organizationController");
+const authorize = require("../middlewares/authMiddleware");
+
+const router = require("express").Router();
+
+router.post(
+  "/",
+  authorize("student", "org_admin"),
+  organizationController.createOrganization
+);
+router.get(
+  "/mine",
+  authorize("org_admin", "admin"),
+  organizationController.getMyOrganizations
+);
+router.post(
+  "/invitations/accept",
+  authorize(),
+  organizationController.acceptInvitation
+);
+router.get(
+  "/:organizationId",
+  authorize("org_admin", "admin"),
+  organizationController.getOrganizationById
+);
+router.post(
+  "/:organizationId/members/invite",
+  authorize("org_admin", "admin"),
+  organizationController.inviteMembers
+);
+router.delete(
+  "/:organizationId/members/:memberId",
+  authorize("org_admin", "admin"),
+  organizationController.removeMember
+);
+router.get(
+  "/:organizationId/licenses",
+  authorize("org_admin", "admin"),
+  organizationController.getLicenses
+);
+router.post(
+  "/:organizationId/licenses",
+  authorize("org_admin", "admin"),
+  organizationController.purchaseLicense
+);
+router.post(
+  "/:organizationId/licenses/:licenseId/seats",
+  authorize("org_admin", "admin"),
+  organizationController.assignLicenseSeat
+);
+router.delete(
+  "/:organizationId/licenses/:licenseId/seats/:userId",
+  authorize("org_admin", "admin"),
+  organizationController.revokeLicenseSeat
+);
+router.get(
+  "/:organizationId/progress",
+  authorize("org_admin", "admin"),
+  organizationController.getProgress
+);
+
+module.exports = router;
@@ -10,6 +10,11 @@ const {
   handlePayOsWebhook,
   getPaymentStatus,
   cancelPayment,
+  requestRefund,
+  getMyRefundRequests,
+  getRefundRequests,
+  approveRefundRequest,
+  denyRefundRequest,
 } = require("../controllers/paymentController");
 
 // GET → lấy QR
@@ -27,4 +32,11 @@ router.post("/webhook", handlePayOsWebhook); // Webhook phải là public
 router.get("/status/:orderCode", authorize(), getPaymentStatus);
 router.put("/cancel/:orderCode", authorize(), cancelPayment);
 
+// Các route hoàn tiền
+router.post("/refunds", authorize(), requestRefund);
+router.get("/refunds", authorize(), getMyRefundRequests);
+router.get("/refunds/all", authorize("admin"), getRefundRequests);
+router.put("/refunds/:id/approve", authorize("admin"), approveRefundRequest);
+router.put("/refunds/:id/deny", authorize("admin"), denyRefundRequest);
+
 module.exports = router;
@@ -6,6 +6,7 @@ const {
   getEnrolledCourses,
   getPurchaseHistory,
 } = require("../controllers/profileController");
+const { downloadInvoice } = require("../controllers/invoiceController");
 const authorize = require("../middlewares/authMiddleware");
 const upload = require("../middlewares/uploadMiddleware");
 
@@ -37,4 +38,11 @@ router.get("/enrolled-courses", authorize(), getEnrolledCourses);
  */
 router.get("/purchase-history", authorize(), getPurchaseHistory);
 
-module.exports = router;
\ No newline at end of file
+/**
+ * @route   GET /api/profile/invoices/:invoiceId
+ * @desc    Download the PDF invoice of a purchase
+ * @access  Private (Owner, Admin)
+ */
+router.get("/invoices/:invoiceId", authorize(), downloadInvoice);
+
+module.exports = router;
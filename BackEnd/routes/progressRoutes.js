@@ -4,6 +4,7 @@ const {
   getCourseProgress,
   markLessonCompleted,
   markLessonIncomplete,
+  recordLessonHeartbeat,
   getAllCoursesProgress,
   getCompletedCourses,
   getIncompleteCourses,
@@ -53,6 +54,13 @@ router.post("/:courseId/lessons/:lessonId/complete", authorize(), markLessonComp
  */
 router.delete("/:courseId/lessons/:lessonId/complete", authorize(), markLessonIncomplete);
 
+/**
+ * @route   POST /api/progress/:courseId/lessons/:lessonId/heartbeat
+ * @desc    Record watched video segments and resume position (auto-completes the lesson)
+ * @access  Private
+ */
+router.post("/:courseId/lessons/:lessonId/heartbeat", authorize(), recordLessonHeartbeat);
+
 /**
  * @route   GET /api/progress/:courseId/completed-lessons
  * @desc    Get completed lessons details for a specific course
@@ -8,6 +8,7 @@ const {
   getLessonDetail,
   getQuizzesInLesson,
   getQuizzesByCourse,
+  getQuizItemAnalysis,
   deleteQuiz,
   linkQuizToCourse,
   linkQuizToLesson,
@@ -16,9 +17,25 @@ const {
   createQuizFromFrontendData,
   updateQuiz,
   submitQuiz,
+  startQuizAttempt,
+  getCurrentQuizAttempt,
+  saveQuizAttemptAnswers,
   getQuizResult,
   getMyQuizHistory
 } = require("../controllers/quizController");
+const {
+  getBankQuestions,
+  getBankTags,
+  createBankQuestion,
+  updateBankQuestion,
+  deleteBankQuestion,
+  getDrawAvailability
+} = require("../controllers/questionBankController");
+const { importQuiz, exportQuiz } = require("../controllers/quizFormatController");
+const {
+  getEssayReviewQueue,
+  reviewEssayAnswer
+} = require("../controllers/essayReviewController");
 
 // Request tracking middleware
 const trackRequest = (req, res, next) => {
@@ -32,6 +49,9 @@ const trackRequest = (req, res, next) => {
 // Upload Word file to create quiz
 router.post("/upload-word", trackRequest, authMiddleware(), uploadWordQuiz);
 
+// Import GIFT / Aiken / QTI 2.1 file to create quiz (not saved yet)
+router.post("/import", trackRequest, authMiddleware("instructor", "admin"), importQuiz);
+
 // Create quiz from frontend data (from state)
 router.post("/create-from-data", trackRequest, authMiddleware(), createQuizFromFrontendData);
 
@@ -47,6 +67,18 @@ router.post("/:quizId/create-lesson", authMiddleware(), createQuizLesson);
 // Create lessons for all orphaned quizzes
 router.post("/create-missing-lessons", authMiddleware(), createMissingQuizLessons);
 
+// === QUESTION BANK (per instructor) ===
+router.get("/bank/questions", authMiddleware("instructor", "admin"), getBankQuestions);
+router.post("/bank/questions", authMiddleware("instructor", "admin"), createBankQuestion);
+router.put("/bank/questions/:questionId", authMiddleware("instructor", "admin"), updateBankQuestion);
+router.delete("/bank/questions/:questionId", authMiddleware("instructor", "admin"), deleteBankQuestion);
+router.get("/bank/tags", authMiddleware("instructor", "admin"), getBankTags);
+router.post("/bank/draws/availability", authMiddleware("instructor", "admin"), getDrawAvailability);
+
+// Essay grading queue: review / override AI essay grades (must be before /:quizId)
+router.get("/essay-reviews", authMiddleware("instructor", "admin"), getEssayReviewQueue);
+router.put("/results/:resultId/essays/:essayId/review", authMiddleware("instructor", "admin"), reviewEssayAnswer);
+
 // === STUDENT QUIZ ROUTES ===
 // Note: Put specific paths before parameterized paths to avoid route conflicts
 
@@ -64,12 +96,23 @@ router.get("/lesson/:lessonId/all", authMiddleware(), getQuizzesInLesson);
 
 // === INSTRUCTOR/ADMIN QUIZ ROUTES ===
 
+// Start or resume a timed attempt, autosave in-progress answers (must be before /:quizId)
+router.post("/:quizId/attempts", authMiddleware(), startQuizAttempt);
+router.get("/:quizId/attempts/current", authMiddleware(), getCurrentQuizAttempt);
+router.put("/:quizId/attempts/current/answers", authMiddleware(), saveQuizAttemptAnswers);
+
 // Submit quiz answers and get results (must be before /:quizId)
 router.post("/:quizId/submit", authMiddleware(), submitQuiz);
 
 // Get result for a specific quiz (must be before /:quizId)
 router.get("/:quizId/result", authMiddleware(), getQuizResult);
 
+// Item analysis report, JSON or CSV (must be before /:quizId)
+router.get("/:quizId/item-analysis", authMiddleware("instructor", "admin"), getQuizItemAnalysis);
+
+// Export quiz as GIFT / Aiken / QTI / JSON / CSV (must be before /:quizId)
+router.get("/:quizId/export", authMiddleware("instructor", "admin"), exportQuiz);
+
 // Get quiz by ID
 router.get("/:quizId", authMiddleware(), getQuizById);
 
@@ -0,0 +1,31 @@
+const subscriptionController = require("../controllers/subscriptionController");
+const authorize = require("../middlewares/authMiddleware");
+
+const router = require("express").Router();
+
+// Public: các gói đăng ký đang bán và khóa học thuộc gói
+router.get("/plans", subscriptionController.getActivePlans);
+router.get("/plans/:planId/courses", subscriptionController.getPlanCourses);
+
+// Học viên: đăng ký, gia hạn, hủy gói
+router.get("/me", authorize(), subscriptionController.getMySubscriptions);
+router.post("/", authorize(), subscriptionController.subscribe);
+router.post(
+  "/:subscriptionId/renew",
+  authorize(),
+  subscriptionController.renewSubscription
+);
+router.put(
+  "/:subscriptionId/cancel",
+  authorize(),
+  subscriptionController.cancelSubscription
+);
+
+// Học viên: bắt đầu học một khóa học thuộc gói
+router.post(
+  "/courses/:courseId/enroll",
+  authorize(),
+  subscriptionController.enrollWithSubscription
+);
+
+module.exports = router;
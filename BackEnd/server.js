@@ -20,6 +20,10 @@ const categoryRoutes = require("./routes/categoryRoutes");
 const notificationRoutes = require("./routes/notificationRoutes");
 const cartRoutes = require("./routes/cartRoutes");
 const wishlistRoutes = require("./routes/wishlistRoutes");
+const bundleRoutes = require("./routes/bundleRoutes");
+const subscriptionRoutes = require("./routes/subscriptionRoutes");
+const giftRoutes = require("./routes/giftRoutes");
+const organizationRoutes = require("./routes/organizationRoutes");
 const {
   adminRouter: discountAdminRouter,
   instructorRouter: discountInstructorRouter,
@@ -37,7 +41,17 @@ const recommendationRoutes = require("./routes/recommendationRoutes");
 const proctoringRoutes = require("./routes/proctoringRoutes");
 const surveyRoutes = require("./routes/surveyRoutes");
 const withdrawalRoutes = require("./routes/withdrawalRoutes");
+const certificateRoutes = require("./routes/certificateRoutes");
 const { startAutoReviewService } = require("./services/autoAIReviewService");
+const {
+  startSubscriptionExpiryService,
+} = require("./services/subscriptionService");
+const {
+  startPaymentReconciliationService,
+} = require("./services/paymentReconciliationService");
+const {
+  startQuizAttemptExpiryService,
+} = require("./services/quizAttemptService");
 
 const app = express();
 
@@ -184,6 +198,14 @@ app.use("/api/notifications", notificationRoutes);
 app.use("/api/cart", cartRoutes);
 // Wishlist routes
 app.use("/api/wishlist", wishlistRoutes);
+// Course bundle routes
+app.use("/api/bundles", bundleRoutes);
+// Subscription plan routes
+app.use("/api/subscriptions", subscriptionRoutes);
+// Gift routes
+app.use("/api/gifts", giftRoutes);
+// Organization / team license routes
+app.use("/api/organizations", organizationRoutes);
 // Profile routes
 app.use("/api/profile", profileRoutes);
 // Withdrawal routes
@@ -216,6 +238,8 @@ app.use("/api/proctoring", proctoringRoutes);
 app.use("/api/recommendations", recommendationRoutes);
 // Survey routes
 app.use("/api/survey", surveyRoutes);
+// Certificate verification routes
+app.use("/api/certificates", certificateRoutes);
 
 console.log("✅ [SERVER] All routes configured");
 
@@ -235,6 +259,15 @@ mongoose
     // Khởi động auto AI review service
     startAutoReviewService(30); // Check mỗi 30 phút
 
+    // Chuyển các gói đăng ký hết kỳ sang past_due/expired
+    startSubscriptionExpiryService(60);
+
+    // Đối soát các giao dịch pending bị lỡ webhook với PayOS
+    startPaymentReconciliationService({ intervalMinutes: 15, io });
+
+    // Tự nộp các lượt làm quiz đã hết giờ mà học viên không nộp
+    startQuizAttemptExpiryService(1);
+
     const PORT = process.env.PORT || 5000;
     // Use server.listen instead of app.listen for Socket.IO
     server.listen(PORT, () => {
@@ -0,0 +1,102 @@
+const Bundle = require("../models/bundleModel");
+
+/**
+ * Service xử lý giá của gói khóa học (bundle).
+ * Giá gói được phân bổ cho từng khóa học theo tỉ lệ giá gốc để
+ * webhook chia doanh thu cho đúng giảng viên và để tính tiền hoàn.
+ */
+
+/**
+ * Phân bổ giá gói cho các khóa học theo tỉ lệ giá gốc,
+ * khóa học cuối nhận phần làm tròn còn lại.
+ * @param {number} bundlePrice - Giá bán của gói
+ * @param {Array<{_id, price}>} courses - Các khóa học trong gói
+ * @returns {Array<{courseId, amount: number}>}
+ */
+const allocateBundlePrice = (bundlePrice, courses) => {
+  const totalCoursePrice = courses.reduce((sum, c) => sum + (c.price || 0), 0);
+  let remaining = bundlePrice;
+
+  return courses.map((course, index) => {
+    let amount;
+    if (index === courses.length - 1) {
+      amount = remaining;
+    } else if (totalCoursePrice > 0) {
+      amount = Math.round(
+        (bundlePrice * (course.price || 0)) / totalCoursePrice
+      );
+    } else {
+      // Các khóa học đều miễn phí: chia đều
+      amount = Math.round(bundlePrice / courses.length);
+    }
+    amount = Math.min(amount, remaining);
+    remaining -= amount;
+    return { courseId: course._id, amount };
+  });
+};
+
+/**
+ * Lấy các gói đang bán kèm giá phân bổ cho từng khóa học.
+ * @param {Array<string>} bundleIds
+ * @param {ClientSession} [session]
+ * @returns {Promise<Array>} [{ bundleId, title, price, courseIds, allocations }]
+ * @throws {Error} error.statusCode = 404 nếu có gói không tồn tại hoặc ngừng bán
+ */
+const getBundlesForCheckout = async (bundleIds, session = null) => {
+  const uniqueIds = [...new Set(bundleIds.map(String))];
+  const bundles = await Bundle.find({
+    _id: { $in: uniqueIds },
+    status: "active",
+  })
+    .populate({ path: "courseIds", select: "title price status" })
+    .session(session);
+
+  if (bundles.length !== uniqueIds.length) {
+    const error = new Error("Không tìm thấy gói khóa học.");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return bundles.map((bundle) => {
+    const courses = bundle.courseIds.filter(Boolean);
+    if (courses.length !== bundle.courseIds.length) {
+      const error = new Error(
+        `Gói "${bundle.title}" chứa khóa học không còn tồn tại.`
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+    return {
+      bundleId: bundle._id,
+      title: bundle.title,
+      price: bundle.price,
+      courseIds: courses.map((c) => c._id),
+      allocations: allocateBundlePrice(bundle.price, courses),
+    };
+  });
+};
+
+/**
+ * Giá bán thực tế của các khóa học trong một Payment: khóa học lẻ theo payment.allocations
+ * (sau khuyến mãi và mã giảm giá), khóa học mua theo gói theo phần giá gói được phân bổ.
+ * Payment cũ không có allocations: khóa học lẻ không có trong Map (nơi gọi dùng giá gốc).
+ * @returns {Map<string, number>} courseId -> số tiền thực thu
+ */
+const getCourseSalePrices = (payment) => {
+  const salePrices = new Map();
+  for (const allocation of payment.allocations || []) {
+    salePrices.set(allocation.courseId.toString(), allocation.amount);
+  }
+  for (const bundle of payment.bundles || []) {
+    for (const allocation of bundle.allocations || []) {
+      salePrices.set(allocation.courseId.toString(), allocation.amount);
+    }
+  }
+  return salePrices;
+};
+
+module.exports = {
+  allocateBundlePrice,
+  getBundlesForCheckout,
+  getCourseSalePrices,
+};
@@ -0,0 +1,278 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const QRCode = require("qrcode");
+const Certificate = require("../models/certificateModel");
+const Course = require("../models/courseModel");
+const Enrollment = require("../models/enrollmentModel");
+const Progress = require("../models/progressModel");
+const StudentQuizResult = require("../models/StudentQuizResult");
+const { createAndSendNotification } = require("./notificationService");
+const { getUnpassedQuizLessons } = require("./progressService");
+
+/**
+ * Service xác thực chứng chỉ: mỗi chứng chỉ có credentialId ngẫu nhiên (128 bit),
+ * QR code trên chứng chỉ trỏ tới trang xác thực công khai của frontend,
+ * trang này gọi GET /api/certificates/verify/:credentialId. Admin có thể thu hồi chứng chỉ.
+ * Chỉ cấp chứng chỉ khi học viên đã ghi danh, hoàn thành mọi bài học và đạt mọi quiz.
+ */
+
+const CREDENTIAL_ID_PATTERN = /^[0-9A-F]{8}(-[0-9A-F]{8}){3}$/;
+const MAX_REVOCATION_REASON_LENGTH = 500;
+
+const createCertificateError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// VD: 3F9A1C2B-0D4E7A61-B2C9F004-5E8D1A37
+const generateCredentialId = () =>
+  crypto.randomBytes(16).toString("hex").toUpperCase().match(/.{8}/g).join("-");
+
+const normalizeCredentialId = (credentialId) =>
+  String(credentialId || "")
+    .trim()
+    .toUpperCase();
+
+const getVerificationUrl = (credentialId) =>
+  `${process.env.CLIENT_URL}/certificates/verify/${credentialId}`;
+
+/**
+ * QR code (data URL PNG) trỏ tới trang xác thực, để nhúng vào template chứng chỉ
+ * @returns {Promise<string>}
+ */
+const createVerificationQrCode = (credentialId) =>
+  QRCode.toDataURL(getVerificationUrl(credentialId), {
+    errorCorrectionLevel: "M",
+    margin: 1,
+    width: 240,
+  });
+
+/**
+ * Cấp credentialId cho chứng chỉ cũ (tạo trước khi có xác thực)
+ * @param {Object} certificate - Certificate document
+ * @returns {Promise<Object>}
+ */
+const ensureCredentialId = async (certificate) => {
+  if (certificate.credentialId) return certificate;
+  certificate.credentialId = generateCredentialId();
+  await certificate.save();
+  return certificate;
+};
+
+// Cùng định dạng với Course.duration (VD: "12h 30m")
+const formatDuration = (seconds) => {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  if (h > 0) return `${h}h ${m}m`;
+  return `${m}m`;
+};
+
+/**
+ * Điều kiện nhận chứng chỉ và dữ liệu in lên chứng chỉ
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.courseId
+ * @returns {Promise<Object>} { eligible, reason, ... } với reason là
+ *   not_enrolled | no_lessons | lessons_incomplete | quizzes_not_passed khi chưa đủ điều kiện;
+ *   khi đủ điều kiện có thêm courseDuration và finalGrade (null nếu khóa học không có quiz)
+ */
+const getCertificateEligibility = async ({ userId, courseId }) => {
+  const course = await Course.findById(courseId)
+    .select("duration sections")
+    .populate({
+      path: "sections",
+      select: "lessons",
+      populate: { path: "lessons", select: "title duration quizIds" },
+    });
+  if (!course) throw createCertificateError("Course not found", 404);
+
+  const enrollment = await Enrollment.findOne({
+    userId,
+    courseId,
+    status: { $in: ["enrolled", "completed"] },
+  });
+  if (!enrollment) return { eligible: false, reason: "not_enrolled" };
+
+  const lessonById = new Map();
+  course.sections.forEach((section) =>
+    (section?.lessons || []).forEach((lesson) => {
+      if (lesson) lessonById.set(String(lesson._id), lesson);
+    })
+  );
+  const lessons = [...lessonById.values()];
+  if (lessons.length === 0) return { eligible: false, reason: "no_lessons" };
+
+  const progress = await Progress.findOne({ studentId: userId, courseId });
+  const completedIds = new Set((progress?.completedLessons || []).map(String));
+  const missingLessons = lessons
+    .filter((lesson) => !completedIds.has(String(lesson._id)))
+    .map((lesson) => ({ lessonId: lesson._id, title: lesson.title }));
+  if (missingLessons.length > 0) {
+    return {
+      eligible: false,
+      reason: "lessons_incomplete",
+      totalLessons: lessons.length,
+      completedLessons: lessons.length - missingLessons.length,
+      missingLessons,
+    };
+  }
+
+  const unpassedQuizLessons = await getUnpassedQuizLessons({
+    userId,
+    courseId,
+  });
+  if (unpassedQuizLessons.length > 0) {
+    return {
+      eligible: false,
+      reason: "quizzes_not_passed",
+      unpassedQuizLessons,
+    };
+  }
+
+  // Điểm tổng kết: trung bình điểm (%) các quiz trong bài học của khóa học
+  const quizIds = [
+    ...new Set(lessons.flatMap((lesson) => (lesson.quizIds || []).map(String))),
+  ];
+  const results = quizIds.length
+    ? await StudentQuizResult.find({
+        userId,
+        quizId: { $in: quizIds },
+      }).select("score")
+    : [];
+  const scores = results
+    .map((result) => result.score)
+    .filter((score) => typeof score === "number");
+  const finalGrade = scores.length
+    ? Math.round(
+        (scores.reduce((sum, score) => sum + score, 0) / scores.length) * 10
+      ) / 10
+    : null;
+
+  const durationSeconds = lessons.reduce(
+    (sum, lesson) => sum + (lesson.duration || 0),
+    0
+  );
+  return {
+    eligible: true,
+    courseDuration:
+      durationSeconds > 0
+        ? formatDuration(durationSeconds)
+        : course.duration || null,
+    finalGrade,
+  };
+};
+
+/**
+ * Thông tin xác thực công khai của chứng chỉ (không gồm email / thông tin riêng tư)
+ * @param {string} credentialId
+ */
+const getCertificateVerification = async (credentialId) => {
+  const normalizedId = normalizeCredentialId(credentialId);
+  if (!CREDENTIAL_ID_PATTERN.test(normalizedId)) {
+    throw createCertificateError("Invalid credential ID");
+  }
+
+  const certificate = await Certificate.findOne({ credentialId: normalizedId })
+    .populate("userId", "firstName lastName")
+    .populate({
+      path: "courseId",
+      select: "title createdBy",
+      populate: { path: "createdBy", select: "firstName lastName" },
+    });
+  if (!certificate) throw createCertificateError("Certificate not found", 404);
+
+  const holder = certificate.userId;
+  const course = certificate.courseId;
+  const instructor = course?.createdBy;
+  const revoked = Boolean(certificate.revokedAt);
+  return {
+    credentialId: certificate.credentialId,
+    status: revoked ? "revoked" : "valid",
+    valid: !revoked,
+    holder: {
+      name: holder ? `${holder.firstName} ${holder.lastName}`.trim() : null,
+    },
+    course: course
+      ? {
+          courseId: course._id,
+          title: course.title,
+          instructor: instructor
+            ? `${instructor.firstName} ${instructor.lastName}`.trim()
+            : null,
+        }
+      : null,
+    issuedAt: certificate.createdAt,
+    certificateUrl: certificate.certificateUrl,
+    revokedAt: certificate.revokedAt || null,
+    revocationReason: revoked ? certificate.revocationReason || null : null,
+  };
+};
+
+/**
+ * Admin thu hồi chứng chỉ và thông báo cho học viên
+ * @param {Object} params
+ * @param {Object} params.user - Admin
+ * @param {string} params.certificateId - _id hoặc credentialId
+ * @param {string} [params.reason]
+ * @param {Object} [params.io] - Socket.io instance để gửi thông báo realtime
+ * @returns {Promise<Object>} Certificate đã thu hồi
+ */
+const revokeCertificate = async ({ user, certificateId, reason, io }) => {
+  if (reason !== undefined && reason !== null) {
+    if (typeof reason !== "string") {
+      throw createCertificateError("reason must be a string");
+    }
+    if (reason.length > MAX_REVOCATION_REASON_LENGTH) {
+      throw createCertificateError(
+        `reason must be at most ${MAX_REVOCATION_REASON_LENGTH} characters`
+      );
+    }
+  }
+
+  const credentialId = normalizeCredentialId(certificateId);
+  const certificate = CREDENTIAL_ID_PATTERN.test(credentialId)
+    ? await Certificate.findOne({ credentialId })
+    : mongoose.Types.ObjectId.isValid(certificateId)
+      ? await Certificate.findById(certificateId)
+      : null;
+  if (!certificate) throw createCertificateError("Certificate not found", 404);
+  if (certificate.revokedAt) {
+    throw createCertificateError("Certificate is already revoked", 409);
+  }
+
+  // Chứng chỉ cũ cũng cần mã để trang xác thực hiển thị trạng thái thu hồi
+  if (!certificate.credentialId) {
+    certificate.credentialId = generateCredentialId();
+  }
+  certificate.revokedAt = new Date();
+  certificate.revokedBy = user._id;
+  certificate.revocationReason = reason ? reason.trim() : undefined;
+  await certificate.save();
+
+  const course = await Course.findById(certificate.courseId).select("title");
+  const reasonText = certificate.revocationReason
+    ? ` Lý do: ${certificate.revocationReason}`
+    : "";
+  await createAndSendNotification(io, {
+    recipient: certificate.userId,
+    sender: user._id,
+    type: "system",
+    content: `Chứng chỉ khóa học "${course ? course.title : ""}" của bạn đã bị thu hồi.${reasonText}`,
+    link: `/certificates/verify/${certificate.credentialId}`,
+  });
+
+  return certificate;
+};
+
+module.exports = {
+  CREDENTIAL_ID_PATTERN,
+  createCertificateError,
+  generateCredentialId,
+  getVerificationUrl,
+  createVerificationQrCode,
+  ensureCredentialId,
+  getCertificateEligibility,
+  getCertificateVerification,
+  revokeCertificate,
+};
@@ -0,0 +1,89 @@
+const CommissionRate = require("../models/commissionRateModel");
+
+/**
+ * Service tra cứu tỉ lệ chia doanh thu giữa nền tảng và giảng viên.
+ */
+
+// Tỉ lệ hoa hồng mặc định khi Admin chưa cấu hình (nền tảng 20%, giảng viên 80%)
+const FALLBACK_COMMISSION_RATE = 0.2;
+
+/**
+ * Điều kiện "đang có hiệu lực tại thời điểm at"
+ */
+const effectiveAt = (at) => ({
+  effectiveFrom: { $lte: at },
+  $or: [{ effectiveTo: null }, { effectiveTo: { $gt: at } }],
+});
+
+/**
+ * Lấy tỉ lệ hoa hồng có hiệu lực cho một khóa học tại một thời điểm.
+ * @param {Object} params
+ * @param {string} params.courseId
+ * @param {string} params.instructorId
+ * @param {Date} [params.at] - Thời điểm thanh toán (mặc định: hiện tại)
+ * @returns {Promise<{commissionRate: number, instructorShareRate: number, source: string, rateId: ?string}>}
+ */
+const getEffectiveCommission = async ({
+  courseId,
+  instructorId,
+  at = new Date(),
+}) => {
+  const candidates = [];
+  if (courseId) candidates.push({ scope: "course", courseId });
+  if (instructorId) candidates.push({ scope: "instructor", instructorId });
+  candidates.push({ scope: "default" });
+
+  for (const filter of candidates) {
+    const rate = await CommissionRate.findOne({
+      ...filter,
+      ...effectiveAt(at),
+    }).sort({ effectiveFrom: -1 });
+
+    if (rate) {
+      return {
+        commissionRate: rate.commissionRate,
+        instructorShareRate: 1 - rate.commissionRate,
+        source: rate.scope,
+        rateId: rate._id,
+      };
+    }
+  }
+
+  return {
+    commissionRate: FALLBACK_COMMISSION_RATE,
+    instructorShareRate: 1 - FALLBACK_COMMISSION_RATE,
+    source: "fallback",
+    rateId: null,
+  };
+};
+
+/**
+ * Tìm bản ghi cùng phạm vi có khoảng hiệu lực chồng lấn với [effectiveFrom, effectiveTo).
+ */
+const findOverlappingRate = async ({
+  scope,
+  instructorId,
+  courseId,
+  effectiveFrom,
+  effectiveTo,
+  excludeId,
+}) => {
+  const query = {
+    scope,
+    // Khoảng mới kết thúc sau khi khoảng cũ bắt đầu
+    ...(effectiveTo ? { effectiveFrom: { $lt: effectiveTo } } : {}),
+    // Khoảng cũ kết thúc sau khi khoảng mới bắt đầu
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gt: effectiveFrom } }],
+  };
+  if (scope === "instructor") query.instructorId = instructorId;
+  if (scope === "course") query.courseId = courseId;
+  if (excludeId) query._id = { $ne: excludeId };
+
+  return CommissionRate.findOne(query);
+};
+
+module.exports = {
+  FALLBACK_COMMISSION_RATE,
+  getEffectiveCommission,
+  findOverlappingRate,
+};
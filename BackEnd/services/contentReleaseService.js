@@ -0,0 +1,339 @@
+const mongoose = require("mongoose");
+const Course = require("../models/courseModel");
+const Section = require("../models/sectionModel");
+const Lesson = require("../models/lessonModel");
+const Quiz = require("../models/QuizModel");
+const Enrollment = require("../models/enrollmentModel");
+const Progress = require("../models/progressModel");
+const StudentQuizResult = require("../models/StudentQuizResult");
+const { isQuizPassed } = require("./progressService");
+
+/**
+ * Service drip content: chương / bài học mở khóa sau N ngày kể từ ngày ghi danh, vào ngày cố định,
+ * hoặc sau khi hoàn thành bài học / đạt quiz tiên quyết (xem models/contentReleaseSchema.js).
+ * Admin và giảng viên sở hữu khóa học luôn thấy toàn bộ nội dung.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createContentReleaseError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const hasReleaseRule = (release) =>
+  Boolean(
+    release &&
+    (release.afterDays > 0 ||
+      release.availableAt ||
+      release.prerequisiteLessonId ||
+      release.prerequisiteQuizId)
+  );
+
+/**
+ * Kiểm tra và chuẩn hóa điều kiện mở khóa do giảng viên gửi lên
+ * @param {?Object} release - { afterDays, availableAt, prerequisiteLessonId, prerequisiteQuizId }
+ * @param {Object} params
+ * @param {string} params.courseId
+ * @param {string} [params.lessonId] - Bài học đang cấu hình (không được tự làm điều kiện của chính nó)
+ * @returns {Promise<?Object>} null khi bỏ mọi điều kiện
+ */
+const normalizeReleaseRule = async (release, { courseId, lessonId }) => {
+  if (release === null || release === undefined) return null;
+  if (typeof release !== "object" || Array.isArray(release)) {
+    throw createContentReleaseError("release must be an object");
+  }
+
+  const normalized = {};
+  const { afterDays, availableAt, prerequisiteLessonId, prerequisiteQuizId } =
+    release;
+
+  if (afterDays !== undefined && afterDays !== null && afterDays !== "") {
+    const days = Number(afterDays);
+    if (!Number.isInteger(days) || days < 0) {
+      throw createContentReleaseError(
+        "release.afterDays must be a non-negative integer"
+      );
+    }
+    if (days > 0) normalized.afterDays = days;
+  }
+
+  if (availableAt) {
+    const date = new Date(availableAt);
+    if (Number.isNaN(date.getTime())) {
+      throw createContentReleaseError("release.availableAt must be a date");
+    }
+    normalized.availableAt = date;
+  }
+
+  if (prerequisiteLessonId) {
+    if (!mongoose.Types.ObjectId.isValid(prerequisiteLessonId)) {
+      throw createContentReleaseError("Invalid prerequisiteLessonId");
+    }
+    if (lessonId && String(prerequisiteLessonId) === String(lessonId)) {
+      throw createContentReleaseError(
+        "A lesson cannot be its own prerequisite"
+      );
+    }
+    const exists = await Lesson.exists({
+      _id: prerequisiteLessonId,
+      courseId,
+    });
+    if (!exists) {
+      throw createContentReleaseError(
+        "Prerequisite lesson not found in this course",
+        404
+      );
+    }
+    normalized.prerequisiteLessonId = prerequisiteLessonId;
+  }
+
+  if (prerequisiteQuizId) {
+    if (!mongoose.Types.ObjectId.isValid(prerequisiteQuizId)) {
+      throw createContentReleaseError("Invalid prerequisiteQuizId");
+    }
+    const [quizInCourse, quizInLesson] = await Promise.all([
+      Quiz.exists({ _id: prerequisiteQuizId, courseId }),
+      Lesson.exists({ courseId, quizIds: prerequisiteQuizId }),
+    ]);
+    if (!quizInCourse && !quizInLesson) {
+      throw createContentReleaseError(
+        "Prerequisite quiz not found in this course",
+        404
+      );
+    }
+    normalized.prerequisiteQuizId = prerequisiteQuizId;
+  }
+
+  return hasReleaseRule(normalized) ? normalized : null;
+};
+
+/**
+ * Dữ liệu của học viên để xét điều kiện: ngày ghi danh, bài đã hoàn thành, quiz đã đạt
+ * @param {Object} params
+ * @param {?Object} params.user - null với khách chưa đăng nhập
+ * @param {string} params.courseId
+ * @param {Array} params.releases - Các điều kiện cần xét (để chỉ tải quiz / bài học liên quan)
+ */
+const getReleaseContext = async ({ user, courseId, releases }) => {
+  const lessonIds = releases
+    .map((release) => release.prerequisiteLessonId)
+    .filter(Boolean);
+  const quizIds = releases
+    .map((release) => release.prerequisiteQuizId)
+    .filter(Boolean);
+
+  const [course, lessons, quizzes] = await Promise.all([
+    Course.findById(courseId).select("createdBy"),
+    lessonIds.length
+      ? Lesson.find({ _id: { $in: lessonIds } }).select("title")
+      : [],
+    quizIds.length
+      ? Quiz.find({ _id: { $in: quizIds } }).select("title passingScore")
+      : [],
+  ]);
+
+  const context = {
+    bypass: false,
+    enrolledAt: null,
+    completedLessonIds: new Set(),
+    passedQuizIds: new Set(),
+    lessonTitles: new Map(
+      lessons.map((lesson) => [String(lesson._id), lesson.title])
+    ),
+    quizTitles: new Map(quizzes.map((quiz) => [String(quiz._id), quiz.title])),
+  };
+  if (!user) return context;
+  if (
+    user.role === "admin" ||
+    (course && course.createdBy?.toString() === user._id.toString())
+  ) {
+    return { ...context, bypass: true };
+  }
+
+  const [enrollment, progress, results] = await Promise.all([
+    Enrollment.findOne({
+      userId: user._id,
+      courseId,
+      status: { $in: ["enrolled", "completed"] },
+    })
+      .sort({ createdAt: 1 })
+      .select("createdAt"),
+    Progress.findOne({ studentId: user._id, courseId }).select(
+      "completedLessons"
+    ),
+    quizIds.length
+      ? StudentQuizResult.find({
+          userId: user._id,
+          quizId: { $in: quizIds },
+        }).select("quizId score")
+      : [],
+  ]);
+
+  context.enrolledAt = enrollment ? enrollment.createdAt : null;
+  context.completedLessonIds = new Set(
+    (progress?.completedLessons || []).map(String)
+  );
+  const quizById = new Map(quizzes.map((quiz) => [String(quiz._id), quiz]));
+  results.forEach((result) => {
+    const quiz = quizById.get(String(result.quizId));
+    if (quiz && isQuizPassed(quiz, result)) {
+      context.passedQuizIds.add(String(result.quizId));
+    }
+  });
+  return context;
+};
+
+/**
+ * Lý do nội dung còn khóa theo một điều kiện
+ * @returns {Array<{type: string, message: string}>} Rỗng nếu đã mở
+ */
+const getLockReasons = (release, context, now = new Date()) => {
+  if (context.bypass || !hasReleaseRule(release)) return [];
+  const reasons = [];
+
+  if (release.availableAt && now < release.availableAt) {
+    reasons.push({
+      type: "date",
+      unlockAt: release.availableAt,
+      message: `Available on ${release.availableAt.toISOString()}`,
+    });
+  }
+
+  if (release.afterDays > 0) {
+    if (!context.enrolledAt) {
+      reasons.push({
+        type: "enrollment_days",
+        afterDays: release.afterDays,
+        message: `Unlocks ${release.afterDays} days after enrollment`,
+      });
+    } else {
+      const unlockAt = new Date(
+        context.enrolledAt.getTime() + release.afterDays * DAY_MS
+      );
+      if (now < unlockAt) {
+        reasons.push({
+          type: "enrollment_days",
+          afterDays: release.afterDays,
+          unlockAt,
+          message: `Unlocks ${release.afterDays} days after enrollment`,
+        });
+      }
+    }
+  }
+
+  if (
+    release.prerequisiteLessonId &&
+    !context.completedLessonIds.has(String(release.prerequisiteLessonId))
+  ) {
+    const title = context.lessonTitles.get(
+      String(release.prerequisiteLessonId)
+    );
+    reasons.push({
+      type: "prerequisite_lesson",
+      lessonId: release.prerequisiteLessonId,
+      message: `Complete lesson "${title || "prerequisite"}" first`,
+    });
+  }
+
+  if (
+    release.prerequisiteQuizId &&
+    !context.passedQuizIds.has(String(release.prerequisiteQuizId))
+  ) {
+    const title = context.quizTitles.get(String(release.prerequisiteQuizId));
+    reasons.push({
+      type: "prerequisite_quiz",
+      quizId: release.prerequisiteQuizId,
+      message: `Pass quiz "${title || "prerequisite"}" first`,
+    });
+  }
+
+  return reasons;
+};
+
+/**
+ * Trạng thái khóa của các chương và bài học trong khóa học
+ * @param {Object} params
+ * @param {?Object} params.user
+ * @param {string} params.courseId
+ * @param {Array} params.sections - Section có release và lessons (đã populate, có release)
+ * @returns {Promise<{sections: Map, lessons: Map}>} Map theo id -> { locked, reasons }
+ *   reasons của bài học gồm cả lý do khóa của chương chứa nó
+ */
+const getCourseLockStates = async ({ user, courseId, sections }) => {
+  const releases = [];
+  sections.forEach((section) => {
+    if (section.release) releases.push(section.release);
+    (section.lessons || []).forEach((lesson) => {
+      if (lesson && lesson.release) releases.push(lesson.release);
+    });
+  });
+
+  const states = { sections: new Map(), lessons: new Map() };
+  if (releases.length === 0) {
+    sections.forEach((section) => {
+      states.sections.set(String(section._id), { locked: false, reasons: [] });
+      (section.lessons || []).forEach((lesson) => {
+        if (lesson) {
+          states.lessons.set(String(lesson._id), {
+            locked: false,
+            reasons: [],
+          });
+        }
+      });
+    });
+    return states;
+  }
+
+  const context = await getReleaseContext({ user, courseId, releases });
+  const now = new Date();
+  sections.forEach((section) => {
+    const sectionReasons = getLockReasons(section.release, context, now);
+    states.sections.set(String(section._id), {
+      locked: sectionReasons.length > 0,
+      reasons: sectionReasons,
+    });
+    (section.lessons || []).forEach((lesson) => {
+      if (!lesson) return;
+      const reasons = [
+        ...sectionReasons,
+        ...getLockReasons(lesson.release, context, now),
+      ];
+      states.lessons.set(String(lesson._id), {
+        locked: reasons.length > 0,
+        reasons,
+      });
+    });
+  });
+  return states;
+};
+
+/**
+ * Trạng thái khóa của một bài học (kèm điều kiện của chương chứa nó)
+ * @returns {Promise<{locked: boolean, reasons: Array}>}
+ */
+const getLessonLockState = async ({ user, lesson }) => {
+  const section = await Section.findById(lesson.sectionId).select("release");
+  const states = await getCourseLockStates({
+    user,
+    courseId: lesson.courseId,
+    sections: [
+      {
+        _id: section ? section._id : lesson.sectionId,
+        release: section ? section.release : undefined,
+        lessons: [lesson],
+      },
+    ],
+  });
+  return states.lessons.get(String(lesson._id));
+};
+
+module.exports = {
+  createContentReleaseError,
+  hasReleaseRule,
+  normalizeReleaseRule,
+  getLockReasons,
+  getCourseLockStates,
+  getLessonLockState,
+};
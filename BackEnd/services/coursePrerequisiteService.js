@@ -0,0 +1,303 @@
+const mongoose = require("mongoose");
+const Course = require("../models/courseModel");
+const Lesson = require("../models/lessonModel");
+const Enrollment = require("../models/enrollmentModel");
+const Progress = require("../models/progressModel");
+const Certificate = require("../models/certificateModel");
+
+/**
+ * Service khóa học tiên quyết: giảng viên khai báo Course.prerequisites, khi ghi danh học viên
+ * chưa hoàn thành khóa tiên quyết sẽ bị cảnh báo (warn) hoặc chặn (block) theo
+ * Course.prerequisiteEnforcement. Đồ thị tiên quyết không được có chu trình.
+ */
+
+const PREREQUISITE_ENFORCEMENTS = ["warn", "block"];
+const MAX_PREREQUISITES = 10;
+
+const createCoursePrerequisiteError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Kiểm tra danh sách khóa tiên quyết do giảng viên gửi lên
+ * @param {Object} params
+ * @param {string} [params.courseId] - Khóa học đang cấu hình (không có khi tạo mới)
+ * @param {Array<string>} params.prerequisites
+ * @returns {Promise<Array<string>>} Các id đã bỏ trùng
+ */
+const normalizePrerequisites = async ({ courseId, prerequisites }) => {
+  if (prerequisites === null) return [];
+  if (!Array.isArray(prerequisites)) {
+    throw createCoursePrerequisiteError(
+      "prerequisites must be an array of course IDs"
+    );
+  }
+
+  const ids = [...new Set(prerequisites.map(String))];
+  if (ids.length > MAX_PREREQUISITES) {
+    throw createCoursePrerequisiteError(
+      `A course can have at most ${MAX_PREREQUISITES} prerequisites`
+    );
+  }
+  if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    throw createCoursePrerequisiteError("Invalid prerequisite course ID");
+  }
+  if (courseId && ids.includes(String(courseId))) {
+    throw createCoursePrerequisiteError(
+      "A course cannot be its own prerequisite"
+    );
+  }
+  if (ids.length === 0) return [];
+
+  const found = await Course.countDocuments({ _id: { $in: ids } });
+  if (found !== ids.length) {
+    throw createCoursePrerequisiteError("Prerequisite course not found", 404);
+  }
+
+  // Khóa học mới chưa được khóa nào tham chiếu nên không thể tạo chu trình
+  if (courseId) {
+    const visited = new Set();
+    let frontier = ids;
+    while (frontier.length > 0) {
+      if (frontier.includes(String(courseId))) {
+        throw createCoursePrerequisiteError(
+          "Prerequisites cannot form a cycle"
+        );
+      }
+      frontier.forEach((id) => visited.add(id));
+      const courses = await Course.find({ _id: { $in: frontier } }).select(
+        "prerequisites"
+      );
+      frontier = [
+        ...new Set(
+          courses.flatMap((course) => (course.prerequisites || []).map(String))
+        ),
+      ].filter((id) => !visited.has(id));
+    }
+  }
+
+  return ids;
+};
+
+/**
+ * Các khóa học học viên đã hoàn thành: Enrollment "completed", đã có chứng chỉ,
+ * hoặc đã hoàn thành mọi bài học
+ * @returns {Promise<Set<string>>}
+ */
+const getCompletedCourseIds = async ({ userId, courseIds }) => {
+  if (!userId || courseIds.length === 0) return new Set();
+
+  const [enrollments, certificates, progresses, lessons] = await Promise.all([
+    Enrollment.find({
+      userId,
+      courseId: { $in: courseIds },
+      status: "completed",
+    }).select("courseId"),
+    Certificate.find({ userId, courseId: { $in: courseIds } }).select(
+      "courseId"
+    ),
+    Progress.find({ studentId: userId, courseId: { $in: courseIds } }).select(
+      "courseId completedLessons"
+    ),
+    Lesson.find({ courseId: { $in: courseIds } }).select("courseId"),
+  ]);
+
+  const completed = new Set([
+    ...enrollments.map((enrollment) => String(enrollment.courseId)),
+    ...certificates.map((certificate) => String(certificate.courseId)),
+  ]);
+
+  const lessonIdsByCourse = new Map();
+  lessons.forEach((lesson) => {
+    const key = String(lesson.courseId);
+    if (!lessonIdsByCourse.has(key)) lessonIdsByCourse.set(key, new Set());
+    lessonIdsByCourse.get(key).add(String(lesson._id));
+  });
+  progresses.forEach((progress) => {
+    const lessonIds = lessonIdsByCourse.get(String(progress.courseId));
+    if (!lessonIds || lessonIds.size === 0) return;
+    const done = new Set(progress.completedLessons.map(String));
+    if ([...lessonIds].every((lessonId) => done.has(lessonId))) {
+      completed.add(String(progress.courseId));
+    }
+  });
+  return completed;
+};
+
+/**
+ * Trạng thái khóa tiên quyết của một khóa học với học viên
+ * @param {Object} params
+ * @param {?string} params.userId - null với khách chưa đăng nhập
+ * @param {string} params.courseId
+ * @returns {Promise<{enforcement: string, prerequisites: Array, satisfied: boolean}>}
+ */
+const getPrerequisiteStatus = async ({ userId, courseId }) => {
+  const course = await Course.findById(courseId)
+    .select("prerequisites prerequisiteEnforcement")
+    .populate("prerequisites", "title thumbnail level");
+  if (!course) throw createCoursePrerequisiteError("Course not found", 404);
+
+  const prerequisites = (course.prerequisites || []).filter(Boolean);
+  const completed = await getCompletedCourseIds({
+    userId,
+    courseIds: prerequisites.map((prerequisite) => prerequisite._id),
+  });
+  const items = prerequisites.map((prerequisite) => ({
+    courseId: prerequisite._id,
+    title: prerequisite.title,
+    thumbnail: prerequisite.thumbnail,
+    level: prerequisite.level,
+    completed: completed.has(String(prerequisite._id)),
+  }));
+
+  return {
+    enforcement: course.prerequisiteEnforcement || "warn",
+    prerequisites: items,
+    satisfied: items.every((item) => item.completed),
+  };
+};
+
+/**
+ * Kiểm tra khóa tiên quyết trước khi ghi danh nhiều khóa học
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {Array<string>} params.courseIds
+ * @returns {Promise<{blocked: Array, warnings: Array}>}
+ *   mỗi phần tử: { courseId, title, enforcement, missing: [{ courseId, title }] }
+ */
+const checkEnrollmentPrerequisites = async ({ userId, courseIds }) => {
+  const courses = await Course.find({
+    _id: { $in: courseIds },
+    "prerequisites.0": { $exists: true },
+  })
+    .select("title prerequisites prerequisiteEnforcement")
+    .populate("prerequisites", "title");
+
+  const prerequisiteIds = courses.flatMap((course) =>
+    course.prerequisites.filter(Boolean).map((prerequisite) => prerequisite._id)
+  );
+  const completed = await getCompletedCourseIds({
+    userId,
+    courseIds: prerequisiteIds,
+  });
+
+  const blocked = [];
+  const warnings = [];
+  courses.forEach((course) => {
+    const missing = course.prerequisites
+      .filter(
+        (prerequisite) =>
+          prerequisite && !completed.has(String(prerequisite._id))
+      )
+      .map((prerequisite) => ({
+        courseId: prerequisite._id,
+        title: prerequisite.title,
+      }));
+    if (missing.length === 0) return;
+
+    const enforcement = course.prerequisiteEnforcement || "warn";
+    const item = {
+      courseId: course._id,
+      title: course.title,
+      enforcement,
+      missing,
+    };
+    if (enforcement === "block") blocked.push(item);
+    else warnings.push(item);
+  });
+  return { blocked, warnings };
+};
+
+/**
+ * Như checkEnrollmentPrerequisites nhưng ném lỗi 403 khi có khóa học bị chặn
+ * (error.missingPrerequisites chứa danh sách bị chặn)
+ * @returns {Promise<Array>} Các cảnh báo
+ */
+const assertEnrollmentPrerequisites = async ({ userId, courseIds }) => {
+  const { blocked, warnings } = await checkEnrollmentPrerequisites({
+    userId,
+    courseIds,
+  });
+  if (blocked.length > 0) {
+    const error = createCoursePrerequisiteError(
+      `Complete the prerequisite courses first: ${blocked
+        .flatMap((item) => item.missing.map((course) => course.title))
+        .join(", ")}`,
+      403
+    );
+    error.missingPrerequisites = blocked;
+    throw error;
+  }
+  return warnings;
+};
+
+/**
+ * Bao đóng tiên quyết: mọi khóa học phải học trước (trực tiếp hoặc gián tiếp)
+ * @param {Array} courses - Course có _id và prerequisites
+ * @returns {Map<string, Set<string>>} id -> tập id khóa học phải học trước
+ */
+const buildPrerequisiteClosure = (courses) => {
+  const direct = new Map(
+    courses.map((course) => [
+      String(course._id),
+      (course.prerequisites || []).map((prerequisite) =>
+        String(prerequisite._id || prerequisite)
+      ),
+    ])
+  );
+  const closure = new Map();
+  const visit = (id, path) => {
+    if (closure.has(id)) return closure.get(id);
+    const ancestors = new Set();
+    // Dữ liệu cũ có thể có chu trình: bỏ qua cạnh quay lại
+    path.add(id);
+    (direct.get(id) || []).forEach((prerequisiteId) => {
+      if (path.has(prerequisiteId)) return;
+      ancestors.add(prerequisiteId);
+      visit(prerequisiteId, path).forEach((ancestor) =>
+        ancestors.add(ancestor)
+      );
+    });
+    path.delete(id);
+    closure.set(id, ancestors);
+    return ancestors;
+  };
+  direct.forEach((_, id) => visit(id, new Set()));
+  return closure;
+};
+
+/**
+ * Sắp xếp topo: khóa tiên quyết đứng trước, giữ nguyên thứ tự ban đầu khi không ràng buộc
+ * @param {Array<string>} ids
+ * @param {Map<string, Set<string>>} closure - Từ buildPrerequisiteClosure
+ * @returns {Array<string>}
+ */
+const sortByPrerequisites = (ids, closure) => {
+  const remaining = ids.map(String);
+  const sorted = [];
+  while (remaining.length > 0) {
+    const index = remaining.findIndex((id) => {
+      const ancestors = closure.get(id);
+      return !ancestors || !remaining.some((other) => ancestors.has(other));
+    });
+    // Chu trình: lấy phần tử đầu để không lặp vô hạn
+    const [next] = remaining.splice(index === -1 ? 0 : index, 1);
+    sorted.push(next);
+  }
+  return sorted;
+};
+
+module.exports = {
+  PREREQUISITE_ENFORCEMENTS,
+  MAX_PREREQUISITES,
+  createCoursePrerequisiteError,
+  normalizePrerequisites,
+  getCompletedCourseIds,
+  getPrerequisiteStatus,
+  checkEnrollmentPrerequisites,
+  assertEnrollmentPrerequisites,
+  buildPrerequisiteClosure,
+  sortByPrerequisites,
+};
@@ -0,0 +1,280 @@
+const Discount = require("../models/discountModel");
+const DiscountRedemption = require("../models/discountRedemptionModel");
+const { applyPromotions } = require("./promotionService");
+const { allocateBundlePrice } = require("./bundleService");
+
+/**
+ * Service kiểm tra mã giảm giá và tính tổng tiền đơn hàng phía server
+ * (kết hợp với khuyến mãi tự động của promotionService).
+ * Client không còn tự gửi số tiền; createPaymentLink dùng priceOrder() để tính.
+ */
+
+const DUPLICATE_KEY_CODE = 11000;
+
+const createDiscountError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Kiểm tra mã giảm giá cho một đơn hàng và tính số tiền được giảm.
+ * @param {Object} params
+ * @param {string} params.discountCode - Mã người dùng nhập
+ * @param {string} params.userId - Người mua
+ * @param {Array<{_id, price}>} params.courses - Các khóa học trong đơn
+ * @returns {Promise<{discount, eligibleCourses: Array, eligibleSubtotal: number, discountAmount: number}>}
+ * @throws {Error} error.statusCode = 400/404 nếu mã không hợp lệ
+ */
+const validateDiscountCode = async ({ discountCode, userId, courses }) => {
+  const now = new Date();
+  const discount = await Discount.findOne({
+    discountCode: discountCode.trim(),
+  });
+
+  if (!discount) {
+    throw createDiscountError("Mã giảm giá không tồn tại.", 404);
+  }
+
+  if (discount.status !== "active") {
+    throw createDiscountError("Mã giảm giá không còn hiệu lực.");
+  }
+
+  if (discount.startDate && discount.startDate > now) {
+    throw createDiscountError("Mã giảm giá chưa đến thời gian sử dụng.");
+  }
+
+  if (discount.endDate && discount.endDate < now) {
+    throw createDiscountError("Mã giảm giá đã hết hạn.");
+  }
+
+  if (discount.usageLimit > 0 && discount.usage >= discount.usageLimit) {
+    throw createDiscountError("Mã giảm giá đã hết lượt sử dụng.");
+  }
+
+  // applyCourses rỗng = áp dụng cho mọi khóa học
+  const applyCourseIds = (discount.applyCourses || []).map((id) =>
+    id.toString()
+  );
+  const eligibleCourses =
+    applyCourseIds.length === 0
+      ? courses
+      : courses.filter((c) => applyCourseIds.includes(c._id.toString()));
+
+  if (eligibleCourses.length === 0) {
+    throw createDiscountError(
+      "Mã giảm giá không áp dụng cho khóa học nào trong đơn hàng."
+    );
+  }
+
+  const subtotal = courses.reduce((sum, c) => sum + (c.price || 0), 0);
+  if (discount.minimumOrder > 0 && subtotal < discount.minimumOrder) {
+    throw createDiscountError(
+      `Đơn hàng tối thiểu ${discount.minimumOrder} để sử dụng mã giảm giá này.`
+    );
+  }
+
+  const existingRedemption = await DiscountRedemption.findOne({
+    discountId: discount._id,
+    userId,
+    status: { $in: ["pending", "redeemed"] },
+  }).select("status");
+  if (existingRedemption?.status === "redeemed") {
+    throw createDiscountError("Bạn đã sử dụng mã giảm giá này.");
+  }
+  if (existingRedemption) {
+    throw createDiscountError(
+      "Bạn đang có đơn hàng chờ thanh toán dùng mã giảm giá này."
+    );
+  }
+
+  const eligibleSubtotal = eligibleCourses.reduce(
+    (sum, c) => sum + (c.price || 0),
+    0
+  );
+
+  let discountAmount =
+    discount.type === "percent"
+      ? (eligibleSubtotal * discount.value) / 100
+      : discount.value;
+
+  if (discount.maximumDiscount > 0) {
+    discountAmount = Math.min(discountAmount, discount.maximumDiscount);
+  }
+  discountAmount = Math.round(Math.min(discountAmount, eligibleSubtotal));
+
+  return { discount, eligibleCourses, eligibleSubtotal, discountAmount };
+};
+
+/**
+ * Tính tổng tiền đơn hàng: áp dụng khuyến mãi tự động trước,
+ * sau đó mã giảm giá (nếu có) được tính trên giá đã giảm.
+ * allocations là số tiền thực thu của từng khóa học (mã giảm giá chia cho các khóa học được áp dụng
+ * theo tỉ lệ giá), dùng để ghi sổ doanh thu và tính tiền hoàn.
+ * @returns {Promise<Object>} { subtotal, promotionDiscount, discountAmount, total, discount, allocations, breakdown }
+ */
+const priceOrder = async ({ courses, discountCode, userId }) => {
+  const breakdown = await applyPromotions({ courses, userId });
+  const result = {
+    subtotal: breakdown.subtotal,
+    promotionDiscount: breakdown.promotionDiscount,
+    discountAmount: 0,
+    total: breakdown.total,
+    discount: null,
+    allocations: breakdown.items.map((item) => ({
+      courseId: item.courseId,
+      amount: item.finalPrice,
+    })),
+    breakdown,
+  };
+
+  if (!discountCode) return result;
+
+  if (!breakdown.allowDiscountCode) {
+    throw createDiscountError(
+      "Khuyến mãi đang áp dụng không dùng chung được với mã giảm giá."
+    );
+  }
+
+  const { discount, eligibleCourses, discountAmount } =
+    await validateDiscountCode({
+      discountCode,
+      userId,
+      courses: breakdown.items.map((item) => ({
+        _id: item.courseId,
+        price: item.finalPrice,
+      })),
+    });
+
+  const discountShares = new Map(
+    allocateBundlePrice(discountAmount, eligibleCourses).map((share) => [
+      share.courseId.toString(),
+      share.amount,
+    ])
+  );
+
+  return {
+    ...result,
+    discountAmount,
+    total: breakdown.total - discountAmount,
+    discount,
+    allocations: result.allocations.map((allocation) => ({
+      courseId: allocation.courseId,
+      amount:
+        allocation.amount -
+        (discountShares.get(allocation.courseId.toString()) || 0),
+    })),
+  };
+};
+
+// Còn lượt dùng: không giới hạn hoặc usage (gồm cả lượt đang giữ chỗ) chưa tới usageLimit
+const hasUsageLeftFilter = {
+  $or: [
+    { usageLimit: { $in: [null, 0] } },
+    { $expr: { $lt: ["$usage", "$usageLimit"] } },
+  ],
+};
+
+/**
+ * Giữ chỗ lượt dùng mã khi tạo link thanh toán: usage tăng ngay (điều kiện nguyên tử) nên các
+ * đơn tạo đồng thời không vượt usageLimit; lượt được trả lại khi đơn hàng bị hủy hoặc hết hạn.
+ * Mỗi người dùng chỉ có một lượt giữ chỗ "pending" cho mỗi mã (unique index).
+ * @param {Object} params
+ * @param {Object} [params.session] - Mongo session của giao dịch tạo đơn hàng
+ * @throws {Error} error.statusCode = 400 nếu mã đã hết lượt, 409 nếu đơn khác đang giữ lượt cùng lúc
+ */
+const reserveDiscountForTransaction = async ({
+  discount,
+  userId,
+  transactionId,
+  discountAmount,
+  session,
+}) => {
+  try {
+    const { modifiedCount } = await Discount.updateOne(
+      { _id: discount._id, ...hasUsageLeftFilter },
+      { $inc: { usage: 1 } },
+      { session }
+    );
+    if (modifiedCount === 0) {
+      throw createDiscountError("Mã giảm giá đã hết lượt sử dụng.");
+    }
+
+    return await new DiscountRedemption({
+      discountId: discount._id,
+      userId,
+      transactionId,
+      discountAmount,
+      usageReserved: true,
+    }).save({ session });
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_CODE) {
+      throw createDiscountError(
+        "Bạn đang có đơn hàng chờ thanh toán dùng mã giảm giá này."
+      );
+    }
+    // Giao dịch khác đang giữ lượt của cùng mã (WriteConflict)
+    if (error.hasErrorLabel?.("TransientTransactionError")) {
+      throw createDiscountError(
+        "Mã giảm giá đang được sử dụng cho đơn hàng khác, vui lòng thử lại.",
+        409
+      );
+    }
+    throw error;
+  }
+};
+
+/**
+ * Ghi nhận lượt dùng mã khi webhook xác nhận thanh toán. Lượt đã được giữ chỗ khi tạo đơn;
+ * chỉ lượt giữ chỗ cũ (trước khi giữ chỗ tăng usage) mới cộng usage ở bước này.
+ */
+const redeemDiscountForTransaction = async (transactionId) => {
+  const redemption = await DiscountRedemption.findOneAndUpdate(
+    { transactionId, status: "pending" },
+    { $set: { status: "redeemed", redeemedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!redemption || redemption.usageReserved) return redemption;
+
+  const { modifiedCount } = await Discount.updateOne(
+    { _id: redemption.discountId, ...hasUsageLeftFilter },
+    { $inc: { usage: 1 } }
+  );
+  if (modifiedCount === 0) {
+    console.warn(
+      `[DISCOUNT] Mã ${redemption.discountId} đã hết lượt khi ghi nhận giao dịch ${transactionId}`
+    );
+  }
+
+  return redemption;
+};
+
+/**
+ * Hủy lượt dùng mã đang chờ khi đơn hàng bị hủy hoặc hết hạn và trả lại lượt đã giữ chỗ.
+ * Lượt được chiếm nguyên tử nên chỉ được trả lại một lần.
+ * @returns {Promise<?Object>} DiscountRedemption đã hủy, null nếu đơn không dùng mã
+ */
+const cancelDiscountForTransaction = async (transactionId) => {
+  const redemption = await DiscountRedemption.findOneAndUpdate(
+    { transactionId, status: "pending" },
+    { $set: { status: "cancelled" } },
+    { new: true }
+  );
+
+  if (redemption?.usageReserved) {
+    await Discount.updateOne(
+      { _id: redemption.discountId, usage: { $gt: 0 } },
+      { $inc: { usage: -1 } }
+    );
+  }
+  return redemption;
+};
+
+module.exports = {
+  validateDiscountCode,
+  priceOrder,
+  reserveDiscountForTransaction,
+  redeemDiscountForTransaction,
+  cancelDiscountForTransaction,
+};
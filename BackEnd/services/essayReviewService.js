@@ -0,0 +1,286 @@
+const mongoose = require("mongoose");
+const StudentQuizResult = require("../models/StudentQuizResult");
+const Quiz = require("../models/QuizModel");
+const Course = require("../models/courseModel");
+const { recomputeResultScore } = require("./quizGradingService");
+const { completeLessonIfRecordedPassed } = require("./quizAttemptService");
+const { createAndSendNotification } = require("./notificationService");
+
+/**
+ * Service duyệt điểm tự luận: AI chấm trước (aiController.gradeEssayAnswers), giảng viên
+ * xác nhận hoặc chấm lại. Điểm AI (aiScore/aiFeedback) được giữ nguyên, mọi lần chấm ghi vào gradeHistory.
+ */
+
+const REVIEW_QUEUE_STATUSES = ["pending", "reviewed", "all"];
+const REVIEW_ACTIONS = ["accept", "override"];
+const REVIEWED_STATUSES = ["accepted", "overridden"];
+const MAX_FEEDBACK_LENGTH = 5000;
+
+const createEssayReviewError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Quiz giảng viên được duyệt: quiz mình tạo hoặc thuộc khóa học mình tạo
+ * @returns {Promise<?Array>} null với admin (được duyệt mọi quiz)
+ */
+const getReviewableQuizIds = async (user) => {
+  if (user.role === "admin") return null;
+  const courseIds = await Course.find({ createdBy: user._id }).distinct("_id");
+  return Quiz.find({
+    $or: [{ userId: user._id }, { courseId: { $in: courseIds } }],
+  }).distinct("_id");
+};
+
+const assertCanReviewQuiz = async (user, quiz) => {
+  if (user.role === "admin") return;
+  const userId = user._id.toString();
+  if (quiz.userId?.toString() === userId) return;
+  if (quiz.courseId) {
+    const course = await Course.findById(quiz.courseId).select("createdBy");
+    if (course?.createdBy?.toString() === userId) return;
+  }
+  throw createEssayReviewError(
+    "You can only review essays of your own quizzes",
+    403
+  );
+};
+
+/**
+ * Hàng chờ duyệt: mỗi phần tử là một câu tự luận của một học viên, cũ nhất trước.
+ * Phân trang ngay trong truy vấn (mỗi câu tự luận là một dòng sau $unwind).
+ * @param {Object} params
+ * @param {Object} params.user - Giảng viên / admin đang duyệt
+ * @param {string} [params.status] - pending | reviewed | all
+ * @param {string} [params.quizId]
+ * @param {string} [params.courseId]
+ * @param {number} [params.page]
+ * @param {number} [params.limit]
+ */
+const getEssayReviewQueue = async ({
+  user,
+  status = "pending",
+  quizId,
+  courseId,
+  page = 1,
+  limit = 20,
+}) => {
+  if (!REVIEW_QUEUE_STATUSES.includes(status)) {
+    throw createEssayReviewError(
+      `status must be one of: ${REVIEW_QUEUE_STATUSES.join(", ")}`
+    );
+  }
+  for (const [name, id] of Object.entries({ quizId, courseId })) {
+    if (id && !mongoose.isValidObjectId(id)) {
+      throw createEssayReviewError(`Invalid ${name}`);
+    }
+  }
+
+  const reviewableIds = await getReviewableQuizIds(user);
+  const quizFilter = {};
+  if (reviewableIds) quizFilter._id = { $in: reviewableIds };
+  if (quizId) quizFilter._id = { ...quizFilter._id, $eq: quizId };
+  if (courseId) quizFilter.courseId = courseId;
+  const quizzes = await Quiz.find(quizFilter).select("title courseId").lean();
+  const quizById = new Map(quizzes.map((quiz) => [String(quiz._id), quiz]));
+
+  const resultFilter = {
+    // aggregate không tự ép kiểu nên dùng ObjectId của quiz
+    quizId: { $in: quizzes.map((quiz) => quiz._id) },
+    // Chỉ duyệt sau khi AI chấm xong, tránh lượt chấm AI sau ghi đè điểm giảng viên
+    gradingStatus: "completed",
+    "essayAnswers.0": { $exists: true },
+  };
+  const essayFilter = {};
+  if (status !== "all") {
+    const reviewStatus =
+      status === "pending"
+        ? { $nin: REVIEWED_STATUSES }
+        : { $in: REVIEWED_STATUSES };
+    resultFilter.essayAnswers = { $elemMatch: { reviewStatus } };
+    essayFilter["essayAnswers.reviewStatus"] = reviewStatus;
+  }
+
+  const [{ rows, total }] = await StudentQuizResult.aggregate([
+    { $match: resultFilter },
+    { $unwind: { path: "$essayAnswers", includeArrayIndex: "essayPosition" } },
+    { $match: essayFilter },
+    { $sort: { takenAt: 1, _id: 1, essayPosition: 1 } },
+    {
+      $facet: {
+        rows: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $project: {
+              userId: 1,
+              quizId: 1,
+              takenAt: 1,
+              gradingStatus: 1,
+              essayAnswer: "$essayAnswers",
+            },
+          },
+        ],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+  await StudentQuizResult.populate(rows, {
+    path: "userId",
+    select: "firstName lastName email",
+  });
+
+  const items = rows.map(({ essayAnswer, ...result }) => ({
+    resultId: result._id,
+    essayId: essayAnswer._id,
+    quiz: quizById.get(String(result.quizId)),
+    student: result.userId,
+    takenAt: result.takenAt,
+    gradingStatus: result.gradingStatus,
+    questionIndex: essayAnswer.questionIndex,
+    bankQuestionId: essayAnswer.bankQuestionId,
+    questionContent: essayAnswer.questionContent,
+    studentAnswer: essayAnswer.studentAnswer,
+    maxScore: essayAnswer.maxScore,
+    aiGraded: typeof essayAnswer.aiScore === "number",
+    aiScore: essayAnswer.aiScore,
+    aiFeedback: essayAnswer.aiFeedback,
+    gradingModel: essayAnswer.gradingModel,
+    reviewStatus: essayAnswer.reviewStatus || "pending",
+    instructorScore: essayAnswer.instructorScore,
+    instructorFeedback: essayAnswer.instructorFeedback,
+    reviewedAt: essayAnswer.reviewedAt,
+  }));
+
+  return { items, total: total[0]?.count || 0 };
+};
+
+/**
+ * Giảng viên xác nhận (accept) hoặc chấm lại (override) một câu tự luận, tính lại
+ * totalScore, điểm ghi nhận theo gradingPolicy và trạng thái đạt (tự hoàn thành bài học
+ * như lúc nộp bài), rồi thông báo cho học viên
+ * @param {Object} params
+ * @param {Object} params.user - Giảng viên / admin
+ * @param {string} params.resultId
+ * @param {string} params.essayId - _id của phần tử essayAnswers
+ * @param {string} params.action - accept | override
+ * @param {number} [params.score] - Bắt buộc khi override (0..maxScore)
+ * @param {string} [params.feedback]
+ * @param {Object} [params.io] - Socket.io instance để gửi thông báo realtime
+ * @returns {Promise<{result: Object, passed: boolean, recordedPassed: boolean, lessonCompleted: boolean}>}
+ *   passed là trạng thái đạt của lượt gần nhất, recordedPassed của điểm ghi nhận
+ */
+const reviewEssayAnswer = async ({
+  user,
+  resultId,
+  essayId,
+  action,
+  score,
+  feedback,
+  io,
+}) => {
+  if (!REVIEW_ACTIONS.includes(action)) {
+    throw createEssayReviewError(
+      `action must be one of: ${REVIEW_ACTIONS.join(", ")}`
+    );
+  }
+  if (feedback !== undefined && feedback !== null) {
+    if (typeof feedback !== "string") {
+      throw createEssayReviewError("feedback must be a string");
+    }
+    if (feedback.length > MAX_FEEDBACK_LENGTH) {
+      throw createEssayReviewError(
+        `feedback must be at most ${MAX_FEEDBACK_LENGTH} characters`
+      );
+    }
+  }
+
+  const result = await StudentQuizResult.findById(resultId);
+  if (!result) throw createEssayReviewError("Quiz result not found", 404);
+  const quiz = await Quiz.findById(result.quizId).select(
+    "title userId courseId gradingPolicy passingScore"
+  );
+  if (!quiz) throw createEssayReviewError("Quiz not found", 404);
+  await assertCanReviewQuiz(user, quiz);
+
+  if (result.gradingStatus !== "completed") {
+    throw createEssayReviewError(
+      "AI grading has not completed for this result yet",
+      409
+    );
+  }
+  const essayAnswer = result.essayAnswers.id(essayId);
+  if (!essayAnswer) throw createEssayReviewError("Essay answer not found", 404);
+
+  const maxScore = essayAnswer.maxScore || 10;
+  let finalScore;
+  if (action === "accept") {
+    if (typeof essayAnswer.aiScore !== "number") {
+      throw createEssayReviewError(
+        "This essay has no AI grade to accept. Use override to grade it",
+        409
+      );
+    }
+    finalScore = essayAnswer.aiScore;
+  } else {
+    finalScore = Number(score);
+    if (
+      score === undefined ||
+      score === null ||
+      score === "" ||
+      !Number.isFinite(finalScore) ||
+      finalScore < 0 ||
+      finalScore > maxScore
+    ) {
+      throw createEssayReviewError(`score must be between 0 and ${maxScore}`);
+    }
+  }
+
+  const trimmedFeedback = feedback ? feedback.trim() : undefined;
+  const reviewedAt = new Date();
+  essayAnswer.reviewStatus = action === "accept" ? "accepted" : "overridden";
+  essayAnswer.instructorScore = finalScore;
+  essayAnswer.instructorFeedback = trimmedFeedback;
+  essayAnswer.reviewedBy = user._id;
+  essayAnswer.reviewedAt = reviewedAt;
+  essayAnswer.gradeHistory.push({
+    source: "instructor",
+    action: essayAnswer.reviewStatus,
+    score: finalScore,
+    feedback: trimmedFeedback,
+    gradedBy: user._id,
+    gradedAt: reviewedAt,
+  });
+
+  const { passed } = recomputeResultScore(result, quiz);
+  await result.save();
+  const { recordedPassed, lessonCompleted } =
+    await completeLessonIfRecordedPassed({
+      quiz,
+      userId: result.userId,
+      result,
+    });
+
+  await createAndSendNotification(io, {
+    recipient: result.userId,
+    sender: user._id,
+    type: "system",
+    content:
+      action === "accept"
+        ? `Giảng viên đã xác nhận điểm câu tự luận ${essayAnswer.questionIndex + 1} của bài "${quiz.title}": ${finalScore}/${maxScore}.`
+        : `Giảng viên đã chấm lại câu tự luận ${essayAnswer.questionIndex + 1} của bài "${quiz.title}": ${finalScore}/${maxScore}.`,
+    link: `/quiz/${quiz._id}/result`,
+  });
+
+  return { result, passed, recordedPassed, lessonCompleted };
+};
+
+module.exports = {
+  REVIEW_QUEUE_STATUSES,
+  REVIEW_ACTIONS,
+  createEssayReviewError,
+  getEssayReviewQueue,
+  reviewEssayAnswer,
+};
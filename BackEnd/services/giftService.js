@@ -0,0 +1,194 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Gift = require("../models/giftModel");
+const Course = require("../models/courseModel");
+const User = require("../models/userModel");
+const Enrollment = require("../models/enrollmentModel");
+const sendEmail = require("../utils/sendEmail");
+const { courseGiftEmail } = require("../utils/emailTemplates");
+
+/**
+ * Service quà tặng khóa học: phát hành mã quà sau khi thanh toán thành công
+ * và đổi mã lấy Enrollment cho người nhận.
+ */
+
+// Bỏ các ký tự dễ nhầm (0/O, 1/I)
+const GIFT_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+const createGiftError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Sinh mã quà dạng GIFT-XXXX-XXXX
+ */
+const generateGiftCode = () => {
+  const bytes = crypto.randomBytes(8);
+  const chars = Array.from(
+    bytes,
+    (b) => GIFT_CODE_ALPHABET[b % GIFT_CODE_ALPHABET.length]
+  ).join("");
+  return `GIFT-${chars.slice(0, 4)}-${chars.slice(4)}`;
+};
+
+/**
+ * Gửi email mã quà tới người nhận
+ */
+const sendGiftEmail = async (gift) => {
+  const [buyer, courses] = await Promise.all([
+    User.findById(gift.buyerId).select("firstName lastName email"),
+    Course.find({ _id: { $in: gift.items.map((i) => i.courseId) } }).select(
+      "title"
+    ),
+  ]);
+
+  const senderName =
+    [buyer?.firstName, buyer?.lastName].filter(Boolean).join(" ") ||
+    buyer?.email ||
+    "A friend";
+  const redeemUrl = `${process.env.CLIENT_URL}/gifts/redeem?code=${gift.code}`;
+
+  await sendEmail(
+    gift.recipientEmail,
+    `${senderName} đã tặng bạn khóa học trên F-Learning`,
+    courseGiftEmail(
+      senderName,
+      courses.map((c) => c.title),
+      gift.code,
+      redeemUrl,
+      gift.message
+    )
+  );
+
+  gift.emailSentAt = new Date();
+  await gift.save();
+};
+
+/**
+ * Phát hành mã quà cho một đơn quà tặng đã thanh toán (gọi từ webhook).
+ * Mỗi Payment chỉ có một Gift, gọi lại sẽ trả về Gift đã có.
+ */
+const issueGiftForPayment = async ({ payment, transaction }) => {
+  const existing = await Gift.findOne({ paymentId: payment._id });
+  if (existing) return existing;
+
+  const gift = await Gift.create({
+    code: generateGiftCode(),
+    buyerId: transaction.userId,
+    recipientEmail: payment.gift.recipientEmail,
+    message: payment.gift.message,
+    items: payment.gift.items,
+    paymentId: payment._id,
+    transactionId: transaction._id,
+  });
+
+  try {
+    await sendGiftEmail(gift);
+  } catch (emailError) {
+    // Mã quà vẫn hợp lệ, người mua có thể gửi lại email sau
+    console.error("[Gift] Lỗi khi gửi email quà tặng:", emailError);
+  }
+
+  return gift;
+};
+
+/**
+ * Đổi mã quà: tạo Enrollment cho người nhận với các khóa học chưa sở hữu.
+ * Chiếm mã và ghi danh trong cùng transaction: ghi danh lỗi thì mã quay lại chưa đổi.
+ * @returns {Promise<{gift, enrolledCourseIds: Array, skippedCourseIds: Array}>}
+ */
+const redeemGift = async ({ code, user }) => {
+  const normalizedCode = code.trim().toUpperCase();
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    // Chiếm mã nguyên tử để hai lần đổi đồng thời không cùng thành công
+    const gift = await Gift.findOneAndUpdate(
+      { code: normalizedCode, status: "unredeemed" },
+      {
+        $set: {
+          status: "redeemed",
+          redeemedBy: user._id,
+          redeemedAt: new Date(),
+        },
+      },
+      { new: true, session }
+    );
+    if (!gift) {
+      const exists = await Gift.exists({ code: normalizedCode }).session(
+        session
+      );
+      throw exists
+        ? createGiftError("Mã quà tặng đã được sử dụng.", 409)
+        : createGiftError("Mã quà tặng không tồn tại.", 404);
+    }
+
+    const enrollmentIds = [];
+    const enrolledCourseIds = [];
+    const skippedCourseIds = [];
+
+    for (const { courseId, bundleId } of gift.items) {
+      const existing = await Enrollment.findOne({
+        userId: user._id,
+        courseId,
+      }).session(session);
+
+      // Đã sở hữu khóa học (mua lẻ/gói): bỏ qua
+      if (
+        existing &&
+        ["enrolled", "completed"].includes(existing.status) &&
+        !existing.subscriptionId
+      ) {
+        skippedCourseIds.push(courseId);
+        continue;
+      }
+
+      const enrollment =
+        existing || new Enrollment({ userId: user._id, courseId });
+      // Khóa học đã học xong qua gói đăng ký giữ nguyên trạng thái hoàn thành
+      if (enrollment.status !== "completed") enrollment.status = "enrolled";
+      enrollment.bundleId = bundleId;
+      enrollment.subscriptionId = undefined;
+      await enrollment.save({ session });
+
+      enrollmentIds.push(enrollment._id);
+      enrolledCourseIds.push(courseId);
+    }
+
+    if (enrolledCourseIds.length > 0) {
+      await User.updateOne(
+        { _id: user._id },
+        { $addToSet: { enrolledCourses: { $each: enrolledCourseIds } } },
+        { session }
+      );
+    }
+
+    gift.enrollmentIds = enrollmentIds;
+    await gift.save({ session });
+
+    await session.commitTransaction();
+    return { gift, enrolledCourseIds, skippedCourseIds };
+  } catch (error) {
+    await session.abortTransaction();
+    // Lần đổi khác của cùng mã / cùng học viên đang ghi (WriteConflict)
+    if (error.hasErrorLabel?.("TransientTransactionError")) {
+      throw createGiftError(
+        "Mã quà tặng đang được đổi, vui lòng thử lại.",
+        409
+      );
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = {
+  generateGiftCode,
+  sendGiftEmail,
+  issueGiftForPayment,
+  redeemGift,
+};
@@ -0,0 +1,456 @@
+const fs = require("fs");
+const PDFDocument = require("pdfkit");
+const Invoice = require("../models/invoiceModel");
+const Counter = require("../models/counterModel");
+const Enrollment = require("../models/enrollmentModel");
+const Course = require("../models/courseModel");
+const Discount = require("../models/discountModel");
+const User = require("../models/userModel");
+const SubscriptionPlan = require("../models/subscriptionPlanModel");
+const OrganizationLicense = require("../models/organizationLicenseModel");
+const sendEmail = require("../utils/sendEmail");
+const { paymentReceiptEmail } = require("../utils/emailTemplates");
+const {
+  uploadPrivateBuffer,
+  downloadFromFirebase,
+} = require("../utils/firebaseStorage");
+
+/**
+ * Service hóa đơn: phát hành hóa đơn đánh số cho mỗi Payment đã thanh toán,
+ * dựng file PDF bằng pdfkit và lưu trên Firebase Storage.
+ */
+
+// Thuế suất VAT đã bao gồm trong giá bán (0 để không in dòng thuế)
+const VAT_RATE = parseFloat(process.env.INVOICE_VAT_RATE ?? "0.1");
+// Font Unicode (TTF) để in tiếng Việt có dấu; không cấu hình thì dùng Helvetica
+const INVOICE_FONT_PATH = process.env.INVOICE_FONT_PATH;
+const SELLER_NAME = process.env.INVOICE_SELLER_NAME || "F-Learning";
+const SELLER_ADDRESS = process.env.INVOICE_SELLER_ADDRESS || "";
+const SELLER_TAX_CODE = process.env.INVOICE_SELLER_TAX_CODE || "";
+
+const toFloat = (value) => (value ? parseFloat(value.toString()) : 0);
+
+const formatMoney = (amount) =>
+  `${new Intl.NumberFormat("vi-VN").format(Math.round(amount))} VND`;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-GB", {
+    timeZone: "Asia/Ho_Chi_Minh",
+  });
+
+/**
+ * Cấp số hóa đơn tăng dần theo năm: INV-2026-000001
+ */
+const nextInvoiceNumber = async (issuedAt) => {
+  const year = issuedAt.getFullYear();
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `invoice-${year}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return `INV-${year}-${String(counter.seq).padStart(6, "0")}`;
+};
+
+/**
+ * Dựng các dòng hóa đơn từ Payment theo từng loại đơn:
+ * gói đăng ký, license doanh nghiệp, hoặc khóa học lẻ/gói khóa học (kể cả quà tặng).
+ */
+const buildInvoiceLines = async (payment) => {
+  const total = toFloat(payment.amount);
+
+  if (payment.subscriptionPlanId) {
+    const plan = await SubscriptionPlan.findById(payment.subscriptionPlanId);
+    return {
+      items: [
+        {
+          description: `Subscription: ${plan ? plan.name : "Plan"} (${
+            plan ? plan.interval : "period"
+          })`,
+          quantity: 1,
+          unitPrice: total,
+          amount: total,
+        },
+      ],
+      discounts: [],
+    };
+  }
+
+  if (payment.organizationLicenseId) {
+    const license = await OrganizationLicense.findById(
+      payment.organizationLicenseId
+    )
+      .populate("courseId", "title")
+      .populate("bundleId", "title");
+    const title =
+      license?.bundleId?.title || license?.courseId?.title || "Courses";
+    return {
+      items: [
+        {
+          description: `Team license: ${title}`,
+          courseId: license?.courseId?._id,
+          bundleId: license?.bundleId?._id,
+          quantity: license ? license.seatCount : 1,
+          unitPrice: license ? license.unitPrice : total,
+          amount: license ? license.totalAmount : total,
+        },
+      ],
+      discounts: [],
+    };
+  }
+
+  // Khóa học trong đơn: quà tặng lấy từ gift.items, đơn thường lấy từ Enrollment
+  const courseIds = payment.gift?.recipientEmail
+    ? payment.gift.items.map((item) => item.courseId)
+    : (
+        await Enrollment.find({ _id: { $in: payment.enrollmentIds } }).select(
+          "courseId"
+        )
+      ).map((e) => e.courseId);
+
+  // Khóa học thuộc gói được tính theo dòng của gói
+  const bundledCourseIds = new Set(
+    (payment.bundles || []).flatMap((b) =>
+      (b.allocations || []).map((a) => a.courseId.toString())
+    )
+  );
+  const courses = await Course.find({
+    _id: {
+      $in: courseIds.filter((id) => id && !bundledCourseIds.has(id.toString())),
+    },
+  }).select("title price");
+
+  const items = [
+    ...courses.map((course) => ({
+      description: course.title,
+      courseId: course._id,
+      quantity: 1,
+      unitPrice: toFloat(course.price),
+      amount: toFloat(course.price),
+    })),
+    ...(payment.bundles || []).map((bundle) => ({
+      description: `Bundle: ${bundle.title}`,
+      bundleId: bundle.bundleId,
+      quantity: 1,
+      unitPrice: bundle.price,
+      amount: bundle.price,
+    })),
+  ];
+
+  const discounts = (payment.appliedPromotions || [])
+    .filter((promo) => promo.discountAmount > 0)
+    .map((promo) => ({
+      description: `Promotion: ${promo.name}`,
+      amount: promo.discountAmount,
+    }));
+  const discountAmount = toFloat(payment.discountAmount);
+  if (discountAmount > 0) {
+    const discount = payment.discountId
+      ? await Discount.findById(payment.discountId).select("discountCode")
+      : null;
+    discounts.push({
+      description: discount
+        ? `Discount code: ${discount.discountCode}`
+        : "Discount code",
+      amount: discountAmount,
+    });
+  }
+
+  return { items, discounts };
+};
+
+/**
+ * Tách phần thuế đã bao gồm trong tổng tiền
+ */
+const buildTaxLines = (total) => {
+  if (!(VAT_RATE > 0)) return [];
+  return [
+    {
+      name: `VAT ${Math.round(VAT_RATE * 100)}% (included)`,
+      rate: VAT_RATE,
+      amount: Math.round(total - total / (1 + VAT_RATE)),
+    },
+  ];
+};
+
+/**
+ * Helvetica không có glyph tiếng Việt: bỏ dấu khi không cấu hình font Unicode
+ */
+const useUnicodeFont = () =>
+  !!INVOICE_FONT_PATH && fs.existsSync(INVOICE_FONT_PATH);
+
+const toPdfText = (text) => {
+  const value = String(text ?? "");
+  if (useUnicodeFont()) return value;
+  return value
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/đ/g, "d")
+    .replace(/Đ/g, "D");
+};
+
+/**
+ * Vẽ một hóa đơn lên trang hiện tại của tài liệu PDF
+ */
+const drawInvoice = (doc, invoice) => {
+  const left = 50;
+  const right = doc.page.width - 50;
+  const columns = { qty: 330, unit: 380, amount: 470 };
+
+  doc.fontSize(20).text(toPdfText(SELLER_NAME), left, 50);
+  doc.fontSize(9).fillColor("#595959");
+  if (SELLER_ADDRESS) doc.text(toPdfText(SELLER_ADDRESS));
+  if (SELLER_TAX_CODE) doc.text(`Tax code: ${SELLER_TAX_CODE}`);
+
+  doc
+    .fillColor("#000000")
+    .fontSize(16)
+    .text("INVOICE", left, 50, { align: "right" });
+  doc
+    .fontSize(9)
+    .text(`No: ${invoice.invoiceNumber}`, { align: "right" })
+    .text(`Date: ${formatDate(invoice.issuedAt)}`, { align: "right" })
+    .text(`PayOS order code: ${invoice.orderCode}`, { align: "right" });
+
+  doc.moveDown(2);
+  doc.fontSize(10).text("Bill to:", left);
+  doc.text(toPdfText(invoice.billingName || ""));
+  doc.text(toPdfText(invoice.billingEmail || ""));
+
+  // Bảng các dòng hóa đơn
+  doc.moveDown(1.5);
+  let y = doc.y;
+  doc.fontSize(9).fillColor("#595959");
+  doc.text("Description", left, y);
+  doc.text("Qty", columns.qty, y, { width: 40, align: "right" });
+  doc.text("Unit price", columns.unit, y, { width: 80, align: "right" });
+  doc.text("Amount", columns.amount, y, {
+    width: right - columns.amount,
+    align: "right",
+  });
+  y = doc.y + 4;
+  doc.moveTo(left, y).lineTo(right, y).strokeColor("#d9d9d9").stroke();
+  doc.fillColor("#000000");
+
+  y += 6;
+  for (const item of invoice.items) {
+    doc.text(toPdfText(item.description), left, y, {
+      width: columns.qty - left - 10,
+    });
+    const rowBottom = doc.y;
+    doc.text(String(item.quantity), columns.qty, y, {
+      width: 40,
+      align: "right",
+    });
+    doc.text(formatMoney(item.unitPrice), columns.unit, y, {
+      width: 80,
+      align: "right",
+    });
+    doc.text(formatMoney(item.amount), columns.amount, y, {
+      width: right - columns.amount,
+      align: "right",
+    });
+    y = Math.max(rowBottom, doc.y) + 6;
+    if (y > doc.page.height - 150) {
+      doc.addPage();
+      y = 50;
+    }
+  }
+  doc.moveTo(left, y).lineTo(right, y).strokeColor("#d9d9d9").stroke();
+
+  // Tổng kết
+  const summaryRow = (label, value, options = {}) => {
+    y += 8;
+    doc.fontSize(options.bold ? 11 : 9);
+    doc.text(toPdfText(label), left, y, {
+      width: columns.amount - left - 10,
+      align: "right",
+    });
+    doc.text(value, columns.amount, y, {
+      width: right - columns.amount,
+      align: "right",
+    });
+    y = doc.y;
+  };
+
+  summaryRow("Subtotal", formatMoney(invoice.subtotal));
+  for (const discount of invoice.discounts) {
+    summaryRow(discount.description, `-${formatMoney(discount.amount)}`);
+  }
+  summaryRow("Total", formatMoney(invoice.total), { bold: true });
+  for (const tax of invoice.taxLines) {
+    summaryRow(tax.name, formatMoney(tax.amount));
+  }
+
+  doc
+    .fontSize(8)
+    .fillColor("#8c8c8c")
+    .text(
+      `${
+        invoice.taxLines.length > 0 ? "Prices include VAT. " : ""
+      }This invoice was generated automatically after a successful PayOS payment.`,
+      left,
+      doc.page.height - 80,
+      { width: right - left, align: "center" }
+    )
+    .fillColor("#000000");
+};
+
+const createPdfDocument = () => {
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+  if (useUnicodeFont()) {
+    doc.registerFont("InvoiceFont", INVOICE_FONT_PATH);
+    doc.font("InvoiceFont");
+  }
+  return doc;
+};
+
+const collectPdf = (doc) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    doc.end();
+  });
+
+/**
+ * Dựng PDF cho một hóa đơn
+ * @returns {Promise<Buffer>}
+ */
+const renderInvoicePdf = (invoice) => {
+  const doc = createPdfDocument();
+  drawInvoice(doc, invoice);
+  return collectPdf(doc);
+};
+
+/**
+ * Dựng một file PDF gồm nhiều hóa đơn, mỗi hóa đơn bắt đầu ở trang mới (xuất hàng loạt)
+ * @returns {Promise<Buffer>}
+ */
+const renderInvoicesPdf = (invoices) => {
+  const doc = createPdfDocument();
+  invoices.forEach((invoice, index) => {
+    if (index > 0) doc.addPage();
+    drawInvoice(doc, invoice);
+  });
+  if (invoices.length === 0) {
+    doc.fontSize(12).text("No invoices in the selected period.");
+  }
+  return collectPdf(doc);
+};
+
+/**
+ * File đính kèm email cho hóa đơn
+ */
+const getInvoiceAttachment = (invoice, pdfBuffer) => ({
+  filename: `${invoice.invoiceNumber}.pdf`,
+  content: pdfBuffer,
+  contentType: "application/pdf",
+});
+
+/**
+ * Phát hành hóa đơn cho Payment vừa thanh toán (gọi từ webhook).
+ * Mỗi Payment chỉ có một hóa đơn, gọi lại sẽ trả về hóa đơn đã có.
+ * @returns {Promise<{invoice: Object, pdfBuffer: Buffer}>}
+ */
+const issueInvoiceForPayment = async ({ payment, transaction }) => {
+  const existing = await Invoice.findOne({ paymentId: payment._id });
+  if (existing) {
+    return { invoice: existing, pdfBuffer: await getInvoicePdf(existing) };
+  }
+
+  const [{ items, discounts }, user] = await Promise.all([
+    buildInvoiceLines(payment),
+    User.findById(transaction.userId).select("firstName lastName email"),
+  ]);
+
+  const total = toFloat(payment.amount);
+  const issuedAt = new Date();
+  const invoice = new Invoice({
+    invoiceNumber: await nextInvoiceNumber(issuedAt),
+    paymentId: payment._id,
+    transactionId: transaction._id,
+    userId: transaction.userId,
+    orderCode: transaction.orderCode,
+    issuedAt,
+    billingName: user
+      ? [user.firstName, user.lastName].filter(Boolean).join(" ") || user.email
+      : undefined,
+    billingEmail: user?.email,
+    items,
+    discounts,
+    subtotal: items.reduce((sum, item) => sum + item.amount, 0),
+    discountTotal: discounts.reduce((sum, d) => sum + d.amount, 0),
+    taxLines: buildTaxLines(total),
+    total,
+    currency: transaction.currency || "VND",
+  });
+
+  const pdfBuffer = await renderInvoicePdf(invoice);
+  try {
+    const destination = `invoices/${issuedAt.getFullYear()}/${
+      invoice.invoiceNumber
+    }.pdf`;
+    await uploadPrivateBuffer(pdfBuffer, destination, "application/pdf");
+    invoice.storagePath = destination;
+  } catch (uploadError) {
+    // Hóa đơn vẫn được lưu, PDF sẽ được dựng lại khi tải xuống
+    console.error("[Invoice] Lỗi khi lưu PDF lên Firebase:", uploadError);
+  }
+
+  try {
+    await invoice.save();
+  } catch (error) {
+    // Webhook gọi đồng thời: hóa đơn đã được phát hành bởi lần gọi khác
+    if (error.code === 11000) {
+      const issued = await Invoice.findOne({ paymentId: payment._id });
+      if (issued) {
+        return { invoice: issued, pdfBuffer: await getInvoicePdf(issued) };
+      }
+    }
+    throw error;
+  }
+
+  return { invoice, pdfBuffer };
+};
+
+/**
+ * Lấy file PDF của hóa đơn: ưu tiên bản đã lưu, dựng lại nếu chưa có/không tải được
+ * @returns {Promise<Buffer>}
+ */
+const getInvoicePdf = async (invoice) => {
+  if (invoice.storagePath) {
+    try {
+      return await downloadFromFirebase(invoice.storagePath);
+    } catch (downloadError) {
+      console.error("[Invoice] Không tải được PDF đã lưu:", downloadError);
+    }
+  }
+  return renderInvoicePdf(invoice);
+};
+
+/**
+ * Gửi email biên nhận kèm hóa đơn PDF (đơn không có email ghi danh: quà tặng, gói đăng ký, license)
+ */
+const sendInvoiceEmail = async ({ invoice, pdfBuffer }) => {
+  if (!invoice.billingEmail) return;
+  await sendEmail(
+    invoice.billingEmail,
+    `Hóa đơn ${invoice.invoiceNumber} từ F-Learning`,
+    paymentReceiptEmail(
+      invoice.billingName || invoice.billingEmail,
+      invoice.invoiceNumber,
+      formatMoney(invoice.total)
+    ),
+    [getInvoiceAttachment(invoice, pdfBuffer)]
+  );
+};
+
+module.exports = {
+  issueInvoiceForPayment,
+  renderInvoicePdf,
+  renderInvoicesPdf,
+  getInvoicePdf,
+  getInvoiceAttachment,
+  sendInvoiceEmail,
+};
@@ -0,0 +1,548 @@
+const mongoose = require("mongoose");
+const LedgerEntry = require("../models/ledgerEntryModel");
+const User = require("../models/userModel");
+const WithdrawalRequest = require("../models/withdrawRequestModel");
+
+/**
+ * Service ghi sổ cái kế toán kép cho doanh thu nền tảng, thu nhập giảng viên và rút tiền.
+ * Mọi thay đổi số dư giảng viên phải đi qua service này, sau đó gọi
+ * syncInstructorBalance() để cập nhật lại User.moneyLeft từ sổ cái.
+ */
+
+const DUPLICATE_KEY_CODE = 11000;
+
+const toFloat = (decimal) => {
+  if (!decimal) return 0;
+  return parseFloat(decimal.toString());
+};
+
+const toDecimal = (num) => {
+  return mongoose.Types.Decimal128.fromString(num.toString());
+};
+
+const assertBalanced = (lines) => {
+  const totalDebit = lines
+    .filter((line) => line.direction === "debit")
+    .reduce((sum, line) => sum + line.amount, 0);
+  const totalCredit = lines
+    .filter((line) => line.direction === "credit")
+    .reduce((sum, line) => sum + line.amount, 0);
+
+  if (Math.abs(totalDebit - totalCredit) > 0.0001) {
+    throw new Error(
+      `Unbalanced journal: debit ${totalDebit} != credit ${totalCredit}`
+    );
+  }
+};
+
+const insertLines = async (lines, refs, session) => {
+  const journalId = refs.journalId || new mongoose.Types.ObjectId();
+  const docs = lines.map((line) => ({
+    ...refs,
+    ...line,
+    journalId,
+    amount: toDecimal(line.amount),
+  }));
+
+  return LedgerEntry.insertMany(docs, session ? { session } : {});
+};
+
+const insertJournal = async (lines, refs, session) => {
+  const validLines = lines.filter((line) => line.amount > 0);
+  if (validLines.length === 0) return [];
+
+  assertBalanced(validLines);
+  return insertLines(validLines, refs, session);
+};
+
+// Số dư âm được ghi theo chiều ngược lại với giá trị tuyệt đối
+const signedLine = (line) =>
+  line.amount < 0
+    ? {
+        ...line,
+        direction: line.direction === "credit" ? "debit" : "credit",
+        amount: -line.amount,
+      }
+    : line;
+
+/**
+ * Giảng viên chưa có bút toán nào (dữ liệu trước khi có sổ cái): ghi số dư đầu kỳ trước bút toán đầu tiên.
+ * - instructor_payable: moneyLeft hiện tại, giữ nguyên dấu nếu âm
+ * - instructor_withdrawal_hold: các yêu cầu rút tiền đang chờ (moneyLeft cũ đã bị trừ lúc tạo yêu cầu)
+ * Dòng instructor_payable luôn được ghi (kể cả bằng 0) bằng upsert theo unique index trong cùng session,
+ * nên khi nhiều nghiệp vụ chạy đồng thời chỉ một nghiệp vụ ghi số dư đầu kỳ.
+ */
+const ensureOpeningBalance = async (instructorId, session = null) => {
+  const hasEntries = await LedgerEntry.exists({
+    account: "instructor_payable",
+    instructorId,
+  }).session(session);
+  if (hasEntries) return;
+
+  const instructor = await User.findById(instructorId)
+    .select("moneyLeft")
+    .session(session);
+  const legacyBalance = toFloat(instructor?.moneyLeft);
+  const pendingWithdrawals = await WithdrawalRequest.find({
+    instructorId,
+    status: "pending",
+  })
+    .select("amount")
+    .session(session);
+  const legacyHold = pendingWithdrawals.reduce(
+    (sum, request) => sum + toFloat(request.amount),
+    0
+  );
+
+  const payableLine = signedLine({
+    account: "instructor_payable",
+    type: "opening_balance",
+    direction: "credit",
+    amount: legacyBalance,
+    instructorId,
+  });
+  const counterLines = [
+    {
+      account: "instructor_withdrawal_hold",
+      type: "opening_balance",
+      direction: "credit",
+      amount: legacyHold,
+      instructorId,
+    },
+    signedLine({
+      account: "platform_revenue",
+      type: "opening_balance",
+      direction: "debit",
+      amount: legacyBalance + legacyHold,
+    }),
+  ].filter((line) => line.amount > 0);
+  assertBalanced([payableLine, ...counterLines]);
+
+  const refs = {
+    journalId: new mongoose.Types.ObjectId(),
+    description: "Số dư đầu kỳ",
+  };
+  const now = new Date();
+  const { upsertedCount } = await LedgerEntry.bulkWrite(
+    [
+      {
+        updateOne: {
+          filter: {
+            instructorId,
+            account: "instructor_payable",
+            type: "opening_balance",
+          },
+          // Chỉ $setOnInsert: bút toán đã có không bị sửa (sổ cái chỉ ghi thêm)
+          update: {
+            $setOnInsert: {
+              ...refs,
+              direction: payableLine.direction,
+              amount: toDecimal(payableLine.amount),
+              createdAt: now,
+              updatedAt: now,
+            },
+          },
+          upsert: true,
+          timestamps: false,
+        },
+      },
+    ],
+    session ? { session } : {}
+  );
+  // Nghiệp vụ khác đã ghi số dư đầu kỳ
+  if (!upsertedCount) return;
+
+  if (counterLines.length > 0) {
+    await insertLines(counterLines, refs, session);
+  }
+};
+
+/**
+ * Ghi một nghiệp vụ (journal) vào sổ cái.
+ * @param {Array<Object>} lines - Các dòng { account, type, direction, amount, instructorId }
+ * @param {Object} refs - Tham chiếu chung cho mọi dòng (courseId, transactionId, description...)
+ * @param {ClientSession} [session] - Mongoose session (nếu chạy trong transaction)
+ */
+const postJournal = async (lines, refs = {}, session = null) => {
+  const instructorIds = [
+    ...new Set(
+      lines
+        .filter(
+          (line) => line.account === "instructor_payable" && line.amount > 0
+        )
+        .map((line) => line.instructorId.toString())
+    ),
+  ];
+  for (const instructorId of instructorIds) {
+    await ensureOpeningBalance(instructorId, session);
+  }
+
+  return insertJournal(lines, refs, session);
+};
+
+/**
+ * Ghi nhận bán một khóa học: tiền vào, chia phí nền tảng và phần của giảng viên.
+ * Dòng "sale" ghi đầu tiên: nếu lần xử lý khác đã ghi (trùng unique index) thì không dòng nào
+ * được ghi; ngoài transaction trả về [] thay vì lỗi.
+ */
+const recordCourseSale = async (
+  { instructorId, courseId, transactionId, coursePrice, shareRate },
+  session = null
+) => {
+  const instructorShare = coursePrice * shareRate;
+  const platformFee = coursePrice - instructorShare;
+
+  try {
+    return await postJournal(
+      [
+        {
+          account: "platform_cash",
+          type: "sale",
+          direction: "debit",
+          amount: coursePrice,
+        },
+        {
+          account: "platform_revenue",
+          type: "platform_fee",
+          direction: "credit",
+          amount: platformFee,
+        },
+        {
+          account: "instructor_payable",
+          type: "instructor_share",
+          direction: "credit",
+          amount: instructorShare,
+          instructorId,
+        },
+      ],
+      { courseId, transactionId, description: "Bán khóa học" },
+      session
+    );
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_CODE && !session) return [];
+    throw error;
+  }
+};
+
+/**
+ * Ghi nhận hoàn tiền: thu hồi phần của giảng viên, phần còn lại trừ vào doanh thu nền tảng.
+ */
+const recordRefund = async (
+  {
+    instructorId,
+    courseId,
+    transactionId,
+    refundRequestId,
+    refundAmount,
+    instructorClawback,
+  },
+  session = null
+) => {
+  const platformPortion = refundAmount - instructorClawback;
+
+  return postJournal(
+    [
+      {
+        account: "instructor_payable",
+        type: "refund",
+        direction: "debit",
+        amount: instructorClawback,
+        instructorId,
+      },
+      {
+        account: "platform_revenue",
+        type: "refund",
+        direction: platformPortion >= 0 ? "debit" : "credit",
+        amount: Math.abs(platformPortion),
+      },
+      {
+        account: "platform_cash",
+        type: "refund",
+        direction: "credit",
+        amount: refundAmount,
+      },
+    ],
+    { courseId, transactionId, refundRequestId, description: "Hoàn tiền" },
+    session
+  );
+};
+
+/**
+ * Ghi nhận thu tiền gói đăng ký: toàn bộ vào doanh thu nền tảng,
+ * phần của giảng viên được chia sau qua recordSubscriptionPool.
+ */
+const recordSubscriptionSale = async (
+  { transactionId, amount },
+  session = null
+) =>
+  postJournal(
+    [
+      {
+        account: "platform_cash",
+        type: "subscription_sale",
+        direction: "debit",
+        amount,
+      },
+      {
+        account: "platform_revenue",
+        type: "subscription_sale",
+        direction: "credit",
+        amount,
+      },
+    ],
+    { transactionId, description: "Thu phí gói đăng ký" },
+    session
+  );
+
+/**
+ * Chia quỹ doanh thu đăng ký của một kỳ cho các giảng viên.
+ * @param {Array<{instructorId, amount}>} allocations
+ */
+const recordSubscriptionPool = async (
+  { subscriptionPoolPayoutId, allocations },
+  session = null
+) => {
+  const total = allocations.reduce((sum, a) => sum + a.amount, 0);
+
+  return postJournal(
+    [
+      {
+        account: "platform_revenue",
+        type: "subscription_pool",
+        direction: "debit",
+        amount: total,
+      },
+      ...allocations.map((a) => ({
+        account: "instructor_payable",
+        type: "subscription_pool",
+        direction: "credit",
+        amount: a.amount,
+        instructorId: a.instructorId,
+      })),
+    ],
+    { subscriptionPoolPayoutId, description: "Chia quỹ doanh thu đăng ký" },
+    session
+  );
+};
+
+/**
+ * Tạm giữ tiền khi giảng viên tạo yêu cầu rút tiền.
+ */
+const recordWithdrawalHold = async (
+  { instructorId, withdrawalRequestId, amount },
+  session = null
+) =>
+  postJournal(
+    [
+      {
+        account: "instructor_payable",
+        type: "withdrawal_hold",
+        direction: "debit",
+        amount,
+        instructorId,
+      },
+      {
+        account: "instructor_withdrawal_hold",
+        type: "withdrawal_hold",
+        direction: "credit",
+        amount,
+        instructorId,
+      },
+    ],
+    { withdrawalRequestId, description: "Tạm giữ tiền rút" },
+    session
+  );
+
+/**
+ * Trả lại tiền tạm giữ khi yêu cầu rút tiền bị hủy hoặc bị từ chối.
+ */
+const recordWithdrawalRelease = async (
+  { instructorId, withdrawalRequestId, amount },
+  session = null
+) =>
+  postJournal(
+    [
+      {
+        account: "instructor_withdrawal_hold",
+        type: "withdrawal_release",
+        direction: "debit",
+        amount,
+        instructorId,
+      },
+      {
+        account: "instructor_payable",
+        type: "withdrawal_release",
+        direction: "credit",
+        amount,
+        instructorId,
+      },
+    ],
+    { withdrawalRequestId, description: "Hoàn lại tiền tạm giữ" },
+    session
+  );
+
+/**
+ * Chi tiền thật cho giảng viên khi Admin duyệt yêu cầu rút tiền.
+ */
+const recordWithdrawalPayout = async (
+  { instructorId, withdrawalRequestId, amount },
+  session = null
+) =>
+  postJournal(
+    [
+      {
+        account: "instructor_withdrawal_hold",
+        type: "withdrawal_payout",
+        direction: "debit",
+        amount,
+        instructorId,
+      },
+      {
+        account: "platform_cash",
+        type: "withdrawal_payout",
+        direction: "credit",
+        amount,
+      },
+    ],
+    { withdrawalRequestId, description: "Chi trả rút tiền" },
+    session
+  );
+
+/**
+ * Tính số dư một tài khoản con của giảng viên (Có - Nợ), có thể giới hạn tới một thời điểm.
+ */
+const getAccountBalance = async (
+  instructorId,
+  account = "instructor_payable",
+  { before = null, session = null } = {}
+) => {
+  const match = {
+    account,
+    instructorId: new mongoose.Types.ObjectId(instructorId.toString()),
+  };
+  if (before) match.createdAt = { $lt: before };
+
+  const aggregate = LedgerEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        balance: {
+          $sum: {
+            $cond: [
+              { $eq: ["$direction", "credit"] },
+              "$amount",
+              { $multiply: ["$amount", -1] },
+            ],
+          },
+        },
+      },
+    },
+  ]);
+  if (session) aggregate.session(session);
+
+  const [result] = await aggregate;
+  return toFloat(result?.balance);
+};
+
+/**
+ * Kiểm tra một khóa học trong giao dịch đã được ghi sổ bán chưa (dòng "sale").
+ */
+const isCourseSaleRecorded = async ({ transactionId, courseId }) =>
+  !!(await LedgerEntry.exists({ transactionId, courseId, type: "sale" }));
+
+/**
+ * Lấy phần doanh thu đã ghi có cho giảng viên từ một lần bán khóa học
+ * (0 nếu đã ghi sổ nhưng giảng viên không được chia).
+ * Trả về null nếu giao dịch chưa được ghi sổ (dữ liệu cũ).
+ */
+const getRecordedInstructorShare = async ({ transactionId, courseId }) => {
+  const entries = await LedgerEntry.find({
+    transactionId,
+    courseId,
+    type: { $in: ["sale", "instructor_share"] },
+  }).select("type amount");
+
+  if (entries.length === 0) return null;
+  return entries
+    .filter((entry) => entry.type === "instructor_share")
+    .reduce((sum, entry) => sum + toFloat(entry.amount), 0);
+};
+
+/**
+ * Kiểm tra giao dịch đã có bút toán loại này chưa (tránh ghi sổ trùng khi xử lý lại webhook).
+ */
+const hasLedgerEntry = async ({ transactionId, type }) =>
+  !!(await LedgerEntry.exists({ transactionId, type }));
+
+/**
+ * Thu nhập thực nhận (net) của giảng viên: phần chia doanh thu (kể cả quỹ đăng ký) trừ các khoản hoàn tiền.
+ * @param {Object} [range] - { from, to } giới hạn thời gian (tùy chọn)
+ */
+const getInstructorNetEarnings = async (instructorId, { from, to } = {}) => {
+  const match = {
+    account: "instructor_payable",
+    instructorId: new mongoose.Types.ObjectId(instructorId.toString()),
+    type: { $in: ["instructor_share", "refund", "subscription_pool"] },
+  };
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+
+  const [result] = await LedgerEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        total: {
+          $sum: {
+            $cond: [
+              { $eq: ["$direction", "credit"] },
+              "$amount",
+              { $multiply: ["$amount", -1] },
+            ],
+          },
+        },
+      },
+    },
+  ]);
+  return toFloat(result?.total);
+};
+
+/**
+ * Tính lại User.moneyLeft từ sổ cái (moneyLeft chỉ là bản cache của số dư "instructor_payable").
+ */
+const syncInstructorBalance = async (instructorId, session = null) => {
+  await ensureOpeningBalance(instructorId, session);
+
+  const balance = await getAccountBalance(instructorId, "instructor_payable", {
+    session,
+  });
+
+  await User.updateOne(
+    { _id: instructorId },
+    { $set: { moneyLeft: toDecimal(balance) } },
+    session ? { session } : {}
+  );
+
+  return balance;
+};
+
+module.exports = {
+  postJournal,
+  recordCourseSale,
+  recordRefund,
+  recordSubscriptionSale,
+  recordSubscriptionPool,
+  recordWithdrawalHold,
+  recordWithdrawalRelease,
+  recordWithdrawalPayout,
+  getAccountBalance,
+  isCourseSaleRecorded,
+  getRecordedInstructorShare,
+  hasLedgerEntry,
+  getInstructorNetEarnings,
+  syncInstructorBalance,
+};
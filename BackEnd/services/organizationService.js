@@ -0,0 +1,495 @@
+const mongoose = require("mongoose");
+const Organization = require("../models/organizationModel");
+const OrganizationLicense = require("../models/organizationLicenseModel");
+const Enrollment = require("../models/enrollmentModel");
+const Course = require("../models/courseModel");
+const Section = require("../models/sectionModel");
+const Progress = require("../models/progressModel");
+const User = require("../models/userModel");
+const { getBundlesForCheckout } = require("./bundleService");
+const { getEffectiveCommission } = require("./commissionService");
+const {
+  recordCourseSale,
+  syncInstructorBalance,
+  isCourseSaleRecorded,
+} = require("./ledgerService");
+
+/**
+ * Service license doanh nghiệp: báo giá N chỗ học, kích hoạt license sau thanh toán,
+ * gán / thu hồi chỗ học cho thành viên và tổng hợp tiến độ học của tổ chức.
+ */
+
+const MAX_SEATS_PER_LICENSE = 1000;
+
+const createOrganizationError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Lấy tổ chức mà người dùng có quyền quản trị (admin hệ thống được phép truy cập mọi tổ chức).
+ */
+const findManagedOrganization = async (organizationId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(organizationId)) {
+    throw createOrganizationError("Organization not found", 404);
+  }
+  const organization = await Organization.findById(organizationId);
+  if (!organization) {
+    throw createOrganizationError("Organization not found", 404);
+  }
+
+  const isOrgAdmin = organization.adminIds.some(
+    (id) => id.toString() === user._id.toString()
+  );
+  if (!isOrgAdmin && user.role !== "admin") {
+    throw createOrganizationError(
+      "You are not an administrator of this organization",
+      403
+    );
+  }
+  return organization;
+};
+
+/**
+ * Báo giá license: giá một chỗ và phần phân bổ cho từng khóa học.
+ * @param {Object} params
+ * @param {string} [params.courseId]
+ * @param {string} [params.bundleId]
+ * @param {number} params.seatCount
+ * @returns {Promise<{courses: Array, unitPrice: number, totalAmount: number, title: string}>}
+ */
+const quoteLicense = async ({ courseId, bundleId, seatCount }) => {
+  if (!Number.isInteger(seatCount) || seatCount < 1) {
+    throw createOrganizationError("seatCount must be a positive integer");
+  }
+  if (seatCount > MAX_SEATS_PER_LICENSE) {
+    throw createOrganizationError(
+      `A license can contain at most ${MAX_SEATS_PER_LICENSE} seats`
+    );
+  }
+  if (!!courseId === !!bundleId) {
+    throw createOrganizationError(
+      "Provide exactly one of courseId or bundleId"
+    );
+  }
+
+  if (bundleId) {
+    if (!mongoose.Types.ObjectId.isValid(bundleId)) {
+      throw createOrganizationError("Bundle not found", 404);
+    }
+    const [bundle] = await getBundlesForCheckout([bundleId]);
+    return {
+      title: bundle.title,
+      courses: bundle.allocations.map((a) => ({
+        courseId: a.courseId,
+        unitAmount: a.amount,
+      })),
+      unitPrice: bundle.price,
+      totalAmount: bundle.price * seatCount,
+    };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(courseId)) {
+    throw createOrganizationError("Course not found", 404);
+  }
+  const course = await Course.findOne({ _id: courseId, status: "active" });
+  if (!course) {
+    throw createOrganizationError("Course not found", 404);
+  }
+  const unitPrice = parseFloat(course.price.toString());
+  return {
+    title: course.title,
+    courses: [{ courseId: course._id, unitAmount: unitPrice }],
+    unitPrice,
+    totalAmount: unitPrice * seatCount,
+  };
+};
+
+/**
+ * Kích hoạt license sau khi webhook xác nhận thanh toán và ghi sổ cái doanh thu
+ * cho từng khóa học (giá một chỗ x số chỗ). Gọi lại nhiều lần không ghi sổ trùng.
+ */
+const activateOrganizationLicense = async ({ payment, transaction }) => {
+  await OrganizationLicense.updateOne(
+    { _id: payment.organizationLicenseId, status: "pending" },
+    {
+      $set: {
+        status: "active",
+        activatedAt: new Date(),
+        paymentId: payment._id,
+        transactionId: transaction._id,
+      },
+    }
+  );
+  const license = await OrganizationLicense.findById(
+    payment.organizationLicenseId
+  );
+  if (!license || license.status !== "active") return license;
+
+  const courses = await Course.find({
+    _id: { $in: license.courses.map((c) => c.courseId) },
+  }).select("createdBy");
+  const instructorByCourse = new Map(
+    courses.map((c) => [c._id.toString(), c.createdBy])
+  );
+
+  const teacherIds = new Set();
+  for (const { courseId, unitAmount } of license.courses) {
+    const instructorId = instructorByCourse.get(courseId.toString());
+    if (!instructorId) continue;
+    // Đã ghi sổ ở lần xử lý trước (replay webhook)
+    const recorded = await isCourseSaleRecorded({
+      transactionId: transaction._id,
+      courseId,
+    });
+    if (recorded) continue;
+
+    const { instructorShareRate } = await getEffectiveCommission({
+      courseId,
+      instructorId,
+      at: payment.paymentDate,
+    });
+    await recordCourseSale({
+      instructorId,
+      courseId,
+      transactionId: transaction._id,
+      coursePrice: unitAmount * license.seatCount,
+      shareRate: instructorShareRate,
+    });
+    teacherIds.add(instructorId.toString());
+  }
+  for (const teacherId of teacherIds) {
+    await syncInstructorBalance(teacherId);
+  }
+
+  return license;
+};
+
+/**
+ * Gán một chỗ học cho thành viên đang hoạt động của tổ chức: ghi danh vào các khóa học của license.
+ * Khóa học thành viên đã tự sở hữu (mua lẻ/gói/quà) được giữ nguyên.
+ * Chỗ học được chiếm nguyên tử trước (không vượt seatCount khi gán đồng thời),
+ * lỗi khi ghi danh thì trả lại chỗ học và khôi phục các Enrollment đã thay đổi.
+ */
+const assignSeat = async ({ organization, license, userId, assignedBy }) => {
+  if (license.status !== "active") {
+    throw createOrganizationError("License is not active");
+  }
+
+  const member = organization.members.find(
+    (m) => m.status === "active" && m.userId?.toString() === userId.toString()
+  );
+  if (!member) {
+    throw createOrganizationError(
+      "User is not an active member of this organization",
+      404
+    );
+  }
+
+  const activeAssignments = license.assignments.filter(
+    (a) => a.status === "assigned"
+  );
+  if (
+    activeAssignments.some((a) => a.userId.toString() === userId.toString())
+  ) {
+    throw createOrganizationError("Member already has a seat", 409);
+  }
+  if (activeAssignments.length >= license.seatCount) {
+    throw createOrganizationError("No seats left on this license", 409);
+  }
+
+  // Chiếm chỗ học: điều kiện còn chỗ và thành viên chưa có chỗ được kiểm tra trên DB
+  const assignmentId = new mongoose.Types.ObjectId();
+  const claimed = await OrganizationLicense.findOneAndUpdate(
+    {
+      _id: license._id,
+      status: "active",
+      assignments: { $not: { $elemMatch: { userId, status: "assigned" } } },
+      $expr: {
+        $lt: [
+          {
+            $size: {
+              $filter: {
+                input: "$assignments",
+                cond: { $eq: ["$$this.status", "assigned"] },
+              },
+            },
+          },
+          "$seatCount",
+        ],
+      },
+    },
+    {
+      $push: {
+        assignments: {
+          _id: assignmentId,
+          userId,
+          enrollmentIds: [],
+          assignedBy,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    const current = await OrganizationLicense.findById(license._id);
+    const alreadyAssigned = current?.assignments.some(
+      (a) =>
+        a.status === "assigned" && a.userId.toString() === userId.toString()
+    );
+    throw alreadyAssigned
+      ? createOrganizationError("Member already has a seat", 409)
+      : current?.status === "active"
+        ? createOrganizationError("No seats left on this license", 409)
+        : createOrganizationError("License is not active");
+  }
+
+  const enrollmentIds = [];
+  const enrolledCourseIds = [];
+  // Trạng thái trước khi gán của các Enrollment đã thay đổi (null = tạo mới), để khôi phục khi lỗi
+  const changedEnrollments = [];
+  try {
+    for (const { courseId } of license.courses) {
+      const existing = await Enrollment.findOne({ userId, courseId });
+
+      if (
+        existing &&
+        ["enrolled", "completed"].includes(existing.status) &&
+        !existing.subscriptionId &&
+        existing.organizationLicenseId?.toString() !== license._id.toString()
+      ) {
+        continue;
+      }
+
+      const enrollment = existing || new Enrollment({ userId, courseId });
+      changedEnrollments.push({
+        enrollment,
+        previous: existing
+          ? {
+              status: existing.status,
+              subscriptionId: existing.subscriptionId,
+              organizationLicenseId: existing.organizationLicenseId,
+            }
+          : null,
+      });
+      if (enrollment.status !== "completed") {
+        enrollment.status = "enrolled";
+      }
+      enrollment.subscriptionId = undefined;
+      enrollment.organizationLicenseId = license._id;
+      await enrollment.save();
+
+      enrollmentIds.push(enrollment._id);
+      enrolledCourseIds.push(courseId);
+    }
+
+    if (license.courses.length > 0 && enrollmentIds.length === 0) {
+      throw createOrganizationError(
+        "Member already owns every course in this license",
+        409
+      );
+    }
+
+    if (enrolledCourseIds.length > 0) {
+      await User.updateOne(
+        { _id: userId },
+        { $addToSet: { enrolledCourses: { $each: enrolledCourseIds } } }
+      );
+    }
+  } catch (error) {
+    await OrganizationLicense.updateOne(
+      { _id: license._id },
+      { $pull: { assignments: { _id: assignmentId } } }
+    );
+    for (const { enrollment, previous } of changedEnrollments) {
+      if (enrollment.isNew) continue;
+      if (previous) {
+        enrollment.set(previous);
+        await enrollment.save();
+      } else {
+        await enrollment.deleteOne();
+      }
+    }
+    throw error;
+  }
+
+  const updated = await OrganizationLicense.findOneAndUpdate(
+    { _id: license._id, "assignments._id": assignmentId },
+    { $set: { "assignments.$.enrollmentIds": enrollmentIds } },
+    { new: true }
+  );
+  return (updated || claimed).assignments.id(assignmentId);
+};
+
+/**
+ * Thu hồi chỗ học: hủy các Enrollment do license tạo, chỗ học được trả lại cho license.
+ * Tiến độ học (Progress) được giữ lại nếu thành viên được gán lại sau này.
+ */
+const revokeSeat = async ({ license, userId }) => {
+  const assignment = license.assignments.find(
+    (a) => a.status === "assigned" && a.userId.toString() === userId.toString()
+  );
+  if (!assignment) {
+    throw createOrganizationError("Seat assignment not found", 404);
+  }
+
+  const enrollments = await Enrollment.find({
+    _id: { $in: assignment.enrollmentIds },
+    organizationLicenseId: license._id,
+  });
+  await Enrollment.updateMany(
+    { _id: { $in: enrollments.map((e) => e._id) } },
+    { $set: { status: "cancelled" } }
+  );
+  if (enrollments.length > 0) {
+    await User.updateOne(
+      { _id: userId },
+      {
+        $pull: { enrolledCourses: { $in: enrollments.map((e) => e.courseId) } },
+      }
+    );
+  }
+
+  assignment.status = "revoked";
+  assignment.revokedAt = new Date();
+  await license.save();
+
+  return assignment;
+};
+
+/**
+ * Thu hồi mọi chỗ học của một thành viên trong tổ chức (khi xóa thành viên).
+ */
+const revokeMemberSeats = async ({ organizationId, userId }) => {
+  const licenses = await OrganizationLicense.find({
+    organizationId,
+    assignments: { $elemMatch: { userId, status: "assigned" } },
+  });
+  for (const license of licenses) {
+    await revokeSeat({ license, userId });
+  }
+  return licenses.length;
+};
+
+/**
+ * Tổng hợp tiến độ học của tất cả chỗ học đang được gán trong tổ chức.
+ * @returns {Promise<Array>} Mỗi phần tử: license + danh sách chỗ học kèm % hoàn thành từng khóa
+ */
+const getOrganizationProgress = async (organizationId) => {
+  const licenses = await OrganizationLicense.find({
+    organizationId,
+    status: "active",
+  })
+    .populate("courseId", "title")
+    .populate("bundleId", "title")
+    .populate("assignments.userId", "firstName lastName email userImage")
+    .sort({ createdAt: -1 });
+
+  const courseIds = [
+    ...new Set(
+      licenses.flatMap((l) => l.courses.map((c) => c.courseId.toString()))
+    ),
+  ];
+  const courses = await Course.find({ _id: { $in: courseIds } }).select(
+    "title sections"
+  );
+  const sections = await Section.find({
+    _id: { $in: courses.flatMap((c) => c.sections) },
+  }).select("lessons");
+  const lessonCountBySection = new Map(
+    sections.map((s) => [s._id.toString(), s.lessons.length])
+  );
+  const courseInfo = new Map(
+    courses.map((c) => [
+      c._id.toString(),
+      {
+        title: c.title,
+        totalLessons: c.sections.reduce(
+          (sum, sectionId) =>
+            sum + (lessonCountBySection.get(sectionId.toString()) || 0),
+          0
+        ),
+      },
+    ])
+  );
+
+  const memberIds = licenses.flatMap((l) =>
+    l.assignments
+      .filter((a) => a.status === "assigned" && a.userId)
+      .map((a) => a.userId._id)
+  );
+  const [progresses, enrollments] = await Promise.all([
+    Progress.find({
+      studentId: { $in: memberIds },
+      courseId: { $in: courseIds },
+    }).select("studentId courseId completedLessons updatedAt"),
+    Enrollment.find({
+      userId: { $in: memberIds },
+      courseId: { $in: courseIds },
+    }).select("userId courseId status"),
+  ]);
+  const progressByKey = new Map(
+    progresses.map((p) => [`${p.studentId}_${p.courseId}`, p])
+  );
+  const enrollmentByKey = new Map(
+    enrollments.map((e) => [`${e.userId}_${e.courseId}`, e])
+  );
+
+  return licenses.map((license) => ({
+    licenseId: license._id,
+    course: license.courseId,
+    bundle: license.bundleId,
+    seatCount: license.seatCount,
+    seatsUsed: license.assignments.filter((a) => a.status === "assigned")
+      .length,
+    seats: license.assignments
+      .filter((a) => a.status === "assigned" && a.userId)
+      .map((assignment) => {
+        const user = assignment.userId;
+        const coursesProgress = license.courses.map(({ courseId }) => {
+          const key = `${user._id}_${courseId}`;
+          const info = courseInfo.get(courseId.toString()) || {
+            title: null,
+            totalLessons: 0,
+          };
+          const progress = progressByKey.get(key);
+          const completedLessons = progress
+            ? progress.completedLessons.length
+            : 0;
+          return {
+            courseId,
+            title: info.title,
+            completedLessons,
+            totalLessons: info.totalLessons,
+            percentage:
+              info.totalLessons > 0
+                ? Math.min(
+                    100,
+                    Math.round((completedLessons / info.totalLessons) * 100)
+                  )
+                : 0,
+            enrollmentStatus: enrollmentByKey.get(key)?.status || null,
+            lastActivityAt: progress?.updatedAt || null,
+          };
+        });
+        return {
+          assignmentId: assignment._id,
+          user,
+          assignedAt: assignment.assignedAt,
+          courses: coursesProgress,
+        };
+      }),
+  }));
+};
+
+module.exports = {
+  createOrganizationError,
+  findManagedOrganization,
+  quoteLicense,
+  activateOrganizationLicense,
+  assignSeat,
+  revokeSeat,
+  revokeMemberSeats,
+  getOrganizationProgress,
+};
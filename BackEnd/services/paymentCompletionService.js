@@ -0,0 +1,453 @@
+const Transaction = require("../models/transactionModel");
+const User = require("../models/userModel");
+const Payment = require("../models/paymentModel");
+const Enrollment = require("../models/enrollmentModel");
+const Cart = require("../models/cartModel");
+const Course = require("../models/courseModel");
+const {
+  recordCourseSale,
+  syncInstructorBalance,
+  isCourseSaleRecorded,
+} = require("./ledgerService");
+const { getEffectiveCommission } = require("./commissionService");
+const {
+  redeemDiscountForTransaction,
+  cancelDiscountForTransaction,
+} = require("./discountService");
+const { getCourseSalePrices } = require("./bundleService");
+const { activateSubscriptionPayment } = require("./subscriptionService");
+const { issueGiftForPayment } = require("./giftService");
+const { activateOrganizationLicense } = require("./organizationService");
+const {
+  issueInvoiceForPayment,
+  getInvoiceAttachment,
+  sendInvoiceEmail,
+} = require("./invoiceService");
+const { userEnrolledInCourseEmail } = require("../utils/emailTemplates");
+const sendEmail = require("../utils/sendEmail");
+const { createAndSendNotification } = require("./notificationService");
+
+/**
+ * Service hoàn tất / hủy giao dịch PayOS. Dùng chung cho handlePayOsWebhook,
+ * API hủy đơn và job đối soát, để mọi nguồn xác nhận đều áp dụng cùng một logic.
+ */
+
+/**
+ * Hoàn tất một giao dịch đang chờ: ghi danh, ghi sổ cái, hóa đơn, email và thông báo.
+ * Giao dịch được chiếm nguyên tử (pending -> completed) nên webhook và job đối soát
+ * xử lý cùng một đơn đồng thời thì chỉ một bên thực hiện.
+ * @param {Object} params
+ * @param {Object} params.transaction - Transaction đang ở trạng thái pending
+ * @param {string} [params.gatewayTransactionId] - Mã giao dịch phía PayOS
+ * @param {Object} [params.io] - Socket.IO server để gửi thông báo realtime
+ * @returns {Promise<?{transaction: Object, payment: ?Object}>} null nếu giao dịch đã được xử lý trước đó
+ */
+const completePendingTransaction = async ({
+  transaction: pendingTransaction,
+  gatewayTransactionId,
+  io,
+}) => {
+  // 1. Cập nhật Transaction
+  const transaction = await Transaction.findOneAndUpdate(
+    { _id: pendingTransaction._id, status: "pending" },
+    {
+      $set: {
+        status: "completed",
+        fulfillmentStatus: "pending",
+        ...(gatewayTransactionId ? { gatewayTransactionId } : {}),
+      },
+    },
+    { new: true }
+  );
+  if (!transaction) return null;
+
+  const payment = await fulfillCompletedTransaction({ transaction, io });
+  return { transaction, payment };
+};
+
+/**
+ * Lỗi ở các bước ghi dữ liệu được gom lại và ném ra sau khi chạy hết các bước còn lại,
+ * để nơi gọi (webhook) ghi nhận thất bại và xử lý lại sau.
+ */
+const assertNoFailures = (failures) => {
+  if (failures.length === 0) return;
+  const error = new Error(
+    `Payment fulfillment failed at: ${failures
+      .map((failure) => `${failure.step} (${failure.error.message})`)
+      .join(", ")}`
+  );
+  error.failures = failures;
+  throw error;
+};
+
+/**
+ * Thực hiện các bước sau khi giao dịch đã completed. Các bước ghi dữ liệu đều idempotent
+ * nên có thể chạy lại để tiếp tục một lần xử lý bị lỗi giữa chừng (replay webhook, job đối soát).
+ * Email và thông báo không chặn các bước khác; lỗi ghi dữ liệu được ném ra ở cuối.
+ * Kết quả được ghi vào Transaction.fulfillmentStatus.
+ * @returns {Promise<?Object>} Payment của giao dịch
+ */
+const fulfillCompletedTransaction = async ({ transaction, io }) => {
+  try {
+    const payment = await runFulfillmentSteps({ transaction, io });
+    await Transaction.updateOne(
+      { _id: transaction._id },
+      {
+        $set: { fulfillmentStatus: "fulfilled" },
+        $unset: { fulfillmentError: 1 },
+      }
+    );
+    return payment;
+  } catch (error) {
+    await Transaction.updateOne(
+      { _id: transaction._id },
+      {
+        $set: { fulfillmentStatus: "failed", fulfillmentError: error.message },
+      }
+    );
+    throw error;
+  }
+};
+
+const runFulfillmentSteps = async ({ transaction, io }) => {
+  const failures = [];
+
+  // Ghi nhận lượt dùng mã giảm giá (nếu đơn hàng có dùng mã)
+  try {
+    await redeemDiscountForTransaction(transaction._id);
+  } catch (discountError) {
+    console.error("[PAYMENT] Lỗi khi ghi nhận mã giảm giá:", discountError);
+    failures.push({ step: "discount", error: discountError });
+  }
+
+  // 2. Cập nhật Payment
+  const payment = await Payment.findById(transaction.paymentId);
+  if (payment && payment.status !== "completed") {
+    payment.status = "completed";
+    // Ghi nhận thời điểm thanh toán thực tế (dùng để tính hạn hoàn tiền)
+    payment.paymentDate = new Date();
+    await payment.save();
+  }
+  if (payment) {
+    // Phát hành hóa đơn PDF (đính kèm email ghi danh hoặc email biên nhận)
+    let issuedInvoice = null;
+    try {
+      issuedInvoice = await issueInvoiceForPayment({
+        payment,
+        transaction,
+      });
+    } catch (invoiceError) {
+      console.error("[PAYMENT] Lỗi khi phát hành hóa đơn:", invoiceError);
+      failures.push({ step: "invoice", error: invoiceError });
+    }
+    const sendReceipt = () => {
+      if (!issuedInvoice) return;
+      sendInvoiceEmail(issuedInvoice).catch((receiptError) =>
+        console.error("[PAYMENT] Lỗi khi gửi hóa đơn:", receiptError)
+      );
+    };
+
+    // Thanh toán gói đăng ký: gia hạn kỳ sử dụng, không có Enrollment
+    if (payment.subscriptionId) {
+      try {
+        await activateSubscriptionPayment({ payment, transaction });
+      } catch (subscriptionError) {
+        console.error(
+          "[PAYMENT] Lỗi khi gia hạn gói đăng ký:",
+          subscriptionError
+        );
+        failures.push({ step: "subscription", error: subscriptionError });
+      }
+      assertNoFailures(failures);
+      sendReceipt();
+      try {
+        await createAndSendNotification(io, {
+          recipient: transaction.userId,
+          sender: "68da40f4584deac572895b5f",
+          type: "payment",
+          content: "Thanh toán gói đăng ký đã thành công.",
+          link: "/profile/subscriptions",
+        });
+      } catch (notiError) {
+        console.error("[PAYMENT] Lỗi khi gửi thông báo:", notiError);
+      }
+      return payment;
+    }
+
+    // Thanh toán license doanh nghiệp: kích hoạt chỗ học, Enrollment tạo khi gán chỗ
+    if (payment.organizationLicenseId) {
+      try {
+        await activateOrganizationLicense({ payment, transaction });
+      } catch (licenseError) {
+        console.error(
+          "[PAYMENT] Lỗi khi kích hoạt license doanh nghiệp:",
+          licenseError
+        );
+        failures.push({ step: "organization_license", error: licenseError });
+      }
+      assertNoFailures(failures);
+      sendReceipt();
+      try {
+        await createAndSendNotification(io, {
+          recipient: transaction.userId,
+          sender: "68da40f4584deac572895b5f",
+          type: "payment",
+          content:
+            "Thanh toán license doanh nghiệp đã thành công. Bạn có thể gán chỗ học cho thành viên.",
+          link: "/organizations",
+        });
+      } catch (notiError) {
+        console.error("[PAYMENT] Lỗi khi gửi thông báo:", notiError);
+      }
+      return payment;
+    }
+
+    // 3. Cập nhật Enrollments
+    await Enrollment.updateMany(
+      { _id: { $in: payment.enrollmentIds } },
+      { $set: { status: "enrolled" } }
+    );
+
+    // 4. Lấy dữ liệu enrollments (dùng chung cho các bước sau)
+    const enrollments = await Enrollment.find({
+      _id: { $in: payment.enrollmentIds },
+    })
+      .select("courseId")
+      .populate({
+        path: "courseId",
+        select: "createdBy price title",
+      });
+
+    // Đơn quà tặng không có Enrollment: lấy khóa học từ payment.gift
+    const isGift = !!payment.gift?.recipientEmail;
+    const purchasedCourses = isGift
+      ? await Course.find({
+          _id: { $in: payment.gift.items.map((i) => i.courseId) },
+        }).select("createdBy price title")
+      : enrollments.map((e) => e.courseId).filter(Boolean);
+
+    // 5. Ghi sổ cái doanh thu và cập nhật số dư cho giảng viên
+    try {
+      const teacherIds = new Set();
+      // Doanh thu là số tiền thực thu của từng khóa học (sau giảm giá, phần giá gói được phân bổ)
+      const salePrices = getCourseSalePrices(payment);
+      for (const course of purchasedCourses) {
+        // Đã ghi sổ ở lần xử lý trước (replay webhook)
+        const recorded = await isCourseSaleRecorded({
+          transactionId: transaction._id,
+          courseId: course._id,
+        });
+        if (recorded) continue;
+
+        // Áp dụng tỉ lệ chia doanh thu có hiệu lực tại thời điểm thanh toán
+        const { instructorShareRate } = await getEffectiveCommission({
+          courseId: course._id,
+          instructorId: course.createdBy,
+          at: payment.paymentDate,
+        });
+        await recordCourseSale({
+          instructorId: course.createdBy,
+          courseId: course._id,
+          transactionId: transaction._id,
+          coursePrice:
+            salePrices.get(course._id.toString()) ??
+            parseFloat(course.price.toString()),
+          shareRate: instructorShareRate,
+        });
+        teacherIds.add(course.createdBy.toString());
+      }
+      for (const teacherId of teacherIds) {
+        await syncInstructorBalance(teacherId);
+      }
+    } catch (moneyError) {
+      console.error("[PAYMENT] Lỗi khi ghi sổ cái doanh thu:", moneyError);
+      failures.push({ step: "ledger", error: moneyError });
+    }
+
+    // 6. Xoá các khoá học đã mua khỏi giỏ hàng
+    try {
+      const courseIdsToRemove = purchasedCourses.map((c) => c._id);
+      const userId = transaction.userId;
+
+      const cart = await Cart.findOne({ userId: userId });
+      if (cart) {
+        const courseIdsStr = courseIdsToRemove.map((id) => id.toString());
+        cart.courseIds = cart.courseIds.filter(
+          (id) => !courseIdsStr.includes(id.toString())
+        );
+        const bundleIdsStr = (payment.bundles || []).map((b) =>
+          b.bundleId.toString()
+        );
+        cart.bundleIds = cart.bundleIds.filter(
+          (id) => !bundleIdsStr.includes(id.toString())
+        );
+        await cart.save();
+      }
+    } catch (cartError) {
+      // Silent catch
+    }
+
+    // 7. Gửi email thông báo (đơn quà tặng: phát hành mã quà và gửi cho người nhận)
+    if (isGift) {
+      try {
+        await issueGiftForPayment({ payment, transaction });
+      } catch (giftError) {
+        console.error("[PAYMENT] Lỗi khi phát hành quà tặng:", giftError);
+        failures.push({ step: "gift", error: giftError });
+      }
+    }
+    try {
+      const userId = transaction.userId;
+      const courseIds = enrollments.map((e) => e.courseId?._id).filter(Boolean);
+
+      if (courseIds.length > 0) {
+        sendIndividualEnrollmentEmails(
+          userId,
+          courseIds,
+          issuedInvoice
+            ? [
+                getInvoiceAttachment(
+                  issuedInvoice.invoice,
+                  issuedInvoice.pdfBuffer
+                ),
+              ]
+            : []
+        );
+      } else {
+        // Đơn quà tặng không có email ghi danh: gửi biên nhận riêng
+        sendReceipt();
+      }
+    } catch (emailError) {
+      // Silent catch
+    }
+    try {
+      const recipientId = transaction.userId;
+      // Tìm Admin để làm người gửi (hoặc fallback về chính user)
+      const systemSender = await User.findOne({ role: "admin" }).select("_id");
+      const senderId = systemSender ? systemSender._id : recipientId;
+
+      const courseCount = purchasedCourses.length;
+
+      // Format số tiền
+      const totalAmount = payment.amount;
+      const formattedAmount = new Intl.NumberFormat("vi-VN", {
+        style: "currency",
+        currency: "VND",
+      }).format(totalAmount);
+
+      // Gửi thông báo
+      await createAndSendNotification(io, {
+        recipient: recipientId,
+        sender: "68da40f4584deac572895b5f",
+        type: "payment",
+        content: isGift
+          ? `Thanh toán ${formattedAmount} cho ${courseCount} khóa học tặng ${payment.gift.recipientEmail} đã thành công.`
+          : `Thanh toán ${formattedAmount} cho ${courseCount} khóa học đã thành công.`,
+        link: isGift ? "/profile/purchase-history" : "/profile/courses",
+      });
+    } catch (notiError) {
+      console.error(
+        "[PAYMENT] Lỗi khi gửi thông báo socket (Bước 8):",
+        notiError
+      );
+    }
+  }
+
+  assertNoFailures(failures);
+  return payment;
+};
+
+/**
+ * Hủy một giao dịch đang chờ cùng Payment và các Enrollment chưa kích hoạt của nó.
+ * @returns {Promise<?Object>} Transaction đã hủy, null nếu giao dịch không còn pending
+ */
+const cancelPendingTransaction = async (pendingTransaction) => {
+  const transaction = await Transaction.findOneAndUpdate(
+    { _id: pendingTransaction._id, status: "pending" },
+    { $set: { status: "cancelled" } },
+    { new: true }
+  );
+  if (!transaction) return null;
+
+  await cancelDiscountForTransaction(transaction._id);
+
+  const payment = await Payment.findById(transaction.paymentId);
+  if (payment) {
+    payment.status = "cancelled";
+    await payment.save();
+
+    await Enrollment.updateMany(
+      { _id: { $in: payment.enrollmentIds } },
+      { $set: { status: "cancelled" } }
+    );
+  }
+
+  return transaction;
+};
+
+const sendIndividualEnrollmentEmails = async (
+  userId,
+  courseIds,
+  attachments = []
+) => {
+  try {
+    // 1. Lấy thông tin người dùng (email, tên) - CHỈ 1 LẦN
+    const user = await User.findById(userId).select("email firstName lastName");
+
+    if (!user) {
+      console.log("[Email] Không tìm thấy người dùng, hủy gửi mail.");
+      return;
+    } // 2. Lấy thông tin các khóa học - CHỈ 1 LẦN // QUAN TRỌNG: Phải select 'title' và 'message.welcome'
+
+    const courses = await Course.find({ _id: { $in: courseIds } }).select(
+      "title message.welcome"
+    );
+
+    if (courses.length === 0) {
+      console.log("[Email] Không tìm thấy khóa học, hủy gửi mail.");
+      return;
+    } // 3. Lặp qua TỪNG khóa học và gửi email
+
+    const displayName =
+      [user.firstName, user.lastName].filter(Boolean).join(" ") ||
+      user.email.split("@")[0];
+
+    for (const [index, course] of courses.entries()) {
+      try {
+        // 4. Tạo nội dung email từ template mới
+        const emailContent = userEnrolledInCourseEmail(
+          displayName,
+          course.title,
+          course.message.welcome // Truyền welcome message
+        );
+        console.log(course.message.welcome);
+
+        await sendEmail(
+          user.email,
+          `Chào mừng bạn đến với khóa học: ${course.title}!`, // Tiêu đề email riêng
+          emailContent,
+          // Hóa đơn chỉ đính kèm vào email đầu tiên của đơn hàng
+          index === 0 ? attachments : []
+        );
+      } catch (emailError) {
+        // Nếu lỗi 1 email, ghi log và tiếp tục gửi các email khác
+        console.error(
+          `[Email] Lỗi khi gửi mail cho course ${course._id} tới user ${userId}:`,
+          emailError
+        );
+      }
+    }
+  } catch (error) {
+    // Lỗi nghiêm trọng (không tìm thấy user, lỗi DB)
+    console.error(
+      `[Email] Lỗi nghiêm trọng khi chuẩn bị gửi email cho user ${userId}:`,
+      error
+    );
+  }
+};
+
+module.exports = {
+  completePendingTransaction,
+  fulfillCompletedTransaction,
+  cancelPendingTransaction,
+};
@@ -0,0 +1,264 @@
+const payOs = require("../config/payos");
+const Transaction = require("../models/transactionModel");
+const PaymentReconciliationReport = require("../models/paymentReconciliationReportModel");
+const {
+  completePendingTransaction,
+  cancelPendingTransaction,
+  fulfillCompletedTransaction,
+} = require("./paymentCompletionService");
+
+/**
+ * Service đối soát thanh toán: hỏi PayOS trạng thái các giao dịch pending quá lâu
+ * (có thể do lỡ webhook), hoàn tất hoặc hủy theo đúng logic của webhook
+ * và ghi các chênh lệch vào báo cáo cho admin.
+ * Giao dịch đã completed nhưng các bước sau thanh toán bị lỗi cũng được chạy lại.
+ */
+
+const DEFAULT_OLDER_THAN_MINUTES =
+  parseInt(process.env.PAYMENT_RECONCILE_AFTER_MINUTES) || 30;
+const MAX_TRANSACTIONS_PER_RUN = 200;
+// PayOS trả code "101" khi không tìm thấy link thanh toán
+const PAYOS_NOT_FOUND_CODE = "101";
+
+let isRunning = false;
+
+const toFloat = (value) => (value ? parseFloat(value.toString()) : 0);
+
+/**
+ * Đối soát một giao dịch pending với đơn tương ứng trên PayOS,
+ * hoặc chạy lại các bước sau thanh toán của giao dịch completed chưa xử lý xong.
+ * @returns {Promise<{outcome: string, discrepancy: ?Object}>}
+ *   outcome: completed | fulfilled | cancelled | pending | flagged | skipped
+ */
+const reconcileTransaction = async (transaction, { payOsClient, io }) => {
+  const base = {
+    transactionId: transaction._id,
+    orderCode: transaction.orderCode,
+    localStatus: transaction.status,
+    expectedAmount: toFloat(transaction.amount),
+  };
+
+  // PayOS đã xác nhận thanh toán, chỉ cần chạy tiếp các bước bị lỗi (lỗi lại thì ném ra)
+  if (transaction.status === "completed") {
+    await fulfillCompletedTransaction({ transaction, io });
+    return {
+      outcome: "fulfilled",
+      discrepancy: {
+        ...base,
+        type: "unfulfilled_payment",
+        action: "fulfilled",
+        message:
+          transaction.fulfillmentError ||
+          "Các bước sau thanh toán chưa hoàn tất, đã chạy lại.",
+      },
+    };
+  }
+
+  let paymentLink;
+  try {
+    paymentLink = await payOsClient.paymentRequests.get(transaction.orderCode);
+  } catch (error) {
+    const notFound =
+      error.status === 404 || error.code === PAYOS_NOT_FOUND_CODE;
+    return {
+      outcome: "flagged",
+      discrepancy: {
+        ...base,
+        type: notFound ? "not_found" : "gateway_error",
+        action: "flagged",
+        message: error.message,
+      },
+    };
+  }
+
+  const gateway = {
+    gatewayStatus: paymentLink.status,
+    gatewayAmount: paymentLink.amountPaid,
+  };
+
+  switch (paymentLink.status) {
+    case "PAID": {
+      if (paymentLink.amountPaid !== base.expectedAmount) {
+        return {
+          outcome: "flagged",
+          discrepancy: {
+            ...base,
+            ...gateway,
+            type: "amount_mismatch",
+            action: "flagged",
+            message: "Số tiền PayOS ghi nhận khác số tiền của giao dịch.",
+          },
+        };
+      }
+      const result = await completePendingTransaction({
+        transaction,
+        gatewayTransactionId:
+          paymentLink.transactions?.[0]?.reference || paymentLink.id,
+        io,
+      });
+      // Webhook đã xử lý giao dịch trong lúc job đang chạy
+      if (!result) return { outcome: "skipped", discrepancy: null };
+      return {
+        outcome: "completed",
+        discrepancy: {
+          ...base,
+          ...gateway,
+          type: "missed_payment",
+          action: "completed",
+          message: "Đơn đã thanh toán trên PayOS nhưng chưa nhận được webhook.",
+        },
+      };
+    }
+    case "CANCELLED":
+    case "EXPIRED":
+    case "FAILED": {
+      const cancelled = await cancelPendingTransaction(transaction);
+      if (!cancelled) return { outcome: "skipped", discrepancy: null };
+      return {
+        outcome: "cancelled",
+        discrepancy: {
+          ...base,
+          ...gateway,
+          type: "gateway_cancelled",
+          action: "cancelled",
+          message:
+            paymentLink.cancellationReason ||
+            `Đơn có trạng thái ${paymentLink.status} trên PayOS.`,
+        },
+      };
+    }
+    case "UNDERPAID":
+      return {
+        outcome: "flagged",
+        discrepancy: {
+          ...base,
+          ...gateway,
+          type: "underpaid",
+          action: "flagged",
+          message: `Khách hàng chuyển thiếu ${paymentLink.amountRemaining}.`,
+        },
+      };
+    default:
+      // PENDING / PROCESSING: khách chưa thanh toán xong, để lần chạy sau
+      return { outcome: "pending", discrepancy: null };
+  }
+};
+
+/**
+ * Đối soát các giao dịch pending tạo trước N phút, cùng các giao dịch completed
+ * chưa xử lý xong (fulfillmentStatus pending / failed) từ trước N phút, và lưu báo cáo.
+ * @param {Object} [options]
+ * @param {Object} [options.payOsClient] - Client PayOS (mặc định config/payos, có thể thay bằng stub)
+ * @param {Object} [options.io] - Socket.IO server để gửi thông báo khi hoàn tất đơn
+ * @param {number} [options.olderThanMinutes] - Chỉ xét giao dịch pending lâu hơn số phút này
+ * @param {string} [options.trigger] - scheduled | manual
+ * @param {string} [options.triggeredBy] - Admin chạy đối soát thủ công
+ * @returns {Promise<Object>} Báo cáo đã lưu, null nếu đang có lần chạy khác
+ */
+const reconcilePendingPayments = async ({
+  payOsClient = payOs,
+  io = null,
+  olderThanMinutes = DEFAULT_OLDER_THAN_MINUTES,
+  trigger = "scheduled",
+  triggeredBy,
+} = {}) => {
+  if (isRunning) return null;
+  isRunning = true;
+
+  try {
+    const startedAt = new Date();
+    const cutoff = new Date(startedAt.getTime() - olderThanMinutes * 60 * 1000);
+    const report = new PaymentReconciliationReport({
+      trigger,
+      triggeredBy,
+      startedAt,
+      cutoff,
+    });
+
+    const transactions = await Transaction.find({
+      type: "sale",
+      $or: [
+        { status: "pending", createdAt: { $lte: cutoff } },
+        {
+          status: "completed",
+          fulfillmentStatus: { $in: ["pending", "failed"] },
+          updatedAt: { $lte: cutoff },
+        },
+      ],
+    })
+      .sort({ createdAt: 1 })
+      .limit(MAX_TRANSACTIONS_PER_RUN);
+
+    for (const transaction of transactions) {
+      report.checked += 1;
+      try {
+        const { outcome, discrepancy } = await reconcileTransaction(
+          transaction,
+          { payOsClient, io }
+        );
+        if (outcome === "completed") report.completed += 1;
+        if (outcome === "fulfilled") report.fulfilled += 1;
+        if (outcome === "cancelled") report.cancelled += 1;
+        if (outcome === "pending") report.stillPending += 1;
+        if (discrepancy) report.discrepancies.push(discrepancy);
+      } catch (error) {
+        report.failed += 1;
+        report.discrepancies.push({
+          transactionId: transaction._id,
+          orderCode: transaction.orderCode,
+          localStatus: transaction.status,
+          expectedAmount: toFloat(transaction.amount),
+          type: "processing_error",
+          action: "flagged",
+          message: error.message,
+        });
+        console.error(
+          `❌ [RECONCILE] Error reconciling order ${transaction.orderCode}:`,
+          error
+        );
+      }
+    }
+
+    report.finishedAt = new Date();
+    await report.save();
+    return report;
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Bắt đầu job đối soát định kỳ
+ * @param {Object} [options]
+ * @param {number} [options.intervalMinutes] - Khoảng thời gian giữa các lần chạy (phút)
+ * @param {Object} [options.io] - Socket.IO server
+ */
+const startPaymentReconciliationService = ({
+  intervalMinutes = 15,
+  io = null,
+} = {}) => {
+  const run = async () => {
+    try {
+      const report = await reconcilePendingPayments({ io });
+      if (report && report.checked > 0) {
+        console.log(
+          `🔁 [RECONCILE] checked: ${report.checked}, completed: ${report.completed}, cancelled: ${report.cancelled}, discrepancies: ${report.discrepancies.length}`
+        );
+      }
+    } catch (error) {
+      console.error("❌ [RECONCILE] Error reconciling payments:", error);
+    }
+  };
+
+  run();
+  setInterval(run, intervalMinutes * 60 * 1000);
+  console.log(
+    `✅ [RECONCILE] Payment reconciliation service started (every ${intervalMinutes} minutes)`
+  );
+};
+
+module.exports = {
+  reconcileTransaction,
+  reconcilePendingPayments,
+  startPaymentReconciliationService,
+};
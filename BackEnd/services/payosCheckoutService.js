@@ -0,0 +1,103 @@
+const mongoose = require("mongoose");
+const payOs = require("../config/payos");
+const Payment = require("../models/paymentModel");
+const Transaction = require("../models/transactionModel");
+
+/**
+ * Service tạo đơn thanh toán PayOS cho các sản phẩm không đi qua giỏ hàng
+ * (gói đăng ký, license doanh nghiệp...). Payment/Transaction được tạo ở trạng thái
+ * pending, quyền lợi chỉ được cấp khi webhook xác nhận thanh toán.
+ */
+
+const generateOrderCode = () =>
+  parseInt(Date.now().toString() + Math.floor(Math.random() * 1000));
+
+/**
+ * Tạo Payment + Transaction (pending) và link thanh toán PayOS.
+ * @param {Object} params
+ * @param {Object} params.user - Người mua (req.user)
+ * @param {number} params.amount - Số tiền thanh toán
+ * @param {string} params.description - Nội dung chuyển khoản (tối đa 25 ký tự)
+ * @param {Object} [params.paymentFields] - Các trường bổ sung cho Payment (subscriptionId...)
+ * @returns {Promise<Object>} { payment, transaction, orderCode, checkoutUrl, qrData }
+ */
+const createPayOsCheckout = async ({
+  user,
+  amount,
+  description,
+  paymentFields = {},
+}) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const orderCode = generateOrderCode();
+    const safeDescription = description.substring(0, 25);
+
+    const payment = new Payment({
+      enrollmentIds: [],
+      amount,
+      subtotal: amount,
+      paymentDate: new Date(),
+      status: "pending",
+      ...paymentFields,
+    });
+    const transaction = new Transaction({
+      userId: user._id,
+      amount,
+      status: "pending",
+      description: safeDescription,
+      orderCode,
+      paymentId: payment._id,
+    });
+    await payment.save({ session });
+    await transaction.save({ session });
+
+    const buyerName =
+      [user.firstName, user.lastName].filter(Boolean).join(" ") ||
+      user.email.split("@")[0];
+
+    const paymentLinkResponse = await payOs.paymentRequests.create({
+      amount,
+      description: safeDescription,
+      orderCode,
+      returnUrl: `${process.env.CLIENT_URL}/payment/success?orderCode=${orderCode}`,
+      cancelUrl: `${process.env.CLIENT_URL}/payment/cancelled?orderCode=${orderCode}`,
+      buyerName,
+      buyerEmail: user.email,
+    });
+
+    // Lưu description chuẩn từ PayOS để khớp nội dung chuyển khoản
+    if (paymentLinkResponse && paymentLinkResponse.description) {
+      transaction.description = paymentLinkResponse.description;
+      await transaction.save({ session });
+    }
+
+    await session.commitTransaction();
+
+    return {
+      payment,
+      transaction,
+      orderCode,
+      checkoutUrl: paymentLinkResponse.checkoutUrl,
+      qrData: {
+        accountNumber: paymentLinkResponse.accountNumber,
+        accountName: paymentLinkResponse.accountName,
+        amount: paymentLinkResponse.amount,
+        description: paymentLinkResponse.description,
+        bin: paymentLinkResponse.bin,
+        qrCode: paymentLinkResponse.qrCode,
+      },
+    };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = {
+  generateOrderCode,
+  createPayOsCheckout,
+};
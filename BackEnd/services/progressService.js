@@ -0,0 +1,370 @@
+const Progress = require("../models/progressModel");
+const VideoWatchProgress = require("../models/videoWatchProgressModel");
+const Lesson = require("../models/lessonModel");
+const Enrollment = require("../models/enrollmentModel");
+const Quiz = require("../models/QuizModel");
+const StudentQuizResult = require("../models/StudentQuizResult");
+const { recordSubscriptionLessonUsage } = require("./subscriptionService");
+const { getPassingScore } = require("./quizGradingService");
+
+/**
+ * Service tiến độ học: đánh dấu hoàn thành bài học và điều kiện đạt quiz.
+ * Bài học dạng quiz chỉ được tính hoàn thành khi học viên đạt passingScore của mọi quiz trong bài.
+ * Bài học video tự hoàn thành khi học viên đã thực sự xem đủ VIDEO_COMPLETION_RATIO thời lượng.
+ */
+
+// Tỉ lệ thời lượng video phải xem để tự hoàn thành bài học (0..1)
+const VIDEO_COMPLETION_RATIO = Math.min(
+  Math.max(parseFloat(process.env.VIDEO_COMPLETION_RATIO ?? "0.9") || 0.9, 0.1),
+  1
+);
+// Tốc độ phát tối đa của player: thời gian xem ghi nhận không vượt quá thời gian thực * tốc độ này
+const MAX_PLAYBACK_RATE = 2;
+// Thời gian xem chấp nhận thêm cho mỗi heartbeat (độ trễ mạng, heartbeat đầu tiên)
+const HEARTBEAT_GRACE_SECONDS = 15;
+// Khoảng thời gian thực tối đa được tính cho một heartbeat: bỏ heartbeat rồi chờ không được cộng dồn
+const HEARTBEAT_INTERVAL_MAX_SECONDS = 60;
+// Độ lệch cho phép giữa đầu đoạn xem và vị trí đã báo trước đó (làm tròn của player)
+const SEGMENT_CONTINUITY_TOLERANCE_SECONDS = 2;
+const MAX_SEGMENTS_PER_HEARTBEAT = 50;
+// Dừng ở đoạn cuối video thì lần sau xem lại từ đầu
+const RESUME_END_MARGIN_SECONDS = 10;
+
+const createProgressError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const isQuizPassed = (quiz, result) =>
+  Boolean(result) &&
+  typeof result.score === "number" &&
+  result.score >= getPassingScore(quiz);
+
+/**
+ * Trạng thái đạt của các quiz trong một bài học dạng quiz
+ * @returns {Promise<{passed: boolean, quizzes: Array}>}
+ */
+const getQuizLessonStatus = async ({ userId, lesson }) => {
+  const [quizzes, results] = await Promise.all([
+    Quiz.find({ _id: { $in: lesson.quizIds } }).select("title passingScore"),
+    StudentQuizResult.find({
+      userId,
+      quizId: { $in: lesson.quizIds },
+    }).select("quizId score"),
+  ]);
+  const resultByQuiz = new Map(
+    results.map((result) => [result.quizId.toString(), result])
+  );
+
+  const quizStatuses = quizzes.map((quiz) => {
+    const result = resultByQuiz.get(quiz._id.toString());
+    return {
+      quizId: quiz._id,
+      title: quiz.title,
+      passingScore: getPassingScore(quiz),
+      score: result ? result.score : null,
+      passed: isQuizPassed(quiz, result),
+    };
+  });
+
+  return {
+    passed: quizStatuses.every((quiz) => quiz.passed),
+    quizzes: quizStatuses,
+  };
+};
+
+/**
+ * Thêm bài học vào danh sách đã hoàn thành và ghi nhận lượt dùng gói đăng ký (lần đầu)
+ * @param {Object} params
+ * @param {Object} params.enrollment - Enrollment của học viên trong khóa học
+ * @param {string} params.lessonId
+ * @returns {Promise<{progress: Object, added: boolean}>}
+ */
+const completeLesson = async ({ enrollment, lessonId }) => {
+  const update = await Progress.updateOne(
+    { studentId: enrollment.userId, courseId: enrollment.courseId },
+    { $addToSet: { completedLessons: lessonId } },
+    { upsert: true }
+  );
+  const added = update.modifiedCount > 0 || update.upsertedCount > 0;
+
+  if (added) {
+    // Tính lượt hoàn thành vào quỹ doanh thu gói đăng ký
+    await recordSubscriptionLessonUsage({
+      enrollment,
+      lessonId,
+      completed: true,
+    });
+  }
+
+  const progress = await Progress.findOne({
+    studentId: enrollment.userId,
+    courseId: enrollment.courseId,
+  });
+  return { progress, added };
+};
+
+/**
+ * Tự đánh dấu hoàn thành bài học chứa quiz khi học viên đã đạt mọi quiz trong bài
+ * @returns {Promise<?{lessonId: string, completed: boolean}>} null nếu quiz không thuộc bài học / chưa ghi danh
+ */
+const completeQuizLessonIfPassed = async ({ userId, quiz }) => {
+  const lesson = await Lesson.findOne({ type: "quiz", quizIds: quiz._id });
+  if (!lesson) return null;
+
+  const enrollment = await Enrollment.findOne({
+    userId,
+    courseId: lesson.courseId,
+    status: "enrolled",
+  });
+  if (!enrollment) return null;
+
+  const status = await getQuizLessonStatus({ userId, lesson });
+  if (!status.passed) return { lessonId: lesson._id, completed: false };
+
+  await completeLesson({ enrollment, lessonId: lesson._id });
+  return { lessonId: lesson._id, completed: true };
+};
+
+/**
+ * Các bài học dạng quiz của khóa học mà học viên chưa đạt (dùng khi cấp chứng chỉ)
+ * @returns {Promise<Array>} [{ lessonId, title, quizzes }] với quizzes là các quiz chưa đạt
+ */
+const getUnpassedQuizLessons = async ({ userId, courseId }) => {
+  const lessons = await Lesson.find({ courseId, type: "quiz" }).select(
+    "title quizIds"
+  );
+
+  const unpassed = [];
+  for (const lesson of lessons) {
+    const status = await getQuizLessonStatus({ userId, lesson });
+    if (!status.passed) {
+      unpassed.push({
+        lessonId: lesson._id,
+        title: lesson.title,
+        quizzes: status.quizzes.filter((quiz) => !quiz.passed),
+      });
+    }
+  }
+  return unpassed;
+};
+
+/**
+ * Gộp các đoạn chồng lấn / nối tiếp nhau
+ * @param {Array<{start: number, end: number}>} segments
+ * @returns {Array<{start: number, end: number}>} Đã sắp xếp theo start
+ */
+const mergeSegments = (segments) => {
+  const sorted = segments
+    .filter((segment) => segment.end > segment.start)
+    .map((segment) => ({ start: segment.start, end: segment.end }))
+    .sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const segment of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && segment.start <= last.end) {
+      last.end = Math.max(last.end, segment.end);
+    } else {
+      merged.push(segment);
+    }
+  }
+  return merged;
+};
+
+const sumSegments = (segments) =>
+  segments.reduce((sum, segment) => sum + (segment.end - segment.start), 0);
+
+/**
+ * Vị trí xem tiếp và mức đã xem của bài học video
+ * @param {Object} lesson - Lesson (cần duration)
+ * @param {?Object} watch - VideoWatchProgress
+ */
+const describeVideoWatch = (lesson, watch) => {
+  const duration = lesson.duration > 0 ? lesson.duration : null;
+  const lastPosition = watch ? watch.lastPosition : 0;
+  const watchedSeconds = watch ? Math.round(watch.watchedSeconds) : 0;
+  return {
+    lastPosition,
+    resumePosition:
+      duration && lastPosition >= duration - RESUME_END_MARGIN_SECONDS
+        ? 0
+        : lastPosition,
+    watchedSeconds,
+    watchedPercent: duration
+      ? Math.min(100, Math.round((watchedSeconds / duration) * 100))
+      : null,
+    completionRatio: VIDEO_COMPLETION_RATIO,
+    autoCompletedAt: watch ? watch.completedAt || null : null,
+  };
+};
+
+const parseHeartbeatSegments = (segments, duration) => {
+  if (segments === undefined || segments === null) return [];
+  if (!Array.isArray(segments)) {
+    throw createProgressError("segments must be an array of { start, end }");
+  }
+  if (segments.length > MAX_SEGMENTS_PER_HEARTBEAT) {
+    throw createProgressError(
+      `At most ${MAX_SEGMENTS_PER_HEARTBEAT} segments per heartbeat`
+    );
+  }
+  return segments.map((segment) => {
+    const start = Number(segment?.start);
+    const end = Number(segment?.end);
+    if (
+      !Number.isFinite(start) ||
+      !Number.isFinite(end) ||
+      start < 0 ||
+      end < start
+    ) {
+      throw createProgressError(
+        "Each segment needs 0 <= start <= end (seconds)"
+      );
+    }
+    return {
+      start: duration ? Math.min(start, duration) : start,
+      end: duration ? Math.min(end, duration) : end,
+    };
+  });
+};
+
+/**
+ * Trạng thái xem của bài học video: đã xem đủ VIDEO_COMPLETION_RATIO thời lượng chưa.
+ * Video chưa có thời lượng không theo dõi được nên luôn coi như đã xem đủ.
+ * @returns {Promise<Object>} { watched, ...describeVideoWatch }
+ */
+const getVideoLessonStatus = async ({ userId, lesson }) => {
+  const watch = await VideoWatchProgress.findOne({
+    studentId: userId,
+    lessonId: lesson._id,
+  });
+  const duration = lesson.duration > 0 ? lesson.duration : null;
+  return {
+    watched:
+      !duration ||
+      Boolean(watch?.completedAt) ||
+      (watch ? watch.watchedSeconds : 0) >= duration * VIDEO_COMPLETION_RATIO,
+    ...describeVideoWatch(lesson, watch),
+  };
+};
+
+/**
+ * Ghi nhận heartbeat của player video: các đoạn vừa xem và vị trí hiện tại.
+ * Thời gian xem mới không vượt quá thời gian thực kể từ heartbeat trước (tối đa
+ * HEARTBEAT_INTERVAL_MAX_SECONDS, * MAX_PLAYBACK_RATE) và chỉ nhận các đoạn nối tiếp vị trí đã báo
+ * trước đó, nên tua video không được tính là đã xem. Đủ VIDEO_COMPLETION_RATIO thời lượng thì tự hoàn thành bài học.
+ * @param {Object} params
+ * @param {Object} params.enrollment - Enrollment của học viên trong khóa học
+ * @param {Object} params.lesson - Lesson dạng video
+ * @param {number} [params.position] - Vị trí hiện tại (giây)
+ * @param {Array<{start: number, end: number}>} [params.segments] - Các đoạn đã xem từ heartbeat trước
+ * @returns {Promise<{watch: Object, acceptedSeconds: number, autoCompleted: boolean}>}
+ */
+const recordVideoHeartbeat = async ({
+  enrollment,
+  lesson,
+  position,
+  segments,
+  now = new Date(),
+}) => {
+  if (lesson.type !== "video") {
+    throw createProgressError("Watch time is only tracked for video lessons");
+  }
+  const duration = lesson.duration > 0 ? lesson.duration : null;
+  const received = parseHeartbeatSegments(segments, duration);
+  if (
+    position !== undefined &&
+    position !== null &&
+    (!Number.isFinite(Number(position)) || Number(position) < 0)
+  ) {
+    throw createProgressError(
+      "position must be a non-negative number of seconds"
+    );
+  }
+
+  const watch = await VideoWatchProgress.findOneAndUpdate(
+    { studentId: enrollment.userId, lessonId: lesson._id },
+    { $setOnInsert: { courseId: enrollment.courseId } },
+    { upsert: true, new: true }
+  );
+
+  // Giới hạn theo thời gian thực từ heartbeat trước
+  const elapsedSeconds = watch.lastHeartbeatAt
+    ? Math.min(
+        Math.max(0, (now - watch.lastHeartbeatAt) / 1000),
+        HEARTBEAT_INTERVAL_MAX_SECONDS
+      )
+    : 0;
+  let allowance = elapsedSeconds * MAX_PLAYBACK_RATE + HEARTBEAT_GRACE_SECONDS;
+  // Đoạn không nối tiếp vị trí trước (sau khi tua) bị bỏ qua, vị trí mới được ghi nhận bên dưới
+  let cursor = watch.lastPosition || 0;
+  const isContinuation = (start) =>
+    Math.abs(start - cursor) <= SEGMENT_CONTINUITY_TOLERANCE_SECONDS ||
+    // Xem lại từ đầu sau khi đã dừng ở cuối video (xem describeVideoWatch)
+    (Boolean(duration) &&
+      cursor >= duration - RESUME_END_MARGIN_SECONDS &&
+      start <= SEGMENT_CONTINUITY_TOLERANCE_SECONDS);
+  const accepted = [];
+  for (const segment of received) {
+    if (allowance <= 0) break;
+    if (!isContinuation(segment.start)) continue;
+    const length = Math.min(segment.end - segment.start, allowance);
+    if (length <= 0) continue;
+    accepted.push({ start: segment.start, end: segment.start + length });
+    allowance -= length;
+    cursor = segment.start + length;
+  }
+  const acceptedSeconds = sumSegments(accepted);
+
+  watch.segments = mergeSegments([...watch.segments, ...accepted]);
+  watch.watchedSeconds = sumSegments(watch.segments);
+  watch.totalWatchSeconds += acceptedSeconds;
+  if (position !== undefined && position !== null) {
+    watch.lastPosition = duration
+      ? Math.min(Number(position), duration)
+      : Number(position);
+  } else if (accepted.length > 0) {
+    watch.lastPosition = accepted[accepted.length - 1].end;
+  }
+  watch.lastHeartbeatAt = now;
+
+  let autoCompleted = false;
+  if (
+    duration &&
+    !watch.completedAt &&
+    watch.watchedSeconds >= duration * VIDEO_COMPLETION_RATIO
+  ) {
+    watch.completedAt = now;
+    autoCompleted = true;
+  }
+  await watch.save();
+
+  if (acceptedSeconds > 0) {
+    // Thời gian xem tính vào quỹ doanh thu gói đăng ký
+    await recordSubscriptionLessonUsage({
+      enrollment,
+      lessonId: lesson._id,
+      watchSeconds: Math.round(acceptedSeconds),
+    });
+  }
+  if (autoCompleted) {
+    await completeLesson({ enrollment, lessonId: lesson._id });
+  }
+
+  return { watch, acceptedSeconds, autoCompleted };
+};
+
+module.exports = {
+  VIDEO_COMPLETION_RATIO,
+  createProgressError,
+  isQuizPassed,
+  getQuizLessonStatus,
+  completeLesson,
+  completeQuizLessonIfPassed,
+  getUnpassedQuizLessons,
+  mergeSegments,
+  describeVideoWatch,
+  getVideoLessonStatus,
+  recordVideoHeartbeat,
+};
@@ -0,0 +1,182 @@
+const Promotion = require("../models/promotionModel");
+const Transaction = require("../models/transactionModel");
+
+/**
+ * Service tính khuyến mãi tự động cho một danh sách khóa học.
+ * Kết quả là bảng giá chi tiết từng khóa học và các khuyến mãi đã áp dụng.
+ */
+
+/**
+ * Lấy các khuyến mãi đang chạy tại thời điểm at, sắp theo thứ tự ưu tiên.
+ */
+const getActivePromotions = async (at = new Date()) =>
+  Promotion.find({
+    status: "active",
+    $and: [
+      { $or: [{ startDate: null }, { startDate: { $lte: at } }] },
+      { $or: [{ endDate: null }, { endDate: { $gte: at } }] },
+    ],
+  }).sort({ priority: -1, createdAt: 1 });
+
+/**
+ * Người dùng chưa có giao dịch mua thành công nào
+ */
+const isFirstPurchase = async (userId) => {
+  if (!userId) return false;
+  const hasPurchase = await Transaction.exists({
+    userId,
+    type: "sale",
+    status: "completed",
+  });
+  return !hasPurchase;
+};
+
+/**
+ * Các dòng (khóa học) mà khuyến mãi áp dụng được, rỗng nếu không thỏa điều kiện.
+ */
+const getEligibleLines = (promotion, lines, { firstPurchase }) => {
+  const conditions = promotion.conditions || {};
+
+  switch (promotion.ruleType) {
+    case "bundle_quantity":
+      return lines.length >= (conditions.minCourses || 1) ? lines : [];
+    case "category_sale": {
+      const categoryIds = (conditions.categoryIds || []).map((id) =>
+        id.toString()
+      );
+      return lines.filter((line) =>
+        line.categoryIds.some((id) => categoryIds.includes(id))
+      );
+    }
+    case "first_purchase":
+      return firstPurchase ? lines : [];
+    case "site_wide":
+      return lines;
+    default:
+      return [];
+  }
+};
+
+/**
+ * Tính số tiền giảm của một khuyến mãi trên các dòng hợp lệ và chia đều theo tỉ lệ giá.
+ * @returns {Map<string, number>} courseId -> số tiền giảm
+ */
+const allocatePromotionDiscount = (promotion, eligibleLines) => {
+  const eligibleTotal = eligibleLines.reduce((sum, l) => sum + l.price, 0);
+  const allocation = new Map();
+  if (eligibleTotal <= 0) return allocation;
+
+  let discount =
+    promotion.type === "percent"
+      ? (eligibleTotal * promotion.value) / 100
+      : promotion.value;
+  if (promotion.maximumDiscount > 0) {
+    discount = Math.min(discount, promotion.maximumDiscount);
+  }
+  discount = Math.round(Math.min(discount, eligibleTotal));
+
+  // Chia theo tỉ lệ giá, dòng cuối nhận phần làm tròn còn lại
+  let remaining = discount;
+  eligibleLines.forEach((line, index) => {
+    const share =
+      index === eligibleLines.length - 1
+        ? remaining
+        : Math.round((discount * line.price) / eligibleTotal);
+    const lineDiscount = Math.min(share, line.price, remaining);
+    allocation.set(line.courseId, lineDiscount);
+    remaining -= lineDiscount;
+  });
+
+  return allocation;
+};
+
+/**
+ * Áp dụng khuyến mãi tự động cho danh sách khóa học.
+ * @param {Object} params
+ * @param {Array} params.courses - Course docs (cần _id, title, price, categoryIds)
+ * @param {string} [params.userId] - Người mua (để xét khuyến mãi lần mua đầu)
+ * @param {Date} [params.at] - Thời điểm tính giá
+ * @returns {Promise<Object>} { items, appliedPromotions, subtotal, promotionDiscount, total, allowDiscountCode }
+ */
+const applyPromotions = async ({ courses, userId, at = new Date() }) => {
+  const lines = courses.map((course) => ({
+    courseId: course._id.toString(),
+    title: course.title,
+    originalPrice: course.price || 0,
+    price: course.price || 0,
+    categoryIds: (course.categoryIds || []).map((id) =>
+      (id._id || id).toString()
+    ),
+    promotions: [],
+  }));
+
+  const [promotions, firstPurchase] = await Promise.all([
+    getActivePromotions(at),
+    isFirstPurchase(userId),
+  ]);
+
+  const appliedPromotions = [];
+  let allowDiscountCode = true;
+
+  for (const promotion of promotions) {
+    // Quy tắc cộng dồn: không stackable thì chỉ đứng một mình
+    if (appliedPromotions.length > 0) {
+      const allApplied = appliedPromotions.every((p) => p.stackable);
+      if (!promotion.stackable || !allApplied) continue;
+    }
+
+    const eligibleLines = getEligibleLines(promotion, lines, {
+      firstPurchase,
+    });
+    if (eligibleLines.length === 0) continue;
+
+    const allocation = allocatePromotionDiscount(promotion, eligibleLines);
+    let promotionTotal = 0;
+    for (const line of eligibleLines) {
+      const lineDiscount = allocation.get(line.courseId) || 0;
+      if (lineDiscount <= 0) continue;
+      line.price -= lineDiscount;
+      line.promotions.push({
+        promotionId: promotion._id,
+        name: promotion.name,
+        discountAmount: lineDiscount,
+      });
+      promotionTotal += lineDiscount;
+    }
+    if (promotionTotal <= 0) continue;
+
+    appliedPromotions.push({
+      promotionId: promotion._id,
+      name: promotion.name,
+      ruleType: promotion.ruleType,
+      priority: promotion.priority,
+      stackable: promotion.stackable,
+      discountAmount: promotionTotal,
+    });
+    if (!promotion.combinableWithCodes) allowDiscountCode = false;
+  }
+
+  const subtotal = lines.reduce((sum, l) => sum + l.originalPrice, 0);
+  const total = lines.reduce((sum, l) => sum + l.price, 0);
+
+  return {
+    items: lines.map((line) => ({
+      courseId: line.courseId,
+      title: line.title,
+      originalPrice: line.originalPrice,
+      promotionDiscount: line.originalPrice - line.price,
+      finalPrice: line.price,
+      promotions: line.promotions,
+    })),
+    appliedPromotions,
+    subtotal,
+    promotionDiscount: subtotal - total,
+    total,
+    allowDiscountCode,
+  };
+};
+
+module.exports = {
+  getActivePromotions,
+  applyPromotions,
+};
@@ -0,0 +1,242 @@
+const mongoose = require("mongoose");
+const QuestionBankQuestion = require("../models/QuestionBankModel");
+const { validateQuestion } = require("./quizQuestionService");
+
+/**
+ * Service ngân hàng câu hỏi của giảng viên: quản lý câu hỏi (tag, độ khó, chủ đề)
+ * và rút ngẫu nhiên câu hỏi cho từng lượt làm bài theo questionDraws của quiz.
+ */
+
+const DIFFICULTIES = ["easy", "medium", "hard"];
+
+// Các trường câu hỏi được chụp vào lượt làm bài (giống câu hỏi trong quiz)
+const QUESTION_FIELDS = [
+  "content",
+  "type",
+  "score",
+  "answers",
+  "partialCredit",
+  "acceptedAnswers",
+  "caseSensitive",
+  "matchingPairs",
+  "orderingItems",
+  "numericAnswer",
+  "tolerance",
+  "essayGuideline",
+  "essayMaxLength",
+];
+
+const createQuestionBankError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const normalizeTags = (tags) => {
+  const list = Array.isArray(tags)
+    ? tags
+    : typeof tags === "string"
+      ? tags.split(",")
+      : [];
+  return [
+    ...new Set(
+      list
+        .map((tag) => String(tag).trim().toLowerCase())
+        .filter((tag) => tag !== "")
+    ),
+  ];
+};
+
+/**
+ * Điều kiện lọc câu hỏi của một giảng viên theo độ khó, tag (phải có đủ) và chủ đề
+ */
+const buildQuestionFilter = (ownerId, { difficulty, tags, topic } = {}) => {
+  const filter = { ownerId: new mongoose.Types.ObjectId(String(ownerId)) };
+  if (difficulty) filter.difficulty = difficulty;
+  const normalizedTags = normalizeTags(tags);
+  if (normalizedTags.length > 0) filter.tags = { $all: normalizedTags };
+  if (topic) filter.topic = String(topic).trim();
+  return filter;
+};
+
+/**
+ * Chuẩn hóa dữ liệu câu hỏi gửi lên (tạo/sửa) và kiểm tra đáp án theo loại câu hỏi
+ * @returns {Object} Dữ liệu để lưu
+ */
+const buildQuestionData = (body) => {
+  const data = {};
+  for (const field of QUESTION_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  if (body.tags !== undefined) data.tags = normalizeTags(body.tags);
+  if (body.difficulty !== undefined) {
+    if (!DIFFICULTIES.includes(body.difficulty)) {
+      throw createQuestionBankError("Invalid difficulty");
+    }
+    data.difficulty = body.difficulty;
+  }
+  if (body.topic !== undefined) data.topic = body.topic;
+  return data;
+};
+
+const assertValidQuestion = (question) => {
+  if (!question.content || String(question.content).trim() === "") {
+    throw createQuestionBankError("Question content is required");
+  }
+  const error = validateQuestion(question);
+  if (error) throw createQuestionBankError(`Question ${error}`);
+};
+
+/**
+ * Tạo câu hỏi trong ngân hàng của giảng viên
+ */
+const createBankQuestion = async ({ ownerId, body }) => {
+  const data = buildQuestionData(body);
+  assertValidQuestion(data);
+  return QuestionBankQuestion.create({ ...data, ownerId });
+};
+
+/**
+ * Sửa câu hỏi; chỉ chủ sở hữu được sửa. Lượt làm bài đang diễn ra giữ bản chụp cũ.
+ */
+const updateBankQuestion = async ({ ownerId, questionId, body }) => {
+  const question = await QuestionBankQuestion.findOne({
+    _id: questionId,
+    ownerId,
+  });
+  if (!question) throw createQuestionBankError("Question not found", 404);
+
+  question.set(buildQuestionData(body));
+  assertValidQuestion(question.toObject());
+  return question.save();
+};
+
+const deleteBankQuestion = async ({ ownerId, questionId }) => {
+  const question = await QuestionBankQuestion.findOneAndDelete({
+    _id: questionId,
+    ownerId,
+  });
+  if (!question) throw createQuestionBankError("Question not found", 404);
+  return question;
+};
+
+/**
+ * Kiểm tra cấu trúc questionDraws gửi lên khi tạo/sửa quiz
+ * @returns {?string} Thông báo lỗi, null nếu hợp lệ
+ */
+const validateQuestionDraws = (draws) => {
+  if (!Array.isArray(draws)) return "Question draws must be an array";
+  for (let i = 0; i < draws.length; i++) {
+    const draw = draws[i] || {};
+    if (!Number.isInteger(draw.count) || draw.count < 1) {
+      return `Question draw ${i + 1} needs a positive integer count`;
+    }
+    if (draw.difficulty && !DIFFICULTIES.includes(draw.difficulty)) {
+      return `Question draw ${i + 1} has an invalid difficulty`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Số câu hỏi trong ngân hàng khớp từng luật rút (để màn hình soạn quiz cảnh báo thiếu câu)
+ * @returns {Promise<Array>} Các luật kèm available
+ */
+const getDrawAvailability = async ({ ownerId, draws }) =>
+  Promise.all(
+    draws.map(async (draw) => ({
+      count: draw.count,
+      difficulty: draw.difficulty,
+      tags: normalizeTags(draw.tags),
+      topic: draw.topic,
+      available: await QuestionBankQuestion.countDocuments(
+        buildQuestionFilter(ownerId, draw)
+      ),
+    }))
+  );
+
+/**
+ * Báo lỗi nếu ngân hàng không đủ câu cho một luật rút
+ */
+const assertQuestionDrawsAvailable = async ({ ownerId, draws }) => {
+  const structureError = validateQuestionDraws(draws);
+  if (structureError) throw createQuestionBankError(structureError);
+  if (draws.length === 0) return [];
+  if (!ownerId) {
+    throw createQuestionBankError(
+      "Question draws need a quiz owner with a question bank"
+    );
+  }
+
+  const availability = await getDrawAvailability({ ownerId, draws });
+  const shortIndex = availability.findIndex(
+    (draw) => draw.available < draw.count
+  );
+  if (shortIndex !== -1) {
+    const draw = availability[shortIndex];
+    const error = createQuestionBankError(
+      `Question draw ${shortIndex + 1} needs ${draw.count} questions but the bank only has ${draw.available}`
+    );
+    error.data = availability;
+    throw error;
+  }
+  return availability;
+};
+
+/**
+ * Rút câu hỏi cho một lượt làm bài theo questionDraws của quiz. Các luật được rút lần lượt
+ * và không lặp lại câu đã rút ở luật trước.
+ * @param {Object} quiz
+ * @returns {Promise<Array<{bankQuestionId: Object, question: Object}>>}
+ */
+const drawQuestionsForQuiz = async (quiz) => {
+  const draws = quiz.questionDraws || [];
+  if (draws.length === 0) return [];
+  if (!quiz.userId) {
+    throw createQuestionBankError(
+      "Quiz has no owner to draw questions from",
+      409
+    );
+  }
+
+  const drawn = [];
+  for (const draw of draws) {
+    const match = {
+      ...buildQuestionFilter(quiz.userId._id || quiz.userId, draw),
+      _id: { $nin: drawn.map((item) => item.bankQuestionId) },
+    };
+    const sample = await QuestionBankQuestion.aggregate([
+      { $match: match },
+      { $sample: { size: draw.count } },
+    ]);
+    if (sample.length < draw.count) {
+      throw createQuestionBankError(
+        "Not enough questions in the question bank for this quiz. Please contact the instructor.",
+        409
+      );
+    }
+
+    for (const question of sample) {
+      const snapshot = {};
+      for (const field of QUESTION_FIELDS) {
+        if (question[field] !== undefined) snapshot[field] = question[field];
+      }
+      drawn.push({ bankQuestionId: question._id, question: snapshot });
+    }
+  }
+  return drawn;
+};
+
+module.exports = {
+  DIFFICULTIES,
+  createQuestionBankError,
+  normalizeTags,
+  buildQuestionFilter,
+  createBankQuestion,
+  updateBankQuestion,
+  deleteBankQuestion,
+  validateQuestionDraws,
+  getDrawAvailability,
+  assertQuestionDrawsAvailable,
+  drawQuestionsForQuiz,
+};
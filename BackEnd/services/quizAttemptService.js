@@ -0,0 +1,578 @@
+const Quiz = require("../models/QuizModel");
+const QuizAttempt = require("../models/QuizAttemptModel");
+const StudentQuizResult = require("../models/StudentQuizResult");
+const {
+  gradeQuizSubmission,
+  getScoreHistory,
+  getPassingScore,
+} = require("./quizGradingService");
+const { completeQuizLessonIfPassed } = require("./progressService");
+const { drawQuestionsForQuiz } = require("./questionBankService");
+
+/**
+ * Service lượt làm bài quiz: ghi nhận thời điểm bắt đầu phía server, autosave đáp án,
+ * áp dụng hạn chót (timeLimit + gracePeriodSeconds), tự nộp bài khi hết giờ
+ * và giới hạn số lượt / thời gian chờ giữa các lượt.
+ */
+
+const DUPLICATE_KEY_CODE = 11000;
+const MAX_EXPIRED_PER_RUN = 100;
+// Lượt ở trạng thái grading lâu hơn thời gian này được coi là chấm lỗi và được chấm lại
+const GRADING_RETRY_AFTER_MS = 2 * 60 * 1000;
+
+const createQuizAttemptError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Hạn chót cuối cùng server còn nhận bài (deadline + ân hạn), null nếu không giới hạn
+ */
+const getHardDeadline = (attempt, quiz) => {
+  if (!attempt.deadlineAt) return null;
+  return new Date(
+    attempt.deadlineAt.getTime() + (quiz.gracePeriodSeconds || 0) * 1000
+  );
+};
+
+const isAttemptOverdue = (attempt, quiz, now = new Date()) => {
+  const hardDeadline = getHardDeadline(attempt, quiz);
+  return Boolean(hardDeadline && now > hardDeadline);
+};
+
+/**
+ * Thông tin lượt làm bài trả về cho frontend (đồng hồ đếm ngược theo giờ server)
+ */
+const serializeAttempt = (attempt, now = new Date()) => ({
+  attemptId: attempt._id,
+  status: attempt.status,
+  startedAt: attempt.startedAt,
+  deadlineAt: attempt.deadlineAt,
+  serverTime: now,
+  remainingSeconds: attempt.deadlineAt
+    ? Math.max(0, Math.floor((attempt.deadlineAt - now) / 1000))
+    : null,
+  savedAnswers: attempt.savedAnswers,
+  lastSavedAt: attempt.lastSavedAt,
+  submittedAt: attempt.submittedAt,
+  resultId: attempt.resultId,
+});
+
+/**
+ * Số lượt đã dùng / còn lại và thời điểm được làm lượt tiếp theo. Lượt đã dùng gồm
+ * các lượt đã chấm, lượt đang chấm, lượt hết giờ bị từ chối (expired) và lượt đang làm.
+ * @param {Object} params
+ * @param {Object} params.quiz
+ * @param {string} params.userId
+ * @param {Object} [params.result] - StudentQuizResult đã tải sẵn (null nếu chưa làm)
+ * @returns {Promise<Object>}
+ */
+const getAttemptUsage = async ({ quiz, userId, result }) => {
+  const [quizResult, expiredAttempts, activeAttempt, gradingAttempts] =
+    await Promise.all([
+      result !== undefined
+        ? result
+        : StudentQuizResult.findOne({ userId, quizId: quiz._id }),
+      QuizAttempt.find({ userId, quizId: quiz._id, status: "expired" }).select(
+        "submittedAt"
+      ),
+      QuizAttempt.exists({ userId, quizId: quiz._id, status: "in_progress" }),
+      QuizAttempt.countDocuments({
+        userId,
+        quizId: quiz._id,
+        status: "grading",
+      }),
+    ]);
+
+  const history = getScoreHistory(quizResult);
+  const used =
+    history.length +
+    expiredAttempts.length +
+    gradingAttempts +
+    (activeAttempt ? 1 : 0);
+  const maxAttempts = quiz.maxAttempts || null;
+
+  const attemptTimes = [
+    ...history.map((entry) => entry.takenAt),
+    ...expiredAttempts.map((attempt) => attempt.submittedAt),
+  ].filter(Boolean);
+  const lastAttemptAt = attemptTimes.length
+    ? new Date(Math.max(...attemptTimes.map((time) => time.getTime())))
+    : null;
+
+  const cooldownMinutes = quiz.attemptCooldownMinutes || 0;
+  let nextAttemptAt = null;
+  if (cooldownMinutes > 0 && lastAttemptAt) {
+    const availableAt = new Date(
+      lastAttemptAt.getTime() + cooldownMinutes * 60 * 1000
+    );
+    if (availableAt > new Date()) nextAttemptAt = availableAt;
+  }
+
+  return {
+    used,
+    max: maxAttempts,
+    remaining: maxAttempts ? Math.max(0, maxAttempts - used) : null,
+    cooldownMinutes,
+    lastAttemptAt,
+    nextAttemptAt,
+    gradingPolicy: quiz.gradingPolicy || "latest",
+    hasActiveAttempt: Boolean(activeAttempt),
+  };
+};
+
+/**
+ * Kiểm tra học viên còn được làm lượt mới (số lượt tối đa, thời gian chờ)
+ * @returns {Promise<Object>} Thông tin lượt (getAttemptUsage)
+ */
+const assertCanStartAttempt = async ({ quiz, userId }) => {
+  const usage = await getAttemptUsage({ quiz, userId });
+  let error = null;
+  if (usage.remaining === 0) {
+    error = createQuizAttemptError(
+      `Maximum number of attempts reached (${usage.max})`,
+      403
+    );
+  } else if (usage.nextAttemptAt) {
+    error = createQuizAttemptError(
+      `Please wait until ${usage.nextAttemptAt.toISOString()} before the next attempt`,
+      429
+    );
+  }
+  if (error) {
+    error.data = usage;
+    throw error;
+  }
+  return usage;
+};
+
+/**
+ * Chỉ giữ đáp án của các câu đã phát trong lượt làm bài; câu chưa trả lời
+ * được tính là sai để nộp tự động không làm điểm cao hơn thực tế.
+ * Câu cố định được nhận diện theo originalIndex, câu rút từ ngân hàng theo bankQuestionId.
+ */
+const buildGradableAnswers = (attempt, quiz, { answers, essayAnswers }) => {
+  const findAnswer = (list, key) =>
+    (Array.isArray(list) ? list : []).find((answer) => {
+      if (!answer) return false;
+      if (key.bankQuestionId) {
+        return String(answer.bankQuestionId) === String(key.bankQuestionId);
+      }
+      return (
+        !answer.bankQuestionId && answer.originalIndex === key.originalIndex
+      );
+    });
+
+  const slots = [
+    ...attempt.questionOrder.map((originalIndex) => ({
+      key: { originalIndex },
+      question: quiz.questions[originalIndex],
+    })),
+    ...(attempt.drawnQuestions || []).map((drawn) => ({
+      key: { bankQuestionId: drawn.bankQuestionId },
+      question: drawn.question,
+    })),
+  ];
+
+  const gradable = { answers: [], essayAnswers: [] };
+  slots.forEach(({ key, question }, questionIndex) => {
+    if (!question) return;
+
+    if (question.type === "essay") {
+      const saved = findAnswer(essayAnswers, key);
+      gradable.essayAnswers.push({
+        questionIndex,
+        ...key,
+        answer: typeof saved?.answer === "string" ? saved.answer : "",
+      });
+    } else {
+      const saved = findAnswer(answers, key);
+      gradable.answers.push({
+        questionIndex,
+        ...key,
+        selectedAnswers: Array.isArray(saved?.selectedAnswers)
+          ? saved.selectedAnswers
+          : [],
+        // Đáp án của các loại câu không chọn phương án (điền khuyết, ghép cặp, ...)
+        textAnswer: saved?.textAnswer,
+        numericAnswer: saved?.numericAnswer,
+        matches: saved?.matches,
+        order: saved?.order,
+        // Số giây học viên dành cho câu (frontend đo), dùng cho phân tích câu hỏi
+        timeSpent: saved?.timeSpent,
+      });
+    }
+  });
+  return gradable;
+};
+
+/**
+ * Tự hoàn thành bài học chứa quiz nếu điểm ghi nhận của kết quả đạt passingScore.
+ * Lỗi khi cập nhật tiến độ không làm hỏng kết quả đã chấm.
+ * @param {Object} params
+ * @param {Object} params.quiz
+ * @param {string} params.userId
+ * @param {Object} params.result - StudentQuizResult đã lưu
+ * @returns {Promise<{recordedPassed: boolean, lessonCompleted: boolean}>}
+ */
+const completeLessonIfRecordedPassed = async ({ quiz, userId, result }) => {
+  const recordedPassed = result.score >= getPassingScore(quiz);
+
+  let lessonCompletion = null;
+  if (recordedPassed) {
+    try {
+      lessonCompletion = await completeQuizLessonIfPassed({ userId, quiz });
+    } catch (error) {
+      console.error("❌ [QUIZ] Error completing quiz lesson:", error);
+    }
+  }
+
+  return {
+    recordedPassed,
+    lessonCompleted: Boolean(lessonCompletion?.completed),
+  };
+};
+
+/**
+ * Chấm bài rồi tự hoàn thành bài học chứa quiz nếu điểm ghi nhận đạt passingScore
+ * @returns {Promise<Object>} Kết quả gradeQuizSubmission, data có thêm lessonCompleted
+ */
+const gradeAndCompleteLesson = async (params) => {
+  const grading = await gradeQuizSubmission(params);
+  const { recordedPassed, lessonCompleted } =
+    await completeLessonIfRecordedPassed({
+      quiz: params.quiz,
+      userId: params.userId,
+      result: grading.result,
+    });
+
+  grading.data.recordedPassed = recordedPassed;
+  grading.data.lessonCompleted = lessonCompleted;
+  return grading;
+};
+
+/**
+ * Chấm lượt đang ở trạng thái grading (đáp án đã chốt trong savedAnswers) rồi chuyển sang
+ * closingStatus. Lỗi khi chấm thì lượt giữ nguyên grading để job tự nộp bài chấm lại.
+ * @returns {Promise<{attempt: Object, grading: ?Object}>} grading null nếu lần chấm trước
+ *   đã lưu kết quả nhưng chưa kịp chốt lượt
+ */
+const finishGrading = async (attempt, quiz) => {
+  const existingResult = await StudentQuizResult.findOne({
+    userId: attempt.userId,
+    quizId: quiz._id,
+    "attempts.attemptId": attempt._id,
+  }).select("_id");
+
+  let grading = null;
+  if (!existingResult) {
+    const { answers, essayAnswers } = buildGradableAnswers(
+      attempt,
+      quiz,
+      attempt.savedAnswers
+    );
+    grading = await gradeAndCompleteLesson({
+      quiz,
+      userId: attempt.userId,
+      answers,
+      essayAnswers,
+      // Kết quả ghi nhận trạng thái cuối của lượt (autoSubmitted)
+      attempt: { _id: attempt._id, status: attempt.closingStatus },
+      drawnQuestions: attempt.drawnQuestions,
+    });
+  }
+
+  const closed = await QuizAttempt.findOneAndUpdate(
+    { _id: attempt._id, status: "grading" },
+    {
+      $set: {
+        status: attempt.closingStatus,
+        resultId: grading ? grading.result._id : existingResult._id,
+      },
+      $unset: { closingStatus: 1, gradingStartedAt: 1 },
+    },
+    { new: true }
+  );
+  return { attempt: closed || attempt, grading };
+};
+
+/**
+ * Chốt lượt làm bài (chiếm nguyên tử in_progress -> grading) rồi chấm điểm.
+ * Lượt chỉ chuyển sang status sau khi chấm thành công.
+ * @returns {Promise<?Object>} { attempt, grading } hoặc null nếu lượt đã được chốt ở nơi khác
+ */
+const closeAttempt = async (attempt, quiz, { status, submission }) => {
+  const now = new Date();
+  const closed = await QuizAttempt.findOneAndUpdate(
+    { _id: attempt._id, status: "in_progress" },
+    {
+      $set: {
+        ...(status === "expired"
+          ? { status }
+          : {
+              status: "grading",
+              closingStatus: status,
+              gradingStartedAt: now,
+            }),
+        submittedAt: now,
+        ...(submission ? { savedAnswers: submission } : {}),
+      },
+    },
+    { new: true }
+  );
+  if (!closed) return null;
+  if (status === "expired") return { attempt: closed, grading: null };
+
+  return finishGrading(closed, quiz);
+};
+
+/**
+ * Xử lý lượt làm bài đã quá hạn theo lateSubmissionPolicy của quiz
+ */
+const finalizeOverdueAttempt = (attempt, quiz) =>
+  closeAttempt(attempt, quiz, {
+    status:
+      quiz.lateSubmissionPolicy === "reject" ? "expired" : "auto_submitted",
+  });
+
+/**
+ * Lượt đang làm của học viên; lượt đã quá hạn được chốt và trả về null
+ */
+const findActiveAttempt = async ({ quiz, userId }) => {
+  const attempt = await QuizAttempt.findOne({
+    userId,
+    quizId: quiz._id,
+    status: "in_progress",
+  });
+  if (!attempt) return null;
+  if (isAttemptOverdue(attempt, quiz)) {
+    await finalizeOverdueAttempt(attempt, quiz);
+    return null;
+  }
+  return attempt;
+};
+
+/**
+ * Bắt đầu lượt làm bài mới hoặc tiếp tục lượt đang làm (tải lại trang).
+ * Lượt mới rút câu hỏi từ ngân hàng theo questionDraws của quiz.
+ * @param {Object} params
+ * @param {Object} params.quiz
+ * @param {string} params.userId
+ * @param {Array<number>} params.questionOrder - originalIndex các câu phát cho lượt mới
+ * @returns {Promise<{attempt: Object, resumed: boolean}>}
+ */
+const startQuizAttempt = async ({ quiz, userId, questionOrder }) => {
+  const active = await findActiveAttempt({ quiz, userId });
+  if (active) return { attempt: active, resumed: true };
+
+  await assertCanStartAttempt({ quiz, userId });
+  const drawnQuestions = await drawQuestionsForQuiz(quiz);
+
+  const startedAt = new Date();
+  try {
+    const attempt = await QuizAttempt.create({
+      userId,
+      quizId: quiz._id,
+      startedAt,
+      deadlineAt: quiz.timeLimit
+        ? new Date(startedAt.getTime() + quiz.timeLimit * 1000)
+        : null,
+      questionOrder,
+      drawnQuestions,
+    });
+    return { attempt, resumed: false };
+  } catch (error) {
+    // Hai request bắt đầu đồng thời: dùng lượt đã được tạo
+    if (error.code !== DUPLICATE_KEY_CODE) throw error;
+    const attempt = await QuizAttempt.findOne({
+      userId,
+      quizId: quiz._id,
+      status: "in_progress",
+    });
+    return { attempt, resumed: true };
+  }
+};
+
+/**
+ * Autosave đáp án đang làm. Không nhận sau hạn chót + ân hạn.
+ */
+const saveAttemptAnswers = async ({ quiz, userId, answers, essayAnswers }) => {
+  const attempt = await QuizAttempt.findOne({
+    userId,
+    quizId: quiz._id,
+    status: "in_progress",
+  });
+  if (!attempt) {
+    throw createQuizAttemptError("No quiz attempt in progress", 404);
+  }
+  if (isAttemptOverdue(attempt, quiz)) {
+    await finalizeOverdueAttempt(attempt, quiz);
+    throw createQuizAttemptError("Time limit exceeded", 409);
+  }
+
+  const saved = await QuizAttempt.findOneAndUpdate(
+    { _id: attempt._id, status: "in_progress" },
+    {
+      $set: {
+        "savedAnswers.answers": Array.isArray(answers)
+          ? answers
+          : attempt.savedAnswers.answers,
+        "savedAnswers.essayAnswers": Array.isArray(essayAnswers)
+          ? essayAnswers
+          : attempt.savedAnswers.essayAnswers,
+        lastSavedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!saved) throw createQuizAttemptError("Quiz attempt already closed", 409);
+  return saved;
+};
+
+/**
+ * Nộp bài của lượt đang làm. Quá hạn chót + ân hạn thì từ chối hoặc chấm
+ * theo đáp án đã lưu (bỏ qua đáp án gửi kèm) tùy lateSubmissionPolicy.
+ * @returns {Promise<{attempt: Object, grading: Object}>}
+ */
+const submitQuizAttempt = async ({
+  quiz,
+  attempt,
+  answers,
+  essayAnswers = [],
+}) => {
+  if (isAttemptOverdue(attempt, quiz)) {
+    const finalized = await finalizeOverdueAttempt(attempt, quiz);
+    if (!finalized || !finalized.grading) {
+      throw createQuizAttemptError(
+        "Time limit exceeded. The submission was rejected.",
+        409
+      );
+    }
+    return finalized;
+  }
+
+  const closed = await closeAttempt(attempt, quiz, {
+    status: "submitted",
+    submission: { answers, essayAnswers },
+  });
+  if (!closed) throw createQuizAttemptError("Quiz attempt already closed", 409);
+  return closed;
+};
+
+/**
+ * Chấm lại các lượt kẹt ở trạng thái grading (lần chấm trước bị lỗi).
+ * Mỗi lượt được chiếm lại nguyên tử (gradingStartedAt) để chỉ một nơi chấm.
+ * @returns {Promise<number>} Số lượt đã chấm xong
+ */
+const retryStuckGradings = async () => {
+  const staleBefore = new Date(Date.now() - GRADING_RETRY_AFTER_MS);
+  const attempts = await QuizAttempt.find({
+    status: "grading",
+    gradingStartedAt: { $lt: staleBefore },
+  })
+    .sort({ gradingStartedAt: 1 })
+    .limit(MAX_EXPIRED_PER_RUN);
+
+  let graded = 0;
+  for (const attempt of attempts) {
+    try {
+      const claimed = await QuizAttempt.findOneAndUpdate(
+        {
+          _id: attempt._id,
+          status: "grading",
+          gradingStartedAt: { $lt: staleBefore },
+        },
+        { $set: { gradingStartedAt: new Date() } },
+        { new: true }
+      );
+      if (!claimed) continue;
+      const quiz = await Quiz.findById(claimed.quizId);
+      if (!quiz) continue;
+
+      await finishGrading(claimed, quiz);
+      graded += 1;
+    } catch (error) {
+      console.error(
+        `❌ [QUIZ] Error grading attempt ${attempt._id}:`,
+        error.message
+      );
+    }
+  }
+  return graded;
+};
+
+/**
+ * Chốt các lượt làm bài đã quá hạn mà học viên không nộp (đóng tab, mất mạng...)
+ * và chấm lại các lượt chấm lỗi
+ * @returns {Promise<{autoSubmitted: number, expired: number, regraded: number}>}
+ */
+const closeExpiredAttempts = async () => {
+  const result = { autoSubmitted: 0, expired: 0, regraded: 0 };
+  const attempts = await QuizAttempt.find({
+    status: "in_progress",
+    deadlineAt: { $ne: null, $lt: new Date() },
+  })
+    .sort({ deadlineAt: 1 })
+    .limit(MAX_EXPIRED_PER_RUN);
+
+  for (const attempt of attempts) {
+    try {
+      const quiz = await Quiz.findById(attempt.quizId);
+      if (!quiz) continue;
+      if (!isAttemptOverdue(attempt, quiz)) continue;
+
+      const finalized = await finalizeOverdueAttempt(attempt, quiz);
+      if (!finalized) continue;
+      if (finalized.attempt.status === "expired") result.expired += 1;
+      else result.autoSubmitted += 1;
+    } catch (error) {
+      console.error(
+        `❌ [QUIZ] Error closing attempt ${attempt._id}:`,
+        error.message
+      );
+    }
+  }
+  result.regraded = await retryStuckGradings();
+  return result;
+};
+
+/**
+ * Bắt đầu job tự nộp các lượt làm bài quá hạn
+ * @param {number} intervalMinutes - Khoảng thời gian giữa các lần check (phút)
+ */
+const startQuizAttemptExpiryService = (intervalMinutes = 1) => {
+  const run = async () => {
+    try {
+      const result = await closeExpiredAttempts();
+      if (result.autoSubmitted || result.expired || result.regraded) {
+        console.log(
+          `⏰ [QUIZ] auto_submitted: ${result.autoSubmitted}, expired: ${result.expired}, regraded: ${result.regraded}`
+        );
+      }
+    } catch (error) {
+      console.error("❌ [QUIZ] Error closing expired attempts:", error);
+    }
+  };
+
+  run();
+  setInterval(run, intervalMinutes * 60 * 1000);
+  console.log(
+    `✅ [QUIZ] Attempt expiry service started (every ${intervalMinutes} minutes)`
+  );
+};
+
+module.exports = {
+  createQuizAttemptError,
+  serializeAttempt,
+  getAttemptUsage,
+  assertCanStartAttempt,
+  completeLessonIfRecordedPassed,
+  gradeAndCompleteLesson,
+  findActiveAttempt,
+  startQuizAttempt,
+  saveAttemptAnswers,
+  submitQuizAttempt,
+  closeExpiredAttempts,
+  startQuizAttemptExpiryService,
+};
@@ -0,0 +1,286 @@
+const path = require("path");
+const { parseGift, serializeGift } = require("./quizFormats/giftFormat");
+const { parseAiken, serializeAiken } = require("./quizFormats/aikenFormat");
+const { parseQti, serializeQti } = require("./quizFormats/qtiFormat");
+const { validateQuestion } = require("./quizQuestionService");
+const { DEFAULT_ESSAY_GUIDELINE } = require("./quizGradingService");
+
+/**
+ * Service nhập / xuất quiz theo các định dạng trao đổi giữa các LMS.
+ * Nhập: GIFT, Aiken, QTI 2.1 — câu hỏi lỗi được báo cáo riêng, không bị bỏ qua âm thầm.
+ * Xuất: GIFT, Aiken, QTI 2.1, JSON và CSV.
+ */
+
+const IMPORT_FORMATS = ["gift", "aiken", "qti"];
+const EXPORT_FORMATS = ["gift", "aiken", "qti", "json", "csv"];
+
+const EXPORT_TYPES = {
+  gift: { contentType: "text/plain; charset=utf-8", extension: "gift.txt" },
+  aiken: { contentType: "text/plain; charset=utf-8", extension: "aiken.txt" },
+  qti: { contentType: "application/zip", extension: "qti.zip" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+};
+
+const createQuizFormatError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Xác định định dạng file nhập: theo tham số format, phần mở rộng, rồi nội dung
+ */
+const detectImportFormat = ({ format, filename, buffer }) => {
+  if (format) {
+    const normalized = String(format).toLowerCase();
+    if (!IMPORT_FORMATS.includes(normalized)) {
+      throw createQuizFormatError(
+        `Unsupported import format "${format}". Use one of: ${IMPORT_FORMATS.join(", ")}`
+      );
+    }
+    return normalized;
+  }
+
+  const extension = path.extname(filename || "").toLowerCase();
+  if (extension === ".gift") return "gift";
+  if (extension === ".zip" || extension === ".xml") return "qti";
+
+  const text = buffer.toString("utf8");
+  if (/^\s*ANSWER:\s*[A-Z]\s*$/im.test(text)) return "aiken";
+  if (/\{[^}]*\}/.test(text)) return "gift";
+  throw createQuizFormatError(
+    "Could not detect the file format. Pass format=gift, aiken or qti."
+  );
+};
+
+/**
+ * Đọc file câu hỏi. Câu đọc được nhưng thiếu đáp án theo loại câu hỏi cũng được đưa vào errors.
+ * @param {Object} params
+ * @param {Buffer} params.buffer
+ * @param {string} [params.filename]
+ * @param {string} [params.format] - gift | aiken | qti (mặc định tự nhận diện)
+ * @returns {Promise<{format: string, title: ?string, questions: Array, errors: Array}>}
+ *   errors: [{ question, line?, file?, title?, message }] với question là số thứ tự trong file
+ */
+const importQuizFile = async ({ buffer, filename, format }) => {
+  const detected = detectImportFormat({ format, filename, buffer });
+
+  let parsed;
+  if (detected === "qti") {
+    parsed = await parseQti(buffer);
+  } else {
+    // Bỏ BOM của file lưu từ Notepad / Excel
+    const text = buffer.toString("utf8").replace(/^\uFEFF/, "");
+    parsed = detected === "gift" ? parseGift(text) : parseAiken(text);
+  }
+
+  const questions = [];
+  const errors = [...parsed.errors];
+  for (const { source, question } of parsed.questions) {
+    if (question.type === "essay" && !question.essayGuideline) {
+      question.essayGuideline = DEFAULT_ESSAY_GUIDELINE;
+    }
+    const error = !question.content
+      ? "has no question text"
+      : validateQuestion(question);
+    if (error) {
+      errors.push({ ...source, message: `Question ${error}` });
+      continue;
+    }
+    questions.push(question);
+  }
+  errors.sort((a, b) => a.question - b.question);
+
+  return { format: detected, title: parsed.title || null, questions, errors };
+};
+
+const toPlainQuestion = (question) =>
+  typeof question.toObject === "function" ? question.toObject() : question;
+
+/**
+ * JSON giữ đủ cấu hình quiz và mọi trường câu hỏi
+ */
+const serializeJson = (quiz) => ({
+  content: JSON.stringify(
+    {
+      format: "quiz-json",
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      quiz: {
+        title: quiz.title,
+        description: quiz.description || "",
+        questionPoolSize: quiz.questionPoolSize ?? null,
+        timeLimit: quiz.timeLimit ?? null,
+        passingScore: quiz.passingScore,
+        gradingPolicy: quiz.gradingPolicy,
+        maxAttempts: quiz.maxAttempts ?? null,
+        questions: quiz.questions,
+      },
+    },
+    null,
+    2
+  ),
+  skipped: [],
+});
+
+const escapeCsv = (value) => {
+  let text = String(value ?? "");
+  // Tránh Excel hiểu nội dung là công thức
+  if (/^[=+@]/.test(text) || /^-[^\d]/.test(text)) text = `'${text}`;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const LETTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+/**
+ * Đáp án và đáp án đúng của câu hỏi dưới dạng chữ cho CSV
+ */
+const describeAnswers = (question) => {
+  switch (question.type || "multiple-choice") {
+    case "fill-in-blank":
+      return {
+        options: "",
+        correct: (question.acceptedAnswers || []).join(" | "),
+        extra: question.caseSensitive ? "case-sensitive" : "",
+      };
+    case "matching":
+      return {
+        options: "",
+        correct: (question.matchingPairs || [])
+          .map((pair) => `${pair.left} -> ${pair.right}`)
+          .join(" | "),
+        extra: "",
+      };
+    case "ordering":
+      return {
+        options: "",
+        correct: (question.orderingItems || []).join(" | "),
+        extra: "",
+      };
+    case "numeric":
+      return {
+        options: "",
+        correct: String(question.numericAnswer),
+        extra: question.tolerance ? `tolerance ${question.tolerance}` : "",
+      };
+    case "essay":
+      return { options: "", correct: "", extra: question.essayGuideline || "" };
+    default: {
+      const answers = question.answers || [];
+      return {
+        options: answers
+          .map(
+            (answer, index) =>
+              `${LETTERS[index] || index + 1}. ${answer.content}`
+          )
+          .join(" | "),
+        correct: answers
+          .map((answer, index) =>
+            answer.isCorrect ? LETTERS[index] || String(index + 1) : null
+          )
+          .filter(Boolean)
+          .join(", "),
+        extra:
+          question.type === "multi-select" && question.partialCredit === false
+            ? "no partial credit"
+            : "",
+      };
+    }
+  }
+};
+
+/**
+ * CSV mỗi dòng một câu hỏi, dùng để rà soát / in ấn
+ */
+const serializeCsv = (quiz) => {
+  const header = [
+    "number",
+    "type",
+    "question",
+    "options",
+    "correct",
+    "score",
+    "notes",
+  ];
+  const rows = quiz.questions.map((question, index) => {
+    const { options, correct, extra } = describeAnswers(question);
+    return [
+      index + 1,
+      question.type || "multiple-choice",
+      question.content,
+      options,
+      correct,
+      question.score ?? "",
+      extra,
+    ]
+      .map(escapeCsv)
+      .join(",");
+  });
+  // BOM để Excel đọc đúng UTF-8
+  return {
+    content: "\uFEFF" + [header.join(","), ...rows].join("\n"),
+    skipped: [],
+  };
+};
+
+const SERIALIZERS = {
+  gift: serializeGift,
+  aiken: serializeAiken,
+  qti: serializeQti,
+  json: serializeJson,
+  csv: serializeCsv,
+};
+
+/**
+ * Xuất quiz theo định dạng
+ * @param {Object} quiz - Quiz document
+ * @param {string} format - gift | aiken | qti | json | csv
+ * @returns {Promise<{content: (string|Buffer), contentType: string, filename: string, skipped: Array<number>}>}
+ *   skipped: số thứ tự các câu định dạng không hỗ trợ nên không được xuất
+ */
+const exportQuiz = async (quiz, format) => {
+  const normalized = String(format || "").toLowerCase();
+  if (!EXPORT_FORMATS.includes(normalized)) {
+    throw createQuizFormatError(
+      `Unsupported export format "${format}". Use one of: ${EXPORT_FORMATS.join(", ")}`
+    );
+  }
+
+  const plainQuiz = {
+    _id: quiz._id,
+    title: quiz.title,
+    description: quiz.description,
+    questionPoolSize: quiz.questionPoolSize,
+    timeLimit: quiz.timeLimit,
+    passingScore: quiz.passingScore,
+    gradingPolicy: quiz.gradingPolicy,
+    maxAttempts: quiz.maxAttempts,
+    questions: (quiz.questions || []).map(toPlainQuestion),
+  };
+  const { content, skipped } = await SERIALIZERS[normalized](plainQuiz);
+
+  const baseName =
+    String(quiz.title || "quiz")
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/đ/gi, "d")
+      .replace(/[^a-zA-Z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .toLowerCase() || "quiz";
+
+  return {
+    content,
+    contentType: EXPORT_TYPES[normalized].contentType,
+    filename: `${baseName}.${EXPORT_TYPES[normalized].extension}`,
+    skipped,
+  };
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  EXPORT_FORMATS,
+  createQuizFormatError,
+  importQuizFile,
+  exportQuiz,
+};
@@ -0,0 +1,145 @@
+/**
+ * Định dạng Aiken: câu trắc nghiệm một đáp án đúng.
+ *
+ *   Câu hỏi?
+ *   A. Đáp án 1
+ *   B) Đáp án 2
+ *   ANSWER: B
+ */
+
+const OPTION_PATTERN = /^([A-Z])[.)]\s+(.+)$/;
+const ANSWER_PATTERN = /^ANSWER:\s*(.*)$/i;
+
+/**
+ * Đọc nội dung Aiken
+ * @param {string} text
+ * @returns {{questions: Array, errors: Array}} errors: [{ question, line, message }]
+ */
+const parseAiken = (text) => {
+  const questions = [];
+  const errors = [];
+  let current = null;
+  let position = 0;
+
+  const fail = (question, message) =>
+    errors.push({ question: question.position, line: question.line, message });
+
+  const finish = (answerLetter) => {
+    const question = current;
+    current = null;
+    if (question.options.length < 2) {
+      return fail(question, "A question needs at least two options (A. ...)");
+    }
+    const letter = answerLetter.trim().toUpperCase();
+    if (!/^[A-Z]$/.test(letter)) {
+      return fail(question, `Invalid ANSWER "${answerLetter.trim()}"`);
+    }
+    if (!question.options.some((option) => option.letter === letter)) {
+      return fail(question, `ANSWER ${letter} does not match any option`);
+    }
+    questions.push({
+      source: { question: question.position, line: question.line },
+      question: {
+        content: question.content.join(" "),
+        type: "multiple-choice",
+        score: 1,
+        answers: question.options.map((option) => ({
+          content: option.content,
+          isCorrect: option.letter === letter,
+        })),
+      },
+    });
+  };
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (line === "") return;
+
+    const answerMatch = line.match(ANSWER_PATTERN);
+    if (answerMatch) {
+      if (!current) {
+        position++;
+        errors.push({
+          question: position,
+          line: index + 1,
+          message: "ANSWER line without a question",
+        });
+        return;
+      }
+      finish(answerMatch[1]);
+      return;
+    }
+
+    const optionMatch = line.match(OPTION_PATTERN);
+    if (optionMatch && current && current.content.length > 0) {
+      current.options.push({
+        letter: optionMatch[1].toUpperCase(),
+        content: optionMatch[2].trim(),
+      });
+      return;
+    }
+
+    // Dòng nội dung sau khi đã có đáp án: câu trước thiếu dòng ANSWER
+    if (current && current.options.length > 0) {
+      fail(current, "Missing ANSWER line");
+      current = null;
+    }
+    if (!current) {
+      position++;
+      current = { position, line: index + 1, content: [], options: [] };
+    }
+    current.content.push(line);
+  });
+
+  if (current) fail(current, "Missing ANSWER line");
+  return { questions, errors };
+};
+
+const LETTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+const singleLine = (text) =>
+  String(text ?? "")
+    .replace(/\s*\r?\n\s*/g, " ")
+    .trim();
+
+/**
+ * Xuất quiz ra Aiken. Chỉ câu trắc nghiệm / đúng sai có đúng một đáp án đúng được xuất.
+ * @returns {{content: string, skipped: Array<number>}}
+ */
+const serializeAiken = (quiz) => {
+  const skipped = [];
+  const blocks = [];
+  quiz.questions.forEach((question, index) => {
+    const answers = question.answers || [];
+    const correct = answers.filter((answer) => answer.isCorrect);
+    const supported =
+      ["multiple-choice", "true-false"].includes(
+        question.type || "multiple-choice"
+      ) &&
+      correct.length === 1 &&
+      answers.length >= 2 &&
+      answers.length <= LETTERS.length;
+    if (!supported) {
+      skipped.push(index + 1);
+      return;
+    }
+
+    const correctIndex = answers.findIndex((answer) => answer.isCorrect);
+    blocks.push(
+      [
+        singleLine(question.content),
+        ...answers.map(
+          (answer, answerIndex) =>
+            `${LETTERS[answerIndex]}. ${singleLine(answer.content)}`
+        ),
+        `ANSWER: ${LETTERS[correctIndex]}`,
+      ].join("\n")
+    );
+  });
+  return { content: `${blocks.join("\n\n")}\n`, skipped };
+};
+
+module.exports = {
+  parseAiken,
+  serializeAiken,
+};
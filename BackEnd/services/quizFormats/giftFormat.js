@@ -0,0 +1,373 @@
+/**
+ * Định dạng GIFT (Moodle): mỗi câu hỏi cách nhau bằng dòng trống, đáp án nằm trong {...}.
+ * Hỗ trợ: trắc nghiệm (=/~), nhiều đáp án (~%50%), đúng/sai ({T}/{F}), trả lời ngắn ({=a =b}),
+ * ghép cặp ({=a -> b}), số ({#3.14:0.01} hoặc {#1..5}) và tự luận ({}).
+ * https://docs.moodle.org/en/GIFT_format
+ */
+
+const unescapeGift = (text) =>
+  text
+    .replace(/\\n/g, "\n")
+    .replace(/\\([~=#{}:\\])/g, "$1")
+    .trim();
+
+const escapeGift = (text) =>
+  String(text ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/[~=#{}:]/g, (char) => `\\${char}`)
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * Vị trí ký tự đầu tiên trong chars không bị escape bằng \ (tính từ from)
+ */
+const indexOfUnescaped = (text, chars, from = 0) => {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === "\\") {
+      i++;
+      continue;
+    }
+    if (chars.includes(text[i])) return i;
+  }
+  return -1;
+};
+
+const stripFormat = (text) => {
+  const match = text.match(/^\s*\[(html|moodle|plain|markdown)\]/i);
+  if (!match) return text;
+  const rest = text.slice(match[0].length);
+  return match[1].toLowerCase() === "html"
+    ? rest.replace(/<[^>]*>/g, " ")
+    : rest;
+};
+
+// Bỏ phần phản hồi (#feedback) phía sau đáp án
+const stripFeedback = (text) => {
+  const index = indexOfUnescaped(text, "#");
+  return index === -1 ? text : text.slice(0, index);
+};
+
+/**
+ * Tách phần đáp án thành các token bắt đầu bằng = hoặc ~
+ * @returns {Array<{marker: string, text: string}>}
+ */
+const tokenizeAnswers = (inner) => {
+  const tokens = [];
+  let index = indexOfUnescaped(inner, "=~");
+  while (index !== -1) {
+    const next = indexOfUnescaped(inner, "=~", index + 1);
+    tokens.push({
+      marker: inner[index],
+      text: inner.slice(index + 1, next === -1 ? undefined : next),
+    });
+    index = next;
+  }
+  return tokens;
+};
+
+const parseWeight = (text) => {
+  const match = text.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+  return match
+    ? { weight: Number(match[1]), text: text.slice(match[0].length) }
+    : { weight: null, text };
+};
+
+/**
+ * {#3.14:0.01}, {#1..5}, {#=3.14:0.01 =3:0.5}: lấy đáp án đầu tiên được điểm tối đa
+ */
+const parseNumeric = (inner) => {
+  const body = inner.slice(1);
+  const candidates = tokenizeAnswers(body).length
+    ? tokenizeAnswers(body)
+        .map((token) => parseWeight(token.text))
+        .filter((token) => token.weight === null || token.weight === 100)
+        .map((token) => token.text)
+    : [body];
+  const value = stripFeedback(candidates[0] || "").trim();
+
+  const range = value.match(/^(-?\d+(?:\.\d+)?)\s*\.\.\s*(-?\d+(?:\.\d+)?)$/);
+  if (range) {
+    const min = Number(range[1]);
+    const max = Number(range[2]);
+    return {
+      numericAnswer: (min + max) / 2,
+      tolerance: Math.abs(max - min) / 2,
+    };
+  }
+  const withTolerance = value.match(
+    /^(-?\d+(?:\.\d+)?)(?:\s*:\s*(\d+(?:\.\d+)?))?$/
+  );
+  if (!withTolerance) return null;
+  return {
+    numericAnswer: Number(withTolerance[1]),
+    tolerance: withTolerance[2] ? Number(withTolerance[2]) : 0,
+  };
+};
+
+/**
+ * Chuyển phần trong {...} thành các trường câu hỏi
+ * @returns {Object} Trường câu hỏi, hoặc { error }
+ */
+const parseAnswerBlock = (inner) => {
+  const trimmed = inner.trim();
+  if (trimmed === "") return { type: "essay" };
+
+  const trueFalse = trimmed.match(/^(T|TRUE|F|FALSE)\s*(#.*)?$/is);
+  if (trueFalse) {
+    const isTrue = trueFalse[1].toUpperCase().startsWith("T");
+    return {
+      type: "true-false",
+      answers: [
+        { content: "True", isCorrect: isTrue },
+        { content: "False", isCorrect: !isTrue },
+      ],
+    };
+  }
+
+  if (trimmed.startsWith("#")) {
+    const numeric = parseNumeric(trimmed);
+    return numeric
+      ? { type: "numeric", ...numeric }
+      : { error: `Invalid numeric answer "${trimmed}"` };
+  }
+
+  const tokens = tokenizeAnswers(inner);
+  if (tokens.length === 0) {
+    return { error: "Answers must start with = (correct) or ~ (wrong)" };
+  }
+
+  if (tokens.some((token) => token.text.includes("->"))) {
+    const matchingPairs = [];
+    for (const token of tokens) {
+      const [left, right] = stripFeedback(token.text).split("->");
+      if (token.marker !== "=" || right === undefined) {
+        return { error: "Matching pairs must be written as =left -> right" };
+      }
+      matchingPairs.push({
+        left: unescapeGift(left),
+        right: unescapeGift(right),
+      });
+    }
+    return { type: "matching", matchingPairs };
+  }
+
+  if (tokens.every((token) => token.marker === "=")) {
+    // Chỉ có đáp án đúng: câu trả lời ngắn (mặc định Moodle không phân biệt hoa thường)
+    return {
+      type: "fill-in-blank",
+      acceptedAnswers: tokens.map((token) =>
+        unescapeGift(stripFeedback(parseWeight(token.text).text))
+      ),
+      caseSensitive: false,
+    };
+  }
+
+  let weighted = false;
+  const answers = tokens.map((token) => {
+    const { weight, text } = parseWeight(token.text);
+    if (weight !== null) weighted = true;
+    return {
+      content: unescapeGift(stripFeedback(text)),
+      isCorrect: token.marker === "=" || (weight !== null && weight > 0),
+    };
+  });
+  const correctCount = answers.filter((answer) => answer.isCorrect).length;
+  return {
+    type: weighted || correctCount > 1 ? "multi-select" : "multiple-choice",
+    answers,
+  };
+};
+
+const isBlockOpen = (text) => {
+  const open = indexOfUnescaped(text, "{");
+  return open !== -1 && indexOfUnescaped(text, "}", open) === -1;
+};
+
+/**
+ * Chia nội dung thành các khối câu hỏi (cách nhau bằng dòng trống), bỏ dòng chú thích //
+ * và dòng $CATEGORY
+ * @returns {Array<{line: number, text: string}>}
+ */
+const splitBlocks = (text) => {
+  const blocks = [];
+  let current = null;
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (line.startsWith("//") || /^\$CATEGORY:/i.test(line)) return;
+    if (line === "") {
+      // Dòng trống bên trong {...} không kết thúc câu hỏi
+      if (current && !isBlockOpen(current.text)) {
+        blocks.push(current);
+        current = null;
+      }
+      return;
+    }
+    if (!current) current = { line: index + 1, text: "" };
+    current.text += (current.text ? "\n" : "") + rawLine;
+  });
+  if (current) blocks.push(current);
+  return blocks;
+};
+
+/**
+ * Đọc nội dung GIFT
+ * @param {string} text
+ * @returns {{questions: Array, errors: Array}} errors: [{ question, line, title, message }]
+ */
+const parseGift = (text) => {
+  const questions = [];
+  const errors = [];
+
+  splitBlocks(text).forEach((block, index) => {
+    const position = index + 1;
+    let body = block.text.trim();
+    let title;
+
+    const titleMatch = body.match(/^::(.*?)::/s);
+    if (titleMatch) {
+      title = unescapeGift(titleMatch[1]);
+      body = body.slice(titleMatch[0].length);
+    }
+
+    const open = indexOfUnescaped(body, "{");
+    const close = open === -1 ? -1 : indexOfUnescaped(body, "}", open + 1);
+    if (open === -1 || close === -1) {
+      errors.push({
+        question: position,
+        line: block.line,
+        title,
+        message:
+          open === -1
+            ? "No answer block {...} found (descriptions are not supported)"
+            : "Answer block is not closed with }",
+      });
+      return;
+    }
+
+    const before = stripFormat(body.slice(0, open));
+    const after = body.slice(close + 1);
+    // Câu "điền từ còn thiếu": đáp án nằm giữa câu
+    const content = unescapeGift(
+      after.trim() ? `${before.trim()} _____ ${after.trim()}` : before
+    );
+    const parsed = parseAnswerBlock(body.slice(open + 1, close));
+    if (parsed.error) {
+      errors.push({
+        question: position,
+        line: block.line,
+        title,
+        message: parsed.error,
+      });
+      return;
+    }
+
+    questions.push({
+      source: { question: position, line: block.line, title },
+      question: {
+        content: content || title || "",
+        score: 1,
+        answers: [],
+        ...parsed,
+      },
+    });
+  });
+
+  return { questions, errors };
+};
+
+const TRUE_LABELS = ["true", "đúng", "t"];
+const FALSE_LABELS = ["false", "sai", "f"];
+
+const formatPercent = (value) =>
+  Number.isInteger(value) ? String(value) : value.toFixed(5).replace(/0+$/, "");
+
+/**
+ * Ghi một câu hỏi ra GIFT
+ * @returns {?string} null nếu GIFT không hỗ trợ loại câu hỏi này
+ */
+const serializeQuestion = (question, number) => {
+  const head = `::Q${number}:: ${escapeGift(question.content)}`;
+  const answers = question.answers || [];
+  const correct = answers.filter((answer) => answer.isCorrect);
+
+  switch (question.type || "multiple-choice") {
+    case "true-false": {
+      const label = String(correct[0]?.content || "")
+        .trim()
+        .toLowerCase();
+      if (correct.length === 1 && TRUE_LABELS.includes(label))
+        return `${head} {TRUE}`;
+      if (correct.length === 1 && FALSE_LABELS.includes(label))
+        return `${head} {FALSE}`;
+      // Đáp án không phải Đúng/Sai: ghi như câu trắc nghiệm
+      return serializeQuestion(
+        { ...question, type: "multiple-choice" },
+        number
+      );
+    }
+    case "multiple-choice":
+      if (correct.length === 1) {
+        return `${head} {\n${answers
+          .map(
+            (answer) =>
+              `\t${answer.isCorrect ? "=" : "~"}${escapeGift(answer.content)}`
+          )
+          .join("\n")}\n}`;
+      }
+    // Nhiều đáp án đúng: ghi theo trọng số như multi-select
+    // falls through
+    case "multi-select": {
+      const weight = formatPercent(100 / Math.max(correct.length, 1));
+      return `${head} {\n${answers
+        .map(
+          (answer) =>
+            `\t~%${answer.isCorrect ? weight : "-100"}%${escapeGift(answer.content)}`
+        )
+        .join("\n")}\n}`;
+    }
+    case "fill-in-blank":
+      return `${head} {\n${(question.acceptedAnswers || [])
+        .map((answer) => `\t=${escapeGift(answer)}`)
+        .join("\n")}\n}`;
+    case "matching":
+      return `${head} {\n${(question.matchingPairs || [])
+        .map(
+          (pair) => `\t=${escapeGift(pair.left)} -> ${escapeGift(pair.right)}`
+        )
+        .join("\n")}\n}`;
+    case "numeric":
+      return `${head} {#${question.numericAnswer}${
+        question.tolerance ? `:${question.tolerance}` : ""
+      }}`;
+    case "essay":
+      return `${head} {}`;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Xuất quiz ra GIFT. Câu hỏi không hỗ trợ (sắp xếp thứ tự) được ghi chú và bỏ qua.
+ * @returns {{content: string, skipped: Array<number>}}
+ */
+const serializeGift = (quiz) => {
+  const skipped = [];
+  const parts = [`// ${quiz.title}`, `// Exported ${new Date().toISOString()}`];
+  quiz.questions.forEach((question, index) => {
+    const number = index + 1;
+    const gift = serializeQuestion(question, number);
+    if (gift === null) {
+      skipped.push(number);
+      parts.push(
+        `// Question ${number} skipped: ${question.type} questions are not supported by GIFT`
+      );
+      return;
+    }
+    parts.push(gift);
+  });
+  return { content: `${parts.join("\n\n")}\n`, skipped };
+};
+
+module.exports = {
+  parseGift,
+  serializeGift,
+};
@@ -0,0 +1,650 @@
+const JSZip = require("jszip");
+const { DOMParser } = require("@xmldom/xmldom");
+
+/**
+ * Định dạng IMS QTI 2.1: gói .zip (imsmanifest.xml + mỗi câu hỏi một file assessmentItem)
+ * hoặc một file XML chứa assessmentItem.
+ * Hỗ trợ choiceInteraction, textEntryInteraction (chuỗi / số), orderInteraction,
+ * matchInteraction và extendedTextInteraction.
+ */
+
+const QTI_NAMESPACE = "http://www.imsglobal.org/xsd/imsqti_v2p1";
+const CP_NAMESPACE = "http://www.imsglobal.org/xsd/imscp_v1p1";
+const RP_TEMPLATES = "http://www.imsglobal.org/question/qti_v2p1/rptemplates";
+
+const INTERACTIONS = [
+  "choiceInteraction",
+  "textEntryInteraction",
+  "orderInteraction",
+  "matchInteraction",
+  "extendedTextInteraction",
+];
+
+// Giới hạn giải nén gói .zip (chống zip bomb)
+const MAX_PACKAGE_ENTRIES = 1000;
+const MAX_ENTRY_BYTES = 5 * 1024 * 1024;
+const MAX_PACKAGE_BYTES = 50 * 1024 * 1024;
+
+const createQtiError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const parseXml = (xml) => {
+  const document = new DOMParser({
+    errorHandler: { warning: () => {}, error: () => {}, fatalError: () => {} },
+  }).parseFromString(xml, "text/xml");
+  return document && document.documentElement ? document : null;
+};
+
+const byTag = (node, name) =>
+  Array.from(node.getElementsByTagNameNS("*", name));
+
+const firstByTag = (node, name) => byTag(node, name)[0] || null;
+
+const normalizeSpace = (text) =>
+  String(text ?? "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Nội dung câu hỏi: chữ trong itemBody (bỏ các interaction, ô nhập điền khuyết thành _____)
+ * cộng với prompt của interaction
+ */
+const extractContent = (itemBody, interaction) => {
+  const collect = (node) => {
+    if (node.nodeType === 3 || node.nodeType === 4) return node.nodeValue;
+    if (node.nodeType !== 1) return "";
+    if (node === interaction) {
+      return node.localName === "textEntryInteraction" ? " _____ " : "";
+    }
+    if (
+      INTERACTIONS.includes(node.localName) ||
+      node.localName === "rubricBlock"
+    ) {
+      return "";
+    }
+    const text = Array.from(node.childNodes).map(collect).join("");
+    return ["p", "div", "br", "li"].includes(node.localName)
+      ? ` ${text} `
+      : text;
+  };
+
+  const prompt = firstByTag(interaction, "prompt");
+  return normalizeSpace(
+    [collect(itemBody), prompt ? prompt.textContent : ""].join(" ")
+  );
+};
+
+const getCorrectValues = (declaration) =>
+  declaration
+    ? byTag(declaration, "correctResponse").flatMap((correct) =>
+        byTag(correct, "value").map((value) => value.textContent.trim())
+      )
+    : [];
+
+const choiceMap = (interaction, tag) =>
+  new Map(
+    byTag(interaction, tag).map((choice) => [
+      choice.getAttribute("identifier"),
+      normalizeSpace(choice.textContent),
+    ])
+  );
+
+/**
+ * Đọc một assessmentItem thành câu hỏi
+ * @returns {Object} Câu hỏi, hoặc { error }
+ */
+const parseItem = (item) => {
+  const itemBody = firstByTag(item, "itemBody");
+  if (!itemBody) return { error: "assessmentItem has no itemBody" };
+
+  const interactions = INTERACTIONS.flatMap((name) => byTag(itemBody, name));
+  if (interactions.length === 0) {
+    return { error: "No supported interaction found" };
+  }
+  if (interactions.length > 1) {
+    return { error: "Items with more than one interaction are not supported" };
+  }
+
+  const interaction = interactions[0];
+  const responseIdentifier = interaction.getAttribute("responseIdentifier");
+  const declaration = byTag(item, "responseDeclaration").find(
+    (node) => node.getAttribute("identifier") === responseIdentifier
+  );
+  const correctValues = getCorrectValues(declaration);
+  const content = extractContent(itemBody, interaction);
+  const base = { content, score: 1, answers: [] };
+
+  switch (interaction.localName) {
+    case "choiceInteraction": {
+      const choices = choiceMap(interaction, "simpleChoice");
+      const multiple =
+        declaration?.getAttribute("cardinality") === "multiple" ||
+        Number(interaction.getAttribute("maxChoices")) !== 1;
+      const answers = [...choices].map(([identifier, text]) => ({
+        content: text,
+        isCorrect: correctValues.includes(identifier),
+      }));
+      const isTrueFalse =
+        !multiple &&
+        answers.length === 2 &&
+        answers.every((answer) =>
+          ["true", "false"].includes(answer.content.toLowerCase())
+        );
+      return {
+        ...base,
+        type: multiple
+          ? "multi-select"
+          : isTrueFalse
+            ? "true-false"
+            : "multiple-choice",
+        answers,
+      };
+    }
+    case "textEntryInteraction": {
+      const baseType = declaration?.getAttribute("baseType");
+      if (["float", "integer"].includes(baseType)) {
+        const equal = firstByTag(item, "equal");
+        const tolerance =
+          equal && equal.getAttribute("toleranceMode") === "absolute"
+            ? Number((equal.getAttribute("tolerance") || "0").split(/\s+/)[0])
+            : 0;
+        return {
+          ...base,
+          type: "numeric",
+          numericAnswer: Number(correctValues[0]),
+          tolerance: Number.isFinite(tolerance) ? Math.abs(tolerance) : 0,
+        };
+      }
+
+      const entries = declaration
+        ? byTag(declaration, "mapEntry").filter(
+            (entry) => Number(entry.getAttribute("mappedValue")) > 0
+          )
+        : [];
+      const acceptedAnswers = [
+        ...new Set([
+          ...correctValues,
+          ...entries.map((entry) => entry.getAttribute("mapKey")),
+        ]),
+      ].filter(Boolean);
+      return {
+        ...base,
+        type: "fill-in-blank",
+        acceptedAnswers,
+        // match_correct so sánh chính xác; mapEntry có thuộc tính caseSensitive riêng
+        caseSensitive: entries.length
+          ? entries.some(
+              (entry) => entry.getAttribute("caseSensitive") === "true"
+            )
+          : true,
+      };
+    }
+    case "orderInteraction": {
+      const choices = choiceMap(interaction, "simpleChoice");
+      const missing = correctValues.find(
+        (identifier) => !choices.has(identifier)
+      );
+      if (missing) {
+        return { error: `Unknown choice "${missing}" in correct order` };
+      }
+      return {
+        ...base,
+        type: "ordering",
+        orderingItems: correctValues.map((identifier) =>
+          choices.get(identifier)
+        ),
+      };
+    }
+    case "matchInteraction": {
+      const sets = byTag(interaction, "simpleMatchSet");
+      if (sets.length !== 2) {
+        return { error: "matchInteraction needs two simpleMatchSet elements" };
+      }
+      const left = choiceMap(sets[0], "simpleAssociableChoice");
+      const right = choiceMap(sets[1], "simpleAssociableChoice");
+      const matchingPairs = [];
+      for (const value of correctValues) {
+        const [leftId, rightId] = value.split(/\s+/);
+        if (!left.has(leftId) || !right.has(rightId)) {
+          return { error: `Unknown pair "${value}" in correct response` };
+        }
+        matchingPairs.push({
+          left: left.get(leftId),
+          right: right.get(rightId),
+        });
+      }
+      return { ...base, type: "matching", matchingPairs };
+    }
+    case "extendedTextInteraction": {
+      const rubric = firstByTag(item, "rubricBlock");
+      return {
+        ...base,
+        type: "essay",
+        essayGuideline: rubric ? normalizeSpace(rubric.textContent) : undefined,
+      };
+    }
+    default:
+      return { error: `Unsupported interaction ${interaction.localName}` };
+  }
+};
+
+/**
+ * Giải nén một file trong gói, dừng ngay khi vượt MAX_ENTRY_BYTES hoặc phần còn lại của
+ * budget.remaining (kích thước khai báo trong zip có thể bị làm giả nên đếm byte thực tế)
+ * @returns {Promise<string>}
+ */
+const readEntry = (file, budget) =>
+  new Promise((resolve, reject) => {
+    const limit = Math.min(MAX_ENTRY_BYTES, budget.remaining);
+    const tooLarge = () =>
+      createQtiError(
+        limit === MAX_ENTRY_BYTES
+          ? `QTI package file ${file.name} exceeds ${MAX_ENTRY_BYTES} bytes`
+          : `QTI package exceeds ${MAX_PACKAGE_BYTES} bytes uncompressed`
+      );
+    if (file._data && file._data.uncompressedSize > limit) {
+      reject(tooLarge());
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    const stream = file.internalStream("uint8array");
+    stream
+      .on("data", (chunk) => {
+        size += chunk.length;
+        if (size > limit) {
+          stream.pause();
+          reject(tooLarge());
+          return;
+        }
+        chunks.push(chunk);
+      })
+      .on("error", (error) =>
+        reject(createQtiError(`Invalid QTI package: ${error.message}`))
+      )
+      .on("end", () => {
+        budget.remaining -= size;
+        resolve(Buffer.concat(chunks).toString("utf8"));
+      })
+      .resume();
+  });
+
+/**
+ * Các file XML câu hỏi trong gói: theo imsmanifest.xml, hoặc mọi file .xml nếu không có manifest
+ * @returns {Promise<Array<{path: string, xml: string}>>}
+ */
+const readPackageFiles = async (buffer) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw createQtiError(`Invalid QTI package: ${error.message}`);
+  }
+  if (Object.keys(zip.files).length > MAX_PACKAGE_ENTRIES) {
+    throw createQtiError(
+      `QTI package has more than ${MAX_PACKAGE_ENTRIES} entries`
+    );
+  }
+  const budget = { remaining: MAX_PACKAGE_BYTES };
+
+  const manifestFile = zip.file(/(^|\/)imsmanifest\.xml$/i)[0];
+  let paths;
+  if (manifestFile) {
+    const manifest = parseXml(await readEntry(manifestFile, budget));
+    if (!manifest) throw createQtiError("imsmanifest.xml is not valid XML");
+    const baseDir = manifestFile.name.replace(/[^/]*$/, "");
+    paths = byTag(manifest, "resource")
+      .filter((resource) =>
+        /^imsqti_(item|test)/.test(resource.getAttribute("type") || "")
+      )
+      .map((resource) => baseDir + resource.getAttribute("href"));
+  } else {
+    paths = zip
+      .file(/\.xml$/i)
+      .map((file) => file.name)
+      .sort();
+  }
+
+  // Đọc lần lượt để giới hạn tổng dung lượng giải nén
+  const files = [];
+  for (const path of paths) {
+    const file = zip.file(path);
+    files.push({ path, xml: file ? await readEntry(file, budget) : null });
+  }
+  return files;
+};
+
+/**
+ * Đọc gói QTI 2.1 (.zip) hoặc file XML
+ * @param {Buffer} buffer
+ * @returns {Promise<{questions: Array, errors: Array, title: ?string}>}
+ */
+const parseQti = async (buffer) => {
+  const isZip = buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50;
+  const files = isZip
+    ? await readPackageFiles(buffer)
+    : [{ path: null, xml: buffer.toString("utf8") }];
+
+  const questions = [];
+  const errors = [];
+  let title = null;
+  let position = 0;
+
+  for (const file of files) {
+    const document = file.xml ? parseXml(file.xml) : null;
+    if (!document) {
+      position++;
+      errors.push({
+        question: position,
+        file: file.path,
+        message: file.xml
+          ? "File is not valid XML"
+          : "File listed in manifest is missing",
+      });
+      continue;
+    }
+
+    const testTitle = firstByTag(document, "assessmentTest");
+    if (testTitle && !title) title = testTitle.getAttribute("title") || null;
+
+    for (const item of byTag(document, "assessmentItem")) {
+      position++;
+      const itemTitle =
+        item.getAttribute("title") || item.getAttribute("identifier");
+      const parsed = parseItem(item);
+      if (parsed.error) {
+        errors.push({
+          question: position,
+          file: file.path,
+          title: itemTitle,
+          message: parsed.error,
+        });
+        continue;
+      }
+      questions.push({
+        source: { question: position, file: file.path, title: itemTitle },
+        question: parsed,
+      });
+    }
+  }
+
+  if (position === 0) {
+    throw createQtiError("No assessmentItem found in the QTI file");
+  }
+  return { questions, errors, title };
+};
+
+const escapeXml = (text) =>
+  String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const choiceId = (prefix, index) => `${prefix}${index + 1}`;
+
+const responseDeclaration = (cardinality, baseType, values, extra = "") => `
+  <responseDeclaration identifier="RESPONSE" cardinality="${cardinality}" baseType="${baseType}">${
+    values.length
+      ? `
+    <correctResponse>
+${values.map((value) => `      <value>${escapeXml(value)}</value>`).join("\n")}
+    </correctResponse>`
+      : ""
+  }${extra}
+  </responseDeclaration>`;
+
+const SCORE_DECLARATION = `
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue><value>0</value></defaultValue>
+  </outcomeDeclaration>`;
+
+/**
+ * Các phần responseDeclaration / itemBody / responseProcessing của một câu hỏi
+ * @returns {?Object} null nếu loại câu hỏi không hỗ trợ
+ */
+const buildItemParts = (question) => {
+  const prompt = `<prompt>${escapeXml(question.content)}</prompt>`;
+  const answers = question.answers || [];
+
+  switch (question.type || "multiple-choice") {
+    case "multiple-choice":
+    case "true-false":
+    case "multi-select": {
+      const correct = answers
+        .map((answer, index) =>
+          answer.isCorrect ? choiceId("C", index) : null
+        )
+        .filter(Boolean);
+      const multiple = question.type === "multi-select" || correct.length > 1;
+      return {
+        declaration: responseDeclaration(
+          multiple ? "multiple" : "single",
+          "identifier",
+          correct
+        ),
+        body: `
+    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${multiple ? 0 : 1}">
+      ${prompt}
+${answers
+  .map(
+    (answer, index) =>
+      `      <simpleChoice identifier="${choiceId("C", index)}">${escapeXml(answer.content)}</simpleChoice>`
+  )
+  .join("\n")}
+    </choiceInteraction>`,
+        processing: `<responseProcessing template="${RP_TEMPLATES}/match_correct"/>`,
+      };
+    }
+    case "fill-in-blank": {
+      const accepted = question.acceptedAnswers || [];
+      const mapping = `
+    <mapping defaultValue="0">
+${accepted
+  .map(
+    (answer) =>
+      `      <mapEntry mapKey="${escapeXml(answer)}" mappedValue="1" caseSensitive="${Boolean(question.caseSensitive)}"/>`
+  )
+  .join("\n")}
+    </mapping>`;
+      return {
+        declaration: responseDeclaration(
+          "single",
+          "string",
+          accepted.slice(0, 1),
+          mapping
+        ),
+        body: `
+    <p>${escapeXml(question.content)} <textEntryInteraction responseIdentifier="RESPONSE" expectedLength="20"/></p>`,
+        processing: `<responseProcessing template="${RP_TEMPLATES}/map_response"/>`,
+      };
+    }
+    case "numeric": {
+      const tolerance = question.tolerance || 0;
+      return {
+        declaration: responseDeclaration("single", "float", [
+          String(question.numericAnswer),
+        ]),
+        body: `
+    <p>${escapeXml(question.content)} <textEntryInteraction responseIdentifier="RESPONSE" expectedLength="10"/></p>`,
+        processing: `<responseProcessing>
+    <responseCondition>
+      <responseIf>
+        <equal toleranceMode="absolute" tolerance="${tolerance} ${tolerance}">
+          <variable identifier="RESPONSE"/>
+          <correct identifier="RESPONSE"/>
+        </equal>
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue>
+      </responseIf>
+    </responseCondition>
+  </responseProcessing>`,
+      };
+    }
+    case "ordering": {
+      const items = question.orderingItems || [];
+      return {
+        declaration: responseDeclaration(
+          "ordered",
+          "identifier",
+          items.map((item, index) => choiceId("O", index))
+        ),
+        body: `
+    <orderInteraction responseIdentifier="RESPONSE" shuffle="true">
+      ${prompt}
+${items
+  .map(
+    (item, index) =>
+      `      <simpleChoice identifier="${choiceId("O", index)}">${escapeXml(item)}</simpleChoice>`
+  )
+  .join("\n")}
+    </orderInteraction>`,
+        processing: `<responseProcessing template="${RP_TEMPLATES}/match_correct"/>`,
+      };
+    }
+    case "matching": {
+      const pairs = question.matchingPairs || [];
+      return {
+        declaration: responseDeclaration(
+          "multiple",
+          "directedPair",
+          pairs.map(
+            (pair, index) => `${choiceId("L", index)} ${choiceId("R", index)}`
+          )
+        ),
+        body: `
+    <matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${pairs.length}">
+      ${prompt}
+      <simpleMatchSet>
+${pairs
+  .map(
+    (pair, index) =>
+      `        <simpleAssociableChoice identifier="${choiceId("L", index)}" matchMax="1">${escapeXml(pair.left)}</simpleAssociableChoice>`
+  )
+  .join("\n")}
+      </simpleMatchSet>
+      <simpleMatchSet>
+${pairs
+  .map(
+    (pair, index) =>
+      `        <simpleAssociableChoice identifier="${choiceId("R", index)}" matchMax="1">${escapeXml(pair.right)}</simpleAssociableChoice>`
+  )
+  .join("\n")}
+      </simpleMatchSet>
+    </matchInteraction>`,
+        processing: `<responseProcessing template="${RP_TEMPLATES}/match_correct"/>`,
+      };
+    }
+    case "essay":
+      return {
+        declaration: responseDeclaration("single", "string", []),
+        body: `
+    ${
+      question.essayGuideline
+        ? `<rubricBlock view="scorer"><p>${escapeXml(question.essayGuideline)}</p></rubricBlock>
+    `
+        : ""
+    }<extendedTextInteraction responseIdentifier="RESPONSE" expectedLength="${question.essayMaxLength || 1000}">
+      ${prompt}
+    </extendedTextInteraction>`,
+        processing: "",
+      };
+    default:
+      return null;
+  }
+};
+
+const buildItemXml = (question, identifier, title) => {
+  const parts = buildItemParts(question);
+  if (!parts) return null;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NAMESPACE}" identifier="${identifier}" title="${escapeXml(title)}" adaptive="false" timeDependent="false">${parts.declaration}${SCORE_DECLARATION}
+  <itemBody>${parts.body}
+  </itemBody>
+  ${parts.processing}
+</assessmentItem>
+`;
+};
+
+/**
+ * Xuất quiz ra gói QTI 2.1 (.zip) gồm imsmanifest.xml, assessmentTest và các assessmentItem
+ * @returns {Promise<{content: Buffer, skipped: Array<number>}>}
+ */
+const serializeQti = async (quiz) => {
+  const zip = new JSZip();
+  const skipped = [];
+  const items = [];
+
+  quiz.questions.forEach((question, index) => {
+    const identifier = `item-${index + 1}`;
+    const xml = buildItemXml(question, identifier, `Question ${index + 1}`);
+    if (!xml) {
+      skipped.push(index + 1);
+      return;
+    }
+    const href = `items/${identifier}.xml`;
+    zip.file(href, xml);
+    items.push({ identifier, href });
+  });
+
+  const testHref = "assessment.xml";
+  zip.file(
+    testHref,
+    `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest xmlns="${QTI_NAMESPACE}" identifier="test" title="${escapeXml(quiz.title)}">
+  <testPart identifier="part-1" navigationMode="nonlinear" submissionMode="simultaneous">
+    <assessmentSection identifier="section-1" title="${escapeXml(quiz.title)}" visible="true">
+${items
+  .map(
+    (item) =>
+      `      <assessmentItemRef identifier="${item.identifier}" href="${item.href}"/>`
+  )
+  .join("\n")}
+    </assessmentSection>
+  </testPart>
+</assessmentTest>
+`
+  );
+
+  zip.file(
+    "imsmanifest.xml",
+    `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="${CP_NAMESPACE}" identifier="manifest-${quiz._id || "quiz"}">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="test" type="imsqti_test_xmlv2p1" href="${testHref}">
+      <file href="${testHref}"/>
+${items.map((item) => `      <dependency identifierref="${item.identifier}"/>`).join("\n")}
+    </resource>
+${items
+  .map(
+    (
+      item
+    ) => `    <resource identifier="${item.identifier}" type="imsqti_item_xmlv2p1" href="${item.href}">
+      <file href="${item.href}"/>
+    </resource>`
+  )
+  .join("\n")}
+  </resources>
+</manifest>
+`
+  );
+
+  const content = await zip.generateAsync({
+    type: "nodebuffer",
+    compression: "DEFLATE",
+  });
+  return { content, skipped };
+};
+
+module.exports = {
+  parseQti,
+  serializeQti,
+};
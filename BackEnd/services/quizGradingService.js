@@ -0,0 +1,365 @@
+const StudentQuizResult = require("../models/StudentQuizResult");
+const { gradeQuestion } = require("./quizQuestionService");
+
+/**
+ * Service chấm điểm bài quiz: chấm các câu tự động (xem quizQuestionService), gom câu tự luận để AI chấm sau
+ * và lưu StudentQuizResult. Dùng chung cho nộp bài thường và nộp tự động khi hết giờ.
+ */
+
+// Điểm đạt mặc định khi quiz không đặt passingScore
+const PASSING_SCORE = 80;
+
+const getPassingScore = (quiz) =>
+  typeof quiz.passingScore === "number" ? quiz.passingScore : PASSING_SCORE;
+
+const DEFAULT_ESSAY_GUIDELINE =
+  "Evaluate based on content accuracy, understanding, completeness, and clarity.";
+
+// Mỗi câu tự động chấm tính 10 điểm trong totalScore (câu tự luận tính theo maxScore)
+const AUTO_GRADED_QUESTION_POINTS = 10;
+
+/**
+ * Điểm hiện hành của một câu tự luận: điểm giảng viên đã duyệt, nếu chưa duyệt thì điểm AI
+ */
+const getEssayScore = (essayAnswer) => {
+  if (typeof essayAnswer.instructorScore === "number") {
+    return essayAnswer.instructorScore;
+  }
+  return typeof essayAnswer.aiScore === "number" ? essayAnswer.aiScore : 0;
+};
+
+const isEssayReviewed = (essayAnswer) =>
+  ["accepted", "overridden"].includes(essayAnswer.reviewStatus);
+
+/**
+ * Tìm câu tự luận đã lưu ứng với một câu hỏi: câu rút từ ngân hàng khớp theo bankQuestionId,
+ * câu của quiz khớp theo questionIndex
+ */
+const findEssayAnswer = (essayAnswers, { questionIndex, bankQuestionId }) =>
+  (essayAnswers || []).find((essayAnswer) =>
+    bankQuestionId || essayAnswer.bankQuestionId
+      ? String(essayAnswer.bankQuestionId) === String(bankQuestionId)
+      : essayAnswer.questionIndex === questionIndex
+  );
+
+/**
+ * Tổng điểm (tự động chấm + tự luận) của kết quả theo thang điểm câu hỏi
+ * @param {Object} result - StudentQuizResult
+ * @returns {{totalScore: number, maxTotalScore: number}}
+ */
+const computeTotalScore = (result) => {
+  const essayAnswers = result.essayAnswers || [];
+  const details = result.details || {};
+  const autoGradedCount = Math.max(
+    0,
+    (details.totalQuestions ?? (details.questionResults || []).length) -
+      essayAnswers.length
+  );
+  const autoGradedMax = autoGradedCount * AUTO_GRADED_QUESTION_POINTS;
+  const autoGradedScore =
+    ((Number(details.scorePercentage) || 0) / 100) * autoGradedMax;
+
+  const essayScore = essayAnswers.reduce(
+    (sum, essayAnswer) => sum + getEssayScore(essayAnswer),
+    0
+  );
+  const essayMax = essayAnswers.reduce(
+    (sum, essayAnswer) => sum + (essayAnswer.maxScore || 10),
+    0
+  );
+
+  return {
+    totalScore: Math.round((autoGradedScore + essayScore) * 100) / 100,
+    maxTotalScore: autoGradedMax + essayMax,
+  };
+};
+
+/**
+ * Câu hỏi ứng với một đáp án: câu rút từ ngân hàng (bankQuestionId) lấy từ bản chụp
+ * của lượt làm bài, câu cố định lấy theo originalIndex trong quiz
+ * @returns {?Object} null nếu đáp án không ứng với câu hỏi nào
+ */
+const resolveQuestion = (quiz, drawnById, answer) => {
+  if (answer.bankQuestionId) {
+    return drawnById.get(String(answer.bankQuestionId)) || null;
+  }
+  const { originalIndex } = answer;
+  if (
+    originalIndex === undefined ||
+    originalIndex < 0 ||
+    originalIndex >= quiz.questions.length
+  ) {
+    return null;
+  }
+  return quiz.questions[originalIndex];
+};
+
+/**
+ * Điểm được ghi nhận từ điểm các lượt theo gradingPolicy của quiz
+ * @param {Array<number>} scores - Điểm các lượt theo thứ tự thời gian
+ * @param {string} policy - best | latest | average
+ */
+const computeRecordedScore = (scores, policy = "latest") => {
+  if (scores.length === 0) return 0;
+  if (policy === "best") return Math.max(...scores);
+  if (policy === "average") {
+    return Math.round(
+      scores.reduce((sum, score) => sum + score, 0) / scores.length
+    );
+  }
+  return scores[scores.length - 1];
+};
+
+/**
+ * Lịch sử điểm của kết quả; kết quả cũ (trước khi lưu lịch sử) được tính là một lượt
+ */
+const getScoreHistory = (result) => {
+  if (!result) return [];
+  if (result.attempts && result.attempts.length > 0) return result.attempts;
+  if (result.score === undefined || result.score === null) return [];
+  return [{ score: result.score, takenAt: result.takenAt }];
+};
+
+/**
+ * Tính lại điểm lượt gần nhất khi điểm tự luận thay đổi (giảng viên duyệt). Điểm lượt lấy theo
+ * totalScore / maxTotalScore (câu tự động chấm + tự luận), score ghi nhận tính lại theo gradingPolicy.
+ * details.scorePercentage giữ nguyên là điểm câu tự động chấm (computeTotalScore dựa vào nó).
+ * @param {Object} result - StudentQuizResult, chưa lưu
+ * @param {Object} quiz - Quiz (gradingPolicy, passingScore)
+ * @returns {{scorePercentage: number, passed: boolean}} Điểm và trạng thái đạt của lượt gần nhất
+ */
+const recomputeResultScore = (result, quiz) => {
+  const { totalScore, maxTotalScore } = computeTotalScore(result);
+  result.totalScore = totalScore;
+  result.maxTotalScore = maxTotalScore;
+  const scorePercentage =
+    maxTotalScore > 0 ? Math.round((totalScore / maxTotalScore) * 100) : 0;
+  const passed = scorePercentage >= getPassingScore(quiz);
+
+  // essayAnswers luôn thuộc lượt nộp gần nhất
+  const history = getScoreHistory(result).map((entry) =>
+    entry.toObject ? entry.toObject() : { ...entry }
+  );
+  if (history.length === 0) history.push({ takenAt: result.takenAt });
+  history[history.length - 1].score = scorePercentage;
+  result.attempts = history;
+  result.latestScore = scorePercentage;
+  result.score = computeRecordedScore(
+    history.map((entry) => entry.score),
+    quiz.gradingPolicy
+  );
+  if (result.details) {
+    result.details.passed = passed;
+    result.markModified("details");
+  }
+  return { scorePercentage, passed };
+};
+
+/**
+ * Chấm bài làm và lưu kết quả. details là của lượt này, score là điểm ghi nhận theo gradingPolicy.
+ * @param {Object} params
+ * @param {Object} params.quiz - Quiz document
+ * @param {string} params.userId
+ * @param {Array} params.answers - [{ questionIndex, originalIndex, selectedAnswers | textAnswer | numericAnswer | matches | order, timeSpent? }]
+ *   timeSpent: số giây học viên dành cho câu (không bắt buộc, dùng cho phân tích câu hỏi)
+ * @param {Array} [params.essayAnswers] - [{ questionIndex, originalIndex, answer }]
+ * @param {Object} [params.attempt] - Lượt làm bài (quiz có giới hạn thời gian / autosave)
+ * @param {Array} [params.drawnQuestions] - Câu rút từ ngân hàng của lượt làm bài; đáp án của các câu
+ *   này gửi kèm bankQuestionId thay cho originalIndex
+ * @returns {Promise<{result: Object, isNew: boolean, message: string, data: Object}>}
+ */
+const gradeQuizSubmission = async ({
+  quiz,
+  userId,
+  answers,
+  essayAnswers = [],
+  attempt = null,
+  drawnQuestions = [],
+}) => {
+  const drawnById = new Map(
+    drawnQuestions.map((drawn) => [
+      String(drawn.bankQuestionId),
+      drawn.question,
+    ])
+  );
+
+  let totalQuestions = answers.length;
+  let correctAnswers = 0;
+  // Tổng credit các câu tự động chấm (câu đúng một phần được tính lẻ)
+  let earnedCredit = 0;
+  const questionResults = [];
+
+  for (const userAnswer of answers) {
+    const question = resolveQuestion(quiz, drawnById, userAnswer);
+    // Câu tự luận được xử lý riêng bên dưới
+    if (!question || question.type === "essay") continue;
+
+    const questionResult = gradeQuestion(question, userAnswer);
+    if (userAnswer.bankQuestionId) {
+      questionResult.bankQuestionId = userAnswer.bankQuestionId;
+    }
+    const timeSpent = Number(userAnswer.timeSpent);
+    if (
+      userAnswer.timeSpent != null &&
+      Number.isFinite(timeSpent) &&
+      timeSpent >= 0
+    ) {
+      questionResult.timeSpent = Math.round(timeSpent);
+    }
+    earnedCredit += questionResult.credit;
+    if (questionResult.isCorrect) correctAnswers++;
+    questionResults.push(questionResult);
+  }
+
+  const hasEssayQuestions =
+    Array.isArray(essayAnswers) && essayAnswers.length > 0;
+  const essayQuestionsList = [];
+  if (hasEssayQuestions) {
+    for (const essayAnswer of essayAnswers) {
+      const { questionIndex, originalIndex, bankQuestionId } = essayAnswer;
+      const question = resolveQuestion(quiz, drawnById, essayAnswer);
+      if (!question || question.type !== "essay") continue;
+
+      essayQuestionsList.push({
+        questionIndex,
+        originalIndex,
+        bankQuestionId,
+        questionContent: question.content,
+        studentAnswer: essayAnswer.answer || "",
+        essayGuideline: question.essayGuideline || DEFAULT_ESSAY_GUIDELINE,
+        maxScore: question.score || 10,
+      });
+      totalQuestions++;
+    }
+  }
+
+  // Điểm phần trăm chỉ tính câu tự động chấm, sẽ tính lại sau khi AI chấm tự luận
+  const mcQuestions = totalQuestions - essayQuestionsList.length;
+  const scorePercentage =
+    mcQuestions > 0 ? Math.round((earnedCredit / mcQuestions) * 100) : 0;
+  const passingScore = getPassingScore(quiz);
+  const passed = scorePercentage >= passingScore;
+
+  let result = await StudentQuizResult.findOne({ userId, quizId: quiz._id });
+  const isNew = !result;
+  if (isNew) {
+    result = new StudentQuizResult({ userId, quizId: quiz._id });
+  }
+
+  const takenAt = new Date();
+  const history = [
+    ...getScoreHistory(isNew ? null : result),
+    {
+      attemptId: attempt ? attempt._id : undefined,
+      score: scorePercentage,
+      takenAt,
+      autoSubmitted: attempt ? attempt.status === "auto_submitted" : false,
+    },
+  ];
+  result.attempts = history;
+  result.latestScore = scorePercentage;
+  result.score = computeRecordedScore(
+    history.map((entry) => entry.score),
+    quiz.gradingPolicy
+  );
+  result.takenAt = takenAt;
+  result.details = {
+    totalQuestions,
+    correctAnswers,
+    scorePercentage,
+    passed,
+    questionResults,
+    isRandomized:
+      (quiz.questionPoolSize &&
+        quiz.questionPoolSize < quiz.questions.length) ||
+      drawnQuestions.length > 0,
+    totalQuestionsInPool: quiz.questions.length,
+    drawnQuestionsCount: drawnQuestions.length,
+    selectedQuestionsCount: totalQuestions,
+  };
+  result.attemptId = attempt ? attempt._id : undefined;
+  result.autoSubmitted = attempt ? attempt.status === "auto_submitted" : false;
+
+  if (hasEssayQuestions) {
+    // Làm lại: giữ nguyên câu trả lời không đổi đã được giảng viên duyệt, câu trả lời mới
+    // cần chấm lại nhưng vẫn giữ gradeHistory của câu đó
+    const previousEssays = isNew ? [] : result.essayAnswers;
+    result.essayAnswers = essayQuestionsList.map((eq) => {
+      const previous = findEssayAnswer(previousEssays, eq);
+      if (
+        previous &&
+        isEssayReviewed(previous) &&
+        previous.studentAnswer === eq.studentAnswer
+      ) {
+        return previous;
+      }
+      return {
+        _id: previous ? previous._id : undefined,
+        questionIndex: eq.questionIndex,
+        bankQuestionId: eq.bankQuestionId,
+        questionContent: eq.questionContent,
+        studentAnswer: eq.studentAnswer,
+        maxScore: eq.maxScore,
+        gradeHistory: previous ? previous.gradeHistory : [],
+      };
+    });
+    // AI chấm tự luận riêng
+    result.gradingStatus = result.essayAnswers.every(isEssayReviewed)
+      ? "completed"
+      : "pending";
+    result.maxTotalScore = computeTotalScore(result).maxTotalScore;
+  } else if (isNew) {
+    result.gradingStatus = "completed";
+  }
+
+  await result.save();
+
+  let message;
+  if (hasEssayQuestions) {
+    message = `Quiz submitted successfully. Multiple choice score: ${scorePercentage}%. Essay questions will be graded by AI.`;
+  } else {
+    message = `Quiz ${
+      isNew ? "submitted" : "retaken"
+    } successfully. Score: ${scorePercentage}% ${
+      passed ? "(PASSED)" : `(FAILED - Need ${passingScore}% to pass)`
+    }`;
+  }
+
+  return {
+    result,
+    isNew,
+    message,
+    data: {
+      resultId: result._id,
+      quizId: quiz._id,
+      score: scorePercentage,
+      totalQuestions,
+      correctAnswers,
+      passed,
+      passingScore,
+      takenAt: result.takenAt,
+      recordedScore: result.score,
+      gradingPolicy: quiz.gradingPolicy || "latest",
+      questionResults,
+      hasEssayQuestions,
+      essayQuestionsCount: essayQuestionsList.length,
+      gradingStatus:
+        isNew || hasEssayQuestions ? result.gradingStatus : "completed",
+    },
+  };
+};
+
+module.exports = {
+  PASSING_SCORE,
+  DEFAULT_ESSAY_GUIDELINE,
+  AUTO_GRADED_QUESTION_POINTS,
+  getPassingScore,
+  getEssayScore,
+  isEssayReviewed,
+  findEssayAnswer,
+  computeTotalScore,
+  computeRecordedScore,
+  getScoreHistory,
+  recomputeResultScore,
+  gradeQuizSubmission,
+};
@@ -0,0 +1,410 @@
+const StudentQuizResult = require("../models/StudentQuizResult");
+const QuizAttempt = require("../models/QuizAttemptModel");
+const QuestionBankQuestion = require("../models/QuestionBankModel");
+
+/**
+ * Phân tích câu hỏi (item analysis) của một quiz từ StudentQuizResult.details:
+ * độ khó, độ phân biệt, tỉ lệ chọn từng phương án nhiễu, thời gian trung bình và độ tin cậy KR-20.
+ * Mỗi học viên được tính một lần theo lượt gần nhất (details chỉ lưu lượt gần nhất).
+ * Câu tự luận do AI chấm riêng nên không nằm trong phân tích.
+ */
+
+const CHOICE_TYPES = ["multiple-choice", "true-false", "multi-select"];
+
+// Nhóm trên / dưới lấy 27% học viên theo điểm (Kelley)
+const GROUP_RATIO = 0.27;
+
+// Ngưỡng gắn cờ câu hỏi cần xem lại
+const FLAG_THRESHOLDS = {
+  tooHard: 20, // Dưới 20% làm đúng
+  tooEasy: 95, // Trên 95% làm đúng
+  lowDiscrimination: 0.2,
+  minResponses: 5, // Ít hơn số lượt này thì chưa gắn cờ theo số liệu
+};
+
+const LETTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+const round = (value, digits = 2) =>
+  value === null || value === undefined
+    ? null
+    : Math.round(value * 10 ** digits) / 10 ** digits;
+
+const average = (values) =>
+  values.length === 0
+    ? null
+    : values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const getItemKey = (questionResult) =>
+  questionResult.bankQuestionId
+    ? `bank:${questionResult.bankQuestionId}`
+    : `quiz:${questionResult.originalIndex ?? questionResult.questionIndex}`;
+
+/**
+ * KR-20 trên các câu cố định của quiz (đúng/sai theo isCorrect).
+ * Chỉ tính học viên đã làm đủ các câu này; quiz random / rút từ ngân hàng thường không đủ dữ liệu.
+ * @returns {{kr20: ?number, itemCount: number, respondentCount: number, note: ?string}}
+ */
+const computeKr20 = (quiz, respondents) => {
+  const keys = [];
+  quiz.questions.forEach((question, index) => {
+    if (question.type !== "essay") keys.push(`quiz:${index}`);
+  });
+  const complete = respondents.filter((respondent) =>
+    keys.every((key) => respondent.responses.has(key))
+  );
+  const base = { itemCount: keys.length, respondentCount: complete.length };
+
+  if (keys.length < 2) {
+    return {
+      ...base,
+      kr20: null,
+      note: "Needs at least 2 auto-graded questions",
+    };
+  }
+  if (complete.length < 2) {
+    return {
+      ...base,
+      kr20: null,
+      note: "Needs at least 2 students who answered every question",
+    };
+  }
+
+  const totals = complete.map(
+    (respondent) =>
+      keys.filter((key) => respondent.responses.get(key).isCorrect).length
+  );
+  const mean = average(totals);
+  const variance = average(totals.map((total) => (total - mean) ** 2));
+  if (variance === 0) {
+    return {
+      ...base,
+      kr20: null,
+      note: "All students have the same total score",
+    };
+  }
+
+  const sumPq = keys.reduce((sum, key) => {
+    const p =
+      complete.filter((respondent) => respondent.responses.get(key).isCorrect)
+        .length / complete.length;
+    return sum + p * (1 - p);
+  }, 0);
+  const k = keys.length;
+  return {
+    ...base,
+    kr20: round((k / (k - 1)) * (1 - sumPq / variance), 3),
+    note: null,
+  };
+};
+
+/**
+ * Tính báo cáo từ dữ liệu đã tải (hàm thuần, không truy vấn DB)
+ * @param {Object} params
+ * @param {Object} params.quiz - Quiz document / object
+ * @param {Array} params.results - StudentQuizResult có details.questionResults
+ * @param {Map<string, Object>} [params.bankQuestions] - Câu ngân hàng theo id, để lấy nội dung phương án
+ * @param {Array<number>} [params.attemptDurations] - Thời gian làm bài (giây) của các lượt đã nộp
+ */
+const analyzeQuizItems = ({
+  quiz,
+  results,
+  bankQuestions = new Map(),
+  attemptDurations = [],
+}) => {
+  const respondents = results
+    .filter(
+      (result) =>
+        result.details && Array.isArray(result.details.questionResults)
+    )
+    .map((result) => ({
+      userId: result.userId,
+      score: Number(result.details.scorePercentage) || 0,
+      responses: new Map(
+        result.details.questionResults.map((questionResult) => [
+          getItemKey(questionResult),
+          questionResult,
+        ])
+      ),
+    }));
+
+  // Nhóm trên / dưới theo điểm lượt gần nhất
+  const ranked = [...respondents].sort((a, b) => b.score - a.score);
+  const groupSize =
+    ranked.length >= 2
+      ? Math.max(1, Math.round(ranked.length * GROUP_RATIO))
+      : 0;
+  const upperGroup = new Set(ranked.slice(0, groupSize));
+  const lowerGroup = new Set(ranked.slice(ranked.length - groupSize));
+
+  // Thứ tự: câu cố định theo vị trí trong quiz, sau đó câu ngân hàng theo lần đầu xuất hiện
+  const itemKeys = [];
+  quiz.questions.forEach((question, index) => {
+    if (question.type !== "essay") itemKeys.push(`quiz:${index}`);
+  });
+  respondents.forEach((respondent) => {
+    respondent.responses.forEach((_, key) => {
+      if (!itemKeys.includes(key)) itemKeys.push(key);
+    });
+  });
+
+  const items = itemKeys.map((key, itemIndex) => {
+    const responders = respondents.filter((respondent) =>
+      respondent.responses.has(key)
+    );
+    const responses = responders.map((respondent) =>
+      respondent.responses.get(key)
+    );
+    const sample = responses[0] || {};
+
+    const isBank = key.startsWith("bank:");
+    const originalIndex = isBank ? null : Number(key.slice("quiz:".length));
+    const question = isBank
+      ? bankQuestions.get(key.slice("bank:".length))
+      : quiz.questions[originalIndex];
+    const questionType =
+      sample.questionType || question?.type || "multiple-choice";
+
+    const credits = responses.map((response) =>
+      Number(response.credit ?? (response.isCorrect ? 1 : 0))
+    );
+    const meanCredit = average(credits);
+
+    const groupCredit = (group) =>
+      average(
+        responders
+          .filter((respondent) => group.has(respondent))
+          .map((respondent) => {
+            const response = respondent.responses.get(key);
+            return Number(response.credit ?? (response.isCorrect ? 1 : 0));
+          })
+      );
+    const upperCredit = groupCredit(upperGroup);
+    const lowerCredit = groupCredit(lowerGroup);
+    const discrimination =
+      upperCredit === null || lowerCredit === null
+        ? null
+        : upperCredit - lowerCredit;
+
+    const times = responses
+      .map((response) => response.timeSpent)
+      .filter((value) => Number.isFinite(value) && value >= 0);
+
+    // Tần suất chọn từng phương án (câu chọn đáp án)
+    let options = null;
+    if (CHOICE_TYPES.includes(questionType)) {
+      // Câu đã bị xóa khỏi ngân hàng: suy số phương án từ đáp án đã chấm (chặn chỉ số bất thường)
+      const optionCount =
+        question?.answers?.length ||
+        Math.min(
+          LETTERS.length,
+          Math.max(
+            0,
+            ...responses
+              .flatMap((response) => [
+                ...(response.userAnswers || []),
+                ...(response.correctAnswers || []),
+              ])
+              .map((answer) => Number(answer.index) + 1)
+              .filter(Number.isInteger)
+          )
+        );
+      options = Array.from({ length: optionCount }, (_, index) => {
+        const chose = (respondent) =>
+          (respondent.responses.get(key).userAnswers || []).some(
+            (answer) => Number(answer.index) === index
+          );
+        const count = responders.filter(chose).length;
+        const isCorrect = question?.answers?.[index]
+          ? Boolean(question.answers[index].isCorrect)
+          : (sample.correctAnswers || []).some(
+              (answer) => Number(answer.index) === index
+            );
+        return {
+          index,
+          label: LETTERS[index] || String(index + 1),
+          content:
+            question?.answers?.[index]?.content ??
+            responses
+              .flatMap((response) => response.userAnswers || [])
+              .find((answer) => Number(answer.index) === index)?.content ??
+            "",
+          isCorrect,
+          count,
+          percent: responders.length
+            ? round((count / responders.length) * 100, 1)
+            : 0,
+          upperCount: responders.filter(
+            (respondent) => upperGroup.has(respondent) && chose(respondent)
+          ).length,
+          lowerCount: responders.filter(
+            (respondent) => lowerGroup.has(respondent) && chose(respondent)
+          ).length,
+        };
+      });
+    }
+    const skippedCount = responses.filter(
+      (response) =>
+        CHOICE_TYPES.includes(questionType) &&
+        (!response.userAnswers || response.userAnswers.length === 0)
+    ).length;
+
+    const difficulty = meanCredit === null ? null : round(meanCredit * 100, 1);
+    const flags = [];
+    if (responses.length >= FLAG_THRESHOLDS.minResponses) {
+      if (difficulty < FLAG_THRESHOLDS.tooHard) flags.push("too_hard");
+      if (difficulty > FLAG_THRESHOLDS.tooEasy) flags.push("too_easy");
+      if (discrimination !== null && discrimination < 0) {
+        flags.push("negative_discrimination");
+      } else if (
+        discrimination !== null &&
+        discrimination < FLAG_THRESHOLDS.lowDiscrimination
+      ) {
+        flags.push("low_discrimination");
+      }
+      if (
+        options &&
+        options.some((option) => !option.isCorrect && option.count === 0)
+      ) {
+        flags.push("unused_distractor");
+      }
+      if (
+        options &&
+        options.some(
+          (option) => !option.isCorrect && option.upperCount > option.lowerCount
+        )
+      ) {
+        flags.push("distractor_attracts_upper_group");
+      }
+    }
+
+    return {
+      number: itemIndex + 1,
+      originalIndex,
+      bankQuestionId: isBank ? key.slice("bank:".length) : null,
+      questionContent:
+        question?.content || sample.questionContent || "No content",
+      questionType,
+      responses: responses.length,
+      correctCount: responses.filter((response) => response.isCorrect).length,
+      skippedCount,
+      // Độ khó: % điểm trung bình của câu (câu đúng một phần tính lẻ), càng cao càng dễ
+      difficulty,
+      // Độ phân biệt D = điểm TB nhóm trên - nhóm dưới (-1..1)
+      discrimination: round(discrimination),
+      averageTimeSeconds: round(average(times), 1),
+      timedResponses: times.length,
+      options,
+      flags,
+    };
+  });
+
+  const durations = attemptDurations.filter(
+    (value) => Number.isFinite(value) && value >= 0
+  );
+
+  return {
+    quizId: quiz._id,
+    title: quiz.title,
+    respondents: respondents.length,
+    averageScore: round(average(respondents.map((r) => r.score)), 1),
+    averageDurationSeconds: round(average(durations), 1),
+    groupSize,
+    reliability: computeKr20(quiz, respondents),
+    items,
+  };
+};
+
+/**
+ * Tải dữ liệu và tính báo cáo phân tích câu hỏi cho quiz
+ * @param {Object} quiz - Quiz document
+ */
+const getQuizItemAnalysis = async (quiz) => {
+  const [results, attempts] = await Promise.all([
+    StudentQuizResult.find({ quizId: quiz._id })
+      .select("userId details")
+      .lean(),
+    QuizAttempt.find({
+      quizId: quiz._id,
+      status: { $in: ["submitted", "auto_submitted"] },
+      submittedAt: { $ne: null },
+    })
+      .select("startedAt submittedAt")
+      .lean(),
+  ]);
+
+  const bankIds = new Set();
+  results.forEach((result) =>
+    (result.details?.questionResults || []).forEach((questionResult) => {
+      if (questionResult.bankQuestionId) {
+        bankIds.add(String(questionResult.bankQuestionId));
+      }
+    })
+  );
+  const bankDocs = bankIds.size
+    ? await QuestionBankQuestion.find({ _id: { $in: [...bankIds] } }).lean()
+    : [];
+
+  return analyzeQuizItems({
+    quiz,
+    results,
+    bankQuestions: new Map(bankDocs.map((doc) => [String(doc._id), doc])),
+    attemptDurations: attempts.map(
+      (attempt) => (attempt.submittedAt - attempt.startedAt) / 1000
+    ),
+  });
+};
+
+const escapeCsv = (value) => {
+  let text = String(value ?? "");
+  // Tránh Excel hiểu nội dung là công thức
+  if (/^[=+@]/.test(text) || /^-[^\d]/.test(text)) text = `'${text}`;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV mỗi dòng một câu hỏi
+ * @param {Object} report - Kết quả analyzeQuizItems
+ * @returns {string}
+ */
+const buildItemAnalysisCsv = (report) => {
+  const header = [
+    "number",
+    "type",
+    "question",
+    "responses",
+    "difficulty_percent",
+    "discrimination",
+    "avg_time_seconds",
+    "options",
+    "flags",
+  ];
+  const rows = report.items.map((item) =>
+    [
+      item.number,
+      item.questionType,
+      item.questionContent,
+      item.responses,
+      item.difficulty,
+      item.discrimination,
+      item.averageTimeSeconds,
+      (item.options || [])
+        .map(
+          (option) =>
+            `${option.label}${option.isCorrect ? "*" : ""}: ${option.count} (${option.percent}%)`
+        )
+        .join(" | "),
+      item.flags.join(" "),
+    ]
+      .map(escapeCsv)
+      .join(",")
+  );
+  // BOM để Excel đọc đúng UTF-8
+  return "\uFEFF" + [header.join(","), ...rows].join("\n");
+};
+
+module.exports = {
+  FLAG_THRESHOLDS,
+  analyzeQuizItems,
+  getQuizItemAnalysis,
+  buildItemAnalysisCsv,
+};
@@ -0,0 +1,403 @@
+/**
+ * Service các loại câu hỏi quiz: kiểm tra câu hỏi hợp lệ khi tạo/sửa và chấm từng câu.
+ * Mỗi câu được chấm ra credit từ 0 đến 1 (1 = đúng hoàn toàn, giữa 0 và 1 = đúng một phần).
+ *
+ * Định dạng đáp án học viên gửi lên (phần tử của answers khi nộp bài):
+ * - multiple-choice / true-false / multi-select: { selectedAnswers: [index] }
+ * - fill-in-blank: { textAnswer: "..." }
+ * - numeric: { numericAnswer: 3.14 } (hoặc textAnswer là chuỗi số)
+ * - matching: { matches: [{ left: pairIndex, right: itemId }] }
+ * - ordering: { order: [itemId, ...] } theo thứ tự học viên sắp xếp
+ *
+ * Học viên không nhận đáp án của matching/ordering: vế phải và các mục cần sắp xếp
+ * được gửi xáo trộn kèm id mờ (xem toStudentQuestion), bài nộp tham chiếu theo id đó.
+ */
+
+const crypto = require("crypto");
+
+const QUESTION_TYPES = [
+  "multiple-choice",
+  "true-false",
+  "essay",
+  "multi-select",
+  "fill-in-blank",
+  "matching",
+  "ordering",
+  "numeric",
+];
+
+const CHOICE_TYPES = ["multiple-choice", "true-false", "multi-select"];
+
+// Các trường lộ đáp án, không gửi cho học viên
+const ANSWER_KEY_FIELDS = [
+  "acceptedAnswers",
+  "numericAnswer",
+  "tolerance",
+  "matchingPairs",
+  "orderingItems",
+];
+
+// Khóa ký id mục; giá trị ngẫu nhiên chỉ dùng khi thiếu cấu hình (id đổi sau khi restart)
+const ITEM_ID_SECRET =
+  process.env.QUIZ_ITEM_ID_SECRET ||
+  process.env.JWT_ACCESS_SECRET ||
+  crypto.randomBytes(32).toString("hex");
+
+const normalizeText = (value, caseSensitive) => {
+  const text = String(value ?? "")
+    .trim()
+    .replace(/\s+/g, " ");
+  return caseSensitive ? text : text.toLowerCase();
+};
+
+const toNumber = (value) => {
+  if (typeof value === "number") return value;
+  if (typeof value !== "string" || value.trim() === "") return NaN;
+  // Cho phép dấu phẩy thập phân (3,14)
+  return Number(value.trim().replace(",", "."));
+};
+
+/**
+ * Gán id mờ cho các mục (vế phải matching, mục ordering). Id chỉ phụ thuộc nội dung
+ * và số lần nội dung đó đã xuất hiện, nên không lộ vị trí đúng và vẫn ổn định giữa
+ * các lần tải quiz (kể cả câu rút từ ngân hàng, vốn không có _id).
+ * @param {string} kind - "matching" hoặc "ordering"
+ * @param {string[]} contents - Nội dung các mục theo thứ tự đúng
+ * @returns {{id: string, content: string}[]}
+ */
+const toItems = (kind, contents) => {
+  const seen = new Map();
+  return contents.map((content) => {
+    const occurrence = seen.get(content) || 0;
+    seen.set(content, occurrence + 1);
+    const id = crypto
+      .createHmac("sha256", ITEM_ID_SECRET)
+      .update(`${kind}:${occurrence}:${content}`)
+      .digest("hex")
+      .slice(0, 16);
+    return { id, content };
+  });
+};
+
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+const getCorrectAnswerIndices = (question) =>
+  (question.answers || []).reduce((indices, answer, index) => {
+    if (answer && answer.isCorrect) indices.push(index);
+    return indices;
+  }, []);
+
+/**
+ * Kiểm tra một câu hỏi có đủ dữ liệu chấm điểm theo loại của nó
+ * @returns {?string} Thông báo lỗi, null nếu hợp lệ
+ */
+const validateQuestion = (question) => {
+  const type = question.type || "multiple-choice";
+  if (!QUESTION_TYPES.includes(type)) {
+    return `unsupported question type "${type}"`;
+  }
+
+  switch (type) {
+    case "multiple-choice":
+    case "true-false":
+    case "multi-select": {
+      if (
+        !Array.isArray(question.answers) ||
+        !question.answers.some((answer) => answer && answer.isCorrect)
+      ) {
+        return "has no correct answer marked";
+      }
+      return null;
+    }
+    case "essay":
+      // QuizQuestionSchema bắt buộc essayGuideline cho câu tự luận
+      return question.essayGuideline ? null : "needs an essay guideline";
+    case "fill-in-blank": {
+      const accepted = (question.acceptedAnswers || []).filter(
+        (answer) => typeof answer === "string" && answer.trim() !== ""
+      );
+      return accepted.length > 0 ? null : "needs at least one accepted answer";
+    }
+    case "matching": {
+      const pairs = question.matchingPairs || [];
+      if (pairs.length < 2) return "needs at least two matching pairs";
+      const valid = pairs.every(
+        (pair) =>
+          pair &&
+          String(pair.left ?? "").trim() &&
+          String(pair.right ?? "").trim()
+      );
+      return valid ? null : "has a matching pair with an empty side";
+    }
+    case "ordering":
+      return (question.orderingItems || []).length >= 2
+        ? null
+        : "needs at least two items to order";
+    case "numeric": {
+      if (!Number.isFinite(toNumber(question.numericAnswer))) {
+        return "needs a numeric answer";
+      }
+      const tolerance =
+        question.tolerance === undefined ? 0 : toNumber(question.tolerance);
+      return Number.isFinite(tolerance) && tolerance >= 0
+        ? null
+        : "has an invalid tolerance";
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Kiểm tra danh sách câu hỏi, trả về lỗi đầu tiên kèm số thứ tự câu
+ * @returns {?string}
+ */
+const validateQuestions = (questions) => {
+  for (let i = 0; i < questions.length; i++) {
+    const error = validateQuestion(questions[i] || {});
+    if (error) return `Question ${i + 1} ${error}`;
+  }
+  return null;
+};
+
+const answerContent = (question, index) =>
+  question.answers && question.answers[index]
+    ? question.answers[index].content
+    : "Invalid answer";
+
+/**
+ * Chấm câu chọn đáp án. multiple-choice / true-false chỉ đúng khi chọn đúng toàn bộ;
+ * multi-select có partialCredit: (số đáp án đúng đã chọn - số đáp án sai đã chọn) / số đáp án đúng.
+ */
+const gradeChoice = (question, userAnswer) => {
+  const selectedAnswers = Array.isArray(userAnswer.selectedAnswers)
+    ? userAnswer.selectedAnswers
+    : [];
+  const correctIndices = getCorrectAnswerIndices(question);
+
+  const exact =
+    selectedAnswers.length === correctIndices.length &&
+    selectedAnswers.every((index) => correctIndices.includes(index)) &&
+    correctIndices.every((index) => selectedAnswers.includes(index));
+
+  let credit = exact ? 1 : 0;
+  if (
+    !exact &&
+    question.type === "multi-select" &&
+    question.partialCredit !== false &&
+    correctIndices.length > 0
+  ) {
+    const selected = [...new Set(selectedAnswers)];
+    const hits = selected.filter((index) => correctIndices.includes(index));
+    const misses = selected.length - hits.length;
+    credit = Math.max(0, (hits.length - misses) / correctIndices.length);
+  }
+
+  return {
+    credit,
+    userAnswers: selectedAnswers.map((index) => ({
+      index,
+      content: answerContent(question, index),
+    })),
+    correctAnswers: correctIndices.map((index) => ({
+      index,
+      content: answerContent(question, index),
+    })),
+  };
+};
+
+const gradeFillInBlank = (question, userAnswer) => {
+  const caseSensitive = Boolean(question.caseSensitive);
+  const given = normalizeText(userAnswer.textAnswer, caseSensitive);
+  const accepted = (question.acceptedAnswers || []).map((answer) =>
+    normalizeText(answer, caseSensitive)
+  );
+  return {
+    credit: given !== "" && accepted.includes(given) ? 1 : 0,
+    userAnswers: [{ content: userAnswer.textAnswer ?? "" }],
+    correctAnswers: (question.acceptedAnswers || []).map((content) => ({
+      content,
+    })),
+  };
+};
+
+const gradeNumeric = (question, userAnswer) => {
+  const raw =
+    userAnswer.numericAnswer !== undefined
+      ? userAnswer.numericAnswer
+      : userAnswer.textAnswer;
+  const given = toNumber(raw);
+  const expected = toNumber(question.numericAnswer);
+  const tolerance = toNumber(question.tolerance ?? 0) || 0;
+  // Sai số nhỏ để tránh lỗi làm tròn dấu phẩy động (0.1 + 0.2)
+  const correct =
+    Number.isFinite(given) &&
+    Math.abs(given - expected) <= tolerance + Number.EPSILON * 100;
+  return {
+    credit: correct ? 1 : 0,
+    userAnswers: [{ content: raw === undefined ? "" : String(raw) }],
+    correctAnswers: [
+      {
+        content: tolerance
+          ? `${question.numericAnswer} ± ${tolerance}`
+          : String(question.numericAnswer),
+      },
+    ],
+  };
+};
+
+const gradeMatching = (question, userAnswer) => {
+  const pairs = question.matchingPairs || [];
+  const matches = Array.isArray(userAnswer.matches) ? userAnswer.matches : [];
+  const rightById = new Map(
+    toItems(
+      "matching",
+      pairs.map((pair) => pair.right)
+    ).map((item) => [item.id, item.content])
+  );
+  // Mỗi vế trái chỉ tính lần ghép đầu tiên; vế phải là id mục đã gửi cho học viên
+  const rightByLeft = new Map();
+  for (const match of matches) {
+    if (match && !rightByLeft.has(match.left)) {
+      rightByLeft.set(match.left, rightById.get(match.right));
+    }
+  }
+  // So sánh theo nội dung để các cặp trùng vế phải vẫn được tính đúng
+  const correctCount = pairs.filter(
+    (pair, index) =>
+      rightByLeft.get(index) !== undefined &&
+      rightByLeft.get(index) === pair.right
+  ).length;
+
+  const ratio = pairs.length ? correctCount / pairs.length : 0;
+  return {
+    credit: question.partialCredit === false ? Math.floor(ratio) : ratio,
+    userAnswers: [...rightByLeft.entries()].map(([left, right]) => ({
+      content: `${pairs[left]?.left ?? "?"} → ${right ?? "?"}`,
+    })),
+    correctAnswers: pairs.map((pair) => ({
+      content: `${pair.left} → ${pair.right}`,
+    })),
+  };
+};
+
+const gradeOrdering = (question, userAnswer) => {
+  const items = question.orderingItems || [];
+  const order = Array.isArray(userAnswer.order) ? userAnswer.order : [];
+  const contentById = new Map(
+    toItems("ordering", items).map((item) => [item.id, item.content])
+  );
+  // Mục đứng ở từng vị trí theo id học viên gửi; id lạ (hoặc chỉ số cũ) không khớp mục nào
+  const chosen = order.map((id) => contentById.get(id));
+  const inPlace = items.filter(
+    (item, position) =>
+      chosen[position] !== undefined && chosen[position] === item
+  ).length;
+
+  const ratio = items.length ? inPlace / items.length : 0;
+  return {
+    credit: question.partialCredit === false ? Math.floor(ratio) : ratio,
+    userAnswers: chosen.map((content) => ({
+      content: content ?? "Invalid item",
+    })),
+    correctAnswers: items.map((content, index) => ({ index, content })),
+  };
+};
+
+const GRADERS = {
+  "multiple-choice": gradeChoice,
+  "true-false": gradeChoice,
+  "multi-select": gradeChoice,
+  "fill-in-blank": gradeFillInBlank,
+  numeric: gradeNumeric,
+  matching: gradeMatching,
+  ordering: gradeOrdering,
+};
+
+/**
+ * Chấm một câu hỏi (trừ tự luận, do AI chấm riêng)
+ * @param {Object} question - Câu hỏi trong quiz
+ * @param {Object} userAnswer - Đáp án học viên, có questionIndex và originalIndex
+ * @returns {Object} Kết quả câu hỏi (questionResults) kèm credit 0..1
+ */
+const gradeQuestion = (question, userAnswer) => {
+  const { questionIndex, originalIndex } = userAnswer;
+  const type = question.type || "multiple-choice";
+  const base = {
+    questionIndex, // Vị trí trong danh sách câu hỏi đã random (cho frontend)
+    originalIndex, // Vị trí trong quiz gốc (cho backend)
+    questionType: type,
+    questionContent: question.content || "No content",
+  };
+
+  if (
+    CHOICE_TYPES.includes(type) &&
+    (!question.answers || !Array.isArray(question.answers))
+  ) {
+    return {
+      ...base,
+      userAnswers: (userAnswer.selectedAnswers || []).map((index) => ({
+        index,
+        content: "Invalid answer structure",
+      })),
+      correctAnswers: [],
+      credit: 0,
+      isCorrect: false,
+      error: "Question has no answers array",
+    };
+  }
+
+  const grader = GRADERS[type] || gradeChoice;
+  const { credit, userAnswers, correctAnswers } = grader(question, userAnswer);
+  const roundedCredit = Math.round(credit * 100) / 100;
+  return {
+    ...base,
+    userAnswers,
+    correctAnswers,
+    credit: roundedCredit,
+    isCorrect: roundedCredit === 1,
+  };
+};
+
+/**
+ * Bản câu hỏi gửi cho học viên: bỏ các trường đáp án; matching chỉ giữ vế trái theo
+ * thứ tự gốc (matchingLeft) và vế phải xáo trộn (matchingRight), ordering gửi các mục
+ * đã xáo trộn, đều kèm id mờ để nộp bài
+ * @param {Object} question - Câu hỏi dạng object thường (đã toObject)
+ * @returns {Object}
+ */
+const toStudentQuestion = (question) => {
+  const studentQuestion = { ...question };
+  for (const field of ANSWER_KEY_FIELDS) delete studentQuestion[field];
+
+  if (question.type === "matching") {
+    const pairs = question.matchingPairs || [];
+    studentQuestion.matchingLeft = pairs.map((pair) => pair.left);
+    studentQuestion.matchingRight = shuffle(
+      toItems(
+        "matching",
+        pairs.map((pair) => pair.right)
+      )
+    );
+  } else if (question.type === "ordering") {
+    studentQuestion.orderingItems = shuffle(
+      toItems("ordering", question.orderingItems || [])
+    );
+  }
+  return studentQuestion;
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  validateQuestion,
+  validateQuestions,
+  gradeQuestion,
+  toStudentQuestion,
+};
@@ -0,0 +1,434 @@
+const mongoose = require("mongoose");
+const Subscription = require("../models/subscriptionModel");
+const SubscriptionUsage = require("../models/subscriptionUsageModel");
+const SubscriptionPoolPayout = require("../models/subscriptionPoolPayoutModel");
+const Payment = require("../models/paymentModel");
+const Enrollment = require("../models/enrollmentModel");
+const Course = require("../models/courseModel");
+const Counter = require("../models/counterModel");
+const {
+  recordSubscriptionSale,
+  hasLedgerEntry,
+  recordSubscriptionPool,
+  syncInstructorBalance,
+} = require("./ledgerService");
+const { getEffectiveCommission } = require("./commissionService");
+
+/**
+ * Service gói đăng ký: gia hạn kỳ sử dụng, kiểm tra quyền học,
+ * hết hạn tự động và chia quỹ doanh thu đăng ký cho giảng viên.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DUPLICATE_KEY_CODE = 11000;
+// Bộ đếm dùng làm khóa: mọi lần chia quỹ cùng ghi vào document này trong transaction
+const POOL_PAYOUT_LOCK_ID = "subscription-pool-payout";
+
+const createSubscriptionError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const addInterval = (date, interval) => {
+  const result = new Date(date);
+  if (interval === "yearly") {
+    result.setFullYear(result.getFullYear() + 1);
+  } else {
+    result.setMonth(result.getMonth() + 1);
+  }
+  return result;
+};
+
+const startOfUtcDay = (date = new Date()) =>
+  new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+
+/**
+ * Gói còn cho phép học tại thời điểm at:
+ * active/past_due tới hết thời gian gia hạn, cancelled tới hết kỳ hiện tại.
+ */
+const isSubscriptionUsable = (subscription, at = new Date()) => {
+  if (["active", "past_due"].includes(subscription.status)) {
+    return !!subscription.graceEndsAt && subscription.graceEndsAt >= at;
+  }
+  if (subscription.status === "cancelled") {
+    return (
+      !!subscription.currentPeriodEnd && subscription.currentPeriodEnd >= at
+    );
+  }
+  return false;
+};
+
+/**
+ * Tìm gói đăng ký còn hạn của học viên có mở khóa khóa học này.
+ * @param {string} userId
+ * @param {Object} course - Course doc (cần subscriptionTiers)
+ * @returns {Promise<Object|null>} Subscription (đã populate planId) hoặc null
+ */
+const findUsableSubscriptionForCourse = async (userId, course) => {
+  const tiers = course.subscriptionTiers || [];
+  if (tiers.length === 0) return null;
+
+  const subscriptions = await Subscription.find({
+    userId,
+    status: { $in: ["active", "past_due", "cancelled"] },
+  }).populate("planId", "name tier interval");
+
+  return (
+    subscriptions.find(
+      (sub) =>
+        sub.planId &&
+        tiers.includes(sub.planId.tier) &&
+        isSubscriptionUsable(sub)
+    ) || null
+  );
+};
+
+/**
+ * Kiểm tra quyền học một khóa học: mua lẻ/gói khóa học, gói đăng ký còn hạn,
+ * giảng viên sở hữu khóa học hoặc admin.
+ * @param {Object} user - req.user
+ * @param {string} courseId
+ * @returns {Promise<{hasAccess: boolean, via: ?string, reason: ?string}>}
+ */
+const getCourseAccess = async (user, courseId) => {
+  const course = await Course.findById(courseId).select(
+    "createdBy subscriptionTiers"
+  );
+  if (!course) {
+    return { hasAccess: false, via: null, reason: "Course not found." };
+  }
+
+  if (user.role === "admin") return { hasAccess: true, via: "admin" };
+  if (course.createdBy?.toString() === user._id.toString()) {
+    return { hasAccess: true, via: "owner" };
+  }
+
+  const enrollment = await Enrollment.findOne({
+    userId: user._id,
+    courseId,
+    status: { $in: ["enrolled", "completed"] },
+  });
+
+  if (enrollment && !enrollment.subscriptionId) {
+    return { hasAccess: true, via: "enrollment" };
+  }
+
+  const subscription = await findUsableSubscriptionForCourse(user._id, course);
+  if (subscription) return { hasAccess: true, via: "subscription" };
+
+  return {
+    hasAccess: false,
+    via: null,
+    reason: enrollment
+      ? "Your subscription has expired. Please renew to continue learning."
+      : "You are not enrolled in this course.",
+  };
+};
+
+/**
+ * Gia hạn gói khi webhook xác nhận thanh toán thành công và ghi sổ doanh thu.
+ * Gia hạn liền mạch từ cuối kỳ cũ nếu gói chưa hết thời gian gia hạn,
+ * ngược lại kỳ mới bắt đầu từ thời điểm thanh toán.
+ */
+const activateSubscriptionPayment = async ({ payment, transaction }) => {
+  const subscription = await Subscription.findById(
+    payment.subscriptionId
+  ).populate("planId");
+  if (!subscription || !subscription.planId) {
+    throw new Error(`Subscription ${payment.subscriptionId} not found`);
+  }
+
+  // Xử lý lại cùng một Payment (replay webhook) không gia hạn thêm kỳ
+  if (subscription.lastPaymentId?.toString() !== payment._id.toString()) {
+    const plan = subscription.planId;
+    const now = payment.paymentDate || new Date();
+    const continues =
+      subscription.status !== "pending" &&
+      subscription.currentPeriodEnd &&
+      isSubscriptionUsable(subscription, now);
+    const periodStart = continues ? subscription.currentPeriodEnd : now;
+    const periodEnd = addInterval(periodStart, plan.interval);
+
+    subscription.status = "active";
+    subscription.currentPeriodStart = periodStart;
+    subscription.currentPeriodEnd = periodEnd;
+    subscription.graceEndsAt = new Date(
+      periodEnd.getTime() + plan.gracePeriodDays * DAY_MS
+    );
+    subscription.cancelledAt = undefined;
+    subscription.lastPaymentId = payment._id;
+    await subscription.save();
+  }
+
+  const alreadyRecorded = await hasLedgerEntry({
+    transactionId: transaction._id,
+    type: "subscription_sale",
+  });
+  if (!alreadyRecorded) {
+    await recordSubscriptionSale({
+      transactionId: transaction._id,
+      amount: parseFloat(payment.amount.toString()),
+    });
+  }
+
+  return subscription;
+};
+
+/**
+ * Cập nhật trạng thái các gói đã hết kỳ:
+ * active -> past_due (hết kỳ), past_due -> expired (hết gia hạn),
+ * cancelled -> expired (hết kỳ).
+ */
+const expireSubscriptions = async (at = new Date()) => {
+  const pastDue = await Subscription.updateMany(
+    { status: "active", currentPeriodEnd: { $lt: at } },
+    { $set: { status: "past_due" } }
+  );
+  const expired = await Subscription.updateMany(
+    {
+      $or: [
+        { status: "past_due", graceEndsAt: { $lt: at } },
+        { status: "cancelled", currentPeriodEnd: { $lt: at } },
+      ],
+    },
+    { $set: { status: "expired" } }
+  );
+
+  return {
+    pastDue: pastDue.modifiedCount,
+    expired: expired.modifiedCount,
+  };
+};
+
+/**
+ * Bắt đầu job kiểm tra hết hạn gói đăng ký
+ * @param {number} intervalMinutes - Khoảng thời gian giữa các lần check (phút)
+ */
+const startSubscriptionExpiryService = (intervalMinutes = 60) => {
+  const run = async () => {
+    try {
+      const result = await expireSubscriptions();
+      if (result.pastDue || result.expired) {
+        console.log(
+          `⏰ [SUBSCRIPTION] past_due: ${result.pastDue}, expired: ${result.expired}`
+        );
+      }
+    } catch (error) {
+      console.error("❌ [SUBSCRIPTION] Error expiring subscriptions:", error);
+    }
+  };
+
+  run();
+  setInterval(run, intervalMinutes * 60 * 1000);
+  console.log(
+    `✅ [SUBSCRIPTION] Expiry service started (every ${intervalMinutes} minutes)`
+  );
+};
+
+/**
+ * Ghi nhận mức sử dụng bài học của học viên học qua gói đăng ký.
+ * Bỏ qua nếu enrollment không phải ghi danh qua gói.
+ * @param {Object} params
+ * @param {Object} params.enrollment - Enrollment của học viên
+ * @param {string} params.lessonId
+ * @param {number} [params.watchSeconds] - Số giây xem thêm
+ * @param {boolean} [params.completed] - Bài học vừa được hoàn thành
+ */
+const recordSubscriptionLessonUsage = async ({
+  enrollment,
+  lessonId,
+  watchSeconds = 0,
+  completed = false,
+}) => {
+  if (!enrollment || !enrollment.subscriptionId) return null;
+
+  const course = await Course.findById(enrollment.courseId).select("createdBy");
+  if (!course || !course.createdBy) return null;
+
+  const filter = {
+    userId: enrollment.userId,
+    lessonId,
+    day: startOfUtcDay(),
+  };
+  const update = {
+    $setOnInsert: {
+      subscriptionId: enrollment.subscriptionId,
+      courseId: enrollment.courseId,
+      instructorId: course.createdBy,
+    },
+    $inc: { watchSeconds: Math.max(watchSeconds, 0) },
+  };
+
+  // Mỗi bài học chỉ tính một lần hoàn thành
+  if (completed) {
+    const alreadyCompleted = await SubscriptionUsage.exists({
+      userId: enrollment.userId,
+      lessonId,
+      completedAt: { $ne: null },
+    });
+    if (!alreadyCompleted) update.$set = { completedAt: new Date() };
+  }
+
+  return SubscriptionUsage.findOneAndUpdate(filter, update, {
+    upsert: true,
+    new: true,
+  });
+};
+
+const createOverlappingPoolError = () =>
+  createSubscriptionError("This period overlaps an existing pool payout", 409);
+
+const findOverlappingPoolPayout = (periodStart, periodEnd, session = null) =>
+  SubscriptionPoolPayout.exists({
+    periodStart: { $lt: periodEnd },
+    periodEnd: { $gt: periodStart },
+  }).session(session);
+
+/**
+ * Chia quỹ doanh thu đăng ký của một kỳ cho giảng viên theo mức sử dụng.
+ * Quỹ = doanh thu đăng ký trong kỳ * tỉ lệ chia mặc định cho giảng viên.
+ * Các lần chia quỹ được tuần tự hóa bằng khóa trong transaction, nên hai kỳ chồng nhau
+ * không thể cùng được chi.
+ * @param {Object} params
+ * @param {Date} params.periodStart
+ * @param {Date} params.periodEnd - Không bao gồm
+ * @param {string} params.metric - "completions" | "watch_time"
+ * @param {string} [params.createdBy] - Admin thực hiện
+ * @returns {Promise<Object>} SubscriptionPoolPayout
+ */
+const distributeSubscriptionPool = async ({
+  periodStart,
+  periodEnd,
+  metric = "completions",
+  createdBy,
+}) => {
+  if (!(periodStart < periodEnd)) {
+    throw createSubscriptionError("periodEnd must be after periodStart");
+  }
+
+  if (await findOverlappingPoolPayout(periodStart, periodEnd)) {
+    throw createOverlappingPoolError();
+  }
+
+  const payments = await Payment.find({
+    subscriptionId: { $exists: true },
+    status: "completed",
+    paymentDate: { $gte: periodStart, $lt: periodEnd },
+  }).select("amount");
+  const revenue = payments.reduce(
+    (sum, p) => sum + parseFloat(p.amount.toString()),
+    0
+  );
+
+  const usageMatch =
+    metric === "watch_time"
+      ? { day: { $gte: periodStart, $lt: periodEnd } }
+      : { completedAt: { $gte: periodStart, $lt: periodEnd } };
+  const usage = await SubscriptionUsage.aggregate([
+    { $match: usageMatch },
+    {
+      $group: {
+        _id: "$instructorId",
+        units:
+          metric === "watch_time" ? { $sum: "$watchSeconds" } : { $sum: 1 },
+      },
+    },
+    { $match: { units: { $gt: 0 } } },
+    { $sort: { units: -1 } },
+  ]);
+  const totalUnits = usage.reduce((sum, u) => sum + u.units, 0);
+
+  if (revenue <= 0 || totalUnits === 0) {
+    throw createSubscriptionError(
+      "No subscription revenue or usage in this period"
+    );
+  }
+
+  const { instructorShareRate } = await getEffectiveCommission({
+    at: periodEnd,
+  });
+  const poolAmount = Math.round(revenue * instructorShareRate);
+
+  // Chia theo tỉ lệ mức sử dụng, giảng viên cuối nhận phần làm tròn còn lại
+  let remaining = poolAmount;
+  const allocations = usage.map((u, index) => {
+    const amount =
+      index === usage.length - 1
+        ? remaining
+        : Math.round((poolAmount * u.units) / totalUnits);
+    remaining -= amount;
+    return { instructorId: u._id, units: u.units, amount };
+  });
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    // Ghi khóa trước: lần chia quỹ đồng thời ghi cùng document sẽ bị WriteConflict
+    await Counter.findOneAndUpdate(
+      { _id: POOL_PAYOUT_LOCK_ID },
+      { $inc: { seq: 1 } },
+      { upsert: true, session }
+    );
+    // Kiểm tra lại trong transaction: kỳ chồng nhau có thể vừa được chi xong
+    if (await findOverlappingPoolPayout(periodStart, periodEnd, session)) {
+      throw createOverlappingPoolError();
+    }
+
+    const [payout] = await SubscriptionPoolPayout.create(
+      [
+        {
+          periodStart,
+          periodEnd,
+          metric,
+          revenue,
+          poolAmount,
+          instructorShareRate,
+          totalUnits,
+          allocations,
+          createdBy,
+        },
+      ],
+      { session }
+    );
+
+    await recordSubscriptionPool(
+      { subscriptionPoolPayoutId: payout._id, allocations },
+      session
+    );
+    for (const allocation of allocations) {
+      await syncInstructorBalance(allocation.instructorId, session);
+    }
+
+    await session.commitTransaction();
+    return payout;
+  } catch (error) {
+    await session.abortTransaction();
+    if (
+      error.code === DUPLICATE_KEY_CODE ||
+      error.hasErrorLabel?.("TransientTransactionError")
+    ) {
+      throw createSubscriptionError(
+        "Another pool payout for this period is in progress or already recorded",
+        409
+      );
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = {
+  createSubscriptionError,
+  isSubscriptionUsable,
+  findUsableSubscriptionForCourse,
+  getCourseAccess,
+  activateSubscriptionPayment,
+  expireSubscriptions,
+  startSubscriptionExpiryService,
+  recordSubscriptionLessonUsage,
+  distributeSubscriptionPool,
+};
@@ -0,0 +1,258 @@
+const crypto = require("crypto");
+const payOs = require("../config/payos");
+const Transaction = require("../models/transactionModel");
+const WebhookEvent = require("../models/webhookEventModel");
+const {
+  completePendingTransaction,
+  fulfillCompletedTransaction,
+} = require("./paymentCompletionService");
+
+/**
+ * Service nhật ký webhook PayOS: lưu mọi webhook nhận được cùng kết quả kiểm tra chữ ký,
+ * bỏ qua các lần gửi lặp lại và cho phép admin xử lý lại (replay) webhook bị lỗi.
+ */
+
+const DUPLICATE_KEY_CODE = 11000;
+// Event "processing" lâu hơn mốc này coi như tiến trình xử lý đã chết giữa chừng
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+const createWebhookEventError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const hashBody = (rawBody) =>
+  crypto.createHash("sha256").update(rawBody).digest("hex");
+
+/**
+ * Áp dụng một webhook đã xác thực lên giao dịch tương ứng.
+ * @param {Object} data - WebhookData đã xác thực chữ ký
+ * @param {Object} options
+ * @param {boolean} options.resume - Lần xử lý lại: tiếp tục fulfill nếu giao dịch đã completed
+ * @returns {Promise<{status: string, outcome: string}>}
+ */
+const applyPayOsEvent = async (data, { io, resume }) => {
+  if (data.code !== "00") {
+    return { status: "ignored", outcome: "payment_not_successful" };
+  }
+
+  const transaction = await Transaction.findOne({ orderCode: data.orderCode });
+  if (!transaction) {
+    return { status: "ignored", outcome: "transaction_not_found" };
+  }
+
+  if (transaction.status === "pending") {
+    const result = await completePendingTransaction({
+      transaction,
+      gatewayTransactionId: data.reference || data.paymentLinkId,
+      io,
+    });
+    // Job đối soát đã chiếm giao dịch trước
+    if (!result) return { status: "ignored", outcome: "already_completed" };
+    return { status: "processed", outcome: "completed" };
+  }
+
+  // Giao dịch đã completed nhưng lần xử lý trước bị lỗi giữa chừng: chạy tiếp các bước còn thiếu
+  if (transaction.status === "completed" && resume) {
+    await fulfillCompletedTransaction({ transaction, io });
+    return { status: "processed", outcome: "fulfillment_resumed" };
+  }
+
+  return {
+    status: "ignored",
+    outcome:
+      transaction.status === "completed"
+        ? "already_completed"
+        : `transaction_${transaction.status}`,
+  };
+};
+
+/**
+ * Điều kiện chiếm lại một event: đang failed, hoặc processing quá PROCESSING_TIMEOUT_MS
+ * (event cũ chưa có processingStartedAt thì tính theo updatedAt)
+ */
+const reclaimableFilter = () => {
+  const cutoff = new Date(Date.now() - PROCESSING_TIMEOUT_MS);
+  return {
+    $or: [
+      { status: "failed" },
+      { status: "processing", processingStartedAt: { $lte: cutoff } },
+      {
+        status: "processing",
+        processingStartedAt: null,
+        updatedAt: { $lte: cutoff },
+      },
+    ],
+  };
+};
+
+/**
+ * Xử lý một event đã được chiếm (status processing) và lưu kết quả.
+ * @returns {Promise<Object>} WebhookEvent sau khi xử lý
+ */
+const processEvent = async (event, { io }) => {
+  event.attempts += 1;
+  try {
+    const { status, outcome } = await applyPayOsEvent(event.payload.data, {
+      io,
+      resume: event.attempts > 1,
+    });
+    event.status = status;
+    event.outcome = outcome;
+    event.lastError = undefined;
+    event.processedAt = new Date();
+  } catch (error) {
+    console.error(
+      `[WEBHOOK] Error processing order ${event.orderCode}:`,
+      error
+    );
+    event.status = "failed";
+    event.outcome = "error";
+    event.lastError = error.message;
+  }
+  event.processingStartedAt = undefined;
+  await event.save();
+  return event;
+};
+
+/**
+ * Ghi nhận một lần nhận lặp lại của event đã có
+ */
+const markDuplicate = (filter, update = {}) =>
+  WebhookEvent.findOneAndUpdate(
+    filter,
+    {
+      $set: { ...update, lastDuplicateAt: new Date() },
+      $inc: { duplicateCount: 1 },
+    },
+    { new: true }
+  );
+
+/**
+ * Lưu webhook sai chữ ký. Các lần gửi lặp lại cùng body chỉ tăng bộ đếm.
+ */
+const recordRejectedEvent = async ({ payload, rawBody, signatureError }) => {
+  const eventKey = `payos:invalid:${hashBody(rawBody)}`;
+  try {
+    const event = await WebhookEvent.create({
+      provider: "payos",
+      eventKey,
+      orderCode: Number(payload?.data?.orderCode) || undefined,
+      payload: payload ?? {},
+      signatureValid: false,
+      signatureError,
+      status: "rejected",
+      outcome: "invalid_signature",
+    });
+    return { event, duplicate: false };
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY_CODE) throw error;
+    return { event: await markDuplicate({ eventKey }), duplicate: true };
+  }
+};
+
+/**
+ * Nhận một webhook PayOS: kiểm tra chữ ký, lưu nhật ký và xử lý đúng một lần.
+ * Webhook lặp lại của event đã xử lý xong là no-op; lặp lại của event lỗi sẽ được thử lại.
+ * @param {Object} params
+ * @param {Object} params.payload - Body webhook
+ * @param {string} params.rawBody - Body gốc (dùng làm khóa cho webhook sai chữ ký)
+ * @param {Object} [params.io] - Socket.IO server
+ * @param {Object} [params.payOsClient] - Client PayOS (mặc định config/payos)
+ * @returns {Promise<{event: Object, duplicate: boolean}>}
+ */
+const handleIncomingPayOsWebhook = async ({
+  payload,
+  rawBody,
+  io = null,
+  payOsClient = payOs,
+}) => {
+  let data;
+  try {
+    data = await payOsClient.webhooks.verify(payload);
+  } catch (error) {
+    return recordRejectedEvent({
+      payload,
+      rawBody,
+      signatureError: error.message,
+    });
+  }
+
+  const eventKey = `payos:${data.orderCode}:${
+    data.reference || data.paymentLinkId
+  }`;
+
+  let event;
+  try {
+    event = await WebhookEvent.create({
+      provider: "payos",
+      eventKey,
+      orderCode: data.orderCode,
+      payload,
+      signatureValid: true,
+      processingStartedAt: new Date(),
+    });
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY_CODE) throw error;
+
+    // Bản lặp: chỉ thử lại nếu lần trước lỗi hoặc bị treo, các trạng thái khác là no-op
+    event = await markDuplicate(
+      { eventKey, ...reclaimableFilter() },
+      { status: "processing", processingStartedAt: new Date() }
+    );
+    if (!event) {
+      return { event: await markDuplicate({ eventKey }), duplicate: true };
+    }
+  }
+
+  return { event: await processEvent(event, { io }), duplicate: false };
+};
+
+/**
+ * Admin xử lý lại một webhook bị lỗi. Chỉ event hợp lệ chữ ký và đang failed (hoặc processing
+ * quá PROCESSING_TIMEOUT_MS) mới được replay; event được chiếm nguyên tử nên hai lần replay
+ * đồng thời chỉ một lần chạy.
+ * @param {string} eventId
+ * @param {Object} params
+ * @param {Object} params.user - Admin thực hiện
+ * @param {Object} [params.io] - Socket.IO server
+ * @returns {Promise<Object>} WebhookEvent sau khi xử lý lại
+ */
+const replayWebhookEvent = async (eventId, { user, io = null }) => {
+  const event = await WebhookEvent.findOneAndUpdate(
+    { _id: eventId, signatureValid: true, ...reclaimableFilter() },
+    { $set: { status: "processing", processingStartedAt: new Date() } },
+    { new: true }
+  );
+  if (!event) {
+    const existing = await WebhookEvent.findById(eventId).select(
+      "status signatureValid"
+    );
+    if (!existing)
+      throw createWebhookEventError("Webhook event not found", 404);
+    throw createWebhookEventError(
+      existing.signatureValid
+        ? `Only failed or stalled processing events can be replayed (current status: ${existing.status})`
+        : "Events with an invalid signature cannot be replayed",
+      409
+    );
+  }
+
+  const processed = await processEvent(event, { io });
+  processed.replays.push({
+    replayedBy: user._id,
+    replayedAt: new Date(),
+    status: processed.status,
+    error: processed.lastError,
+  });
+  await processed.save();
+  return processed;
+};
+
+module.exports = {
+  PROCESSING_TIMEOUT_MS,
+  createWebhookEventError,
+  handleIncomingPayOsWebhook,
+  replayWebhookEvent,
+};
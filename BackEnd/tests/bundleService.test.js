@@ -0,0 +1,126 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const Bundle = require("../models/bundleModel");
+const {
+  allocateBundlePrice,
+  getBundlesForCheckout,
+  getCourseSalePrices,
+} = require("../services/bundleService");
+
+const course = (price) => ({ _id: new mongoose.Types.ObjectId(), price });
+
+/**
+ * Stub cho Bundle.find().populate().session()
+ */
+const mockBundles = (bundles) =>
+  mock.method(Bundle, "find", () => ({
+    populate() {
+      return this;
+    },
+    session: async () => bundles,
+  }));
+
+afterEach(() => mock.restoreAll());
+
+describe("allocateBundlePrice", () => {
+  it("splits the bundle price by course price and sums to the bundle price", () => {
+    const courses = [course(300000), course(200000), course(100000)];
+
+    const allocations = allocateBundlePrice(400000, courses);
+
+    assert.deepEqual(
+      allocations.map((allocation) => allocation.amount),
+      [200000, 133333, 66667]
+    );
+    assert.deepEqual(
+      allocations.map((allocation) => allocation.courseId),
+      courses.map((c) => c._id)
+    );
+  });
+
+  it("splits evenly when every course is free", () => {
+    const allocations = allocateBundlePrice(100000, [
+      course(0),
+      course(0),
+      course(0),
+    ]);
+
+    assert.deepEqual(
+      allocations.map((allocation) => allocation.amount),
+      [33333, 33333, 33334]
+    );
+  });
+});
+
+describe("getBundlesForCheckout", () => {
+  it("returns the allocations of each active bundle", async () => {
+    const courses = [course(300000), course(100000)];
+    const find = mockBundles([
+      {
+        _id: new mongoose.Types.ObjectId(),
+        title: "Fullstack",
+        price: 200000,
+        courseIds: courses,
+      },
+    ]);
+    const bundleId = new mongoose.Types.ObjectId();
+
+    const [bundle] = await getBundlesForCheckout([bundleId, bundleId]);
+
+    assert.deepEqual(find.mock.calls[0].arguments[0], {
+      _id: { $in: [String(bundleId)] },
+      status: "active",
+    });
+    assert.deepEqual(bundle.courseIds, [courses[0]._id, courses[1]._id]);
+    assert.deepEqual(
+      bundle.allocations.map((allocation) => allocation.amount),
+      [150000, 50000]
+    );
+  });
+
+  it("answers 404 for a bundle that is missing or no longer sold", async () => {
+    mockBundles([]);
+
+    await assert.rejects(
+      getBundlesForCheckout([new mongoose.Types.ObjectId()]),
+      { statusCode: 404 }
+    );
+  });
+
+  it("answers 409 for a bundle with a deleted course", async () => {
+    mockBundles([
+      {
+        _id: new mongoose.Types.ObjectId(),
+        title: "Fullstack",
+        price: 200000,
+        courseIds: [course(100000), null],
+      },
+    ]);
+
+    await assert.rejects(
+      getBundlesForCheckout([new mongoose.Types.ObjectId()]),
+      { statusCode: 409 }
+    );
+  });
+});
+
+describe("getCourseSalePrices", () => {
+  it("reads the single course and bundle allocations of a payment", () => {
+    const single = new mongoose.Types.ObjectId();
+    const bundled = new mongoose.Types.ObjectId();
+
+    const salePrices = getCourseSalePrices({
+      allocations: [{ courseId: single, amount: 90000 }],
+      bundles: [{ allocations: [{ courseId: bundled, amount: 150000 }] }],
+    });
+
+    assert.equal(salePrices.get(String(single)), 90000);
+    assert.equal(salePrices.get(String(bundled)), 150000);
+  });
+
+  it("is empty for a payment without allocations", () => {
+    assert.equal(getCourseSalePrices({}).size, 0);
+  });
+});
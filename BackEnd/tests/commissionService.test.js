@@ -0,0 +1,133 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const CommissionRate = require("../models/commissionRateModel");
+const {
+  FALLBACK_COMMISSION_RATE,
+  getEffectiveCommission,
+  findOverlappingRate,
+} = require("../services/commissionService");
+
+/**
+ * Các bản ghi đang có hiệu lực theo phạm vi; findOne trả bản ghi của phạm vi được hỏi
+ */
+const mockRates = (ratesByScope) =>
+  mock.method(CommissionRate, "findOne", (filter) => ({
+    sort: async () => ratesByScope[filter.scope] || null,
+  }));
+
+const rate = (scope, commissionRate) => ({
+  _id: new mongoose.Types.ObjectId(),
+  scope,
+  commissionRate,
+});
+
+const ids = {
+  courseId: new mongoose.Types.ObjectId(),
+  instructorId: new mongoose.Types.ObjectId(),
+};
+
+afterEach(() => mock.restoreAll());
+
+describe("getEffectiveCommission", () => {
+  it("prefers the course rate over the instructor and default rates", async () => {
+    const courseRate = rate("course", 0.1);
+    mockRates({
+      course: courseRate,
+      instructor: rate("instructor", 0.25),
+      default: rate("default", 0.3),
+    });
+
+    const commission = await getEffectiveCommission(ids);
+
+    assert.equal(commission.source, "course");
+    assert.equal(commission.commissionRate, 0.1);
+    assert.equal(commission.instructorShareRate, 0.9);
+    assert.equal(commission.rateId, courseRate._id);
+  });
+
+  it("falls back to the instructor rate, then the default rate", async () => {
+    const findOne = mockRates({
+      instructor: rate("instructor", 0.25),
+      default: rate("default", 0.3),
+    });
+
+    assert.equal((await getEffectiveCommission(ids)).source, "instructor");
+    assert.deepEqual(
+      findOne.mock.calls.map((call) => call.arguments[0].scope),
+      ["course", "instructor"]
+    );
+
+    findOne.mock.resetCalls();
+    const commission = await getEffectiveCommission({});
+    assert.equal(commission.source, "default");
+    assert.equal(commission.commissionRate, 0.3);
+    assert.deepEqual(
+      findOne.mock.calls.map((call) => call.arguments[0].scope),
+      ["default"]
+    );
+  });
+
+  it("uses the built-in rate when nothing is configured", async () => {
+    mockRates({});
+
+    const commission = await getEffectiveCommission(ids);
+
+    assert.equal(commission.source, "fallback");
+    assert.equal(commission.commissionRate, FALLBACK_COMMISSION_RATE);
+    assert.equal(commission.rateId, null);
+  });
+
+  it("looks up the rates in effect at the payment time", async () => {
+    const findOne = mockRates({});
+    const at = new Date("2026-03-15");
+
+    await getEffectiveCommission({ ...ids, at });
+
+    const [filter] = findOne.mock.calls[0].arguments;
+    assert.deepEqual(filter.effectiveFrom, { $lte: at });
+    assert.deepEqual(filter.$or, [
+      { effectiveTo: null },
+      { effectiveTo: { $gt: at } },
+    ]);
+  });
+});
+
+describe("findOverlappingRate", () => {
+  it("matches an open-ended rate of the same instructor", async () => {
+    const findOne = mock.method(CommissionRate, "findOne", async () => null);
+    const effectiveFrom = new Date("2026-01-01");
+
+    await findOverlappingRate({
+      scope: "instructor",
+      instructorId: ids.instructorId,
+      effectiveFrom,
+    });
+
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], {
+      scope: "instructor",
+      instructorId: ids.instructorId,
+      $or: [{ effectiveTo: null }, { effectiveTo: { $gt: effectiveFrom } }],
+    });
+  });
+
+  it("bounds the search by the end of the new period and skips the edited rate", async () => {
+    const findOne = mock.method(CommissionRate, "findOne", async () => null);
+    const effectiveTo = new Date("2026-06-01");
+    const excludeId = new mongoose.Types.ObjectId();
+
+    await findOverlappingRate({
+      scope: "course",
+      courseId: ids.courseId,
+      effectiveFrom: new Date("2026-01-01"),
+      effectiveTo,
+      excludeId,
+    });
+
+    const [filter] = findOne.mock.calls[0].arguments;
+    assert.deepEqual(filter.effectiveFrom, { $lt: effectiveTo });
+    assert.equal(filter.courseId, ids.courseId);
+    assert.deepEqual(filter._id, { $ne: excludeId });
+  });
+});
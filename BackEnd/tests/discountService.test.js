@@ -0,0 +1,157 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const Discount = require("../models/discountModel");
+const DiscountRedemption = require("../models/discountRedemptionModel");
+const {
+  reserveDiscountForTransaction,
+  redeemDiscountForTransaction,
+  cancelDiscountForTransaction,
+} = require("../services/discountService");
+
+const session = { id: "session" };
+
+const createReservation = () => ({
+  discount: { _id: new mongoose.Types.ObjectId() },
+  userId: new mongoose.Types.ObjectId(),
+  transactionId: new mongoose.Types.ObjectId(),
+  discountAmount: 50000,
+  session,
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("reserveDiscountForTransaction", () => {
+  it("counts the reservation in usage inside the checkout session", async () => {
+    const updateOne = mock.method(Discount, "updateOne", async () => ({
+      modifiedCount: 1,
+    }));
+    const save = mock.method(
+      DiscountRedemption.prototype,
+      "save",
+      async function () {
+        return this;
+      }
+    );
+    const params = createReservation();
+
+    const redemption = await reserveDiscountForTransaction(params);
+
+    const [filter, update, options] = updateOne.mock.calls[0].arguments;
+    assert.equal(filter._id, params.discount._id);
+    assert.ok(filter.$or, "usage is only incremented while under usageLimit");
+    assert.deepEqual(update, { $inc: { usage: 1 } });
+    assert.equal(options.session, session);
+    assert.equal(save.mock.calls[0].arguments[0].session, session);
+    assert.equal(redemption.usageReserved, true);
+    assert.equal(redemption.status, "pending");
+  });
+
+  it("rejects the checkout when the usage limit is reached", async () => {
+    mock.method(Discount, "updateOne", async () => ({ modifiedCount: 0 }));
+    const save = mock.method(DiscountRedemption.prototype, "save");
+
+    await assert.rejects(reserveDiscountForTransaction(createReservation()), {
+      statusCode: 400,
+      message: "Mã giảm giá đã hết lượt sử dụng.",
+    });
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  it("rejects a second pending order of the same user with a 400", async () => {
+    mock.method(Discount, "updateOne", async () => ({ modifiedCount: 1 }));
+    mock.method(DiscountRedemption.prototype, "save", async () => {
+      const error = new Error("E11000 duplicate key");
+      error.code = 11000;
+      throw error;
+    });
+
+    await assert.rejects(reserveDiscountForTransaction(createReservation()), {
+      statusCode: 400,
+    });
+  });
+
+  it("maps a write conflict with a concurrent checkout to a 409", async () => {
+    mock.method(Discount, "updateOne", async () => {
+      const error = new Error("WriteConflict");
+      error.hasErrorLabel = (label) => label === "TransientTransactionError";
+      throw error;
+    });
+
+    await assert.rejects(reserveDiscountForTransaction(createReservation()), {
+      statusCode: 409,
+    });
+  });
+});
+
+describe("redeemDiscountForTransaction", () => {
+  it("does not count a reserved redemption twice", async () => {
+    const redemption = { discountId: new mongoose.Types.ObjectId() };
+    mock.method(DiscountRedemption, "findOneAndUpdate", async () => ({
+      ...redemption,
+      usageReserved: true,
+      status: "redeemed",
+    }));
+    const updateOne = mock.method(Discount, "updateOne");
+
+    const result = await redeemDiscountForTransaction(
+      new mongoose.Types.ObjectId()
+    );
+
+    assert.equal(result.status, "redeemed");
+    assert.equal(updateOne.mock.callCount(), 0);
+  });
+
+  it("counts usage for a redemption reserved before usage was reserved", async () => {
+    const discountId = new mongoose.Types.ObjectId();
+    mock.method(DiscountRedemption, "findOneAndUpdate", async () => ({
+      discountId,
+      usageReserved: false,
+    }));
+    const updateOne = mock.method(Discount, "updateOne", async () => ({
+      modifiedCount: 1,
+    }));
+
+    await redeemDiscountForTransaction(new mongoose.Types.ObjectId());
+
+    assert.equal(updateOne.mock.callCount(), 1);
+    assert.equal(updateOne.mock.calls[0].arguments[0]._id, discountId);
+    assert.deepEqual(updateOne.mock.calls[0].arguments[1], {
+      $inc: { usage: 1 },
+    });
+  });
+});
+
+describe("cancelDiscountForTransaction", () => {
+  it("releases the reserved usage", async () => {
+    const discountId = new mongoose.Types.ObjectId();
+    const findOneAndUpdate = mock.method(
+      DiscountRedemption,
+      "findOneAndUpdate",
+      async () => ({ discountId, usageReserved: true, status: "cancelled" })
+    );
+    const updateOne = mock.method(Discount, "updateOne", async () => ({
+      modifiedCount: 1,
+    }));
+
+    await cancelDiscountForTransaction(new mongoose.Types.ObjectId());
+
+    assert.equal(findOneAndUpdate.mock.calls[0].arguments[0].status, "pending");
+    assert.deepEqual(updateOne.mock.calls[0].arguments, [
+      { _id: discountId, usage: { $gt: 0 } },
+      { $inc: { usage: -1 } },
+    ]);
+  });
+
+  it("does nothing for an order without a pending redemption", async () => {
+    mock.method(DiscountRedemption, "findOneAndUpdate", async () => null);
+    const updateOne = mock.method(Discount, "updateOne");
+
+    assert.equal(
+      await cancelDiscountForTransaction(new mongoose.Types.ObjectId()),
+      null
+    );
+    assert.equal(updateOne.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,243 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+/**
+ * Thay module bằng stub trước khi nạp service
+ */
+const stubModule = (request, exports) => {
+  const modulePath = require.resolve(request);
+  require.cache[modulePath] = {
+    id: modulePath,
+    filename: modulePath,
+    loaded: true,
+    exports,
+  };
+  return exports;
+};
+
+const progress = stubModule("../services/progressService", {
+  completeQuizLessonIfPassed: mock.fn(async () => ({ completed: true })),
+});
+stubModule("../services/notificationService", {
+  createAndSendNotification: mock.fn(async () => null),
+});
+
+const StudentQuizResult = require("../models/StudentQuizResult");
+const Quiz = require("../models/QuizModel");
+const {
+  getEssayReviewQueue,
+  reviewEssayAnswer,
+} = require("../services/essayReviewService");
+
+const admin = { _id: new mongoose.Types.ObjectId(), role: "admin" };
+
+/**
+ * Kết quả có 2 câu tự động chấm (50%) và 1 câu tự luận 10 điểm AI chấm 4
+ */
+const createResult = ({ attempts = [] } = {}) =>
+  new StudentQuizResult({
+    userId: new mongoose.Types.ObjectId(),
+    quizId: new mongoose.Types.ObjectId(),
+    score: attempts.length ? attempts.at(-1).score : 50,
+    attempts,
+    details: { totalQuestions: 3, scorePercentage: 50, passed: false },
+    essayAnswers: [
+      {
+        questionIndex: 2,
+        studentAnswer: "Closures capture variables",
+        aiScore: 4,
+        maxScore: 10,
+      },
+    ],
+    gradingStatus: "completed",
+  });
+
+const setup = ({ quiz = {}, result = createResult() } = {}) => {
+  mock.method(StudentQuizResult, "findById", async () => result);
+  mock.method(Quiz, "findById", () => ({
+    select: async () => ({
+      _id: result.quizId,
+      title: "JavaScript basics",
+      passingScore: 60,
+      ...quiz,
+    }),
+  }));
+  const save = mock.method(result, "save", async () => result);
+  return { result, save };
+};
+
+const review = (result, params) =>
+  reviewEssayAnswer({
+    user: admin,
+    resultId: result._id,
+    essayId: result.essayAnswers[0]._id,
+    ...params,
+  });
+
+beforeEach(() => progress.completeQuizLessonIfPassed.mock.resetCalls());
+
+afterEach(() => mock.restoreAll());
+
+describe("reviewEssayAnswer", () => {
+  it("recomputes the recorded score with the essay grade and completes the lesson", async () => {
+    const { result, save } = setup();
+
+    const outcome = await review(result, { action: "override", score: 10 });
+
+    // (2 câu × 10 × 50% + 10) / 30
+    assert.equal(result.totalScore, 20);
+    assert.equal(result.maxTotalScore, 30);
+    assert.equal(result.latestScore, 67);
+    assert.equal(result.score, 67);
+    assert.equal(result.details.passed, true);
+    assert.equal(result.details.scorePercentage, 50);
+    assert.equal(save.mock.callCount(), 1);
+    assert.equal(outcome.passed, true);
+    assert.equal(outcome.recordedPassed, true);
+    assert.equal(outcome.lessonCompleted, true);
+    assert.equal(progress.completeQuizLessonIfPassed.mock.callCount(), 1);
+  });
+
+  it("keeps the lesson incomplete when the accepted grade does not pass", async () => {
+    const { result } = setup();
+
+    const outcome = await review(result, { action: "accept" });
+
+    // (10 + 4) / 30
+    assert.equal(result.score, 47);
+    assert.equal(result.details.passed, false);
+    assert.equal(outcome.recordedPassed, false);
+    assert.equal(outcome.lessonCompleted, false);
+    assert.equal(progress.completeQuizLessonIfPassed.mock.callCount(), 0);
+  });
+
+  it("applies the grading policy over the attempt history", async () => {
+    const { result } = setup({
+      quiz: { gradingPolicy: "best" },
+      result: createResult({
+        attempts: [
+          { score: 80, takenAt: new Date("2026-01-01") },
+          { score: 50, takenAt: new Date("2026-01-02") },
+        ],
+      }),
+    });
+
+    await review(result, { action: "override", score: 7 });
+
+    assert.deepEqual(
+      result.attempts.map((attempt) => attempt.score),
+      [80, 57]
+    );
+    assert.equal(result.latestScore, 57);
+    assert.equal(result.score, 80);
+  });
+
+  it("averages the attempts under the average policy", async () => {
+    const { result } = setup({
+      quiz: { gradingPolicy: "average" },
+      result: createResult({
+        attempts: [
+          { score: 40, takenAt: new Date("2026-01-01") },
+          { score: 50, takenAt: new Date("2026-01-02") },
+        ],
+      }),
+    });
+
+    const outcome = await review(result, { action: "override", score: 10 });
+
+    // Lượt gần nhất thành 67: (40 + 67) / 2
+    assert.equal(result.score, 54);
+    assert.equal(outcome.passed, true);
+    assert.equal(outcome.recordedPassed, false);
+  });
+
+  it("rejects an override score above the question maximum", async () => {
+    const { result, save } = setup();
+
+    await assert.rejects(review(result, { action: "override", score: 11 }), {
+      statusCode: 400,
+    });
+    assert.equal(save.mock.callCount(), 0);
+  });
+});
+
+describe("getEssayReviewQueue", () => {
+  const quiz = {
+    _id: new mongoose.Types.ObjectId(),
+    title: "JavaScript basics",
+  };
+
+  const mockQueue = ({ rows = [], total = 0 } = {}) => {
+    mock.method(Quiz, "find", () => ({
+      select: () => ({ lean: async () => [quiz] }),
+    }));
+    const aggregate = mock.method(StudentQuizResult, "aggregate", async () => [
+      { rows, total: total ? [{ count: total }] : [] },
+    ]);
+    const populate = mock.method(StudentQuizResult, "populate", async () => {});
+    return { aggregate, populate };
+  };
+
+  it("rejects an invalid quizId with a 400", async () => {
+    const find = mock.method(Quiz, "find");
+
+    for (const quizId of ["not-an-id", ["a", "b"]]) {
+      await assert.rejects(getEssayReviewQueue({ user: admin, quizId }), {
+        statusCode: 400,
+        message: "Invalid quizId",
+      });
+    }
+    assert.equal(find.mock.callCount(), 0);
+  });
+
+  it("paginates the essay answers inside the aggregation", async () => {
+    const essayAnswer = {
+      _id: new mongoose.Types.ObjectId(),
+      questionIndex: 1,
+      aiScore: 6,
+      maxScore: 10,
+    };
+    const { aggregate, populate } = mockQueue({
+      rows: [{ _id: "result", quizId: quiz._id, essayAnswer }],
+      total: 41,
+    });
+
+    const { items, total } = await getEssayReviewQueue({
+      user: admin,
+      page: 3,
+      limit: 20,
+    });
+
+    const [pipeline] = aggregate.mock.calls[0].arguments;
+    assert.deepEqual(pipeline[0].$match.quizId, { $in: [quiz._id] });
+    assert.deepEqual(pipeline[2].$match, {
+      "essayAnswers.reviewStatus": { $nin: ["accepted", "overridden"] },
+    });
+    const { rows } = pipeline.at(-1).$facet;
+    assert.deepEqual(rows.slice(0, 2), [{ $skip: 40 }, { $limit: 20 }]);
+    assert.equal(populate.mock.calls[0].arguments[1].path, "userId");
+
+    assert.equal(total, 41);
+    assert.equal(items.length, 1);
+    assert.equal(items[0].essayId, essayAnswer._id);
+    assert.equal(items[0].quiz, quiz);
+    assert.equal(items[0].reviewStatus, "pending");
+    assert.equal(items[0].aiGraded, true);
+  });
+
+  it("lists every essay answer for the all status", async () => {
+    const { aggregate } = mockQueue();
+
+    const { items, total } = await getEssayReviewQueue({
+      user: admin,
+      status: "all",
+    });
+
+    const [pipeline] = aggregate.mock.calls[0].arguments;
+    assert.equal(pipeline[0].$match.essayAnswers, undefined);
+    assert.deepEqual(pipeline[2].$match, {});
+    assert.deepEqual(items, []);
+    assert.equal(total, 0);
+  });
+});
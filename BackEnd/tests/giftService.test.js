@@ -0,0 +1,166 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const Gift = require("../models/giftModel");
+const Enrollment = require("../models/enrollmentModel");
+const User = require("../models/userModel");
+const { redeemGift } = require("../services/giftService");
+
+/**
+ * Stub cho query có .session()
+ */
+const query = (value) => ({ session: async () => value });
+
+const user = { _id: new mongoose.Types.ObjectId() };
+
+/**
+ * Mã quà chưa đổi với các khóa học cho trước; ghi lại các bước của transaction
+ */
+const setup = ({ courseIds, existingByCourse = new Map() }) => {
+  const events = [];
+  const session = {
+    startTransaction: () => events.push("start"),
+    commitTransaction: async () => events.push("commit"),
+    abortTransaction: async () => events.push("abort"),
+    endSession: () => {},
+  };
+  mock.method(mongoose, "startSession", async () => session);
+
+  const gift = new Gift({
+    code: "GIFT-ABCD-EFGH",
+    buyerId: new mongoose.Types.ObjectId(),
+    recipientEmail: "friend@example.com",
+    items: courseIds.map((courseId) => ({ courseId })),
+    paymentId: new mongoose.Types.ObjectId(),
+    transactionId: new mongoose.Types.ObjectId(),
+    status: "redeemed",
+  });
+  const claim = mock.method(Gift, "findOneAndUpdate", async () => gift);
+  mock.method(gift, "save", async (options) => {
+    events.push("gift");
+    assert.equal(options.session, session);
+    return gift;
+  });
+  mock.method(Enrollment, "findOne", (filter) =>
+    query(existingByCourse.get(String(filter.courseId)) || null)
+  );
+  mock.method(User, "updateOne", async () => ({}));
+
+  return { events, session, gift, claim };
+};
+
+afterEach(() => mock.restoreAll());
+
+describe("redeemGift", () => {
+  it("claims the code and enrolls the recipient in one transaction", async () => {
+    const courseId = new mongoose.Types.ObjectId();
+    const { events, session, claim } = setup({ courseIds: [courseId] });
+    const save = mock.method(
+      Enrollment.prototype,
+      "save",
+      async function (options) {
+        assert.equal(options.session, session);
+        events.push(`enrollment:${this.status}`);
+        return this;
+      }
+    );
+
+    const { enrolledCourseIds } = await redeemGift({
+      code: " gift-abcd-efgh ",
+      user,
+    });
+
+    assert.equal(claim.mock.calls[0].arguments[0].code, "GIFT-ABCD-EFGH");
+    assert.equal(claim.mock.calls[0].arguments[2].session, session);
+    assert.equal(save.mock.callCount(), 1);
+    assert.deepEqual(enrolledCourseIds, [courseId]);
+    assert.deepEqual(events, [
+      "start",
+      "enrollment:enrolled",
+      "gift",
+      "commit",
+    ]);
+  });
+
+  it("rolls the claim back when an enrollment fails", async () => {
+    const { events } = setup({
+      courseIds: [new mongoose.Types.ObjectId()],
+    });
+    mock.method(Enrollment.prototype, "save", async () => {
+      throw new Error("Enrollment write failed");
+    });
+
+    await assert.rejects(redeemGift({ code: "GIFT-ABCD-EFGH", user }), {
+      message: "Enrollment write failed",
+    });
+    assert.deepEqual(events, ["start", "abort"]);
+  });
+
+  it("keeps a course finished through a subscription completed", async () => {
+    const courseId = new mongoose.Types.ObjectId();
+    const completed = new Enrollment({
+      userId: user._id,
+      courseId,
+      status: "completed",
+      subscriptionId: new mongoose.Types.ObjectId(),
+    });
+    setup({
+      courseIds: [courseId],
+      existingByCourse: new Map([[String(courseId), completed]]),
+    });
+    mock.method(completed, "save", async () => completed);
+
+    const { enrolledCourseIds } = await redeemGift({
+      code: "GIFT-ABCD-EFGH",
+      user,
+    });
+
+    assert.deepEqual(enrolledCourseIds, [courseId]);
+    assert.equal(completed.status, "completed");
+    assert.equal(completed.subscriptionId, undefined);
+  });
+
+  it("skips a course the recipient already owns", async () => {
+    const courseId = new mongoose.Types.ObjectId();
+    setup({
+      courseIds: [courseId],
+      existingByCourse: new Map([
+        [String(courseId), new Enrollment({ status: "enrolled" })],
+      ]),
+    });
+    const updateOne = mock.method(User, "updateOne");
+
+    const { skippedCourseIds } = await redeemGift({
+      code: "GIFT-ABCD-EFGH",
+      user,
+    });
+
+    assert.deepEqual(skippedCourseIds, [courseId]);
+    assert.equal(updateOne.mock.callCount(), 0);
+  });
+
+  it("answers 409 for a code that was already redeemed", async () => {
+    const { events } = setup({ courseIds: [] });
+    mock.method(Gift, "findOneAndUpdate", async () => null);
+    mock.method(Gift, "exists", () => query({ _id: "gift" }));
+
+    await assert.rejects(redeemGift({ code: "GIFT-ABCD-EFGH", user }), {
+      statusCode: 409,
+    });
+    assert.deepEqual(events, ["start", "abort"]);
+  });
+
+  it("maps a write conflict with a concurrent redemption to a 409", async () => {
+    setup({ courseIds: [] });
+    mock.method(Gift, "findOneAndUpdate", async () => {
+      const error = new Error("WriteConflict");
+      error.hasErrorLabel = (label) => label === "TransientTransactionError";
+      throw error;
+    });
+
+    await assert.rejects(redeemGift({ code: "GIFT-ABCD-EFGH", user }), {
+      statusCode: 409,
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const LedgerEntry = require("../models/ledgerEntryModel");
+const { getMyStatement } = require("../controllers/ledgerController");
+
+const createResponse = () => ({
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+const requestStatement = async (query) => {
+  const res = createResponse();
+  await getMyStatement(
+    { query, user: { _id: new mongoose.Types.ObjectId(), moneyLeft: 0 } },
+    res
+  );
+  return res;
+};
+
+afterEach(() => mock.restoreAll());
+
+describe("getMyStatement", () => {
+  it("rejects an invalid startDate with a 400", async () => {
+    const aggregate = mock.method(LedgerEntry, "aggregate");
+
+    const res = await requestStatement({ startDate: "garbage" });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, "Invalid startDate");
+    assert.equal(aggregate.mock.callCount(), 0);
+  });
+
+  it("rejects an invalid endDate with a 400", async () => {
+    const res = await requestStatement({ endDate: "2026-13-45" });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, "Invalid endDate");
+  });
+
+  it("rejects a repeated query parameter with a 400", async () => {
+    const res = await requestStatement({
+      startDate: ["2026-01-01", "2026-02-01"],
+    });
+
+    assert.equal(res.statusCode, 400);
+  });
+
+  it("rejects a period that ends before it starts", async () => {
+    const res = await requestStatement({
+      startDate: "2026-02-01",
+      endDate: "2026-01-01",
+    });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, "startDate must be before endDate");
+  });
+});
@@ -0,0 +1,245 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const LedgerEntry = require("../models/ledgerEntryModel");
+const User = require("../models/userModel");
+const WithdrawalRequest = require("../models/withdrawRequestModel");
+const {
+  recordCourseSale,
+  isCourseSaleRecorded,
+  getRecordedInstructorShare,
+} = require("../services/ledgerService");
+
+/**
+ * Stub cho query có .session() (LedgerEntry.exists, User.findById...)
+ */
+const query = (value) => ({
+  session: async () => value,
+  select() {
+    return this;
+  },
+});
+
+const duplicateKeyError = () => {
+  const error = new Error("E11000 duplicate key");
+  error.code = 11000;
+  return error;
+};
+
+const decimal = (value) => mongoose.Types.Decimal128.fromString(String(value));
+
+/**
+ * Giảng viên chưa có bút toán: moneyLeft cũ và các yêu cầu rút tiền đang chờ
+ */
+const mockLegacyInstructor = ({ moneyLeft, pendingWithdrawals = [] }) => {
+  mock.method(LedgerEntry, "exists", () => query(null));
+  mock.method(User, "findById", () => query({ moneyLeft: decimal(moneyLeft) }));
+  const find = mock.method(WithdrawalRequest, "find", () =>
+    query(pendingWithdrawals.map((amount) => ({ amount: decimal(amount) })))
+  );
+  const insertMany = mock.method(
+    LedgerEntry,
+    "insertMany",
+    async (docs) => docs
+  );
+  return { find, insertMany };
+};
+
+const describeLines = (docs) =>
+  docs.map((doc) => [doc.account, doc.direction, doc.amount.toString()]);
+
+const sale = (overrides = {}) => ({
+  instructorId: new mongoose.Types.ObjectId(),
+  courseId: new mongoose.Types.ObjectId(),
+  transactionId: new mongoose.Types.ObjectId(),
+  coursePrice: 500000,
+  shareRate: 0.7,
+  ...overrides,
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("recordCourseSale", () => {
+  it("posts a balanced journal with the sale line first", async () => {
+    // Giảng viên đã có bút toán nên không ghi số dư đầu kỳ
+    mock.method(LedgerEntry, "exists", () => query({ _id: "entry" }));
+    const insertMany = mock.method(
+      LedgerEntry,
+      "insertMany",
+      async (docs) => docs
+    );
+    const params = sale();
+
+    const docs = await recordCourseSale(params);
+
+    assert.equal(insertMany.mock.callCount(), 1);
+    assert.deepEqual(
+      docs.map((doc) => [doc.account, doc.type, doc.amount.toString()]),
+      [
+        ["platform_cash", "sale", "500000"],
+        ["platform_revenue", "platform_fee", "150000"],
+        ["instructor_payable", "instructor_share", "350000"],
+      ]
+    );
+    assert.ok(docs.every((doc) => doc.journalId.equals(docs[0].journalId)));
+    assert.ok(docs.every((doc) => doc.transactionId === params.transactionId));
+  });
+
+  it("still records the sale when the instructor share is 0", async () => {
+    const insertMany = mock.method(
+      LedgerEntry,
+      "insertMany",
+      async (docs) => docs
+    );
+
+    const docs = await recordCourseSale(sale({ shareRate: 0 }));
+
+    assert.equal(insertMany.mock.callCount(), 1);
+    assert.deepEqual(
+      docs.map((doc) => doc.type),
+      ["sale", "platform_fee"]
+    );
+  });
+
+  it("treats a sale posted concurrently as already recorded", async () => {
+    mock.method(LedgerEntry, "exists", () => query({ _id: "entry" }));
+    mock.method(LedgerEntry, "insertMany", async () => {
+      throw duplicateKeyError();
+    });
+
+    assert.deepEqual(await recordCourseSale(sale()), []);
+  });
+
+  it("rethrows a duplicate sale inside a transaction", async () => {
+    mock.method(LedgerEntry, "exists", () => query({ _id: "entry" }));
+    mock.method(LedgerEntry, "insertMany", async () => {
+      throw duplicateKeyError();
+    });
+
+    await assert.rejects(recordCourseSale(sale(), { id: "session" }), {
+      code: 11000,
+    });
+  });
+});
+
+describe("sale lookups", () => {
+  it("isCourseSaleRecorded looks for the sale line", async () => {
+    const exists = mock.method(LedgerEntry, "exists", async () => null);
+    const refs = {
+      transactionId: new mongoose.Types.ObjectId(),
+      courseId: new mongoose.Types.ObjectId(),
+    };
+
+    assert.equal(await isCourseSaleRecorded(refs), false);
+    assert.deepEqual(exists.mock.calls[0].arguments[0], {
+      ...refs,
+      type: "sale",
+    });
+  });
+
+  it("getRecordedInstructorShare returns 0 for a sale without instructor share", async () => {
+    mock.method(LedgerEntry, "find", () => ({
+      select: async () => [
+        { type: "sale", amount: mongoose.Types.Decimal128.fromString("100") },
+      ],
+    }));
+
+    assert.equal(await getRecordedInstructorShare({}), 0);
+  });
+
+  it("getRecordedInstructorShare returns null for an unrecorded sale", async () => {
+    mock.method(LedgerEntry, "find", () => ({ select: async () => [] }));
+
+    assert.equal(await getRecordedInstructorShare({}), null);
+  });
+});
+
+describe("opening balance", () => {
+  it("carries the legacy balance and pending withdrawals into the ledger", async () => {
+    const { find, insertMany } = mockLegacyInstructor({
+      moneyLeft: 300000,
+      pendingWithdrawals: [100000, 50000],
+    });
+    const bulkWrite = mock.method(LedgerEntry, "bulkWrite", async () => ({
+      upsertedCount: 1,
+    }));
+    const params = sale();
+
+    await recordCourseSale(params);
+
+    assert.equal(find.mock.calls[0].arguments[0].status, "pending");
+    const [[{ updateOne }], options] = bulkWrite.mock.calls[0].arguments;
+    assert.deepEqual(updateOne.filter, {
+      instructorId: params.instructorId.toString(),
+      account: "instructor_payable",
+      type: "opening_balance",
+    });
+    assert.equal(updateOne.upsert, true);
+    assert.equal(updateOne.update.$setOnInsert.direction, "credit");
+    assert.equal(updateOne.update.$setOnInsert.amount.toString(), "300000");
+    assert.deepEqual(options, {});
+
+    // Bút toán đối ứng cùng journal với dòng instructor_payable, rồi mới tới bút toán bán
+    const [openingDocs] = insertMany.mock.calls[0].arguments;
+    assert.deepEqual(describeLines(openingDocs), [
+      ["instructor_withdrawal_hold", "credit", "150000"],
+      ["platform_revenue", "debit", "450000"],
+    ]);
+    assert.ok(
+      openingDocs.every((doc) =>
+        doc.journalId.equals(updateOne.update.$setOnInsert.journalId)
+      )
+    );
+    assert.equal(insertMany.mock.calls[1].arguments[0][0].type, "sale");
+  });
+
+  it("keeps a negative legacy balance as a debit", async () => {
+    const { insertMany } = mockLegacyInstructor({ moneyLeft: -20000 });
+    const bulkWrite = mock.method(LedgerEntry, "bulkWrite", async () => ({
+      upsertedCount: 1,
+    }));
+
+    await recordCourseSale(sale());
+
+    const [[{ updateOne }]] = bulkWrite.mock.calls[0].arguments;
+    assert.equal(updateOne.update.$setOnInsert.direction, "debit");
+    assert.equal(updateOne.update.$setOnInsert.amount.toString(), "20000");
+    assert.deepEqual(describeLines(insertMany.mock.calls[0].arguments[0]), [
+      ["platform_revenue", "credit", "20000"],
+    ]);
+  });
+
+  it("writes the opening line even for a zero balance", async () => {
+    const { insertMany } = mockLegacyInstructor({ moneyLeft: 0 });
+    const bulkWrite = mock.method(LedgerEntry, "bulkWrite", async () => ({
+      upsertedCount: 1,
+    }));
+
+    await recordCourseSale(sale());
+
+    const [[{ updateOne }]] = bulkWrite.mock.calls[0].arguments;
+    assert.equal(updateOne.update.$setOnInsert.amount.toString(), "0");
+    // Chỉ còn bút toán bán
+    assert.equal(insertMany.mock.callCount(), 1);
+    assert.equal(insertMany.mock.calls[0].arguments[0][0].type, "sale");
+  });
+
+  it("skips the counter lines when another posting upserted first", async () => {
+    const { insertMany } = mockLegacyInstructor({
+      moneyLeft: 300000,
+      pendingWithdrawals: [100000],
+    });
+    const session = { id: "session" };
+    const bulkWrite = mock.method(LedgerEntry, "bulkWrite", async () => ({
+      upsertedCount: 0,
+    }));
+
+    await recordCourseSale(sale(), session);
+
+    assert.deepEqual(bulkWrite.mock.calls[0].arguments[1], { session });
+    assert.equal(insertMany.mock.callCount(), 1);
+    assert.equal(insertMany.mock.calls[0].arguments[0][0].type, "sale");
+    assert.deepEqual(insertMany.mock.calls[0].arguments[1], { session });
+  });
+});
@@ -0,0 +1,170 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const OrganizationLicense = require("../models/organizationLicenseModel");
+const Enrollment = require("../models/enrollmentModel");
+const User = require("../models/userModel");
+const { assignSeat } = require("../services/organizationService");
+
+const userId = new mongoose.Types.ObjectId();
+const courseIds = [
+  new mongoose.Types.ObjectId(),
+  new mongoose.Types.ObjectId(),
+];
+
+const organization = {
+  members: [{ userId, status: "active" }],
+};
+
+const createLicense = (overrides = {}) =>
+  new OrganizationLicense({
+    organizationId: new mongoose.Types.ObjectId(),
+    courses: courseIds.map((courseId) => ({ courseId })),
+    seatCount: 2,
+    status: "active",
+    ...overrides,
+  });
+
+/**
+ * Chiếm chỗ học thành công; findOneAndUpdate lần sau (lưu enrollmentIds) trả về license đã cập nhật
+ */
+const mockClaim = (license) =>
+  mock.method(
+    OrganizationLicense,
+    "findOneAndUpdate",
+    async (filter, update) => {
+      if (update.$push) license.assignments.push(update.$push.assignments);
+      return license;
+    }
+  );
+
+const mockEnrollments = (existingByCourse = new Map()) =>
+  mock.method(
+    Enrollment,
+    "findOne",
+    async (filter) => existingByCourse.get(String(filter.courseId)) || null
+  );
+
+afterEach(() => mock.restoreAll());
+
+describe("assignSeat", () => {
+  it("claims a seat atomically and enrolls the member in the license courses", async () => {
+    const license = createLicense();
+    const claim = mockClaim(license);
+    mockEnrollments();
+    const save = mock.method(Enrollment.prototype, "save", async function () {
+      return this;
+    });
+    const updateUser = mock.method(User, "updateOne", async () => ({}));
+
+    const assignment = await assignSeat({ organization, license, userId });
+
+    const [filter] = claim.mock.calls[0].arguments;
+    assert.equal(filter.status, "active");
+    assert.deepEqual(filter.assignments, {
+      $not: { $elemMatch: { userId, status: "assigned" } },
+    });
+    assert.ok(filter.$expr.$lt, "the seat count is checked in the query");
+    assert.equal(save.mock.callCount(), 2);
+    assert.equal(assignment.userId, userId);
+    const [, saved] = claim.mock.calls[1].arguments;
+    assert.equal(saved.$set["assignments.$.enrollmentIds"].length, 2);
+    assert.deepEqual(
+      updateUser.mock.calls[0].arguments[1].$addToSet.enrolledCourses.$each,
+      courseIds
+    );
+  });
+
+  it("answers 409 when a concurrent assignment took the last seat", async () => {
+    const license = createLicense({ seatCount: 1 });
+    mock.method(OrganizationLicense, "findOneAndUpdate", async () => null);
+    mock.method(OrganizationLicense, "findById", async () => license);
+    const findEnrollment = mockEnrollments();
+
+    await assert.rejects(assignSeat({ organization, license, userId }), {
+      statusCode: 409,
+      message: "No seats left on this license",
+    });
+    assert.equal(findEnrollment.mock.callCount(), 0);
+  });
+
+  it("keeps an owned course and a completed subscription course", async () => {
+    const license = createLicense();
+    mockClaim(license);
+    const owned = new Enrollment({
+      userId,
+      courseId: courseIds[0],
+      status: "enrolled",
+    });
+    const finished = new Enrollment({
+      userId,
+      courseId: courseIds[1],
+      status: "completed",
+      subscriptionId: new mongoose.Types.ObjectId(),
+    });
+    mockEnrollments(
+      new Map([
+        [String(courseIds[0]), owned],
+        [String(courseIds[1]), finished],
+      ])
+    );
+    const saveOwned = mock.method(owned, "save", async () => owned);
+    mock.method(finished, "save", async () => finished);
+    mock.method(User, "updateOne", async () => ({}));
+
+    await assignSeat({ organization, license, userId });
+
+    assert.equal(saveOwned.mock.callCount(), 0);
+    assert.equal(owned.organizationLicenseId, undefined);
+    assert.equal(finished.status, "completed");
+    assert.equal(finished.subscriptionId, undefined);
+    assert.equal(finished.organizationLicenseId, license._id);
+  });
+
+  it("returns the seat and restores the enrollments when enrolling fails", async () => {
+    const license = createLicense();
+    mockClaim(license);
+    const subscribed = new Enrollment({
+      userId,
+      courseId: courseIds[0],
+      status: "enrolled",
+      subscriptionId: new mongoose.Types.ObjectId(),
+    });
+    subscribed.isNew = false;
+    const previousSubscriptionId = subscribed.subscriptionId;
+    mockEnrollments(new Map([[String(courseIds[0]), subscribed]]));
+    mock.method(subscribed, "save", async () => subscribed);
+    mock.method(Enrollment.prototype, "save", async () => {
+      throw new Error("Enrollment write failed");
+    });
+    const release = mock.method(
+      OrganizationLicense,
+      "updateOne",
+      async () => ({})
+    );
+
+    await assert.rejects(assignSeat({ organization, license, userId }), {
+      message: "Enrollment write failed",
+    });
+
+    const [, update] = release.mock.calls[0].arguments;
+    assert.ok(update.$pull.assignments._id);
+    assert.equal(subscribed.subscriptionId, previousSubscriptionId);
+    assert.equal(subscribed.organizationLicenseId, undefined);
+  });
+
+  it("refuses a user who is not an active member", async () => {
+    const claim = mock.method(OrganizationLicense, "findOneAndUpdate");
+
+    await assert.rejects(
+      assignSeat({
+        organization,
+        license: createLicense(),
+        userId: new mongoose.Types.ObjectId(),
+      }),
+      { statusCode: 404 }
+    );
+    assert.equal(claim.mock.callCount(), 0);
+  });
+});
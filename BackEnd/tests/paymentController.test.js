@@ -0,0 +1,323 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+// config/payos và config/payosPayout cần thông tin PayOS khi khởi tạo; các test stub lệnh chi
+process.env.PAYOS_CLIENT_ID ??= "test-client-id";
+process.env.PAYOS_API_KEY ??= "test-api-key";
+process.env.PAYOS_CHECKSUM_KEY ??= "test-checksum-key";
+
+/**
+ * Thay module bằng stub trước khi nạp controller
+ */
+const stubModule = (request, exports) => {
+  const modulePath = require.resolve(request);
+  require.cache[modulePath] = {
+    id: modulePath,
+    filename: modulePath,
+    loaded: true,
+    exports,
+  };
+  return exports;
+};
+
+const ledger = stubModule("../services/ledgerService", {
+  recordRefund: mock.fn(async () => []),
+  syncInstructorBalance: mock.fn(async () => 0),
+  getRecordedInstructorShare: mock.fn(async () => 350000),
+});
+stubModule("../services/paymentCompletionService", {});
+stubModule("../services/coursePrerequisiteService", {});
+const notifications = stubModule("../services/notificationService", {
+  createAndSendNotification: mock.fn(async () => null),
+});
+
+const Transaction = require("../models/transactionModel");
+const Payment = require("../models/paymentModel");
+const Enrollment = require("../models/enrollmentModel");
+const Course = require("../models/courseModel");
+const User = require("../models/userModel");
+const RefundRequest = require("../models/refundRequestModel");
+const payOsPayout = require("../config/payosPayout");
+const {
+  requestRefund,
+  approveRefundRequest,
+} = require("../controllers/paymentController");
+
+/**
+ * Stub cho query có .session() / .select()
+ */
+const query = (value) => ({
+  session: async () => value,
+  select() {
+    return this;
+  },
+});
+
+const createResponse = () => ({
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+beforeEach(() => {
+  ledger.recordRefund.mock.resetCalls();
+  ledger.syncInstructorBalance.mock.resetCalls();
+  notifications.createAndSendNotification.mock.resetCalls();
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("requestRefund", () => {
+  const userId = new mongoose.Types.ObjectId();
+  const course = {
+    _id: new mongoose.Types.ObjectId(),
+    price: 500000,
+    createdBy: new mongoose.Types.ObjectId(),
+  };
+  const enrollment = {
+    _id: new mongoose.Types.ObjectId(),
+    status: "enrolled",
+    courseId: course,
+  };
+
+  const mockPurchase = () => {
+    mock.method(Transaction, "findOne", async () => ({
+      _id: new mongoose.Types.ObjectId(),
+      userId,
+      status: "completed",
+      paymentId: new mongoose.Types.ObjectId(),
+    }));
+    mock.method(Payment, "findById", () => ({
+      populate: async () => ({
+        _id: new mongoose.Types.ObjectId(),
+        amount: mongoose.Types.Decimal128.fromString("500000"),
+        paymentDate: new Date(),
+        enrollmentIds: [enrollment],
+      }),
+    }));
+    mock.method(RefundRequest, "findOne", async () => null);
+  };
+
+  const submit = async () => {
+    const res = createResponse();
+    await requestRefund(
+      {
+        body: {
+          orderCode: 123,
+          courseId: course._id.toString(),
+          bankBin: "970422",
+          accountNumber: "0123456789",
+        },
+        user: { id: userId.toString() },
+      },
+      res
+    );
+    return res;
+  };
+
+  it("creates a refund request for the course share of the order", async () => {
+    mockPurchase();
+    const create = mock.method(RefundRequest, "create", async (doc) => doc);
+
+    const res = await submit();
+
+    assert.equal(res.statusCode, 201);
+    const [doc] = create.mock.calls[0].arguments;
+    assert.equal(doc.enrollmentId, enrollment._id);
+    assert.equal(doc.amount.toString(), "500000");
+    assert.equal(doc.instructorClawback.toString(), "350000");
+  });
+
+  it("answers 409 when a concurrent request for the enrollment wins the unique index", async () => {
+    mockPurchase();
+    mock.method(RefundRequest, "create", async () => {
+      const error = new Error("E11000 duplicate key");
+      error.code = 11000;
+      throw error;
+    });
+
+    const res = await submit();
+
+    assert.equal(res.statusCode, 409);
+  });
+
+  it("answers 409 when the enrollment already has an active request", async () => {
+    mockPurchase();
+    mock.method(RefundRequest, "findOne", async () => ({ status: "pending" }));
+    const create = mock.method(RefundRequest, "create");
+
+    const res = await submit();
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(create.mock.callCount(), 0);
+  });
+});
+
+describe("approveRefundRequest", () => {
+  let events;
+  let refundRequest;
+  let enrollment;
+  let savedTransactions;
+
+  const setup = ({ status = "pending" } = {}) => {
+    events = [];
+    savedTransactions = new Map();
+    enrollment = {
+      status: "enrolled",
+      save: async () => events.push(`enrollment:${enrollment.status}`),
+    };
+    refundRequest = new RefundRequest({
+      userId: new mongoose.Types.ObjectId(),
+      transactionId: new mongoose.Types.ObjectId(),
+      paymentId: new mongoose.Types.ObjectId(),
+      enrollmentId: new mongoose.Types.ObjectId(),
+      courseId: new mongoose.Types.ObjectId(),
+      amount: mongoose.Types.Decimal128.fromString("500000"),
+      instructorClawback: mongoose.Types.Decimal128.fromString("350000"),
+      refundAccount: { bankBin: "970422", accountNumber: "0123456789" },
+      status,
+    });
+    mock.method(refundRequest, "save", async () => {
+      events.push(`refundRequest:${refundRequest.status}`);
+      return refundRequest;
+    });
+
+    const session = {
+      startTransaction: () => events.push("start"),
+      commitTransaction: async () => events.push("commit"),
+      abortTransaction: async () => events.push("abort"),
+      endSession: () => {},
+    };
+    mock.method(mongoose, "startSession", async () => session);
+    mock.method(RefundRequest, "findById", () => query(refundRequest));
+    mock.method(Transaction, "findById", (id) =>
+      query(
+        savedTransactions.get(String(id)) || {
+          orderCode: 123,
+          status: "completed",
+        }
+      )
+    );
+    mock.method(Transaction.prototype, "save", async function () {
+      savedTransactions.set(String(this._id), this);
+      events.push(`transaction:${this.type}:${this.status}`);
+      return this;
+    });
+    mock.method(Course, "findById", () =>
+      query({ title: "Node.js", createdBy: new mongoose.Types.ObjectId() })
+    );
+    mock.method(Enrollment, "findById", () => query(enrollment));
+    mock.method(Enrollment, "countDocuments", () => query(1));
+    mock.method(User, "updateOne", async () => ({}));
+    mock.method(Payment, "findById", () =>
+      query({ enrollmentIds: [refundRequest.enrollmentId] })
+    );
+  };
+
+  const mockPayout = (implementation) =>
+    mock.method(payOsPayout.payouts, "create", async (...args) => {
+      events.push("payout");
+      return implementation(...args);
+    });
+
+  const approve = async () => {
+    const res = createResponse();
+    await approveRefundRequest(
+      {
+        params: { id: refundRequest._id.toString() },
+        body: {},
+        app: { get: () => null },
+        user: { _id: new mongoose.Types.ObjectId() },
+      },
+      res
+    );
+    return res;
+  };
+
+  it("commits the refund before calling the payout and records the outcome", async () => {
+    setup();
+    const payout = mockPayout(async () => ({ id: "payout-1" }));
+
+    const res = await approve();
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(events, [
+      "start",
+      "enrollment:cancelled",
+      "transaction:refund:pending",
+      "refundRequest:processing",
+      "commit",
+      "payout",
+      "transaction:refund:completed",
+      "refundRequest:approved",
+    ]);
+    const [body, idempotencyKey] = payout.mock.calls[0].arguments;
+    assert.equal(body.referenceId, `refund_${refundRequest._id}`);
+    assert.equal(idempotencyKey, body.referenceId);
+    assert.equal(body.amount, 500000);
+    assert.equal(refundRequest.payoutId, "payout-1");
+    assert.equal(ledger.recordRefund.mock.callCount(), 1);
+    assert.equal(notifications.createAndSendNotification.mock.callCount(), 1);
+  });
+
+  it("keeps the request processing when the payout fails", async () => {
+    setup();
+    mock.method(console, "error", () => {});
+    mockPayout(async () => {
+      throw new Error("Payout gateway timeout");
+    });
+
+    const res = await approve();
+
+    assert.equal(res.statusCode, 502);
+    assert.equal(refundRequest.status, "processing");
+    assert.equal(refundRequest.payoutError, "Payout gateway timeout");
+    assert.equal(events.at(-1), "refundRequest:processing");
+    assert.equal(notifications.createAndSendNotification.mock.callCount(), 0);
+  });
+
+  it("retries only the payout, with the same reference, on a processing request", async () => {
+    setup();
+    mock.method(console, "error", () => {});
+    const failing = mockPayout(async () => {
+      throw new Error("Payout gateway timeout");
+    });
+    await approve();
+    const [, firstKey] = failing.mock.calls[0].arguments;
+    failing.mock.restore();
+    events.length = 0;
+
+    const payout = mockPayout(async () => ({ id: "payout-1" }));
+    const res = await approve();
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(events, [
+      "start",
+      "commit",
+      "payout",
+      "transaction:refund:completed",
+      "refundRequest:approved",
+    ]);
+    assert.equal(payout.mock.calls[0].arguments[1], firstKey);
+    assert.equal(ledger.recordRefund.mock.callCount(), 1);
+    assert.equal(refundRequest.payoutError, undefined);
+  });
+
+  it("refuses a request that was already approved", async () => {
+    setup({ status: "approved" });
+    mock.method(console, "error", () => {});
+    const payout = mockPayout(async () => ({ id: "payout-1" }));
+
+    const res = await approve();
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(events, ["start", "abort"]);
+    assert.equal(payout.mock.callCount(), 0);
+  });
+});
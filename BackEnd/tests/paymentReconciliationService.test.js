@@ -0,0 +1,373 @@
+const { describe, it, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+// config/payos cần thông tin PayOS khi khởi tạo; các test dùng stub payOsClient
+process.env.PAYOS_CLIENT_ID ??= "test-client-id";
+process.env.PAYOS_API_KEY ??= "test-api-key";
+process.env.PAYOS_CHECKSUM_KEY ??= "test-checksum-key";
+
+// Thay paymentCompletionService (ghi danh, sổ cái, email...) bằng stub trước khi nạp service
+const completion = {
+  completePendingTransaction: mock.fn(),
+  cancelPendingTransaction: mock.fn(),
+  fulfillCompletedTransaction: mock.fn(),
+};
+const completionPath = require.resolve("../services/paymentCompletionService");
+require.cache[completionPath] = {
+  id: completionPath,
+  filename: completionPath,
+  loaded: true,
+  exports: completion,
+};
+
+const Transaction = require("../models/transactionModel");
+const PaymentReconciliationReport = require("../models/paymentReconciliationReportModel");
+const {
+  reconcileTransaction,
+  reconcilePendingPayments,
+} = require("../services/paymentReconciliationService");
+
+const createTransaction = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  orderCode: Math.floor(Math.random() * 1e9),
+  status: "pending",
+  amount: mongoose.Types.Decimal128.fromString("500000"),
+  ...overrides,
+});
+
+/**
+ * Stub client PayOS: trả về payment link theo orderCode, hoặc ném lỗi đã cấu hình
+ */
+const createPayOsClient = (linksByOrderCode) => ({
+  paymentRequests: {
+    get: mock.fn(async (orderCode) => {
+      const link = linksByOrderCode[orderCode];
+      if (link instanceof Error) throw link;
+      if (!link) {
+        const error = new Error("Payment link not found");
+        error.code = "101";
+        throw error;
+      }
+      return link;
+    }),
+  },
+});
+
+beforeEach(() => {
+  completion.completePendingTransaction.mock.resetCalls();
+  completion.cancelPendingTransaction.mock.resetCalls();
+  completion.fulfillCompletedTransaction.mock.resetCalls();
+  completion.completePendingTransaction.mock.mockImplementation(
+    async ({ transaction }) => ({
+      transaction: { ...transaction, status: "completed" },
+      payment: null,
+    })
+  );
+  completion.cancelPendingTransaction.mock.mockImplementation(
+    async (transaction) => ({ ...transaction, status: "cancelled" })
+  );
+  completion.fulfillCompletedTransaction.mock.mockImplementation(
+    async () => null
+  );
+});
+
+describe("reconcileTransaction", () => {
+  it("completes a pending transaction that was PAID on PayOS", async () => {
+    const transaction = createTransaction();
+    const payOsClient = createPayOsClient({
+      [transaction.orderCode]: {
+        id: "link-1",
+        status: "PAID",
+        amountPaid: 500000,
+        transactions: [{ reference: "FT123" }],
+      },
+    });
+
+    const { outcome, discrepancy } = await reconcileTransaction(transaction, {
+      payOsClient,
+      io: null,
+    });
+
+    assert.equal(outcome, "completed");
+    assert.equal(discrepancy.type, "missed_payment");
+    assert.equal(discrepancy.action, "completed");
+    assert.equal(completion.completePendingTransaction.mock.callCount(), 1);
+    const [{ arguments: args }] =
+      completion.completePendingTransaction.mock.calls;
+    assert.equal(args[0].transaction, transaction);
+    assert.equal(args[0].gatewayTransactionId, "FT123");
+  });
+
+  it("skips a PAID transaction already completed by the webhook", async () => {
+    const transaction = createTransaction();
+    const payOsClient = createPayOsClient({
+      [transaction.orderCode]: { status: "PAID", amountPaid: 500000 },
+    });
+    completion.completePendingTransaction.mock.mockImplementation(
+      async () => null
+    );
+
+    const { outcome, discrepancy } = await reconcileTransaction(transaction, {
+      payOsClient,
+    });
+
+    assert.equal(outcome, "skipped");
+    assert.equal(discrepancy, null);
+  });
+
+  it("flags a PAID transaction whose amount differs", async () => {
+    const transaction = createTransaction();
+    const payOsClient = createPayOsClient({
+      [transaction.orderCode]: { status: "PAID", amountPaid: 400000 },
+    });
+
+    const { outcome, discrepancy } = await reconcileTransaction(transaction, {
+      payOsClient,
+    });
+
+    assert.equal(outcome, "flagged");
+    assert.equal(discrepancy.type, "amount_mismatch");
+    assert.equal(discrepancy.gatewayAmount, 400000);
+    assert.equal(discrepancy.expectedAmount, 500000);
+    assert.equal(completion.completePendingTransaction.mock.callCount(), 0);
+  });
+
+  it("cancels a transaction CANCELLED on PayOS", async () => {
+    const transaction = createTransaction();
+    const payOsClient = createPayOsClient({
+      [transaction.orderCode]: {
+        status: "CANCELLED",
+        amountPaid: 0,
+        cancellationReason: "Khách hàng hủy",
+      },
+    });
+
+    const { outcome, discrepancy } = await reconcileTransaction(transaction, {
+      payOsClient,
+    });
+
+    assert.equal(outcome, "cancelled");
+    assert.equal(discrepancy.type, "gateway_cancelled");
+    assert.equal(discrepancy.message, "Khách hàng hủy");
+    assert.equal(completion.cancelPendingTransaction.mock.callCount(), 1);
+    assert.equal(
+      completion.cancelPendingTransaction.mock.calls[0].arguments[0],
+      transaction
+    );
+  });
+
+  it("cancels a transaction EXPIRED on PayOS", async () => {
+    const transaction = createTransaction();
+    const payOsClient = createPayOsClient({
+      [transaction.orderCode]: { status: "EXPIRED", amountPaid: 0 },
+    });
+
+    const { outcome, discrepancy } = await reconcileTransaction(transaction, {
+      payOsClient,
+    });
+
+    assert.equal(outcome, "cancelled");
+    assert.equal(discrepancy.gatewayStatus, "EXPIRED");
+    assert.match(discrepancy.message, /EXPIRED/);
+    assert.equal(completion.cancelPendingTransaction.mock.callCount(), 1);
+  });
+
+  it("flags an UNDERPAID transaction without completing or cancelling it", async () => {
+    const transaction = createTransaction();
+    const payOsClient = createPayOsClient({
+      [transaction.orderCode]: {
+        status: "UNDERPAID",
+        amountPaid: 300000,
+        amountRemaining: 200000,
+      },
+    });
+
+    const { outcome, discrepancy } = await reconcileTransaction(transaction, {
+      payOsClient,
+    });
+
+    assert.equal(outcome, "flagged");
+    assert.equal(discrepancy.type, "underpaid");
+    assert.match(discrepancy.message, /200000/);
+    assert.equal(completion.completePendingTransaction.mock.callCount(), 0);
+    assert.equal(completion.cancelPendingTransaction.mock.callCount(), 0);
+  });
+
+  it("leaves a transaction still PENDING on PayOS for the next run", async () => {
+    const transaction = createTransaction();
+    const payOsClient = createPayOsClient({
+      [transaction.orderCode]: { status: "PENDING", amountPaid: 0 },
+    });
+
+    const { outcome, discrepancy } = await reconcileTransaction(transaction, {
+      payOsClient,
+    });
+
+    assert.equal(outcome, "pending");
+    assert.equal(discrepancy, null);
+  });
+
+  it("flags a transaction PayOS does not know", async () => {
+    const transaction = createTransaction();
+
+    const { outcome, discrepancy } = await reconcileTransaction(transaction, {
+      payOsClient: createPayOsClient({}),
+    });
+
+    assert.equal(outcome, "flagged");
+    assert.equal(discrepancy.type, "not_found");
+  });
+
+  it("resumes fulfillment of a completed transaction without asking PayOS", async () => {
+    const transaction = createTransaction({
+      status: "completed",
+      fulfillmentStatus: "failed",
+      fulfillmentError: "Payment fulfillment failed at: ledger (timeout)",
+    });
+    const payOsClient = createPayOsClient({});
+
+    const { outcome, discrepancy } = await reconcileTransaction(transaction, {
+      payOsClient,
+    });
+
+    assert.equal(outcome, "fulfilled");
+    assert.equal(discrepancy.type, "unfulfilled_payment");
+    assert.equal(discrepancy.message, transaction.fulfillmentError);
+    assert.equal(completion.fulfillCompletedTransaction.mock.callCount(), 1);
+    assert.equal(payOsClient.paymentRequests.get.mock.callCount(), 0);
+  });
+});
+
+describe("reconcilePendingPayments", () => {
+  it("reconciles every candidate transaction and saves a report", async () => {
+    const paid = createTransaction();
+    const cancelled = createTransaction();
+    const expired = createTransaction();
+    const underpaid = createTransaction();
+    const broken = createTransaction();
+    const unfulfilled = createTransaction({
+      status: "completed",
+      fulfillmentStatus: "failed",
+    });
+    const payOsClient = createPayOsClient({
+      [paid.orderCode]: { status: "PAID", amountPaid: 500000 },
+      [cancelled.orderCode]: { status: "CANCELLED", amountPaid: 0 },
+      [expired.orderCode]: { status: "EXPIRED", amountPaid: 0 },
+      [underpaid.orderCode]: {
+        status: "UNDERPAID",
+        amountPaid: 100000,
+        amountRemaining: 400000,
+      },
+      [broken.orderCode]: { status: "PAID", amountPaid: 500000 },
+    });
+    completion.completePendingTransaction.mock.mockImplementation(
+      async ({ transaction }) => {
+        if (transaction === broken) throw new Error("Database unavailable");
+        return { transaction, payment: null };
+      }
+    );
+
+    let findFilter;
+    const find = mock.method(Transaction, "find", (filter) => {
+      findFilter = filter;
+      return {
+        sort: () => ({
+          limit: async () => [
+            paid,
+            cancelled,
+            expired,
+            underpaid,
+            broken,
+            unfulfilled,
+          ],
+        }),
+      };
+    });
+    const save = mock.method(
+      PaymentReconciliationReport.prototype,
+      "save",
+      async function () {
+        return this;
+      }
+    );
+
+    try {
+      const report = await reconcilePendingPayments({
+        payOsClient,
+        olderThanMinutes: 30,
+        trigger: "manual",
+      });
+
+      assert.equal(save.mock.callCount(), 1);
+      assert.equal(report.trigger, "manual");
+      assert.equal(report.checked, 6);
+      assert.equal(report.completed, 1);
+      assert.equal(report.cancelled, 2);
+      assert.equal(report.fulfilled, 1);
+      assert.equal(report.stillPending, 0);
+      assert.equal(report.failed, 1);
+      assert.deepEqual(
+        report.discrepancies.map((discrepancy) => discrepancy.type),
+        [
+          "missed_payment",
+          "gateway_cancelled",
+          "gateway_cancelled",
+          "underpaid",
+          "processing_error",
+          "unfulfilled_payment",
+        ]
+      );
+      assert.ok(report.finishedAt);
+
+      // Giao dịch pending quá hạn và giao dịch completed chưa xử lý xong
+      assert.equal(findFilter.type, "sale");
+      assert.deepEqual(
+        findFilter.$or.map((condition) => condition.status),
+        ["pending", "completed"]
+      );
+      assert.deepEqual(findFilter.$or[1].fulfillmentStatus, {
+        $in: ["pending", "failed"],
+      });
+    } finally {
+      find.mock.restore();
+      save.mock.restore();
+    }
+  });
+
+  it("returns null while another run is in progress", async () => {
+    let releaseFind;
+    const find = mock.method(Transaction, "find", () => ({
+      sort: () => ({
+        limit: () =>
+          new Promise((resolve) => {
+            releaseFind = () => resolve([]);
+          }),
+      }),
+    }));
+    const save = mock.method(
+      PaymentReconciliationReport.prototype,
+      "save",
+      async function () {
+        return this;
+      }
+    );
+
+    try {
+      const firstRun = reconcilePendingPayments({
+        payOsClient: createPayOsClient({}),
+      });
+      const secondRun = await reconcilePendingPayments({
+        payOsClient: createPayOsClient({}),
+      });
+      assert.equal(secondRun, null);
+
+      releaseFind();
+      const report = await firstRun;
+      assert.equal(report.checked, 0);
+    } finally {
+      find.mock.restore();
+      save.mock.restore();
+    }
+  });
+});
@@ -0,0 +1,163 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const Promotion = require("../models/promotionModel");
+const Transaction = require("../models/transactionModel");
+const { applyPromotions } = require("../services/promotionService");
+
+const categoryId = new mongoose.Types.ObjectId();
+
+const courses = [
+  {
+    _id: new mongoose.Types.ObjectId(),
+    title: "Node.js",
+    price: 300000,
+    categoryIds: [categoryId],
+  },
+  {
+    _id: new mongoose.Types.ObjectId(),
+    title: "React",
+    price: 200000,
+    categoryIds: [],
+  },
+];
+
+const promotion = (overrides) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: "Sale",
+  type: "percent",
+  value: 10,
+  stackable: false,
+  combinableWithCodes: true,
+  conditions: {},
+  ...overrides,
+});
+
+/**
+ * Khuyến mãi đang chạy (đã theo thứ tự ưu tiên) và lịch sử mua của người dùng
+ */
+const mockPromotions = (promotions, { hasPurchase = false } = {}) => {
+  mock.method(Promotion, "find", () => ({ sort: async () => promotions }));
+  mock.method(Transaction, "exists", async () =>
+    hasPurchase ? { _id: "transaction" } : null
+  );
+};
+
+const userId = new mongoose.Types.ObjectId();
+
+afterEach(() => mock.restoreAll());
+
+describe("applyPromotions", () => {
+  it("splits a site-wide discount across the courses by price", async () => {
+    mockPromotions([
+      promotion({ ruleType: "site_wide", type: "fixed", value: 100000 }),
+    ]);
+
+    const pricing = await applyPromotions({ courses, userId });
+
+    assert.deepEqual(
+      pricing.items.map((item) => item.finalPrice),
+      [240000, 160000]
+    );
+    assert.equal(pricing.subtotal, 500000);
+    assert.equal(pricing.promotionDiscount, 100000);
+    assert.equal(pricing.total, 400000);
+  });
+
+  it("caps a percent discount at maximumDiscount", async () => {
+    mockPromotions([
+      promotion({ ruleType: "site_wide", value: 50, maximumDiscount: 50000 }),
+    ]);
+
+    const pricing = await applyPromotions({ courses, userId });
+
+    assert.equal(pricing.promotionDiscount, 50000);
+    assert.equal(
+      pricing.items.reduce((sum, item) => sum + item.promotionDiscount, 0),
+      50000
+    );
+  });
+
+  it("applies a category sale only to the courses of that category", async () => {
+    mockPromotions([
+      promotion({
+        ruleType: "category_sale",
+        value: 20,
+        conditions: { categoryIds: [categoryId] },
+      }),
+    ]);
+
+    const pricing = await applyPromotions({ courses, userId });
+
+    assert.deepEqual(
+      pricing.items.map((item) => item.promotionDiscount),
+      [60000, 0]
+    );
+  });
+
+  it("requires the minimum number of courses for a bundle quantity promotion", async () => {
+    mockPromotions([
+      promotion({ ruleType: "bundle_quantity", conditions: { minCourses: 3 } }),
+    ]);
+
+    const pricing = await applyPromotions({ courses, userId });
+
+    assert.equal(pricing.promotionDiscount, 0);
+    assert.deepEqual(pricing.appliedPromotions, []);
+  });
+
+  it("gives the first-purchase offer only to new buyers", async () => {
+    const firstPurchase = promotion({ ruleType: "first_purchase", value: 10 });
+    mockPromotions([firstPurchase], { hasPurchase: true });
+    assert.equal(
+      (await applyPromotions({ courses, userId })).promotionDiscount,
+      0
+    );
+
+    mock.restoreAll();
+    mockPromotions([firstPurchase]);
+    assert.equal(
+      (await applyPromotions({ courses, userId })).promotionDiscount,
+      50000
+    );
+    // Khách chưa đăng nhập không được xét lần mua đầu
+    assert.equal((await applyPromotions({ courses })).promotionDiscount, 0);
+  });
+
+  it("stacks only stackable promotions on the discounted prices", async () => {
+    mockPromotions([
+      promotion({ ruleType: "site_wide", value: 10, stackable: true }),
+      promotion({ ruleType: "site_wide", value: 10, stackable: true }),
+      promotion({ ruleType: "site_wide", value: 50, stackable: false }),
+    ]);
+
+    const pricing = await applyPromotions({ courses, userId });
+
+    // 500000 -> 450000 -> 405000, khuyến mãi không cộng dồn bị bỏ qua
+    assert.equal(pricing.appliedPromotions.length, 2);
+    assert.equal(pricing.total, 405000);
+  });
+
+  it("does not stack on top of a promotion that is not stackable", async () => {
+    mockPromotions([
+      promotion({ ruleType: "site_wide", value: 20, stackable: false }),
+      promotion({ ruleType: "site_wide", value: 10, stackable: true }),
+    ]);
+
+    const pricing = await applyPromotions({ courses, userId });
+
+    assert.equal(pricing.appliedPromotions.length, 1);
+    assert.equal(pricing.total, 400000);
+  });
+
+  it("disables discount codes when an applied promotion is not combinable", async () => {
+    mockPromotions([
+      promotion({ ruleType: "site_wide", combinableWithCodes: false }),
+    ]);
+
+    const pricing = await applyPromotions({ courses, userId });
+
+    assert.equal(pricing.allowDiscountCode, false);
+  });
+});
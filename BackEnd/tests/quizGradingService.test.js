@@ -0,0 +1,170 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const StudentQuizResult = require("../models/StudentQuizResult");
+const Quiz = require("../models/QuizModel");
+const {
+  computeRecordedScore,
+  gradeQuizSubmission,
+} = require("../services/quizGradingService");
+
+/**
+ * Quiz 4 câu chọn đáp án, đáp án đúng là phương án đầu tiên
+ */
+const createQuiz = (overrides = {}) =>
+  new Quiz({
+    title: "JavaScript basics",
+    userId: new mongoose.Types.ObjectId(),
+    passingScore: 75,
+    questions: Array.from({ length: 4 }, (_, index) => ({
+      content: `Question ${index + 1}`,
+      type: "multiple-choice",
+      answers: [
+        { content: "Right", isCorrect: true },
+        { content: "Wrong", isCorrect: false },
+      ],
+    })),
+    ...overrides,
+  });
+
+/**
+ * Đáp án đúng cho `correct` câu đầu, sai cho các câu còn lại
+ */
+const answersWithCorrect = (correct) =>
+  Array.from({ length: 4 }, (_, index) => ({
+    questionIndex: index,
+    originalIndex: index,
+    selectedAnswers: [index < correct ? 0 : 1],
+  }));
+
+const mockStoredResult = (result) => {
+  mock.method(StudentQuizResult, "findOne", async () => result);
+  mock.method(StudentQuizResult.prototype, "save", async function () {
+    return this;
+  });
+};
+
+const submit = (quiz, correct) =>
+  gradeQuizSubmission({
+    quiz,
+    userId: new mongoose.Types.ObjectId(),
+    answers: answersWithCorrect(correct),
+  });
+
+afterEach(() => mock.restoreAll());
+
+describe("computeRecordedScore", () => {
+  it("records the latest, best or rounded average score", () => {
+    assert.equal(computeRecordedScore([90, 40, 65]), 65);
+    assert.equal(computeRecordedScore([90, 40, 65], "best"), 90);
+    assert.equal(computeRecordedScore([90, 40, 66], "average"), 65);
+    assert.equal(computeRecordedScore([], "best"), 0);
+  });
+});
+
+describe("gradeQuizSubmission", () => {
+  it("grades a first attempt against the passing score", async () => {
+    mockStoredResult(null);
+
+    const { result, isNew, data } = await submit(createQuiz(), 3);
+
+    assert.equal(isNew, true);
+    assert.equal(data.score, 75);
+    assert.equal(data.passed, true);
+    assert.equal(data.passingScore, 75);
+    assert.equal(result.score, 75);
+    assert.deepEqual(
+      result.attempts.map((attempt) => attempt.score),
+      [75]
+    );
+    assert.equal(result.gradingStatus, "completed");
+  });
+
+  it("keeps the best score under the best policy", async () => {
+    const quiz = createQuiz({ gradingPolicy: "best" });
+    const stored = new StudentQuizResult({
+      userId: new mongoose.Types.ObjectId(),
+      quizId: quiz._id,
+      score: 100,
+      attempts: [{ score: 100, takenAt: new Date("2026-01-01") }],
+    });
+    mockStoredResult(stored);
+
+    const { data } = await submit(quiz, 1);
+
+    assert.equal(data.score, 25);
+    assert.equal(data.passed, false);
+    assert.equal(data.recordedScore, 100);
+    assert.equal(stored.latestScore, 25);
+  });
+
+  it("averages every attempt under the average policy", async () => {
+    const quiz = createQuiz({ gradingPolicy: "average" });
+    mockStoredResult(
+      new StudentQuizResult({
+        userId: new mongoose.Types.ObjectId(),
+        quizId: quiz._id,
+        attempts: [
+          { score: 100, takenAt: new Date("2026-01-01") },
+          { score: 50, takenAt: new Date("2026-01-02") },
+        ],
+      })
+    );
+
+    const { result } = await submit(quiz, 0);
+
+    assert.deepEqual(
+      result.attempts.map((attempt) => attempt.score),
+      [100, 50, 0]
+    );
+    assert.equal(result.score, 50);
+  });
+
+  it("counts a legacy result without history as one attempt", async () => {
+    const quiz = createQuiz({ gradingPolicy: "latest" });
+    mockStoredResult(
+      new StudentQuizResult({
+        userId: new mongoose.Types.ObjectId(),
+        quizId: quiz._id,
+        score: 100,
+        takenAt: new Date("2025-12-01"),
+      })
+    );
+
+    const { result, isNew } = await submit(quiz, 2);
+
+    assert.equal(isNew, false);
+    assert.deepEqual(
+      result.attempts.map((attempt) => attempt.score),
+      [100, 50]
+    );
+    assert.equal(result.score, 50);
+  });
+
+  it("gives partial credit to a multi-select question", async () => {
+    mockStoredResult(null);
+    const quiz = createQuiz({
+      questions: [
+        {
+          content: "Pick the primitives",
+          type: "multi-select",
+          answers: [
+            { content: "string", isCorrect: true },
+            { content: "number", isCorrect: true },
+            { content: "object", isCorrect: false },
+          ],
+        },
+      ],
+    });
+
+    const { data } = await gradeQuizSubmission({
+      quiz,
+      userId: new mongoose.Types.ObjectId(),
+      answers: [{ questionIndex: 0, originalIndex: 0, selectedAnswers: [0] }],
+    });
+
+    assert.equal(data.score, 50);
+    assert.equal(data.correctAnswers, 0);
+  });
+});
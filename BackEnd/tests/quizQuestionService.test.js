@@ -0,0 +1,132 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  gradeQuestion,
+  toStudentQuestion,
+} = require("../services/quizQuestionService");
+
+const orderingQuestion = {
+  type: "ordering",
+  content: "Sort the HTTP lifecycle",
+  orderingItems: ["DNS lookup", "TCP handshake", "Request", "Response"],
+};
+
+const matchingQuestion = {
+  type: "matching",
+  content: "Match the status codes",
+  matchingPairs: [
+    { left: "200", right: "OK" },
+    { left: "404", right: "Not Found" },
+    { left: "500", right: "Server Error" },
+  ],
+};
+
+const grade = (question, answer) =>
+  gradeQuestion(question, { questionIndex: 0, originalIndex: 0, ...answer });
+
+/**
+ * Id của từng nội dung trong bản câu hỏi gửi cho học viên
+ */
+const idsByContent = (items) =>
+  Object.fromEntries(items.map((item) => [item.content, item.id]));
+
+describe("toStudentQuestion", () => {
+  it("removes the answer keys of every question type", () => {
+    for (const question of [
+      { type: "fill-in-blank", acceptedAnswers: ["Paris"] },
+      { type: "numeric", numericAnswer: 3.14, tolerance: 0.01 },
+      matchingQuestion,
+    ]) {
+      const studentQuestion = toStudentQuestion(question);
+      for (const field of [
+        "acceptedAnswers",
+        "numericAnswer",
+        "tolerance",
+        "matchingPairs",
+      ]) {
+        assert.equal(studentQuestion[field], undefined, field);
+      }
+    }
+  });
+
+  it("sends ordering items with opaque ids instead of the correct order", () => {
+    const { orderingItems } = toStudentQuestion(orderingQuestion);
+
+    assert.deepEqual(
+      orderingItems.map((item) => item.content).sort(),
+      [...orderingQuestion.orderingItems].sort()
+    );
+    for (const item of orderingItems) {
+      assert.match(item.id, /^[0-9a-f]{16}$/);
+    }
+    assert.equal(new Set(orderingItems.map((item) => item.id)).size, 4);
+  });
+
+  it("keeps the left side in order and shuffles the right side", () => {
+    const studentQuestion = toStudentQuestion(matchingQuestion);
+
+    assert.deepEqual(studentQuestion.matchingLeft, ["200", "404", "500"]);
+    assert.deepEqual(
+      studentQuestion.matchingRight.map((item) => item.content).sort(),
+      ["Not Found", "OK", "Server Error"]
+    );
+  });
+
+  it("gives repeated items distinct ids", () => {
+    const { orderingItems } = toStudentQuestion({
+      type: "ordering",
+      orderingItems: ["Step", "Step", "Done"],
+    });
+
+    assert.equal(new Set(orderingItems.map((item) => item.id)).size, 3);
+  });
+});
+
+describe("gradeQuestion with item ids", () => {
+  it("grades an ordering answer by the ids sent to the student", () => {
+    const ids = idsByContent(toStudentQuestion(orderingQuestion).orderingItems);
+    const order = orderingQuestion.orderingItems.map((content) => ids[content]);
+
+    const result = grade(orderingQuestion, { order });
+
+    assert.equal(result.credit, 1);
+    assert.deepEqual(
+      result.userAnswers.map((answer) => answer.content),
+      orderingQuestion.orderingItems
+    );
+  });
+
+  it("gives partial credit for the items in place", () => {
+    const ids = idsByContent(toStudentQuestion(orderingQuestion).orderingItems);
+    const order = ["DNS lookup", "TCP handshake", "Response", "Request"].map(
+      (content) => ids[content]
+    );
+
+    assert.equal(grade(orderingQuestion, { order }).credit, 0.5);
+  });
+
+  it("does not accept the item indices as an answer", () => {
+    assert.equal(grade(orderingQuestion, { order: [0, 1, 2, 3] }).credit, 0);
+    assert.equal(
+      grade(matchingQuestion, {
+        matches: [0, 1, 2].map((index) => ({ left: index, right: index })),
+      }).credit,
+      0
+    );
+  });
+
+  it("grades matching by the right-hand item ids", () => {
+    const ids = idsByContent(toStudentQuestion(matchingQuestion).matchingRight);
+    const matches = [
+      { left: 0, right: ids.OK },
+      { left: 1, right: ids["Server Error"] },
+      { left: 2, right: ids["Not Found"] },
+    ];
+
+    const result = grade(matchingQuestion, { matches });
+
+    assert.equal(Math.round(result.credit * 3), 1);
+    assert.equal(result.userAnswers[0].content, "200 → OK");
+  });
+});
@@ -0,0 +1,145 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+/**
+ * Thay module bằng stub trước khi nạp service
+ */
+const stubModule = (request, exports) => {
+  const modulePath = require.resolve(request);
+  require.cache[modulePath] = {
+    id: modulePath,
+    filename: modulePath,
+    loaded: true,
+    exports,
+  };
+  return exports;
+};
+
+const ledger = stubModule("../services/ledgerService", {
+  recordSubscriptionSale: mock.fn(async () => []),
+  hasLedgerEntry: mock.fn(async () => false),
+  recordSubscriptionPool: mock.fn(async () => []),
+  syncInstructorBalance: mock.fn(async () => 0),
+});
+stubModule("../services/commissionService", {
+  getEffectiveCommission: mock.fn(async () => ({ instructorShareRate: 0.5 })),
+});
+
+const SubscriptionPoolPayout = require("../models/subscriptionPoolPayoutModel");
+const SubscriptionUsage = require("../models/subscriptionUsageModel");
+const Payment = require("../models/paymentModel");
+const Counter = require("../models/counterModel");
+const {
+  distributeSubscriptionPool,
+} = require("../services/subscriptionService");
+
+const period = {
+  periodStart: new Date("2026-09-01"),
+  periodEnd: new Date("2026-10-01"),
+};
+
+/**
+ * Doanh thu 1.000.000 và hai giảng viên; ghi lại các bước của transaction
+ */
+const setup = ({ overlapInsideTransaction = false } = {}) => {
+  const events = [];
+  const session = {
+    startTransaction: () => events.push("start"),
+    commitTransaction: async () => events.push("commit"),
+    abortTransaction: async () => events.push("abort"),
+    endSession: () => {},
+  };
+  mock.method(mongoose, "startSession", async () => session);
+  mock.method(Payment, "find", () => ({
+    select: async () => [
+      { amount: mongoose.Types.Decimal128.fromString("1000000") },
+    ],
+  }));
+  mock.method(SubscriptionUsage, "aggregate", async () => [
+    { _id: new mongoose.Types.ObjectId(), units: 3 },
+    { _id: new mongoose.Types.ObjectId(), units: 1 },
+  ]);
+  const lock = mock.method(Counter, "findOneAndUpdate", async () => {
+    events.push("lock");
+    return { seq: 1 };
+  });
+  mock.method(SubscriptionPoolPayout, "exists", () => ({
+    session: async (activeSession) => {
+      events.push(activeSession ? "check:session" : "check");
+      return activeSession && overlapInsideTransaction ? { _id: "p" } : null;
+    },
+  }));
+  const create = mock.method(SubscriptionPoolPayout, "create", async (docs) => {
+    events.push("create");
+    return docs;
+  });
+  return { events, session, lock, create };
+};
+
+afterEach(() => mock.restoreAll());
+
+describe("distributeSubscriptionPool", () => {
+  it("takes the payout lock inside the transaction before paying out", async () => {
+    const { events, session, lock } = setup();
+
+    const payout = await distributeSubscriptionPool(period);
+
+    assert.deepEqual(events, [
+      "check",
+      "start",
+      "lock",
+      "check:session",
+      "create",
+      "commit",
+    ]);
+    const [filter, update, options] = lock.mock.calls[0].arguments;
+    assert.equal(filter._id, "subscription-pool-payout");
+    assert.deepEqual(update, { $inc: { seq: 1 } });
+    assert.equal(options.session, session);
+    assert.equal(payout.poolAmount, 500000);
+    assert.deepEqual(
+      payout.allocations.map((allocation) => allocation.amount),
+      [375000, 125000]
+    );
+    assert.equal(ledger.recordSubscriptionPool.mock.callCount(), 1);
+  });
+
+  it("refuses a period paid out by a concurrent distribution", async () => {
+    const { events, create } = setup({ overlapInsideTransaction: true });
+
+    await assert.rejects(distributeSubscriptionPool(period), {
+      statusCode: 409,
+      message: "This period overlaps an existing pool payout",
+    });
+    assert.equal(create.mock.callCount(), 0);
+    assert.equal(events.at(-1), "abort");
+  });
+
+  it("maps a write conflict on the lock to a 409", async () => {
+    const { create } = setup();
+    mock.method(Counter, "findOneAndUpdate", async () => {
+      const error = new Error("WriteConflict");
+      error.hasErrorLabel = (label) => label === "TransientTransactionError";
+      throw error;
+    });
+
+    await assert.rejects(distributeSubscriptionPool(period), {
+      statusCode: 409,
+    });
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it("maps a duplicate period to a 409", async () => {
+    setup();
+    mock.method(SubscriptionPoolPayout, "create", async () => {
+      const error = new Error("E11000 duplicate key");
+      error.code = 11000;
+      throw error;
+    });
+
+    await assert.rejects(distributeSubscriptionPool(period), {
+      statusCode: 409,
+    });
+  });
+});
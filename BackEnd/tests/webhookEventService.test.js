@@ -0,0 +1,218 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+// config/payos cần thông tin PayOS khi khởi tạo; các test truyền payOsClient riêng
+process.env.PAYOS_CLIENT_ID ??= "test-client-id";
+process.env.PAYOS_API_KEY ??= "test-api-key";
+process.env.PAYOS_CHECKSUM_KEY ??= "test-checksum-key";
+
+/**
+ * Thay module bằng stub trước khi nạp service
+ */
+const stubModule = (request, exports) => {
+  const modulePath = require.resolve(request);
+  require.cache[modulePath] = {
+    id: modulePath,
+    filename: modulePath,
+    loaded: true,
+    exports,
+  };
+  return exports;
+};
+
+const completion = stubModule("../services/paymentCompletionService", {
+  completePendingTransaction: mock.fn(async () => ({ completed: true })),
+  fulfillCompletedTransaction: mock.fn(async () => {}),
+});
+
+const Transaction = require("../models/transactionModel");
+const WebhookEvent = require("../models/webhookEventModel");
+const {
+  PROCESSING_TIMEOUT_MS,
+  handleIncomingPayOsWebhook,
+  replayWebhookEvent,
+} = require("../services/webhookEventService");
+
+const data = { code: "00", orderCode: 123, reference: "FT123" };
+const payload = { data };
+const payOsClient = { webhooks: { verify: async () => data } };
+
+const duplicateKeyError = () => {
+  const error = new Error("E11000 duplicate key");
+  error.code = 11000;
+  return error;
+};
+
+const createEvent = (overrides = {}) => {
+  const event = new WebhookEvent({
+    eventKey: "payos:123:FT123",
+    orderCode: 123,
+    payload,
+    signatureValid: true,
+    processingStartedAt: new Date(),
+    ...overrides,
+  });
+  mock.method(event, "save", async () => event);
+  return event;
+};
+
+const mockTransaction = (status) =>
+  mock.method(Transaction, "findOne", async () => ({ orderCode: 123, status }));
+
+const receive = () =>
+  handleIncomingPayOsWebhook({ payload, rawBody: "{}", payOsClient });
+
+beforeEach(() => {
+  completion.completePendingTransaction.mock.resetCalls();
+  completion.fulfillCompletedTransaction.mock.resetCalls();
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("handleIncomingPayOsWebhook", () => {
+  it("logs the event and completes the pending transaction once", async () => {
+    const create = mock.method(WebhookEvent, "create", async (doc) =>
+      createEvent(doc)
+    );
+    mockTransaction("pending");
+
+    const { event, duplicate } = await receive();
+
+    assert.equal(duplicate, false);
+    assert.equal(create.mock.calls[0].arguments[0].eventKey, "payos:123:FT123");
+    assert.ok(create.mock.calls[0].arguments[0].processingStartedAt);
+    assert.equal(event.status, "processed");
+    assert.equal(event.outcome, "completed");
+    assert.equal(event.attempts, 1);
+    assert.equal(event.processingStartedAt, undefined);
+    assert.equal(completion.completePendingTransaction.mock.callCount(), 1);
+  });
+
+  it("only counts a repeated delivery of a processed event", async () => {
+    mock.method(WebhookEvent, "create", async () => {
+      throw duplicateKeyError();
+    });
+    const processed = createEvent({ status: "processed" });
+    const findOneAndUpdate = mock.method(
+      WebhookEvent,
+      "findOneAndUpdate",
+      async (filter) => (filter.$or ? null : processed)
+    );
+    const findTransaction = mockTransaction("completed");
+
+    const { event, duplicate } = await receive();
+
+    assert.equal(duplicate, true);
+    assert.equal(event, processed);
+    assert.equal(findOneAndUpdate.mock.callCount(), 2);
+    assert.deepEqual(findOneAndUpdate.mock.calls[1].arguments[1].$inc, {
+      duplicateCount: 1,
+    });
+    assert.equal(findTransaction.mock.callCount(), 0);
+  });
+
+  it("reclaims a stalled event and resumes the fulfillment", async () => {
+    mock.method(WebhookEvent, "create", async () => {
+      throw duplicateKeyError();
+    });
+    const stalled = createEvent({ status: "processing", attempts: 1 });
+    const findOneAndUpdate = mock.method(
+      WebhookEvent,
+      "findOneAndUpdate",
+      async () => stalled
+    );
+    mockTransaction("completed");
+    const before = Date.now();
+
+    const { event, duplicate } = await receive();
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.equal(filter.eventKey, "payos:123:FT123");
+    const [failed, timedOut, legacy] = filter.$or;
+    assert.deepEqual(failed, { status: "failed" });
+    const cutoff = timedOut.processingStartedAt.$lte.getTime();
+    assert.ok(cutoff <= before - PROCESSING_TIMEOUT_MS + 1000);
+    assert.ok(cutoff >= before - PROCESSING_TIMEOUT_MS - 1000);
+    assert.equal(legacy.processingStartedAt, null);
+    assert.equal(update.$set.status, "processing");
+    assert.ok(update.$set.processingStartedAt);
+
+    assert.equal(duplicate, false);
+    assert.equal(event.outcome, "fulfillment_resumed");
+    assert.equal(event.attempts, 2);
+    assert.equal(completion.fulfillCompletedTransaction.mock.callCount(), 1);
+  });
+
+  it("marks the event failed when processing throws", async () => {
+    mock.method(WebhookEvent, "create", async (doc) => createEvent(doc));
+    mock.method(console, "error", () => {});
+    mock.method(Transaction, "findOne", async () => {
+      throw new Error("Database unavailable");
+    });
+
+    const { event } = await receive();
+
+    assert.equal(event.status, "failed");
+    assert.equal(event.lastError, "Database unavailable");
+    assert.equal(event.processingStartedAt, undefined);
+  });
+
+  it("logs a webhook with an invalid signature without processing it", async () => {
+    const create = mock.method(WebhookEvent, "create", async (doc) => doc);
+    const findTransaction = mock.method(Transaction, "findOne");
+
+    const { event } = await handleIncomingPayOsWebhook({
+      payload,
+      rawBody: "{}",
+      payOsClient: {
+        webhooks: {
+          verify: async () => {
+            throw new Error("Invalid signature");
+          },
+        },
+      },
+    });
+
+    assert.equal(create.mock.callCount(), 1);
+    assert.equal(event.status, "rejected");
+    assert.equal(event.signatureError, "Invalid signature");
+    assert.match(event.eventKey, /^payos:invalid:[0-9a-f]{64}$/);
+    assert.equal(findTransaction.mock.callCount(), 0);
+  });
+});
+
+describe("replayWebhookEvent", () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+
+  it("reprocesses a failed event and records the replay", async () => {
+    const failed = createEvent({ status: "processing", attempts: 1 });
+    const findOneAndUpdate = mock.method(
+      WebhookEvent,
+      "findOneAndUpdate",
+      async () => failed
+    );
+    mockTransaction("pending");
+
+    const event = await replayWebhookEvent(failed._id, { user });
+
+    const [filter] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.equal(filter.signatureValid, true);
+    assert.ok(filter.$or);
+    assert.equal(event.status, "processed");
+    assert.equal(event.replays.length, 1);
+    assert.equal(event.replays[0].replayedBy, user._id);
+  });
+
+  it("refuses an event that is not failed or stalled", async () => {
+    mock.method(WebhookEvent, "findOneAndUpdate", async () => null);
+    mock.method(WebhookEvent, "findById", () => ({
+      select: async () => ({ status: "processed", signatureValid: true }),
+    }));
+
+    await assert.rejects(
+      replayWebhookEvent(new mongoose.Types.ObjectId(), { user }),
+      { statusCode: 409 }
+    );
+  });
+});
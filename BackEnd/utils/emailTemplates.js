@@ -461,4 +461,110 @@ ${emailFooter()}
 `;
 
   return emailWrapper(content);
-};
\ No newline at end of file
+};
+/**
+ * Gift course email (sent to the recipient after the buyer's payment succeeds)
+ */
+exports.courseGiftEmail = (
+  senderName,
+  courseNames,
+  giftCode,
+  redeemUrl,
+  giftMessage
+) => {
+  const courseList = courseNames
+    .map((name) => `<li><strong>${name}</strong></li>`)
+    .join("");
+
+  const content = `
+    ${emailHeader("You've Received a Course Gift!")}
+    <div style="padding: 40px 30px;">
+      <h2 style="color: #262626; margin-top: 0;">Hello!</h2>
+      <p style="color: #595959; font-size: 16px; line-height: 1.6;">
+        <strong>${senderName}</strong> has gifted you the following course(s) on F-Learning: 🎁
+      </p>
+      <ul style="color: #595959; font-size: 15px; line-height: 1.8; padding-left: 20px;">
+        ${courseList}
+      </ul>
+      ${
+        giftMessage
+          ? `<div style="background-color: ${F_LEARNING_LIGHT}; padding: 16px; border-radius: 8px; border-left: 4px solid ${F_LEARNING_ORANGE}; margin: 25px 0;">
+        <p style="margin: 0; color: #595959; font-size: 15px; font-style: italic;">"${giftMessage}"</p>
+      </div>`
+          : ""
+      }
+      <div style="background-color: #f9f9f9; padding: 20px; border-radius: 8px; margin: 25px 0; text-align: center;">
+        <p style="color: #8c8c8c; font-size: 14px; margin: 0 0 10px 0;">Your gift code</p>
+        <p style="color: ${F_LEARNING_ORANGE}; font-size: 28px; font-weight: bold; letter-spacing: 3px; margin: 0;">${giftCode}</p>
+      </div>
+      <p style="color: #595959; font-size: 16px; line-height: 1.6;">
+        Log in (or create a free account) and redeem the code to start learning.
+      </p>
+      <div style="text-align: center; margin: 30px 0;">
+        ${button(redeemUrl, "Redeem Your Gift")}
+      </div>
+      <p style="color: #595959; font-size: 14px; margin-top: 30px;">
+        If button doesn't work, copy and paste this link into your browser:
+      </p>
+      <p style="color: ${F_LEARNING_ORANGE}; font-size: 13px; word-break: break-all;">
+        ${redeemUrl}
+      </p>
+    </div>
+    ${emailFooter()}
+  `;
+
+  return emailWrapper(content);
+};
+/**
+ * Organization invitation email (sent when an org admin invites a member)
+ */
+exports.organizationInvitationEmail = (organizationName, inviterName, acceptUrl) => {
+  const content = `
+    ${emailHeader("You're Invited to Join an Organization")}
+    <div style="padding: 40px 30px;">
+      <h2 style="color: #262626; margin-top: 0;">Hello!</h2>
+      <p style="color: #595959; font-size: 16px; line-height: 1.6;">
+        <strong>${inviterName}</strong> has invited you to join <strong>${organizationName}</strong> on F-Learning.
+      </p>
+      <p style="color: #595959; font-size: 16px; line-height: 1.6;">
+        Once you accept, your organization can assign you seats in the courses it has purchased for its team.
+      </p>
+      <div style="text-align: center; margin: 30px 0;">
+        ${button(acceptUrl, "Accept Invitation")}
+      </div>
+      <p style="color: #595959; font-size: 14px; margin-top: 30px;">
+        If button doesn't work, copy and paste this link into your browser:
+      </p>
+      <p style="color: ${F_LEARNING_ORANGE}; font-size: 13px; word-break: break-all;">
+        ${acceptUrl}
+      </p>
+    </div>
+    ${emailFooter()}
+  `;
+
+  return emailWrapper(content);
+};
+/**
+ * Payment receipt email (invoice PDF is sent as an attachment)
+ */
+exports.paymentReceiptEmail = (userName, invoiceNumber, formattedTotal) => {
+  const content = `
+    ${emailHeader("Payment Receipt")}
+    <div style="padding: 40px 30px;">
+      <h2 style="color: #262626; margin-top: 0;">Hello ${userName},</h2>
+      <p style="color: #595959; font-size: 16px; line-height: 1.6;">
+        Thank you for your payment. Your invoice <strong>${invoiceNumber}</strong> is attached to this email.
+      </p>
+      <div style="background-color: #f9f9f9; padding: 20px; border-radius: 8px; margin: 25px 0; text-align: center;">
+        <p style="color: #8c8c8c; font-size: 14px; margin: 0 0 10px 0;">Amount paid</p>
+        <p style="color: ${F_LEARNING_ORANGE}; font-size: 24px; font-weight: bold; margin: 0;">${formattedTotal}</p>
+      </div>
+      <p style="color: #595959; font-size: 14px; line-height: 1.6;">
+        You can download your invoices at any time from your purchase history.
+      </p>
+    </div>
+    ${emailFooter()}
+  `;
+
+  return emailWrapper(content);
+};
@@ -412,6 +412,38 @@ async function uploadUserAvatar(filePath, fileName, mimeType, userId) {
   }
 }
 
+/**
+ * Upload a private (non-public) buffer, e.g. generated invoices
+ * @param {Buffer} buffer - File content
+ * @param {string} destination - Full path in the bucket
+ * @param {string} mimeType - File MIME type
+ * @returns {Object} - { destination }
+ */
+async function uploadPrivateBuffer(buffer, destination, mimeType) {
+  try {
+    await bucket.file(destination).save(buffer, {
+      metadata: {
+        contentType: mimeType,
+      },
+    });
+
+    return { destination };
+  } catch (error) {
+    console.error("Error uploading private file:", error);
+    throw error;
+  }
+}
+
+/**
+ * Download a file from Firebase Storage
+ * @param {string} destination - Full path in the bucket
+ * @returns {Buffer} - File content
+ */
+async function downloadFromFirebase(destination) {
+  const [content] = await bucket.file(destination).download();
+  return content;
+}
+
 module.exports = {
   uploadToFirebase,
   uploadTrailer,
@@ -425,4 +457,6 @@ module.exports = {
   checkCourseFolders, // New function to check folder existence
   uploadUserAvatar, // Function to upload user avatars
   createUserAvatarFolder, // Function to create user avatar folders
+  uploadPrivateBuffer, // Private uploads (invoices)
+  downloadFromFirebase,
 };
\ No newline at end of file
@@ -1,7 +1,7 @@
 require('dotenv').config(); // Ensure environment variables are loaded
 const nodemailer = require("nodemailer");
 
-const sendEmail = async (email, subject, textOrHtml) => {
+const sendEmail = async (email, subject, textOrHtml, attachments = []) => {
   try {
     console.log("Attempting to send email...");
     console.log("Email host:", process.env.EMAIL_HOST);
@@ -32,6 +32,7 @@ const sendEmail = async (email, subject, textOrHtml) => {
       to: email,
       subject: subject,
       html: textOrHtml,
+      attachments,
     };
 
     const info = await transporter.sendMail(mailOptions);
@@ -74,6 +75,7 @@ const sendEmail = async (email, subject, textOrHtml) => {
         to: email,
         subject: subject,
         html: textOrHtml,
+        attachments,
       });
       
       console.log(`Email sent successfully with alternative config to: ${email}`);